@@ -5,9 +5,15 @@
  * Uses jQuery AJAX for network requests.
  * All functions return Promises.
  * 
+ * Requests are sent through the backend adapter selected in
+ * CONFIG.BACKEND (Apps Script, local REST server or IndexedDB).
+ * Every request carries the session token from Auth (auth.js);
+ * a 401 response sends the user back to the login page.
+ * 
  * Dependencies:
  *   - jQuery (for AJAX)
- *   - /config/sheet-config.js (for CONFIG.SCRIPT_URL)
+ *   - /config/sheet-config.js (for CONFIG.BACKEND)
+ *   - /assets/js/backend.js (adapter layer)
  */
 
 const API = (function() {
@@ -17,9 +23,79 @@ const API = (function() {
     // 🔧 CONFIGURATION & CONSTANTS
     // ============================================
 
-    const API_URL = CONFIG.SCRIPT_URL;
-    const TIMEOUT = CONFIG.REQUEST_TIMEOUT || 30000;
     const DEBUG = CONFIG.DEBUG_MODE || false;
+    const RETRY = {
+        maxRetries: 3,
+        retryDelay: 1000,
+        maxRetryDelay: 15000,
+        backoffFactor: 2,
+        retryOnStatusCodes: [408, 429, 500, 502, 503, 504],
+        retryOnNetworkError: true,
+        retryPost: false,
+        ...(CONFIG.RETRY_CONFIG || {})
+    };
+    const CACHE = {
+        enabled: false,
+        storageKey: 'squidx_cache',
+        policies: {},
+        ...(CONFIG.CACHE_CONFIG || {})
+    };
+    const BATCH = {
+        enabled: false,
+        window: 10,
+        maxSize: 10,
+        ...(CONFIG.BATCH_CONFIG || {})
+    };
+
+    /**
+     * Read actions invalidated by each write action
+     */
+    const INVALIDATIONS = {
+        saveSettings: ['getSettings', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+
+        addMember: ['getMembers', 'getAllMembers', 'getMemberNames', 'getMember', 'getDashboardStats', 'getPayrollSummary'],
+        importMembers: ['getMembers', 'getAllMembers', 'getMemberNames', 'getMember', 'getDashboardStats', 'getPayrollSummary'],
+        updateMember: ['getMembers', 'getAllMembers', 'getMemberNames', 'getMember', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getPayrollSummary'],
+        deleteMember: ['getMembers', 'getAllMembers', 'getMemberNames', 'getMember', 'getDashboardStats', 'getPayrollSummary'],
+
+        saveAttendance: ['getAttendance', 'getAttendanceByMember', 'getAttendanceRange', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+        updateAttendance: ['getAttendance', 'getAttendanceByMember', 'getAttendanceRange', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+        deleteAttendance: ['getAttendance', 'getAttendanceByMember', 'getAttendanceRange', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+
+        addTask: ['getPerformanceTasks', 'getTask', 'getObjectives'],
+        updateTask: ['getPerformanceTasks', 'getTask', 'getObjectives'],
+        deleteTask: ['getPerformanceTasks', 'getTask', 'getObjectives'],
+        completeTask: ['getPerformanceTasks', 'getTask', 'getObjectives'],
+
+        addRating: ['getRatings', 'getRating'],
+        updateRating: ['getRatings', 'getRating'],
+        deleteRating: ['getRatings', 'getRating'],
+        saveRatingTemplate: ['getRatingTemplates'],
+        deleteRatingTemplate: ['getRatingTemplates'],
+        saveReviewCycle: ['getReviewCycles', 'getReviewAssignments', 'getReviewTracker', 'getReviewResults'],
+        deleteReviewCycle: ['getReviewCycles', 'getReviewAssignments', 'getReviewTracker', 'getReviewResults'],
+        submitReview: ['getReviewCycles', 'getReviewAssignments', 'getReviewTracker', 'getReviewResults'],
+        saveObjective: ['getObjectives'],
+        deleteObjective: ['getObjectives'],
+
+        applyLeave: ['getLeaveRequests', 'getLeaveSummary'],
+        rejectLeave: ['getLeaveRequests', 'getLeaveSummary'],
+        approveLeave: ['getLeaveRequests', 'getLeaveSummary', 'getLeaveLedger', 'getAttendance', 'getAttendanceByMember', 'getAttendanceRange', 'getDashboardStats', 'getTimesheet', 'getPayrollSummary'],
+        cancelLeave: ['getLeaveRequests', 'getLeaveSummary', 'getLeaveLedger', 'getAttendance', 'getAttendanceByMember', 'getAttendanceRange', 'getDashboardStats', 'getTimesheet', 'getPayrollSummary'],
+        addLeaveAdjustment: ['getLeaveSummary', 'getLeaveLedger'],
+        deleteLeaveAdjustment: ['getLeaveSummary', 'getLeaveLedger'],
+        addHoliday: ['getHolidays', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+        updateHoliday: ['getHolidays', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+        deleteHoliday: ['getHolidays', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+        importHolidays: ['getHolidays', 'getDashboardStats', 'getLeaveSummary', 'getLeaveLedger', 'getTimesheet', 'getPayrollSummary'],
+        saveShift: ['getShifts', 'getTimesheet', 'getPayrollSummary'],
+        deleteShift: ['getShifts'],
+        assignShifts: ['getShiftAssignments', 'getTimesheet', 'getPayrollSummary'],
+        deleteShiftAssignment: ['getShiftAssignments', 'getTimesheet', 'getPayrollSummary'],
+        submitTimesheet: ['getTimesheet'],
+        approveTimesheet: ['getTimesheet'],
+        rejectTimesheet: ['getTimesheet']
+    };
 
     // ============================================
     // 📝 LOGGING UTILITIES
@@ -30,7 +106,9 @@ const API = (function() {
      */
     const logRequest = (type, endpoint, data = null) => {
         if (DEBUG) {
-            console.log(`[API] ${type} Request:`, endpoint, data || '');
+            // Never print credentials
+            const safe = data && data.password ? { ...data, password: '••••' } : data;
+            console.log(`[API] ${type} Request:`, endpoint, safe || '');
         }
     };
 
@@ -53,95 +131,497 @@ const API = (function() {
     };
 
     // ============================================
-    // 🌐 CORE HTTP UTILITIES
+    // 🔁 RETRY ENGINE
     // ============================================
 
     /**
-     * Generic GET request wrapper
-     * @param {Object} params - Query parameters object
+     * Waits for the given number of milliseconds
+     */
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Decides whether a failed request is worth retrying
+     * @param {Object} error - Standardized error object
+     * @returns {boolean}
+     */
+    const isRetryable = (error) => {
+        if (!error) return false;
+
+        // Network drop (status 0) — but never a deliberate abort
+        if (error.code === 0) {
+            return RETRY.retryOnNetworkError && error.status !== 'abort';
+        }
+
+        return RETRY.retryOnStatusCodes.includes(Number(error.code));
+    };
+
+    /**
+     * Computes the delay before the next attempt:
+     * exponential backoff (retryDelay × backoffFactor^attempt) with
+     * "equal jitter" (half fixed, half random), capped at maxRetryDelay.
+     * A server-provided Retry-After always wins when it is longer.
+     * @param {number} attempt - Zero-based retry attempt
+     * @param {Object} error - Error that triggered the retry
+     * @returns {number} - Delay in milliseconds
+     */
+    const getRetryDelay = (attempt, error) => {
+        const exponential = Math.min(
+            RETRY.maxRetryDelay,
+            RETRY.retryDelay * Math.pow(RETRY.backoffFactor, attempt)
+        );
+        const jittered = exponential / 2 + Math.random() * (exponential / 2);
+        const retryAfter = error && error.retryAfter ? error.retryAfter * 1000 : 0;
+
+        return Math.max(jittered, Math.min(retryAfter, RETRY.maxRetryDelay));
+    };
+
+    /**
+     * Runs a request function, retrying retryable failures
+     * @param {Function} send - Returns a Promise for one attempt
+     * @param {string} endpoint - API endpoint name (for logging)
+     * @param {boolean} enabled - Whether retries are allowed for this call
      * @returns {Promise} - Resolves with response data
      */
-    const apiGet = (params = {}) => {
-        return new Promise((resolve, reject) => {
-            // Build query string
-            const queryString = Object.keys(params)
-                .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-                .join('&');
+    const withRetry = (send, endpoint, enabled) => {
+        const attempt = (retryCount) => {
+            return send().catch(error => {
+                if (!enabled || retryCount >= RETRY.maxRetries || !isRetryable(error)) {
+                    return Promise.reject(retryCount > 0 ? { ...error, retries: retryCount } : error);
+                }
+
+                const delay = getRetryDelay(retryCount, error);
+                CONFIG.logWarn(`[API] ${endpoint} failed (${error.code}), retry ${retryCount + 1}/${RETRY.maxRetries} in ${Math.round(delay)}ms`);
+
+                return sleep(delay).then(() => attempt(retryCount + 1));
+            });
+        };
+
+        return attempt(0);
+    };
+
+    // ============================================
+    // 🗄️ RESPONSE CACHE
+    // ============================================
+
+    /**
+     * Keys currently being revalidated in the background
+     */
+    const revalidating = new Set();
+
+    /**
+     * Returns the cache policy for a read action (null when not cached)
+     * @param {string} action - API action name
+     * @returns {Object|null} - { ttl, stale }
+     */
+    const getCachePolicy = (action) => {
+        if (!CACHE.enabled || !window.localStorage) return null;
+        const policy = CACHE.policies[action];
+        return policy ? { ttl: policy.ttl || 0, stale: policy.stale || 0 } : null;
+    };
+
+    /**
+     * Builds a stable request key: backend, action and sorted params
+     * @param {Object} params - Request parameters (including 'action')
+     * @returns {string}
+     */
+    const getRequestKey = (params) => {
+        const { action, ...rest } = params;
+        const sorted = Object.keys(rest).sort().reduce((acc, key) => {
+            acc[key] = rest[key];
+            return acc;
+        }, {});
+
+        return `${Backend.getType()}:${action}:${JSON.stringify(sorted)}`;
+    };
+
+    /**
+     * Builds the localStorage key for a cached response
+     * @param {Object} params - Request parameters (including 'action')
+     * @returns {string}
+     */
+    const getCacheKey = (params) => `${CACHE.storageKey}:${getRequestKey(params)}`;
+
+    /**
+     * Reads a cache entry
+     * @returns {Object|null} - { data, storedAt }
+     */
+    const readCache = (key) => {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Writes a cache entry (silently skipped when storage is full)
+     */
+    const writeCache = (key, data) => {
+        try {
+            localStorage.setItem(key, JSON.stringify({ data: data, storedAt: Date.now() }));
+        } catch (e) {
+            CONFIG.logWarn('[API] Cache write skipped:', e && e.message);
+        }
+    };
 
-            const url = queryString ? `${API_URL}?${queryString}` : API_URL;
-            const endpoint = params.action || 'unknown';
+    /**
+     * Removes cached responses for the given actions (all when omitted)
+     * @param {Array<string>} [actions] - Read action names
+     */
+    const invalidateCache = (actions = null) => {
+        if (!window.localStorage) return;
+
+        const prefix = `${CACHE.storageKey}:`;
+        const keys = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(prefix)) continue;
+
+            // Key format: prefix:backend:action:params
+            const action = key.slice(prefix.length).split(':')[1];
+            if (!actions || actions.includes(action)) {
+                keys.push(key);
+            }
+        }
+
+        keys.forEach(key => localStorage.removeItem(key));
+
+        if (keys.length > 0) {
+            CONFIG.log(`[API] Cache invalidated (${keys.length} entries)`, actions || 'all');
+        }
+    };
+
+    /**
+     * Clears the whole response cache (e.g. on manual refresh)
+     */
+    const clearCache = () => invalidateCache(null);
+
+    /**
+     * Refreshes a stale entry in the background. Fires
+     * 'squidx:cache-refreshed' on document when the data actually changed,
+     * so pages can re-render if they want to.
+     */
+    const revalidate = (key, fetchFresh, endpoint, params, cached) => {
+        if (revalidating.has(key)) return;
+        revalidating.add(key);
+
+        fetchFresh()
+            .then(data => {
+                if (JSON.stringify(data) !== JSON.stringify(cached)) {
+                    $(document).trigger('squidx:cache-refreshed', { action: endpoint, params: params, data: data });
+                }
+            })
+            .catch(error => {
+                CONFIG.logWarn(`[API] Background refresh of ${endpoint} failed:`, error && error.message);
+            })
+            .finally(() => revalidating.delete(key));
+    };
+
+    // ============================================
+    // 📦 REQUEST BATCHING & DEDUPLICATION
+    // ============================================
+
+    /**
+     * Identical GETs currently in flight (request key → Promise)
+     */
+    const inflight = new Map();
+
+    /**
+     * Reads waiting for the current batch window to close
+     */
+    let batchQueue = [];
+    let batchTimer = null;
+
+    /**
+     * Turned off for the session if the backend doesn't know 'batch'
+     */
+    let batchSupported = true;
+
+    /**
+     * Sends a single GET through the backend adapter
+     * @param {Object} params - Query parameters (including 'action')
+     * @param {boolean} retry - Whether retries are allowed
+     * @returns {Promise} - Resolves with response data
+     */
+    const sendGet = (params, retry) => {
+        const endpoint = params.action || 'unknown';
 
+        return withRetry(() => {
             logRequest('GET', endpoint, params);
 
-            $.ajax({
-                url: url,
-                type: 'GET',
-                dataType: 'json',
-                timeout: TIMEOUT,
-                success: function(response) {
-                    logResponse(endpoint, response);
-
-                    if (response.success) {
-                        resolve(response.data);
-                    } else {
-                        const error = {
-                            message: response.error || 'Unknown error occurred',
-                            code: response.code || 400,
-                            endpoint: endpoint
-                        };
-                        logError(endpoint, error);
-                        reject(error);
-                    }
-                },
-                error: function(xhr, status, error) {
-                    const errorObj = parseAjaxError(xhr, status, error, endpoint);
-                    logError(endpoint, errorObj);
-                    reject(errorObj);
+            return Backend.get(withToken(params)).then(
+                response => handleResponse(response, endpoint),
+                failure => handleFailure(failure, endpoint)
+            );
+        }, endpoint, retry);
+    };
+
+    /**
+     * Sends the queued reads as one 'batch' action. Each sub-response is an
+     * ordinary envelope and settles its own caller; retryable sub-failures
+     * are retried on their own.
+     */
+    const flushBatch = () => {
+        const entries = batchQueue;
+        batchQueue = [];
+        batchTimer = null;
+
+        if (entries.length === 0) return;
+
+        if (entries.length === 1 || !batchSupported) {
+            entries.forEach(entry => sendGet(entry.params, entry.retry).then(entry.resolve, entry.reject));
+            return;
+        }
+
+        const params = {
+            action: 'batch',
+            requests: JSON.stringify(entries.map(entry => entry.params))
+        };
+
+        sendGet(params, entries.every(entry => entry.retry))
+            .then(results => {
+                if (!Array.isArray(results) || results.length !== entries.length) {
+                    return Promise.reject({ message: 'Malformed batch response', code: 500, endpoint: 'batch' });
+                }
+
+                entries.forEach((entry, i) => {
+                    handleResponse(results[i], entry.params.action)
+                        .catch(error => entry.retry && isRetryable(error)
+                            ? sendGet(entry.params, true)
+                            : Promise.reject(error))
+                        .then(entry.resolve, entry.reject);
+                });
+            })
+            .catch(error => {
+                // Transport failure or signed out — every caller gets the same error
+                if (error.code === 0 || Number(error.code) === 401 || isRetryable(error)) {
+                    entries.forEach(entry => entry.reject(error));
+                    return;
                 }
+
+                // The backend rejected the batch itself (e.g. an older
+                // Apps Script deployment) — fall back to single requests
+                CONFIG.logWarn('[API] Batch requests not supported, sending individually');
+                batchSupported = false;
+                entries.forEach(entry => sendGet(entry.params, entry.retry).then(entry.resolve, entry.reject));
             });
+    };
+
+    /**
+     * Adds a read to the current batch window
+     * @returns {Promise} - Resolves with this request's response data
+     */
+    const enqueueBatch = (params, retry) => {
+        return new Promise((resolve, reject) => {
+            batchQueue.push({ params, retry, resolve, reject });
+
+            if (batchQueue.length >= BATCH.maxSize) {
+                clearTimeout(batchTimer);
+                flushBatch();
+            } else if (!batchTimer) {
+                batchTimer = setTimeout(flushBatch, BATCH.window);
+            }
+        });
+    };
+
+    /**
+     * Sends a GET, sharing identical in-flight requests and batching
+     * concurrent reads when enabled
+     * @param {Object} params - Query parameters (including 'action')
+     * @param {Object} options - { retry: boolean, batch: boolean }
+     * @returns {Promise} - Resolves with response data
+     */
+    const dispatchGet = (params, options) => {
+        const key = getRequestKey(params);
+
+        if (inflight.has(key)) {
+            CONFIG.log(`[API] Sharing in-flight request: ${params.action}`);
+            return inflight.get(key);
+        }
+
+        // The IndexedDB backend is local — nothing to save by batching
+        const batchable = BATCH.enabled && batchSupported && options.batch !== false &&
+            Backend.getType() !== 'indexeddb';
+
+        const request = (batchable ? enqueueBatch(params, options.retry) : sendGet(params, options.retry))
+            .finally(() => inflight.delete(key));
+
+        inflight.set(key, request);
+        return request;
+    };
+
+    // ============================================
+    // 🌐 CORE HTTP UTILITIES
+    // ============================================
+
+    /**
+     * Adds the session token to a request (sent as a `token` field so it
+     * works for Apps Script, which cannot read request headers)
+     * @param {Object} data - Query params or POST body
+     * @returns {Object}
+     */
+    const withToken = (data) => {
+        const token = window.Auth ? Auth.getToken() : null;
+        return token ? { ...data, token: token } : data;
+    };
+
+    /**
+     * Sends the user to the login page when the session is gone.
+     * A 401 from 'login' itself just means wrong credentials.
+     * @param {string} endpoint - API endpoint name
+     */
+    const handleUnauthorized = (endpoint) => {
+        if (endpoint !== 'login' && window.Auth) {
+            Auth.handleUnauthorized();
+        }
+    };
+
+    /**
+     * Unwraps a backend response envelope ({ success, data, error, code })
+     * @param {Object} response - Response envelope from the backend
+     * @param {string} endpoint - API endpoint name
+     * @returns {Promise} - Resolves with response data
+     */
+    const handleResponse = (response, endpoint) => {
+        logResponse(endpoint, response);
+
+        if (response && response.success) {
+            return Promise.resolve(response.data);
+        }
+
+        const error = {
+            message: (response && response.error) || 'Unknown error occurred',
+            code: (response && response.code) || 400,
+            endpoint: endpoint
+        };
+        logError(endpoint, error);
+
+        if (Number(error.code) === 401) {
+            handleUnauthorized(endpoint);
+        }
+        return Promise.reject(error);
+    };
+
+    /**
+     * Normalizes a transport failure from the backend adapter
+     * @param {Object} failure - { xhr, status, error } from Backend
+     * @param {string} endpoint - API endpoint name
+     * @returns {Promise} - Always rejects with a standardized error object
+     */
+    const handleFailure = (failure, endpoint) => {
+        const errorObj = parseAjaxError(failure.xhr || {}, failure.status, failure.error, endpoint);
+        logError(endpoint, errorObj);
+        return Promise.reject(errorObj);
+    };
+
+    /**
+     * Generic GET request wrapper
+     * GETs are idempotent, so they are retried unless the caller opts out.
+     * Actions with a cache policy are served from the response cache
+     * (fresh, or stale while revalidating) unless the caller opts out.
+     * Concurrent reads are de-duplicated and batched (see dispatchGet).
+     * @param {Object} params - Query parameters object
+     * @param {Object} [options] - { retry: boolean, cache: boolean, batch: boolean } (all default true)
+     * @returns {Promise} - Resolves with response data
+     */
+    const apiGet = (params = {}, options = {}) => {
+        const endpoint = params.action || 'unknown';
+        const retry = options.retry !== false;
+        const policy = options.cache === false ? null : getCachePolicy(endpoint);
+        const key = policy ? getCacheKey(params) : null;
+
+        const fetchFresh = () => dispatchGet(params, { retry, batch: options.batch }).then(data => {
+            if (policy) writeCache(key, data);
+            return data;
+        });
+
+        if (!policy) {
+            return fetchFresh();
+        }
+
+        const entry = readCache(key);
+
+        if (entry) {
+            const age = Date.now() - entry.storedAt;
+
+            if (age < policy.ttl) {
+                logResponse(`${endpoint} (cache)`, entry.data);
+                return Promise.resolve(entry.data);
+            }
+
+            if (age < policy.ttl + policy.stale) {
+                logResponse(`${endpoint} (stale cache)`, entry.data);
+                revalidate(key, fetchFresh, endpoint, params, entry.data);
+                return Promise.resolve(entry.data);
+            }
+        }
+
+        // Expired or missing — fetch, but fall back to any cached copy when offline
+        return fetchFresh().catch(error => {
+            if (entry && error.code === 0) {
+                CONFIG.logWarn(`[API] ${endpoint} unreachable, serving expired cache`);
+                return entry.data;
+            }
+            return Promise.reject(error);
         });
     };
 
     /**
      * Generic POST request wrapper
+     * POSTs are only retried when the caller opts in (idempotent writes)
+     * or RETRY_CONFIG.retryPost is enabled.
      * @param {Object} body - Request body object (must include 'action')
+     * @param {Object} [options] - { retry: boolean } (default RETRY_CONFIG.retryPost)
      * @returns {Promise} - Resolves with response data
      */
-    const apiPost = (body = {}) => {
-        return new Promise((resolve, reject) => {
-            const endpoint = body.action || 'unknown';
+    const apiPost = (body = {}, options = {}) => {
+        const endpoint = body.action || 'unknown';
+        const retry = options.retry !== undefined ? options.retry === true : RETRY.retryPost;
 
+        return withRetry(() => {
             logRequest('POST', endpoint, body);
 
-            $.ajax({
-               url: API_URL,
-               type: 'POST',
-               contentType: 'application/x-www-form-urlencoded',
-               data: { payload: JSON.stringify(body) },
-               dataType: 'json',
-
-                timeout: TIMEOUT,
-                success: function(response) {
-                    logResponse(endpoint, response);
-
-                    if (response.success) {
-                        resolve(response.data);
-                    } else {
-                        const error = {
-                            message: response.error || 'Unknown error occurred',
-                            code: response.code || 400,
-                            endpoint: endpoint
-                        };
-                        logError(endpoint, error);
-                        reject(error);
-                    }
-                },
-                error: function(xhr, status, error) {
-                    const errorObj = parseAjaxError(xhr, status, error, endpoint);
-                    logError(endpoint, errorObj);
-                    reject(errorObj);
-                }
+            return Backend.post(withToken(body)).then(
+                response => handleResponse(response, endpoint),
+                failure => handleFailure(failure, endpoint)
+            );
+        }, endpoint, retry).then(data => {
+            // Drop cached reads this write may have changed
+            if (INVALIDATIONS[endpoint]) {
+                invalidateCache(INVALIDATIONS[endpoint]);
+            }
+            return data;
+        });
+    };
+
+    /**
+     * Sends a queueable write, falling back to the offline outbox (SyncQueue)
+     * when the browser is offline or the request fails with a network error.
+     * While older writes are still queued, new ones join the queue so the
+     * server receives them in order.
+     * @param {Object} body - Request body object (must include 'action')
+     * @param {Array} [baseline] - Records as known before the edit (for conflict checks)
+     * @returns {Promise} - Resolves with response data, or { queued: true, id }
+     */
+    const postOrQueue = (body, baseline) => {
+        const queue = window.SyncQueue;
+        // The IndexedDB backend is local — there is nothing to queue for
+        const canQueue = !!queue && queue.isQueueable(body.action) && Backend.getType() !== 'indexeddb';
+
+        if (canQueue && (navigator.onLine === false || queue.hasPending())) {
+            return queue.enqueue(body, baseline).then(result => {
+                queue.replay();
+                return result;
             });
+        }
+
+        return apiPost(body, { retry: true }).catch(error => {
+            if (canQueue && error.code === 0 && error.status !== 'abort') {
+                return queue.enqueue(body, baseline);
+            }
+            return Promise.reject(error);
         });
     };
 
@@ -171,7 +651,8 @@ const API = (function() {
             message = 'Network error. Please check your internet connection.';
             code = 0;
         } else if (xhr.status === 401) {
-            message = 'Unauthorized. Please refresh and try again.';
+            message = 'Your session has expired. Please sign in again.';
+            handleUnauthorized(endpoint);
         } else if (xhr.status === 403) {
             message = 'Access forbidden. You do not have permission.';
         } else if (xhr.status === 404) {
@@ -196,15 +677,79 @@ const API = (function() {
             // Keep default message
         }
 
+        // Honor Retry-After (seconds) on throttling / unavailable responses
+        let retryAfter = null;
+        if (typeof xhr.getResponseHeader === 'function') {
+            const header = parseInt(xhr.getResponseHeader('Retry-After'), 10);
+            if (!isNaN(header)) {
+                retryAfter = header;
+            }
+        }
+
         return {
             message: message,
             code: code,
             status: status,
             endpoint: endpoint,
+            retryAfter: retryAfter,
             originalError: error
         };
     };
 
+    // ============================================
+    // 🔑 AUTH API
+    // ============================================
+
+    /**
+     * Signs in with a username and password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} - { token, expiresAt, user }
+     */
+    const login = (username, password) => {
+        if (!username || !password) {
+            return Promise.reject({
+                message: 'Username and password are required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'login',
+            username: username,
+            password: password
+        });
+    };
+
+    /**
+     * Ends the current session on the server
+     * @returns {Promise<Object>} - Logout confirmation
+     */
+    const logout = () => {
+        return apiPost({ action: 'logout' });
+    };
+
+    /**
+     * Changes the signed-in user's password. Their other sessions end.
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} - { user } with the updated user
+     */
+    const changePassword = (currentPassword, newPassword) => {
+        if (!currentPassword || !newPassword) {
+            return Promise.reject({
+                message: 'Current and new password are required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'changePassword',
+            currentPassword: currentPassword,
+            newPassword: newPassword
+        });
+    };
+
     // ============================================
     // ⚙️ SETTINGS API
     // ============================================
@@ -230,10 +775,11 @@ const API = (function() {
             });
         }
 
+        // Saving the full settings object is idempotent — safe to retry
         return apiPost({
             action: 'saveSettings',
             settings: settings
-        });
+        }, { retry: true });
     };
 
     // ============================================
@@ -302,6 +848,26 @@ const API = (function() {
         });
     };
 
+    /**
+     * Adds many members at once; rows whose email is already taken are
+     * reported back rather than failing the whole batch
+     * @param {Array<Object>} members - Member objects as for addMember
+     * @returns {Promise<Object>} - { added, memberIds, errors: [{ row, message }] }
+     */
+    const importMembers = (members) => {
+        if (!Array.isArray(members) || members.length === 0) {
+            return Promise.reject({
+                message: 'No members to import',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'importMembers',
+            members: members
+        });
+    };
+
     /**
      * Updates an existing member
      * @param {string} memberId - Member ID to update
@@ -447,8 +1013,16 @@ const API = (function() {
     /**
      * Saves attendance records (single or batch)
      * Handles insert, update, and delete operations
+     * Queued in the offline outbox when the network is unavailable.
+     * A record of { date, memberId, punch: 'in' | 'out' } is a punch for
+     * the signed-in member: the server stamps the time, status and hours
+     * (the only form employees may send). Punches are never queued — a
+     * punch replayed later would be stamped with the wrong time.
      * @param {Array} batch - Array of attendance record objects
-     * @returns {Promise<Object>} - Save confirmation with processed count
+     * @param {Object} [options] - { baseline: Array } records as loaded before the edit,
+     *                             used to detect conflicts when a queued write syncs
+     * @returns {Promise<Object>} - Save confirmation with processed count,
+     *                              or { queued: true, id } when saved offline
      * 
      * @example
      * // Single attendance
@@ -467,7 +1041,7 @@ const API = (function() {
      *   { date: '2024-01-15', memberId: 'M002', punchIn: '08:55', punchOut: '17:30' }
      * ]);
      */
-    const saveAttendance = (batch) => {
+    const saveAttendance = (batch, options = {}) => {
         if (!batch || !Array.isArray(batch) || batch.length === 0) {
             return Promise.reject({
                 message: 'Attendance batch array is required',
@@ -486,10 +1060,22 @@ const API = (function() {
             }
         }
 
-        return apiPost({
+        if (batch.some(record => record.punch)) {
+            if (navigator.onLine === false) {
+                return Promise.reject({
+                    message: 'You are offline. Punching in or out needs an internet connection.',
+                    code: 0
+                });
+            }
+            // Not retried either: a repeat of a punch that landed is a double punch
+            return apiPost({ action: 'saveAttendance', batch: batch });
+        }
+
+        // Upsert keyed by date + memberId — safe to retry and to queue
+        return postOrQueue({
             action: 'saveAttendance',
             batch: batch
-        });
+        }, options.baseline);
     };
 
     /**
@@ -497,9 +1083,10 @@ const API = (function() {
      * @param {string} date - Date in YYYY-MM-DD format
      * @param {string} memberId - Member ID
      * @param {Object} data - Updated attendance data
-     * @returns {Promise<Object>} - Update confirmation
+     * @param {Object} [options] - { baseline: Array } records as loaded before the edit
+     * @returns {Promise<Object>} - Update confirmation, or { queued: true, id } when saved offline
      */
-    const updateAttendance = (date, memberId, data) => {
+    const updateAttendance = (date, memberId, data, options = {}) => {
         if (!date || !memberId) {
             return Promise.reject({
                 message: 'Date and Member ID are required',
@@ -507,12 +1094,12 @@ const API = (function() {
             });
         }
 
-        return apiPost({
+        return postOrQueue({
             action: 'updateAttendance',
             date: date,
             memberId: memberId,
             data: data
-        });
+        }, options.baseline);
     };
 
     /**
@@ -579,7 +1166,10 @@ const API = (function() {
 
     /**
      * Adds a new task
-     * @param {Object} task - Task object with required fields
+     * @param {Object} task - Task object with required fields; keyResultId
+     *   links it to a key result of the member's or their department's objectives.
+     *   subtasks carry their own status and checklist; the task's completion
+     *   is derived from them (see Utils.calculateTaskProgress)
      * @returns {Promise<Object>} - Created task confirmation with taskId
      * 
      * @example
@@ -588,7 +1178,12 @@ const API = (function() {
      *   title: 'Complete project documentation',
      *   deadline: '2024-01-30',
      *   status: 'Pending',
-     *   notes: 'High priority'
+     *   priority: 'High',
+     *   estimatedHours: 8,
+     *   keyResultId: 'KR123',
+     *   subtasks: [
+     *     { title: 'API reference', status: 'In Progress', checklist: [{ text: 'Auth endpoints', done: true }] }
+     *   ]
      * });
      */
     const addTask = (task) => {
@@ -716,6 +1311,12 @@ const API = (function() {
      * @param {Object} rating - Rating object with required fields
      * @returns {Promise<Object>} - Created rating confirmation with recordId
      * 
+     * Scores are stored under the criterion keys of the rating template in
+     * effect for the rated month (see Utils.resolveRatingTemplate).
+     * Criteria scored from attendance or tasks carry their suggestion in
+     * `suggestions` ({ [key]: { score, evidence, note } }); a note is
+     * required wherever the score differs from the suggested one.
+     * 
      * @example
      * addRating({
      *   memberId: 'M001',
@@ -786,14 +1387,239 @@ const API = (function() {
         });
     };
 
-    // ============================================
-    // 📈 DASHBOARD API
-    // ============================================
-
     /**
-     * Fetches dashboard statistics
-     * @param {string} [date] - Optional date for stats (defaults to today)
-     * @returns {Promise<Object>} - Dashboard stats object
+     * Fetches admin-defined rating templates, latest first
+     * @returns {Promise<Array>} - Templates { templateId, name, department, effectiveFrom, scale, criteria: [{ key, label, weight }] }
+     */
+    const getRatingTemplates = () => {
+        return apiGet({ action: 'getRatingTemplates' });
+    };
+
+    /**
+     * Adds a rating template, or updates it when template.templateId is set.
+     * A template applies from its effective month until a newer one for the
+     * same department (or company-wide, when department is empty) takes over.
+     * @param {Object} template - { templateId?, name, department, effectiveFrom, scale, criteria }
+     * @returns {Promise<Object>} - { templateId }
+     */
+    const saveRatingTemplate = (template) => {
+        if (!template || !template.name || !template.effectiveFrom) {
+            return Promise.reject({
+                message: 'Template with name and effective month is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'saveRatingTemplate',
+            template: template
+        });
+    };
+
+    /**
+     * Deletes a rating template no rating has been scored against
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteRatingTemplate = (templateId) => {
+        if (!templateId) {
+            return Promise.reject({
+                message: 'Template ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteRatingTemplate',
+            templateId: templateId
+        });
+    };
+
+    // ============================================
+    // 🔄 REVIEW CYCLES API
+    // ============================================
+
+    /**
+     * Fetches review cycles, newest first, each with its status
+     * ('Upcoming', 'Open' or 'Closed') and, for admins and managers, its
+     * participants, peers and submitted / expected review counts.
+     * Employees only get the cycles they take part in.
+     * @returns {Promise<Array>} - Cycles { cycleId, name, startDate, endDate, status, participants, peers, submitted, expected }
+     */
+    const getReviewCycles = () => {
+        return apiGet({ action: 'getReviewCycles' });
+    };
+
+    /**
+     * Adds a review cycle, or updates it when cycle.cycleId is set.
+     * Every participant gets a self-assessment, a manager review and a
+     * peer review from each colleague listed under peers[memberId].
+     * @param {Object} cycle - { cycleId?, name, startDate, endDate, participants: [memberId], peers: { memberId: [memberId] } }
+     * @returns {Promise<Object>} - { cycleId }
+     */
+    const saveReviewCycle = (cycle) => {
+        if (!cycle || !cycle.name || !cycle.startDate || !cycle.endDate) {
+            return Promise.reject({
+                message: 'Cycle with name, start date and end date is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'saveReviewCycle',
+            cycle: cycle
+        });
+    };
+
+    /**
+     * Deletes a review cycle nobody has submitted a review in yet
+     * @param {string} cycleId - Cycle ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteReviewCycle = (cycleId) => {
+        if (!cycleId) {
+            return Promise.reject({
+                message: 'Cycle ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteReviewCycle',
+            cycleId: cycleId
+        });
+    };
+
+    /**
+     * Fetches the reviews the signed-in user has to write in open cycles:
+     * their self-assessment, peer reviews they were picked for and, for
+     * admins and managers, manager reviews. Each carries the review
+     * already submitted, if any, so it can be edited until the cycle ends.
+     * @returns {Promise<Array>} - { cycleId, cycleName, endDate, memberId, memberName, department, type, review }
+     */
+    const getReviewAssignments = () => {
+        return apiGet({ action: 'getReviewAssignments' });
+    };
+
+    /**
+     * Submits (or updates) a self, peer or manager review
+     * @param {Object} review - { cycleId, memberId, type, scores: { criterionKey: score }, comments }
+     * @returns {Promise<Object>} - { reviewId }
+     */
+    const submitReview = (review) => {
+        if (!review || !review.cycleId || !review.memberId || !review.type) {
+            return Promise.reject({
+                message: 'Review with cycle, member and type is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'submitReview',
+            review: review
+        });
+    };
+
+    /**
+     * Fetches who has and hasn't submitted each review in a cycle
+     * (managers only see participants from their own department)
+     * @param {string} cycleId - Cycle ID
+     * @returns {Promise<Object>} - { cycle, participants: [{ memberId, name, self, peersSubmitted, peersExpected, pendingPeers, manager, complete }], submitted, expected, completed }
+     */
+    const getReviewTracker = (cycleId) => {
+        if (!cycleId) {
+            return Promise.reject({
+                message: 'Cycle ID is required',
+                code: 400
+            });
+        }
+
+        return apiGet({ action: 'getReviewTracker', cycleId: cycleId });
+    };
+
+    /**
+     * Fetches a member's consolidated results per cycle: their
+     * self-assessment, the manager review and peer reviews as an
+     * anonymous average (withheld until peers.minResponses are in).
+     * Members see their own results once a cycle has closed.
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Array>} - { cycleId, name, startDate, endDate, status, self, manager, peers: { expected, submitted, minResponses, scores, comments } }
+     */
+    const getReviewResults = (memberId) => {
+        if (!memberId) {
+            return Promise.reject({
+                message: 'Member ID is required',
+                code: 400
+            });
+        }
+
+        return apiGet({ action: 'getReviewResults', memberId: memberId });
+    };
+
+    // ============================================
+    // 🎯 OBJECTIVES & KEY RESULTS API
+    // ============================================
+
+    /**
+     * Fetches objectives, newest quarter first, department objectives
+     * before member ones. Employees only get their own and their
+     * department's. Each key result carries how many tasks are linked to
+     * it and how many of those are completed (see Utils.calculateKeyResultProgress).
+     * @param {Object} [filters] - { memberId, department, period }; memberId
+     *   returns the objectives that member's tasks can count towards
+     * @returns {Promise<Array>} - { objectiveId, title, description, period, memberId, department, keyResults: [{ keyResultId, title, startValue, targetValue, currentValue, unit, linkedTasks, completedTasks }] }
+     */
+    const getObjectives = (filters = {}) => {
+        return apiGet({ action: 'getObjectives', ...filters });
+    };
+
+    /**
+     * Adds an objective, or updates it when objective.objectiveId is set.
+     * Objectives belong to a member (memberId) or a whole department.
+     * @param {Object} objective - { objectiveId?, title, description, period: 'YYYY-Qn', memberId?, department?, keyResults: [{ keyResultId?, title, startValue, targetValue, currentValue, unit }] }
+     * @returns {Promise<Object>} - { objectiveId }
+     */
+    const saveObjective = (objective) => {
+        if (!objective || !objective.title || !objective.period) {
+            return Promise.reject({
+                message: 'Objective with title and period is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'saveObjective',
+            objective: objective
+        });
+    };
+
+    /**
+     * Deletes an objective no task is linked to
+     * @param {string} objectiveId - Objective ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteObjective = (objectiveId) => {
+        if (!objectiveId) {
+            return Promise.reject({
+                message: 'Objective ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteObjective',
+            objectiveId: objectiveId
+        });
+    };
+
+    // ============================================
+    // 📈 DASHBOARD API
+    // ============================================
+
+    /**
+     * Fetches dashboard statistics
+     * @param {string} [date] - Optional date for stats (defaults to today)
+     * @returns {Promise<Object>} - Dashboard stats object
      */
     const getDashboardStats = (date = null) => {
         const params = { action: 'getDashboardStats' };
@@ -803,6 +1629,203 @@ const API = (function() {
         return apiGet(params);
     };
 
+    // ============================================
+    // 🕘 SHIFT API
+    // ============================================
+
+    /**
+     * Fetches all shifts, ordered by start time
+     * @returns {Promise<Array>} - Shifts { shiftId, name, startTime, endTime, graceMinutes, breakMinutes, color }
+     */
+    const getShifts = () => {
+        return apiGet({ action: 'getShifts' });
+    };
+
+    /**
+     * Adds a shift, or updates it when shift.shiftId is set. A shift whose
+     * end time is before its start time runs overnight.
+     * @param {Object} shift - { shiftId?, name, startTime, endTime, graceMinutes, breakMinutes, color }
+     * @returns {Promise<Object>} - { shiftId }
+     */
+    const saveShift = (shift) => {
+        if (!shift || !shift.name || !shift.startTime || !shift.endTime) {
+            return Promise.reject({
+                message: 'Shift with name, start and end time is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'saveShift',
+            shift: shift
+        });
+    };
+
+    /**
+     * Deletes a shift that is no longer assigned to anyone
+     * @param {string} shiftId - Shift ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteShift = (shiftId) => {
+        if (!shiftId) {
+            return Promise.reject({
+                message: 'Shift ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteShift',
+            shiftId: shiftId
+        });
+    };
+
+    /**
+     * Fetches shift assignments overlapping a date range
+     * @param {string} [startDate] - Start date (YYYY-MM-DD)
+     * @param {string} [endDate] - End date (YYYY-MM-DD)
+     * @param {string} [memberId] - Only this member's assignments
+     * @returns {Promise<Array>} - Assignments { assignmentId, memberId, shiftId, startDate, endDate }
+     */
+    const getShiftAssignments = (startDate = null, endDate = null, memberId = null) => {
+        const params = { action: 'getShiftAssignments' };
+        if (startDate) params.startDate = startDate;
+        if (endDate) params.endDate = endDate;
+        if (memberId) params.memberId = memberId;
+        return apiGet(params);
+    };
+
+    /**
+     * Assigns shifts to members for date ranges (an empty endDate is
+     * open-ended). Later-starting assignments take precedence where
+     * they overlap.
+     * @param {Array<Object>} assignments - [{ memberId, shiftId, startDate, endDate }]
+     * @returns {Promise<Object>} - { assignmentIds }
+     */
+    const assignShifts = (assignments) => {
+        if (!Array.isArray(assignments) || assignments.length === 0) {
+            return Promise.reject({
+                message: 'No shift assignments given',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'assignShifts',
+            assignments: assignments
+        });
+    };
+
+    /**
+     * Removes a shift assignment
+     * @param {string} assignmentId - Assignment ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteShiftAssignment = (assignmentId) => {
+        if (!assignmentId) {
+            return Promise.reject({
+                message: 'Assignment ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteShiftAssignment',
+            assignmentId: assignmentId
+        });
+    };
+
+    // ============================================
+    // 🎉 HOLIDAY API
+    // ============================================
+
+    /**
+     * Fetches the company holiday calendar, sorted by date
+     * @returns {Promise<Array>} - Holidays { holidayId, name, date, recurring, department }
+     */
+    const getHolidays = () => {
+        return apiGet({ action: 'getHolidays' });
+    };
+
+    /**
+     * Adds a holiday. An empty department applies it company-wide;
+     * recurring holidays repeat on the same day every year.
+     * @param {Object} holiday - { name, date, recurring, department }
+     * @returns {Promise<Object>} - { holidayId }
+     */
+    const addHoliday = (holiday) => {
+        if (!holiday || !holiday.name || !holiday.date) {
+            return Promise.reject({
+                message: 'Holiday with name and date is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'addHoliday',
+            holiday: holiday
+        });
+    };
+
+    /**
+     * Updates an existing holiday
+     * @param {string} holidayId - Holiday ID
+     * @param {Object} holiday - Fields to update
+     * @returns {Promise<Object>} - { holidayId }
+     */
+    const updateHoliday = (holidayId, holiday) => {
+        if (!holidayId) {
+            return Promise.reject({
+                message: 'Holiday ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'updateHoliday',
+            holidayId: holidayId,
+            holiday: holiday
+        });
+    };
+
+    /**
+     * Deletes a holiday
+     * @param {string} holidayId - Holiday ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteHoliday = (holidayId) => {
+        if (!holidayId) {
+            return Promise.reject({
+                message: 'Holiday ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteHoliday',
+            holidayId: holidayId
+        });
+    };
+
+    /**
+     * Imports many holidays at once; dates already on the calendar are skipped
+     * @param {Array<Object>} holidays - Holiday objects as for addHoliday
+     * @returns {Promise<Object>} - { added, skipped, errors: [{ row, message }] }
+     */
+    const importHolidays = (holidays) => {
+        if (!Array.isArray(holidays) || holidays.length === 0) {
+            return Promise.reject({
+                message: 'No holidays to import',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'importHolidays',
+            holidays: holidays
+        });
+    };
+
     // ============================================
     // 🏥 LEAVE API
     // ============================================
@@ -833,6 +1856,267 @@ const API = (function() {
         return apiGet(params);
     };
 
+    /**
+     * Fetches leave requests, newest first
+     * @param {Object} [filters] - Optional { memberId, status }
+     * @returns {Promise<Array>} - Array of leave request objects
+     */
+    const getLeaveRequests = (filters = {}) => {
+        const params = { action: 'getLeaveRequests' };
+        if (filters.memberId) params.memberId = filters.memberId;
+        if (filters.status) params.status = filters.status;
+        return apiGet(params);
+    };
+
+    /**
+     * Submits a leave request (starts as Pending)
+     * @param {Object} leave - { memberId, type, startDate, endDate, reason }
+     * @returns {Promise<Object>} - { leaveId, days }
+     */
+    const applyLeave = (leave) => {
+        if (!leave || !leave.memberId || !leave.type || !leave.startDate || !leave.endDate) {
+            return Promise.reject({
+                message: 'Leave with memberId, type, startDate and endDate is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'applyLeave',
+            leave: leave
+        });
+    };
+
+    /**
+     * Approves a pending leave request and marks its days On Leave
+     * @param {string} leaveId - Leave request ID
+     * @param {string} [comment] - Optional reviewer comment
+     * @returns {Promise<Object>} - Approval confirmation
+     */
+    const approveLeave = (leaveId, comment = '') => {
+        if (!leaveId) {
+            return Promise.reject({
+                message: 'Leave ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'approveLeave',
+            leaveId: leaveId,
+            comment: comment
+        });
+    };
+
+    /**
+     * Rejects a pending leave request
+     * @param {string} leaveId - Leave request ID
+     * @param {string} [comment] - Optional reason shown to the member
+     * @returns {Promise<Object>} - Rejection confirmation
+     */
+    const rejectLeave = (leaveId, comment = '') => {
+        if (!leaveId) {
+            return Promise.reject({
+                message: 'Leave ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'rejectLeave',
+            leaveId: leaveId,
+            comment: comment
+        });
+    };
+
+    /**
+     * Cancels a pending or approved leave request (approved leave
+     * also has its On Leave attendance rows removed)
+     * @param {string} leaveId - Leave request ID
+     * @returns {Promise<Object>} - Cancellation confirmation
+     */
+    const cancelLeave = (leaveId) => {
+        if (!leaveId) {
+            return Promise.reject({
+                message: 'Leave ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'cancelLeave',
+            leaveId: leaveId
+        });
+    };
+
+    /**
+     * Fetches a member's paid leave ledger for a year: accruals, leave
+     * taken, adjustments, expiries and carry-forward with running balance
+     * @param {string} memberId - Member ID
+     * @param {number} [year] - Optional year (defaults to current)
+     * @returns {Promise<Object>} - { entries, balance, closingBalance, policy, ... }
+     */
+    const getLeaveLedger = (memberId, year = null) => {
+        if (!memberId) {
+            return Promise.reject({
+                message: 'Member ID is required',
+                code: 400
+            });
+        }
+
+        const params = {
+            action: 'getLeaveLedger',
+            memberId: memberId
+        };
+        if (year !== null) params.year = year;
+        return apiGet(params);
+    };
+
+    /**
+     * Adds a manual credit (days > 0) or debit (days < 0) to a member's
+     * paid leave ledger
+     * @param {Object} adjustment - { memberId, date, days, reason }
+     * @returns {Promise<Object>} - { adjustmentId }
+     */
+    const addLeaveAdjustment = (adjustment) => {
+        if (!adjustment || !adjustment.memberId || !adjustment.date || !adjustment.days) {
+            return Promise.reject({
+                message: 'Adjustment with memberId, date and days is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'addLeaveAdjustment',
+            adjustment: adjustment
+        });
+    };
+
+    /**
+     * Removes a manual leave adjustment
+     * @param {string} adjustmentId - Adjustment ID
+     * @returns {Promise<Object>} - Deletion confirmation
+     */
+    const deleteLeaveAdjustment = (adjustmentId) => {
+        if (!adjustmentId) {
+            return Promise.reject({
+                message: 'Adjustment ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'deleteLeaveAdjustment',
+            adjustmentId: adjustmentId
+        });
+    };
+
+    // ============================================
+    // ⏱️ TIMESHEET API
+    // ============================================
+
+    /**
+     * Fetches a member's timesheet for a month: each day's scheduled and
+     * worked minutes (breaks deducted) with overtime/undertime, rolled up
+     * into weekly and monthly totals, plus its approval status
+     * @param {string} memberId - Member ID
+     * @param {string} [month] - Optional month (YYYY-MM, defaults to current)
+     * @returns {Promise<Object>} - { days, weeks, totals, approval, changed, policy, ... }
+     */
+    const getTimesheet = (memberId, month = null) => {
+        if (!memberId) {
+            return Promise.reject({
+                message: 'Member ID is required',
+                code: 400
+            });
+        }
+
+        const params = {
+            action: 'getTimesheet',
+            memberId: memberId
+        };
+        if (month) params.month = month;
+        return apiGet(params);
+    };
+
+    /**
+     * Submits a member's monthly timesheet for approval
+     * @param {Object} timesheet - { memberId, month, note }
+     * @returns {Promise<Object>} - { timesheetId, status }
+     */
+    const submitTimesheet = (timesheet) => {
+        if (!timesheet || !timesheet.memberId || !timesheet.month) {
+            return Promise.reject({
+                message: 'Timesheet with memberId and month is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'submitTimesheet',
+            timesheet: timesheet
+        });
+    };
+
+    /**
+     * Approves a submitted timesheet, locking in its current totals
+     * @param {string} timesheetId - Timesheet ID
+     * @param {string} [comment] - Optional reviewer comment
+     * @returns {Promise<Object>} - Approval confirmation
+     */
+    const approveTimesheet = (timesheetId, comment = '') => {
+        if (!timesheetId) {
+            return Promise.reject({
+                message: 'Timesheet ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'approveTimesheet',
+            timesheetId: timesheetId,
+            comment: comment
+        });
+    };
+
+    /**
+     * Sends a submitted timesheet back to the member
+     * @param {string} timesheetId - Timesheet ID
+     * @param {string} [comment] - Optional reason shown to the member
+     * @returns {Promise<Object>} - Rejection confirmation
+     */
+    const rejectTimesheet = (timesheetId, comment = '') => {
+        if (!timesheetId) {
+            return Promise.reject({
+                message: 'Timesheet ID is required',
+                code: 400
+            });
+        }
+
+        return apiPost({
+            action: 'rejectTimesheet',
+            timesheetId: timesheetId,
+            comment: comment
+        });
+    };
+
+    // ============================================
+    // 💰 PAYROLL API
+    // ============================================
+
+    /**
+     * Fetches the payroll summary for a month: per member working days,
+     * days present, lates, half days, absences, paid and unpaid leave,
+     * overtime hours and deduction days under the Payroll* settings
+     * @param {string} [month] - Optional month (YYYY-MM, defaults to current)
+     * @returns {Promise<Object>} - { month, startDate, endDate, members, rules }
+     */
+    const getPayrollSummary = (month = null) => {
+        const params = { action: 'getPayrollSummary' };
+        if (month) params.month = month;
+        return apiGet(params);
+    };
+
     // ============================================
     // 🔧 UTILITY FUNCTIONS
     // ============================================
@@ -842,7 +2126,8 @@ const API = (function() {
      * @returns {Promise<Object>} - Connection status
      */
     const testConnection = () => {
-        return apiGet({ action: 'getSettings' })
+        // Report the real state of the connection — no retries, cache or batching
+        return apiGet({ action: 'getSettings' }, { retry: false, cache: false, batch: false })
             .then(() => ({
                 success: true,
                 message: 'API connection successful',
@@ -855,11 +2140,27 @@ const API = (function() {
             }));
     };
 
+    /**
+     * Runs several reads together. They go out as a single 'batch' request
+     * (subject to the response cache and BATCH_CONFIG.maxSize).
+     * @param {Array<Object>} requests - Query parameter objects, each with an 'action'
+     * @returns {Promise<Array>} - Response data in request order
+     */
+    const batch = (requests = []) => {
+        return Promise.all(requests.map(params => apiGet(params)));
+    };
+
     /**
      * Gets the current API URL
-     * @returns {string} - API endpoint URL
+     * @returns {string} - API endpoint URL of the active backend
+     */
+    const getApiUrl = () => Backend.getEndpoint();
+
+    /**
+     * Gets the active backend type
+     * @returns {string} - 'appsscript', 'rest' or 'indexeddb'
      */
-    const getApiUrl = () => API_URL;
+    const getBackendType = () => Backend.getType();
 
     /**
      * Checks if debug mode is enabled
@@ -872,6 +2173,11 @@ const API = (function() {
     // ============================================
 
     return {
+        // Auth
+        login,
+        logout,
+        changePassword,
+
         // Settings
         getSettings,
         updateSettings,
@@ -882,6 +2188,7 @@ const API = (function() {
         getMemberNames,
         getMemberById,
         addMember,
+        importMembers,
         updateMember,
         deleteMember,
         deactivateMember,
@@ -910,17 +2217,70 @@ const API = (function() {
         addRating,
         updateRating,
         deleteRating,
+        getRatingTemplates,
+        saveRatingTemplate,
+        deleteRatingTemplate,
+
+        // Review Cycles
+        getReviewCycles,
+        saveReviewCycle,
+        deleteReviewCycle,
+        getReviewAssignments,
+        submitReview,
+        getReviewTracker,
+        getReviewResults,
+
+        // Objectives & Key Results
+        getObjectives,
+        saveObjective,
+        deleteObjective,
 
         // Dashboard
         getDashboardStats,
 
+        // Shifts
+        getShifts,
+        saveShift,
+        deleteShift,
+        getShiftAssignments,
+        assignShifts,
+        deleteShiftAssignment,
+
+        // Holidays
+        getHolidays,
+        addHoliday,
+        updateHoliday,
+        deleteHoliday,
+        importHolidays,
+
         // Leave
         getLeaveSummary,
+        getLeaveRequests,
+        applyLeave,
+        approveLeave,
+        rejectLeave,
+        cancelLeave,
+        getLeaveLedger,
+        addLeaveAdjustment,
+        deleteLeaveAdjustment,
+
+        // Timesheets
+        getTimesheet,
+        submitTimesheet,
+        approveTimesheet,
+        rejectTimesheet,
+
+        // Payroll
+        getPayrollSummary,
 
         // Utilities
+        batch,
         testConnection,
         getApiUrl,
+        getBackendType,
         isDebugMode,
+        clearCache,
+        invalidateCache,
 
         // Low-level (for advanced use)
         _get: apiGet,
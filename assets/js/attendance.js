@@ -5,7 +5,13 @@
  * - Date selection & calendar modal
  * - Attendance table loading & rendering
  * - Single & bulk attendance entry
+ * - Punch log import from biometric device exports
+ * - CSV, Excel and PDF export for a date or range
+ * - Monthly attendance register (muster roll) with print and export
+ * - Payroll summary with deduction rules and a configurable export layout
  * - Status & hours calculation
+ * - Holiday calendar markers
+ * - Lateness and hours against each member's assigned shift
  * 
  * Dependencies:
  *   - jQuery
@@ -25,7 +31,22 @@ const AttendancePage = (function() {
     let settings = {};
     let members = [];
     let attendanceRecords = [];
+    let holidays = [];
+    let shifts = [];
+    let shiftAssignments = [];
     let isLoading = false;
+    
+    // Punch log being reconciled (null when the import modal is empty)
+    let punchImport = null;
+    
+    // Monthly register (muster roll)
+    let currentView = 'daily';
+    let registerMonth = null;
+    let registerRecords = [];
+    
+    // Payroll summary (admins only)
+    let payrollMonth = null;
+    let payrollSummary = null;
 
     // ============================================
     // 🔧 CONFIGURATION
@@ -39,6 +60,7 @@ const AttendancePage = (function() {
         
         // Display elements
         selectedDateDisplay: '#selectedDateDisplay',
+        selectedHolidayBadge: '#selectedHolidayBadge',
         totalCount: '#totalCount',
         presentCount: '#presentCount',
         lateCount: '#lateCount',
@@ -79,6 +101,54 @@ const AttendancePage = (function() {
         btnCloseBulkModal: '#btnCloseBulkModal',
         btnSaveBulkAttendance: '#btnSaveBulkAttendance',
         
+        // Punch Log Import Modal
+        btnImportPunchLog: '#btnImportPunchLog',
+        punchImportModal: '#punchImportModal',
+        punchImportFile: '#punchImportFile',
+        punchImportFileName: '#punchImportFileName',
+        punchImportReview: '#punchImportReview',
+        punchImportUnmatched: '#punchImportUnmatched',
+        punchImportUnmatchedBody: '#punchImportUnmatchedBody',
+        punchImportRememberHeader: '#punchImportRememberHeader',
+        punchImportDuplicates: '#punchImportDuplicates',
+        punchImportDuplicatesBody: '#punchImportDuplicatesBody',
+        punchImportSummary: '#punchImportSummary',
+        btnClosePunchImportModal: '#btnClosePunchImportModal',
+        btnCancelPunchImport: '#btnCancelPunchImport',
+        btnConfirmPunchImport: '#btnConfirmPunchImport',
+        
+        // Export Menu
+        btnExport: '#btnExport',
+        exportMenu: '#exportMenu',
+        exportStartDate: '#exportStartDate',
+        exportEndDate: '#exportEndDate',
+        
+        // Monthly Register
+        viewButtons: '.attendance-view-button',
+        dailyView: '#dailyView',
+        registerView: '#registerView',
+        selectedDateContainer: '#selectedDateContainer',
+        registerMonthInput: '#registerMonthInput',
+        btnRegisterPrevMonth: '#btnRegisterPrevMonth',
+        btnRegisterNextMonth: '#btnRegisterNextMonth',
+        registerDepartment: '#registerDepartment',
+        btnPrintRegister: '#btnPrintRegister',
+        btnExportRegister: '#btnExportRegister',
+        registerExportMenu: '#registerExportMenu',
+        registerTitle: '#registerTitle',
+        registerTable: '#registerTable',
+        
+        // Payroll Summary
+        payrollView: '#payrollView',
+        payrollMonthInput: '#payrollMonthInput',
+        btnPayrollPrevMonth: '#btnPayrollPrevMonth',
+        btnPayrollNextMonth: '#btnPayrollNextMonth',
+        btnExportPayroll: '#btnExportPayroll',
+        payrollExportMenu: '#payrollExportMenu',
+        payrollTitle: '#payrollTitle',
+        payrollRules: '#payrollRules',
+        payrollTable: '#payrollTable',
+        
         // Filters
         filterDepartment: '#filterDepartment',
         filterStatus: '#filterStatus',
@@ -102,8 +172,10 @@ const AttendancePage = (function() {
             // Show initial loading state
             showPageLoading();
             
-            // Step 1: Load settings
+            // Step 1: Load settings, the holiday calendar and shifts
             await loadSettings();
+            await loadHolidays();
+            await loadShifts();
             
             // Step 2: Load all members
             await loadMembers();
@@ -120,6 +192,12 @@ const AttendancePage = (function() {
             // Step 6: Populate filter dropdowns
             populateFilters();
             
+            // Step 7: Open the register or payroll view when linked to it
+            $(SELECTORS.viewButtons).filter('[data-view="payroll"]').toggleClass('hidden', !Auth.can('payroll.view'));
+            if (['register', 'payroll'].includes(Utils.getUrlParam('view'))) {
+                await switchView(Utils.getUrlParam('view'));
+            }
+            
             CONFIG.log('Attendance Page initialized successfully');
             
         } catch (error) {
@@ -150,6 +228,45 @@ const AttendancePage = (function() {
         }
     };
 
+    /**
+     * Load the holiday calendar. Attendance still works without it.
+     */
+    const loadHolidays = async () => {
+        try {
+            holidays = await API.getHolidays();
+        } catch (error) {
+            CONFIG.logError('Failed to load holidays:', error);
+            holidays = [];
+        }
+    };
+
+    /**
+     * Load shift definitions. Without them everyone is measured against
+     * the global StartTime.
+     */
+    const loadShifts = async () => {
+        try {
+            shifts = await API.getShifts();
+        } catch (error) {
+            CONFIG.logError('Failed to load shifts:', error);
+            shifts = [];
+        }
+    };
+
+    /**
+     * The shift a member works on the selected date (null = default)
+     */
+    const getMemberShift = (memberId) => {
+        return Utils.resolveShift(memberId, selectedDate, shiftAssignments, shifts);
+    };
+
+    /**
+     * All holidays falling on a date, whichever department they apply to
+     */
+    const getHolidaysOn = (date) => {
+        return holidays.filter(h => Utils.findHoliday(date, [h], h.department));
+    };
+
     /**
      * Load all members
      */
@@ -274,6 +391,10 @@ const AttendancePage = (function() {
             const isFuture = dateObj > today;
             const isWorkingDay = workingDays.includes(dayName);
             const isDisabled = isFuture || !isWorkingDay;
+            const dayHolidays = getHolidaysOn(dateStr);
+            const holidayTitle = dayHolidays
+                .map(h => h.department ? `${h.name} (${h.department})` : h.name)
+                .join(', ');
             
             let classes = 'h-10 flex items-center justify-center rounded-lg text-sm font-medium transition-all ';
             
@@ -281,13 +402,15 @@ const AttendancePage = (function() {
                 classes += 'text-gray-300 cursor-not-allowed';
             } else if (isSelected) {
                 classes += 'bg-blue-500 text-white cursor-pointer';
+            } else if (dayHolidays.length > 0) {
+                classes += 'bg-purple-100 text-purple-700 cursor-pointer hover:bg-purple-200';
             } else if (isToday) {
                 classes += 'bg-blue-100 text-blue-700 cursor-pointer hover:bg-blue-200';
             } else {
                 classes += 'text-gray-700 cursor-pointer hover:bg-gray-100';
             }
             
-            html += `<div class="${classes}" data-date="${dateStr}" ${isDisabled ? '' : 'role="button"'}>${day}</div>`;
+            html += `<div class="${classes}" data-date="${dateStr}" ${isDisabled ? '' : 'role="button"'} ${holidayTitle ? `title="${Utils.escapeHtml(holidayTitle)}"` : ''}>${day}</div>`;
         }
         
         html += '</div>';
@@ -335,6 +458,13 @@ const AttendancePage = (function() {
         const display = Utils.formatDateDisplay(selectedDate);
         const dayName = new Date(selectedDate).toLocaleDateString('en-US', { weekday: 'long' });
         $(SELECTORS.selectedDateDisplay).text(`${dayName}, ${display}`);
+        $(SELECTORS.exportStartDate).val(selectedDate);
+        $(SELECTORS.exportEndDate).val(selectedDate);
+
+        const dayHolidays = getHolidaysOn(selectedDate);
+        $(SELECTORS.selectedHolidayBadge)
+            .text(dayHolidays.map(h => h.department ? `${h.name} (${h.department})` : h.name).join(', '))
+            .toggleClass('hidden', dayHolidays.length === 0);
     };
 
     /**
@@ -390,22 +520,68 @@ const AttendancePage = (function() {
         try {
             showTableLoading();
             
-            attendanceRecords = await API.getAttendanceByDate(selectedDate);
+            const [records, assignments] = await Promise.all([
+                API.getAttendanceByDate(selectedDate),
+                shifts.length > 0
+                    ? API.getShiftAssignments(selectedDate, selectedDate).catch(() => [])
+                    : Promise.resolve([])
+            ]);
+            attendanceRecords = records;
+            shiftAssignments = assignments || [];
             CONFIG.log(`Loaded ${attendanceRecords.length} attendance records for ${selectedDate}`);
             
+            // Overlay writes still waiting in the offline outbox
+            attendanceRecords = await mergePendingRecords(attendanceRecords);
+            
             renderAttendanceTable();
             updateSummaryCards();
             
         } catch (error) {
             CONFIG.logError('Failed to load attendance:', error);
-            Utils.showToast('Failed to load attendance data', 'error');
-            renderEmptyTable('Failed to load data. Please try again.');
+            
+            // Offline: still show what was entered locally
+            const pending = await mergePendingRecords([]);
+            if (pending.length > 0) {
+                attendanceRecords = pending;
+                Utils.showToast('Offline — showing unsynced records only', 'warning');
+                renderAttendanceTable();
+                updateSummaryCards();
+            } else {
+                Utils.showToast('Failed to load attendance data', 'error');
+                renderEmptyTable('Failed to load data. Please try again.');
+            }
         } finally {
             hideTableLoading();
             hidePageLoading();
         }
     };
 
+    /**
+     * Merge records queued in the offline outbox over server records
+     */
+    const mergePendingRecords = async (records) => {
+        if (!window.SyncQueue || !SyncQueue.isEnabled()) return records;
+        
+        try {
+            const pending = await SyncQueue.getPendingRecords(selectedDate);
+            if (pending.length === 0) return records;
+            
+            const merged = records.map(record => {
+                const queued = pending.find(p => p.memberId === record.memberId);
+                return queued ? { ...record, ...queued } : record;
+            });
+            
+            pending
+                .filter(p => !records.some(r => r.memberId === p.memberId))
+                .forEach(p => merged.push(p));
+            
+            return merged;
+        } catch (error) {
+            CONFIG.logError('Failed to read offline outbox:', error);
+            return records;
+        }
+    };
+
     /**
      * Render the attendance table
      */
@@ -433,6 +609,7 @@ const AttendancePage = (function() {
             const memberPhoto = record.memberPhoto || member?.photoURL || '';
             const department = record.department || member?.department || '';
             const memberLink = Utils.getMemberLink(record.memberId);
+            const shift = getMemberShift(record.memberId);
             
             html += `
                 <tr class="hover:bg-gray-50 transition-colors">
@@ -449,7 +626,9 @@ const AttendancePage = (function() {
                                 <div class="text-sm font-medium text-gray-900 group-hover:text-blue-600 transition-colors">
                                     ${Utils.escapeHtml(memberName)}
                                 </div>
-                                <div class="text-sm text-gray-500">${Utils.escapeHtml(department)}</div>
+                                <div class="text-sm text-gray-500">
+                                    ${Utils.escapeHtml(department)}${shift ? ` · <span title="${shift.startTime}–${shift.endTime}">${Utils.escapeHtml(shift.name)} shift</span>` : ''}
+                                </div>
                             </div>
                         </a>
                     </td>
@@ -490,6 +669,11 @@ const AttendancePage = (function() {
                     <!-- Status -->
                     <td class="px-6 py-4 whitespace-nowrap">
                         ${renderStatusBadge(record.status)}
+                        ${record._pending ? `
+                            <span class="ml-1 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-50 text-amber-700 border border-amber-200" title="Saved offline — waiting to sync">
+                                Pending sync
+                            </span>
+                        ` : ''}
                     </td>
                     
                     <!-- Comments -->
@@ -598,6 +782,7 @@ const AttendancePage = (function() {
             deptOptions += `<option value="${Utils.escapeHtml(dept)}">${Utils.escapeHtml(dept)}</option>`;
         });
         $(SELECTORS.filterDepartment).html(deptOptions);
+        $(SELECTORS.registerDepartment).html(deptOptions);
         
         // Status filter
         const statusOptions = `
@@ -607,6 +792,8 @@ const AttendancePage = (function() {
             <option value="Absent">Absent</option>
             <option value="On Leave">On Leave</option>
             <option value="Half Day">Half Day</option>
+            <option value="Early Leave">Early Leave</option>
+            <option value="Holiday">Holiday</option>
         `;
         $(SELECTORS.filterStatus).html(statusOptions);
     };
@@ -617,16 +804,22 @@ const AttendancePage = (function() {
     const updateSummaryCards = () => {
         const total = members.length;
 
-        const present = attendanceRecords.filter(r =>
-            r.status === 'On Time' || r.status === 'Present'
-        ).length;
-
-        const late = attendanceRecords.filter(r => r.status === 'Late').length;
+        // Days worked split into late and present, whatever else the status says
+        const worked = attendanceRecords.filter(r => CONFIG.WORKED_STATUSES.includes(r.status));
+        const late = worked.filter(Utils.isLateRecord).length;
+        const present = worked.length - late;
 
         const onLeave = attendanceRecords.filter(r => r.status === 'On Leave').length;
 
-        // Everyone not present/late/on leave is effectively absent
-        const absent = total - (present + late + onLeave);
+        // Members on a holiday for their department aren't absent unless marked so
+        const onHoliday = attendanceRecords.filter(r => r.status === 'Holiday').length +
+            members.filter(m =>
+                !attendanceRecords.some(r => r.memberId === m.memberId) &&
+                Utils.findHoliday(selectedDate, holidays, m.department)
+            ).length;
+
+        // Everyone not present/late/on leave/on holiday is effectively absent
+        const absent = Math.max(0, total - (present + late + onLeave + onHoliday));
 
         $(SELECTORS.totalCount).text(total);
         $(SELECTORS.presentCount).text(present);
@@ -793,9 +986,11 @@ $('#statusOverride').val('');
         
         // Calculate status and hours
         let override = $('#statusOverride').val();
-let status = override && override !== '' ? override : calculateStatus(punchIn, punchOut);
+let status = override && override !== '' ? override : calculateStatus(punchIn, punchOut, memberId);
 
-        const hoursWorked = punchOut ? calculateHours(punchIn, punchOut) : '';
+        const hoursWorked = punchOut ? calculateHours(punchIn, punchOut, memberId) : '';
+        // Overriding to On Time or Present excuses the late arrival
+        const lateMinutes = ['On Time', 'Present'].includes(override) ? 0 : calculateLateMinutes(punchIn, memberId);
 
         
         // Build attendance record
@@ -805,6 +1000,7 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
             punchIn: punchIn,
             punchOut: punchOut,
             status: status,
+            lateMinutes: lateMinutes,
             hoursWorked: hoursWorked,
             comments: comments
         };
@@ -819,9 +1015,15 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
                 Saving...
             `);
             
-            await API.saveAttendance([record]);
+            const result = await API.saveAttendance([record], {
+                baseline: attendanceRecords.filter(r => r.memberId === memberId && !r._pending)
+            });
             
-            Utils.showToast(`Attendance ${mode === 'edit' ? 'updated' : 'saved'} successfully!`, 'success');
+            if (result && result.queued) {
+                Utils.showToast('You are offline. Attendance saved locally and will sync automatically.', 'warning');
+            } else {
+                Utils.showToast(`Attendance ${mode === 'edit' ? 'updated' : 'saved'} successfully!`, 'success');
+            }
             closeSingleModal();
             await loadAttendance();
             
@@ -948,8 +1150,8 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
         
         // Build batch
         const batch = selectedMembers.map(memberId => {
-            const status = calculateStatus(punchIn, punchOut);
-            const hoursWorked = punchOut ? calculateHours(punchIn, punchOut) : '';
+            const status = calculateStatus(punchIn, punchOut, memberId);
+            const hoursWorked = punchOut ? calculateHours(punchIn, punchOut, memberId) : '';
             
             return {
                 date: selectedDate,
@@ -957,6 +1159,7 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
                 punchIn: punchIn,
                 punchOut: punchOut,
                 status: status,
+                lateMinutes: calculateLateMinutes(punchIn, memberId),
                 hoursWorked: hoursWorked,
                 comments: ''
             };
@@ -971,9 +1174,15 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
                 Saving ${batch.length} records...
             `);
             
-            await API.saveAttendance(batch);
+            const result = await API.saveAttendance(batch, {
+                baseline: attendanceRecords.filter(r => selectedMembers.includes(r.memberId) && !r._pending)
+            });
             
-            Utils.showToast(`${batch.length} attendance records saved successfully!`, 'success');
+            if (result && result.queued) {
+                Utils.showToast(`You are offline. ${batch.length} records saved locally and will sync automatically.`, 'warning');
+            } else {
+                Utils.showToast(`${batch.length} attendance records saved successfully!`, 'success');
+            }
             closeBulkModal();
             await loadAttendance();
             
@@ -985,6 +1194,969 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
         }
     };
 
+    // ============================================
+    // 📥 PUNCH LOG IMPORT
+    // ============================================
+
+    /**
+     * Column headers recognised in device exports (compared lower-case,
+     * letters only)
+     */
+    const PUNCH_LOG_COLUMNS = {
+        code: ['code', 'employeecode', 'empcode', 'userid', 'user', 'enrollno', 'enrollnumber', 'acno', 'badge', 'badgeno', 'cardno', 'employeeid', 'empid', 'memberid', 'id', 'pin'],
+        timestamp: ['timestamp', 'datetime', 'punchtime', 'checktime', 'logtime', 'time', 'punch'],
+        date: ['date', 'punchdate', 'logdate'],
+        clock: ['clock', 'punchclock', 'logclock', 'hour']
+    };
+
+    /**
+     * Records written per saveAttendance call when importing
+     */
+    const PUNCH_IMPORT_CHUNK_SIZE = 50;
+
+    /**
+     * Open the punch log import modal with nothing loaded
+     */
+    const openPunchImportModal = () => {
+        resetPunchImport();
+        
+        $(SELECTORS.punchImportModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.punchImportModal).find('.modal-content').removeClass('scale-95 opacity-0');
+        }, 10);
+    };
+
+    /**
+     * Close the punch log import modal
+     */
+    const closePunchImportModal = () => {
+        const modal = $(SELECTORS.punchImportModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+        
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+            resetPunchImport();
+        }, 200);
+    };
+
+    /**
+     * Forget the loaded log and hide the reconciliation
+     */
+    const resetPunchImport = () => {
+        punchImport = null;
+        $(SELECTORS.punchImportFile).val('');
+        $(SELECTORS.punchImportFileName).text('CSV or Excel export with an employee code and a timestamp per punch');
+        $(SELECTORS.punchImportReview).addClass('hidden');
+        $(SELECTORS.punchImportSummary).text('');
+        updatePunchImportButton();
+    };
+
+    /**
+     * Split a device timestamp into a YYYY-MM-DD date and HH:MM time.
+     * Dates may be year-first (2024-01-15, 2024/01/15) or day-first
+     * (15/01/2024, 15-01-2024, 15.01.2024); times may carry seconds
+     * and AM/PM.
+     * @param {string} dateValue - Date, or the whole timestamp
+     * @param {string} [clockValue] - Time, when the export has a separate column
+     * @returns {Object|null} { date, time }
+     */
+    const parsePunchTimestamp = (dateValue, clockValue = '') => {
+        const text = `${dateValue} ${clockValue}`.trim().replace('T', ' ');
+        const match = text.match(
+            /^(?:(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})|(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}))[ ,]+(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([AaPp][Mm])?/
+        );
+        if (!match) return null;
+        
+        const [year, month, day] = match[1]
+            ? [match[1], match[2], match[3]]
+            : [match[6], match[5], match[4]];
+        const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        if (Utils.formatDate(`${date}T00:00:00`) !== date) return null;
+        
+        let hours = parseInt(match[7], 10);
+        const minutes = parseInt(match[8], 10);
+        const meridiem = (match[9] || '').toUpperCase();
+        if (meridiem === 'PM' && hours < 12) hours += 12;
+        if (meridiem === 'AM' && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return null;
+        
+        return { date, time: formatTimeFromMinutes(hours * 60 + minutes) };
+    };
+
+    /**
+     * Read punches out of spreadsheet rows. A first row that holds no
+     * timestamp is taken as a header and its columns are matched by
+     * name; without one, the code is the first column and the
+     * timestamp the second (or date and time in the second and third).
+     * @param {Array<Array<string>>} rows - Spreadsheet rows
+     * @returns {Object} { punches: [{ code, date, time }], skipped }
+     */
+    const parsePunchLog = (rows) => {
+        const hasHeader = rows.length > 0 && !rows[0].some((cell, i) =>
+            parsePunchTimestamp(cell) || parsePunchTimestamp(cell, rows[0][i + 1] || '')
+        );
+        
+        let columns = { code: 0, timestamp: 1, date: -1, clock: -1 };
+        if (hasHeader) {
+            const headers = rows[0].map(h => String(h).toLowerCase().replace(/[^a-z]/g, ''));
+            const find = (aliases) => aliases.reduce((found, alias) => found >= 0 ? found : headers.indexOf(alias), -1);
+            columns = {
+                code: find(PUNCH_LOG_COLUMNS.code),
+                timestamp: find(PUNCH_LOG_COLUMNS.timestamp),
+                date: find(PUNCH_LOG_COLUMNS.date),
+                clock: find(PUNCH_LOG_COLUMNS.clock)
+            };
+            if (columns.code < 0 || (columns.timestamp < 0 && columns.date < 0)) {
+                throw { message: 'Could not find the employee code and timestamp columns in the header row', code: 400 };
+            }
+        } else if (rows.length > 0 && !parsePunchTimestamp(rows[0][1] || '') && parsePunchTimestamp(rows[0][1] || '', rows[0][2] || '')) {
+            columns = { code: 0, timestamp: -1, date: 1, clock: 2 };
+        }
+        
+        const punches = [];
+        let skipped = 0;
+        
+        rows.slice(hasHeader ? 1 : 0).forEach(row => {
+            const code = String(row[columns.code] ?? '').trim();
+            // A date column paired with a "Time" column holding only the clock
+            const stamp = columns.date >= 0
+                ? parsePunchTimestamp(row[columns.date] || '', row[columns.clock >= 0 ? columns.clock : columns.timestamp] || '')
+                : parsePunchTimestamp(row[columns.timestamp] || '');
+            
+            if (!code || !stamp) {
+                skipped++;
+                return;
+            }
+            punches.push({ code, ...stamp });
+        });
+        
+        return { punches, skipped };
+    };
+
+    /**
+     * Find the member a device code belongs to: their saved device
+     * code, their member ID, or a bare number matching the digits of
+     * exactly one member ID (device "7" → EMP007)
+     * @param {string} code - Employee code from the device
+     * @returns {string|null} memberId
+     */
+    const matchDeviceCode = (code) => {
+        const normalized = code.toLowerCase();
+        const byCode = members.find(m =>
+            String(m.deviceCode || '').trim().toLowerCase() === normalized ||
+            String(m.memberId).toLowerCase() === normalized
+        );
+        if (byCode) return byCode.memberId;
+        
+        if (!/^\d+$/.test(code)) return null;
+        const byNumber = members.filter(m => parseInt(String(m.memberId).replace(/\D/g, ''), 10) === parseInt(code, 10));
+        return byNumber.length === 1 ? byNumber[0].memberId : null;
+    };
+
+    /**
+     * Read a punch log file and open the reconciliation
+     * @param {File} file - CSV or Excel export
+     */
+    const loadPunchLogFile = async (file) => {
+        if (!file) return;
+        
+        try {
+            const { punches, skipped } = parsePunchLog(await Utils.readSpreadsheet(file));
+            if (punches.length === 0) {
+                Utils.showToast('No punches found in the file', 'warning');
+                resetPunchImport();
+                return;
+            }
+            
+            const dates = punches.map(p => p.date).sort();
+            const startDate = dates[0];
+            const endDate = dates[dates.length - 1];
+            
+            // Early punches on the first day may close the night shift before it
+            const lookupStart = getPreviousDate(startDate);
+            const [existing, assignments] = await Promise.all([
+                API.getAttendanceRange(lookupStart, endDate),
+                API.getShiftAssignments(lookupStart, endDate).catch(() => [])
+            ]);
+            
+            const codeMap = {};
+            [...new Set(punches.map(p => p.code))].forEach(code => {
+                codeMap[code] = matchDeviceCode(code);
+            });
+            
+            punchImport = {
+                fileName: file.name,
+                punches,
+                skipped,
+                startDate,
+                endDate,
+                existing: existing || [],
+                assignments: assignments || [],
+                codeMap,
+                matched: Object.keys(codeMap).filter(code => codeMap[code]),
+                remember: {},
+                resolutions: {},
+                days: []
+            };
+            
+            $(SELECTORS.punchImportFileName).text(
+                `${file.name} — ${punches.length} punches, ${Utils.formatDateDisplay(startDate)} to ${Utils.formatDateDisplay(endDate)}` +
+                (skipped ? ` (${skipped} unreadable row${skipped === 1 ? '' : 's'} skipped)` : '')
+            );
+            refreshPunchImport();
+        } catch (error) {
+            CONFIG.logError('Failed to read punch log:', error);
+            Utils.showToast(error.message || 'Could not read the punch log', 'error');
+            resetPunchImport();
+        }
+    };
+
+    /**
+     * Get the day before a date
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {string} Date (YYYY-MM-DD)
+     */
+    const getPreviousDate = (date) => {
+        const d = new Date(`${date}T00:00:00`);
+        d.setDate(d.getDate() - 1);
+        return Utils.formatDate(d);
+    };
+
+    /**
+     * The work day a punch belongs to. Punches before the previous day's
+     * overnight shift ends close that shift rather than start a new day;
+     * a late punch out still counts up to halfway to the next shift start.
+     * @param {string} memberId - Member ID
+     * @param {Object} punch - Punch ({ date, time })
+     * @param {number} minutes - Punch time in minutes after midnight
+     * @returns {string} Shift date (YYYY-MM-DD)
+     */
+    const getPunchShiftDate = (memberId, punch, minutes) => {
+        const previousDate = getPreviousDate(punch.date);
+        const overnight = Utils.resolveShift(memberId, previousDate, punchImport.assignments, shifts);
+        if (!Utils.isOvernightShift(overnight)) return punch.date;
+        
+        const endMinutes = parseTime(overnight.endTime);
+        const nextShift = Utils.resolveShift(memberId, punch.date, punchImport.assignments, shifts);
+        const nextStart = parseTime(nextShift ? nextShift.startTime : (settings.StartTime || '09:00'));
+        const cutoff = nextStart > endMinutes ? endMinutes + Math.floor((nextStart - endMinutes) / 2) : endMinutes;
+        
+        return minutes <= cutoff ? previousDate : punch.date;
+    };
+
+    /**
+     * Collapse the punches of mapped codes into one work day per member
+     * (overnight shifts run into the next calendar day): first punch in,
+     * last punch out (none when they punched once), with status and
+     * hours from the member's shift that day
+     * @returns {Array<Object>} Attendance rows with existing-record info
+     */
+    const buildPunchDays = () => {
+        const byDay = {};
+        
+        punchImport.punches.forEach(punch => {
+            const memberId = punchImport.codeMap[punch.code];
+            if (!memberId) return;
+            
+            const time = parseTime(punch.time);
+            const date = getPunchShiftDate(memberId, punch, time);
+            // Punches after midnight sort after the evening ones of the same shift
+            const minutes = date === punch.date ? time : time + 24 * 60;
+            const key = `${memberId}|${date}`;
+            const day = byDay[key] || (byDay[key] = { memberId, date, first: minutes, last: minutes, count: 0 });
+            day.first = Math.min(day.first, minutes);
+            day.last = Math.max(day.last, minutes);
+            day.count++;
+        });
+        
+        return Object.values(byDay)
+            .sort((a, b) => a.date.localeCompare(b.date) || getMemberName(a.memberId).localeCompare(getMemberName(b.memberId)))
+            .map(day => {
+                const shift = Utils.resolveShift(day.memberId, day.date, punchImport.assignments, shifts);
+                const punchIn = formatTimeFromMinutes(day.first % (24 * 60));
+                const punchOut = day.last > day.first ? formatTimeFromMinutes(day.last % (24 * 60)) : '';
+                
+                return {
+                    key: `${day.memberId}|${day.date}`,
+                    punches: day.count,
+                    existing: punchImport.existing.find(r => r.memberId === day.memberId && r.date === day.date) || null,
+                    record: {
+                        date: day.date,
+                        memberId: day.memberId,
+                        punchIn,
+                        punchOut,
+                        status: Utils.calculateAttendanceStatus(punchIn, punchOut, settings, shift, day.date),
+                        lateMinutes: Utils.calculateLateMinutes(punchIn, settings, shift),
+                        hoursWorked: punchOut
+                            ? Utils.calculateHoursWorked(punchIn, punchOut, shift ? shift.breakMinutes : settings.BreakDuration)
+                            : '',
+                        comments: 'Imported from punch log'
+                    }
+                };
+            });
+    };
+
+    /**
+     * Rebuild the days and render the reconciliation
+     */
+    const refreshPunchImport = () => {
+        punchImport.days = buildPunchDays();
+        
+        renderUnmatchedCodes();
+        renderDuplicateDays();
+        
+        const { days, resolutions } = punchImport;
+        const duplicates = days.filter(d => d.existing);
+        const replacing = duplicates.filter(d => resolutions[d.key] === 'replace').length;
+        const unmatched = Object.keys(punchImport.codeMap).filter(code => !punchImport.codeMap[code]).length;
+        
+        const parts = [`${days.length - duplicates.length} new day${days.length - duplicates.length === 1 ? '' : 's'}`];
+        if (duplicates.length) parts.push(`${replacing} of ${duplicates.length} existing replaced`);
+        if (unmatched) parts.push(`${unmatched} code${unmatched === 1 ? '' : 's'} not matched`);
+        $(SELECTORS.punchImportSummary).text(parts.join(' · '));
+        
+        $(SELECTORS.punchImportReview).removeClass('hidden');
+        updatePunchImportButton();
+    };
+
+    /**
+     * Render device codes that didn't match a member automatically,
+     * each with a member picker
+     */
+    const renderUnmatchedCodes = () => {
+        const counts = {};
+        punchImport.punches.forEach(p => { counts[p.code] = (counts[p.code] || 0) + 1; });
+        
+        const codes = Object.keys(punchImport.codeMap).filter(code => !punchImport.matched.includes(code)).sort();
+        const canRemember = Auth.can('members.edit');
+        const sortedMembers = [...members].sort((a, b) => a.name.localeCompare(b.name));
+        const memberOptions = (selected) => sortedMembers
+            .map(m => `<option value="${Utils.escapeHtml(m.memberId)}" ${m.memberId === selected ? 'selected' : ''}>${Utils.escapeHtml(m.name)} (${Utils.escapeHtml(m.memberId)})</option>`)
+            .join('');
+        
+        $(SELECTORS.punchImportUnmatched).toggleClass('hidden', codes.length === 0);
+        $(SELECTORS.punchImportUnmatchedBody).html(codes.map(code => `
+            <tr>
+                <td class="px-4 py-2 text-sm font-mono text-gray-900">${Utils.escapeHtml(code)}</td>
+                <td class="px-4 py-2 text-sm text-gray-500">${counts[code]}</td>
+                <td class="px-4 py-2">
+                    <select class="punch-code-member w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500" data-code="${Utils.escapeHtml(code)}">
+                        <option value="">— Skip these punches —</option>
+                        ${memberOptions(punchImport.codeMap[code])}
+                    </select>
+                </td>
+                <td class="px-4 py-2 text-center ${canRemember ? '' : 'hidden'}">
+                    <input type="checkbox" class="punch-code-remember h-4 w-4 text-primary-600 rounded border-gray-300" data-code="${Utils.escapeHtml(code)}"
+                           ${punchImport.remember[code] ? 'checked' : ''} ${punchImport.codeMap[code] ? '' : 'disabled'}>
+                </td>
+            </tr>
+        `).join(''));
+        $(SELECTORS.punchImportRememberHeader).toggleClass('hidden', !canRemember);
+    };
+
+    /**
+     * Render days that already have attendance, each with a keep/replace choice
+     */
+    const renderDuplicateDays = () => {
+        const duplicates = punchImport.days.filter(d => d.existing);
+        const times = (r) => `${formatTimeDisplay(normalizeSheetTime(r.punchIn))} – ${formatTimeDisplay(normalizeSheetTime(r.punchOut))}`;
+        
+        $(SELECTORS.punchImportDuplicates).toggleClass('hidden', duplicates.length === 0);
+        $(SELECTORS.punchImportDuplicatesBody).html(duplicates.map(day => `
+            <tr>
+                <td class="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">${Utils.escapeHtml(getMemberName(day.record.memberId))}</td>
+                <td class="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">${Utils.formatDateDisplay(day.record.date)}</td>
+                <td class="px-4 py-2 text-sm text-gray-700 whitespace-nowrap">${times(day.existing)} · ${Utils.escapeHtml(day.existing.status || '—')}</td>
+                <td class="px-4 py-2 text-sm text-gray-700 whitespace-nowrap">${times(day.record)} · ${Utils.escapeHtml(day.record.status)}</td>
+                <td class="px-4 py-2">
+                    <select class="punch-duplicate-choice px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500" data-key="${Utils.escapeHtml(day.key)}">
+                        <option value="keep" ${punchImport.resolutions[day.key] === 'replace' ? '' : 'selected'}>Keep existing</option>
+                        <option value="replace" ${punchImport.resolutions[day.key] === 'replace' ? 'selected' : ''}>Use imported</option>
+                    </select>
+                </td>
+            </tr>
+        `).join(''));
+    };
+
+    /**
+     * Rows the import will write: new days plus duplicates set to replace
+     */
+    const getPunchImportBatch = () => {
+        if (!punchImport) return [];
+        return punchImport.days
+            .filter(d => !d.existing || punchImport.resolutions[d.key] === 'replace')
+            .map(d => d.record);
+    };
+
+    /**
+     * Enable the import button while there is something to write
+     * @param {boolean} [loading] - Show the saving state
+     */
+    const updatePunchImportButton = (loading = false) => {
+        const count = getPunchImportBatch().length;
+        const $btn = $(SELECTORS.btnConfirmPunchImport);
+        
+        $btn.prop('disabled', loading || count === 0).toggleClass('opacity-50', loading || count === 0);
+        if (!loading) {
+            $btn.text(count ? `Import ${count} Day${count === 1 ? '' : 's'}` : 'Import');
+        }
+    };
+
+    /**
+     * Save remembered device codes, then write the days through
+     * saveAttendance in chunks
+     */
+    const confirmPunchImport = async () => {
+        const batch = getPunchImportBatch();
+        if (batch.length === 0) return;
+        
+        const $btn = $(SELECTORS.btnConfirmPunchImport);
+        let saved = 0;
+        let queued = false;
+        
+        try {
+            updatePunchImportButton(true);
+            
+            // Remember manual matches so the next import finds them
+            const remembered = Object.keys(punchImport.remember).filter(code => punchImport.remember[code] && punchImport.codeMap[code]);
+            for (const code of remembered) {
+                await API.updateMember(punchImport.codeMap[code], { deviceCode: code });
+            }
+            
+            for (let i = 0; i < batch.length; i += PUNCH_IMPORT_CHUNK_SIZE) {
+                const chunk = batch.slice(i, i + PUNCH_IMPORT_CHUNK_SIZE);
+                $btn.text(`Saving ${Math.min(saved + chunk.length, batch.length)} of ${batch.length}...`);
+                
+                const result = await API.saveAttendance(chunk);
+                if (result && result.queued) queued = true;
+                saved += chunk.length;
+            }
+            
+            Utils.showToast(
+                queued
+                    ? `You are offline. ${saved} imported days saved locally and will sync automatically.`
+                    : `Imported ${saved} attendance day${saved === 1 ? '' : 's'}`,
+                queued ? 'warning' : 'success'
+            );
+            closePunchImportModal();
+            if (remembered.length) await loadMembers();
+            await loadAttendance();
+        } catch (error) {
+            CONFIG.logError('Failed to import punch log:', error);
+            Utils.showToast(
+                saved ? `Import stopped after ${saved} of ${batch.length} days: ${error.message || 'save failed'}` : (error.message || 'Failed to import punch log'),
+                'error'
+            );
+        } finally {
+            updatePunchImportButton(false);
+        }
+    };
+
+    // ============================================
+    // 📤 EXPORT
+    // ============================================
+
+    /**
+     * Export attendance for the chosen date range, honouring the
+     * department, status and search filters
+     * @param {string} format - 'csv', 'xlsx' or 'pdf'
+     */
+    const exportAttendance = async (format) => {
+        const startDate = $(SELECTORS.exportStartDate).val() || selectedDate;
+        const endDate = $(SELECTORS.exportEndDate).val() || startDate;
+        
+        if (endDate < startDate) {
+            Utils.showToast('Export end date must be on or after the start date', 'warning');
+            return;
+        }
+        
+        try {
+            const records = startDate === selectedDate && endDate === selectedDate
+                ? attendanceRecords
+                : await API.getAttendanceRange(startDate, endDate);
+            
+            const rows = applyFilters(records).sort((a, b) =>
+                String(a.date).localeCompare(String(b.date)) ||
+                (a.memberName || getMemberName(a.memberId)).localeCompare(b.memberName || getMemberName(b.memberId))
+            );
+            
+            if (rows.length === 0) {
+                Utils.showToast('No attendance records match the current filters', 'warning');
+                return;
+            }
+            
+            const period = startDate === endDate
+                ? Utils.formatDateDisplay(startDate)
+                : `${Utils.formatDateDisplay(startDate)} to ${Utils.formatDateDisplay(endDate)}`;
+            
+            await Utils.exportData({
+                format,
+                filename: startDate === endDate ? `attendance-${startDate}` : `attendance-${startDate}-to-${endDate}`,
+                title: 'Attendance Report',
+                subtitle: period,
+                settings,
+                rows,
+                columns: [
+                    { label: 'Date', value: r => Utils.formatDate(r.date) },
+                    { label: 'Member ID', key: 'memberId' },
+                    { label: 'Name', value: r => r.memberName || getMemberName(r.memberId) },
+                    { label: 'Department', value: r => getMemberById(r.memberId)?.department || r.department || '' },
+                    { label: 'Punch In', value: r => normalizeSheetTime(r.punchIn) },
+                    { label: 'Punch Out', value: r => normalizeSheetTime(r.punchOut) },
+                    { label: 'Hours', value: r => {
+                        const hours = normalizeHours(r.hoursWorked, r.punchIn, r.punchOut);
+                        return hours === '—' ? '' : hours;
+                    } },
+                    { label: 'Status', key: 'status' },
+                    { label: 'Comments', key: 'comments' }
+                ]
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to export attendance:', error);
+            Utils.showToast(error.message || 'Failed to export attendance', 'error');
+        }
+    };
+
+    // ============================================
+    // 📒 MONTHLY REGISTER
+    // ============================================
+
+    /**
+     * Register cell codes by attendance status
+     */
+    const REGISTER_CODES = {
+        'On Time': 'P',
+        'Present': 'P',
+        'Late': 'L',
+        'Half Day': 'HD',
+        'Early Leave': 'EL',
+        'Absent': 'A',
+        'On Leave': 'LV',
+        'Holiday': 'H'
+    };
+
+    /**
+     * Cell colours by register code
+     */
+    const REGISTER_CODE_CLASSES = {
+        'P': 'text-green-700',
+        'L': 'text-amber-700',
+        'HD': 'text-orange-700',
+        'EL': 'text-yellow-700',
+        'A': 'text-red-700 bg-red-50',
+        'LV': 'text-blue-700 bg-blue-50',
+        'H': 'text-purple-700 bg-purple-50',
+        'W': 'text-gray-400 bg-gray-50'
+    };
+
+    /**
+     * Switch between the daily table, the monthly register and the
+     * payroll summary
+     * @param {string} view - 'daily', 'register' or 'payroll'
+     */
+    const switchView = async (view) => {
+        if (view === 'payroll' && !Auth.can('payroll.view')) view = 'daily';
+        currentView = ['register', 'payroll'].includes(view) ? view : 'daily';
+        
+        $(SELECTORS.viewButtons).each(function() {
+            const active = $(this).data('view') === currentView;
+            $(this).toggleClass('bg-primary-600 text-white', active)
+                .toggleClass('text-gray-600 hover:text-gray-900', !active);
+        });
+        $(SELECTORS.dailyView).toggleClass('hidden', currentView !== 'daily');
+        $(SELECTORS.selectedDateContainer).toggleClass('hidden', currentView !== 'daily');
+        $(SELECTORS.registerView).toggleClass('hidden', currentView !== 'register');
+        $(SELECTORS.payrollView).toggleClass('hidden', currentView !== 'payroll');
+        
+        if (currentView === 'register') {
+            Utils.setUrlParam('view', 'register');
+            await setRegisterMonth(registerMonth || selectedDate.slice(0, 7));
+        } else if (currentView === 'payroll') {
+            Utils.setUrlParam('view', 'payroll');
+            await setPayrollMonth(payrollMonth || selectedDate.slice(0, 7));
+        } else {
+            Utils.removeUrlParam('view');
+        }
+    };
+
+    /**
+     * Change the register month and reload it
+     * @param {string} month - YYYY-MM
+     */
+    const setRegisterMonth = async (month) => {
+        if (!/^\d{4}-\d{2}$/.test(month || '')) return;
+        
+        registerMonth = month;
+        $(SELECTORS.registerMonthInput).val(month);
+        await loadRegister();
+    };
+
+    /**
+     * Move the register by a number of months
+     * @param {number} offset - Months to move (negative for earlier)
+     */
+    const shiftRegisterMonth = (offset) => {
+        const [year, month] = registerMonth.split('-').map(Number);
+        const date = new Date(year, month - 1 + offset, 1);
+        setRegisterMonth(`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`);
+    };
+
+    /**
+     * Load the register month's attendance
+     */
+    const loadRegister = async () => {
+        const dates = getRegisterDates(registerMonth);
+        
+        $(SELECTORS.registerTable).html(`
+            <tbody>
+                <tr>
+                    <td class="px-6 py-12 text-center">
+                        <div class="flex flex-col items-center">
+                            <div class="spinner mb-4"></div>
+                            <p class="text-gray-500">Loading register...</p>
+                        </div>
+                    </td>
+                </tr>
+            </tbody>
+        `);
+        
+        try {
+            registerRecords = await API.getAttendanceRange(dates[0], dates[dates.length - 1]);
+            renderRegister();
+        } catch (error) {
+            CONFIG.logError('Failed to load register:', error);
+            registerRecords = [];
+            $(SELECTORS.registerTable).html(`
+                <tbody>
+                    <tr><td class="px-6 py-12 text-center text-gray-500">Failed to load the register. Please try again.</td></tr>
+                </tbody>
+            `);
+        }
+    };
+
+    /**
+     * Every date in a month
+     * @param {string} month - YYYY-MM
+     * @returns {Array<string>} Dates (YYYY-MM-DD)
+     */
+    const getRegisterDates = (month) => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const days = new Date(year, monthNumber, 0).getDate();
+        return Array.from({ length: days }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+    };
+
+    /**
+     * Build register rows: a code per day and the month's totals for
+     * each member in the chosen department. Recorded attendance wins;
+     * otherwise holidays, weekly offs (from WorkingDays) and absences
+     * are filled in. Days before joining or still ahead stay blank.
+     * @returns {Object} { dates, rows: [{ member, codes, totals }] }
+     */
+    const buildRegister = () => {
+        const dates = getRegisterDates(registerMonth);
+        const workingDays = getWorkingDaysArray();
+        const today = Utils.getToday();
+        const department = $(SELECTORS.registerDepartment).val();
+        
+        const byKey = {};
+        registerRecords.forEach(r => {
+            byKey[`${r.memberId}|${r.date}`] = r;
+        });
+        
+        const rows = members
+            .filter(m => !department || department === 'all' || m.department === department)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(member => {
+                const joinDate = member.joinDate ? Utils.formatDate(member.joinDate) : '';
+                const totals = { present: 0, late: 0, absent: 0, leave: 0, holiday: 0 };
+                
+                const codes = dates.map(date => {
+                    const record = byKey[`${member.memberId}|${date}`];
+                    const dayName = new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' });
+                    let code = '';
+                    
+                    if (record && REGISTER_CODES[record.status]) {
+                        code = REGISTER_CODES[record.status];
+                    } else if (!workingDays.includes(dayName)) {
+                        code = 'W';
+                    } else if (Utils.findHoliday(date, holidays, member.department)) {
+                        code = 'H';
+                    } else if (date <= today && (!joinDate || date >= joinDate)) {
+                        code = 'A';
+                    }
+                    
+                    if (code === 'L') totals.late++;
+                    else if (['P', 'HD', 'EL'].includes(code)) totals.present++;
+                    else if (code === 'A') totals.absent++;
+                    else if (code === 'LV') totals.leave++;
+                    else if (code === 'H') totals.holiday++;
+                    
+                    return code;
+                });
+                
+                return { member, codes, totals };
+            });
+        
+        return { dates, rows };
+    };
+
+    /**
+     * Render the register grid
+     */
+    const renderRegister = () => {
+        const { dates, rows } = buildRegister();
+        const workingDays = getWorkingDaysArray();
+        const department = $(SELECTORS.registerDepartment).val();
+        
+        $(SELECTORS.registerTitle).text(
+            `${settings.CompanyName || 'SquidX'} · Attendance Register · ${formatRegisterMonth(registerMonth)}` +
+            (department && department !== 'all' ? ` · ${department}` : '')
+        );
+        
+        if (rows.length === 0) {
+            $(SELECTORS.registerTable).html(`
+                <tbody>
+                    <tr><td class="px-6 py-12 text-center text-gray-500">No active members in this department.</td></tr>
+                </tbody>
+            `);
+            return;
+        }
+        
+        const dayHeaders = dates.map(date => {
+            const dateObj = new Date(`${date}T00:00:00`);
+            const offDay = !workingDays.includes(dateObj.toLocaleDateString('en-US', { weekday: 'short' }));
+            return `
+                <th class="px-1.5 py-2 text-center font-semibold ${offDay ? 'text-gray-400 bg-gray-100' : 'text-gray-600'}">
+                    <div>${dateObj.getDate()}</div>
+                    <div class="font-normal">${dateObj.toLocaleDateString('en-US', { weekday: 'narrow' })}</div>
+                </th>
+            `;
+        }).join('');
+        
+        const totalHeaders = ['P', 'L', 'A', 'LV', 'H']
+            .map(label => `<th class="px-2 py-2 text-center font-semibold text-gray-600 bg-gray-100">${label}</th>`)
+            .join('');
+        
+        const body = rows.map(({ member, codes, totals }) => `
+            <tr class="border-t border-gray-100">
+                <td class="register-name bg-white px-3 py-1.5 whitespace-nowrap">
+                    <div class="font-medium text-gray-900">${Utils.escapeHtml(member.name)}</div>
+                    <div class="text-gray-400">${Utils.escapeHtml(member.memberId)}</div>
+                </td>
+                ${codes.map(code => `<td class="px-1.5 py-1.5 text-center font-medium ${REGISTER_CODE_CLASSES[code] || ''}">${code}</td>`).join('')}
+                <td class="px-2 py-1.5 text-center font-semibold text-gray-900 bg-gray-50">${totals.present}</td>
+                <td class="px-2 py-1.5 text-center font-semibold text-gray-900 bg-gray-50">${totals.late}</td>
+                <td class="px-2 py-1.5 text-center font-semibold text-gray-900 bg-gray-50">${totals.absent}</td>
+                <td class="px-2 py-1.5 text-center font-semibold text-gray-900 bg-gray-50">${totals.leave}</td>
+                <td class="px-2 py-1.5 text-center font-semibold text-gray-900 bg-gray-50">${totals.holiday}</td>
+            </tr>
+        `).join('');
+        
+        $(SELECTORS.registerTable).html(`
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="register-name bg-gray-50 px-3 py-2 text-left font-semibold text-gray-600 uppercase tracking-wider">Employee</th>
+                    ${dayHeaders}
+                    ${totalHeaders}
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        `);
+    };
+
+    /**
+     * Format a register month for display (e.g. "March 2025")
+     */
+    const formatRegisterMonth = (month) => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    };
+
+    /**
+     * Export the register as shown
+     * @param {string} format - 'csv', 'xlsx' or 'pdf'
+     */
+    const exportRegister = async (format) => {
+        const { dates, rows } = buildRegister();
+        
+        if (rows.length === 0) {
+            Utils.showToast('No members to export', 'warning');
+            return;
+        }
+        
+        const department = $(SELECTORS.registerDepartment).val();
+        
+        try {
+            await Utils.exportData({
+                format,
+                filename: `attendance-register-${registerMonth}`,
+                title: 'Attendance Register',
+                subtitle: formatRegisterMonth(registerMonth) + (department && department !== 'all' ? `, ${department}` : ''),
+                settings,
+                rows,
+                columns: [
+                    { label: 'Member ID', value: r => r.member.memberId },
+                    { label: 'Name', value: r => r.member.name },
+                    ...dates.map((date, i) => ({ label: date.slice(8), value: r => r.codes[i] })),
+                    { label: 'Present', value: r => r.totals.present },
+                    { label: 'Late', value: r => r.totals.late },
+                    { label: 'Absent', value: r => r.totals.absent },
+                    { label: 'Leave', value: r => r.totals.leave },
+                    { label: 'Holiday', value: r => r.totals.holiday }
+                ]
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to export register:', error);
+            Utils.showToast(error.message || 'Failed to export register', 'error');
+        }
+    };
+
+    // ============================================
+    // 💰 PAYROLL SUMMARY
+    // ============================================
+
+    /**
+     * Change the payroll month and reload it
+     * @param {string} month - YYYY-MM
+     */
+    const setPayrollMonth = async (month) => {
+        if (!/^\d{4}-\d{2}$/.test(month || '')) return;
+        
+        payrollMonth = month;
+        $(SELECTORS.payrollMonthInput).val(month);
+        await loadPayroll();
+    };
+
+    /**
+     * Move the payroll summary by a number of months
+     * @param {number} offset - Months to move (negative for back)
+     */
+    const shiftPayrollMonth = (offset) => {
+        const [year, month] = payrollMonth.split('-').map(Number);
+        const date = new Date(year, month - 1 + offset, 1);
+        setPayrollMonth(`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`);
+    };
+
+    /**
+     * Load the payroll summary for the selected month
+     */
+    const loadPayroll = async () => {
+        $(SELECTORS.payrollTable).html(`
+            <tbody>
+                <tr>
+                    <td class="px-6 py-12 text-center">
+                        <div class="flex flex-col items-center">
+                            <div class="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mb-3"></div>
+                            <p class="text-gray-500">Loading payroll summary...</p>
+                        </div>
+                    </td>
+                </tr>
+            </tbody>
+        `);
+        
+        try {
+            payrollSummary = await API.getPayrollSummary(payrollMonth);
+            renderPayroll();
+        } catch (error) {
+            CONFIG.logError('Failed to load payroll summary:', error);
+            payrollSummary = null;
+            $(SELECTORS.payrollRules).text('');
+            $(SELECTORS.payrollTable).html(`
+                <tbody>
+                    <tr><td class="px-6 py-12 text-center text-gray-500">${Utils.escapeHtml(error.message || 'Failed to load the payroll summary. Please try again.')}</td></tr>
+                </tbody>
+            `);
+        }
+    };
+
+    /**
+     * Columns for the payroll table and export, in the configured order
+     * @returns {Array<Object>} - [{ key, label }]
+     */
+    const getPayrollColumns = () => Utils.parsePayrollColumns(settings.PayrollColumns);
+
+    /**
+     * Describe the deduction rules the summary was worked out with
+     */
+    const describePayrollRules = (rules) => {
+        const parts = [];
+        if (rules.latesPerDeduction > 0 && rules.lateDeductionDays > 0) {
+            parts.push(`${rules.latesPerDeduction} late${rules.latesPerDeduction === 1 ? '' : 's'} = ${rules.lateDeductionDays} day`);
+        }
+        if (rules.halfDayDeductionDays > 0) parts.push(`half day = ${rules.halfDayDeductionDays} day`);
+        if (rules.absentDeductionDays > 0) parts.push(`absence = ${rules.absentDeductionDays} day`);
+        parts.push('unpaid leave = 1 day');
+        
+        return `Deductions: ${parts.join(', ')}`;
+    };
+
+    /**
+     * Render the payroll summary table
+     */
+    const renderPayroll = () => {
+        if (!payrollSummary) return;
+        
+        const columns = getPayrollColumns();
+        const rows = payrollSummary.members;
+        
+        $(SELECTORS.payrollTitle).text(`Payroll Summary · ${formatRegisterMonth(payrollSummary.month)}`);
+        $(SELECTORS.payrollRules).text(describePayrollRules(payrollSummary.rules));
+        
+        if (rows.length === 0) {
+            $(SELECTORS.payrollTable).html(`
+                <tbody>
+                    <tr><td class="px-6 py-12 text-center text-gray-500">No members to summarise for this month</td></tr>
+                </tbody>
+            `);
+            return;
+        }
+        
+        const isNumeric = (key) => typeof rows[0][key] === 'number';
+        
+        const header = columns.map(c => `
+            <th class="px-4 py-3 ${isNumeric(c.key) ? 'text-right' : 'text-left'} text-xs font-semibold text-gray-600 uppercase tracking-wider whitespace-nowrap">${Utils.escapeHtml(c.label)}</th>
+        `).join('');
+        
+        const body = rows.map(row => `
+            <tr class="hover:bg-gray-50">
+                ${columns.map(c => `
+                    <td class="px-4 py-2 whitespace-nowrap ${isNumeric(c.key) ? 'text-right tabular-nums text-gray-700' : 'text-gray-900'}">${Utils.escapeHtml(String(row[c.key] ?? ''))}</td>
+                `).join('')}
+            </tr>
+        `).join('');
+        
+        $(SELECTORS.payrollTable).html(`
+            <thead class="bg-gray-50"><tr>${header}</tr></thead>
+            <tbody class="divide-y divide-gray-100">${body}</tbody>
+        `);
+    };
+
+    /**
+     * Export the payroll summary in the configured column layout
+     * @param {string} format - 'csv', 'xlsx' or 'pdf'
+     */
+    const exportPayroll = async (format) => {
+        if (!payrollSummary || payrollSummary.members.length === 0) {
+            Utils.showToast('No payroll data to export', 'warning');
+            return;
+        }
+        
+        try {
+            await Utils.exportData({
+                format,
+                filename: `payroll-${payrollSummary.month}`,
+                title: 'Payroll Summary',
+                subtitle: `${formatRegisterMonth(payrollSummary.month)}. ${describePayrollRules(payrollSummary.rules)}`,
+                settings,
+                rows: payrollSummary.members,
+                columns: getPayrollColumns()
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to export payroll summary:', error);
+            Utils.showToast(error.message || 'Failed to export payroll summary', 'error');
+        }
+    };
+
     // ============================================
     // 🗑️ DELETE ATTENDANCE
     // ============================================
@@ -1015,19 +2187,7 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
     /**
      * Parse time string to minutes since midnight
      */
-    const parseTime = (timeStr) => {
-        if (!timeStr || typeof timeStr !== 'string') return null;
-        
-        const parts = timeStr.split(':');
-        if (parts.length < 2) return null;
-        
-        const hours = parseInt(parts[0], 10);
-        const minutes = parseInt(parts[1], 10);
-        
-        if (isNaN(hours) || isNaN(minutes)) return null;
-        
-        return hours * 60 + minutes;
-    };
+    const parseTime = (timeStr) => Utils.parseTimeToMinutes(timeStr);
 
     /**
      * Format minutes to HH:MM string
@@ -1057,61 +2217,30 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
     };
 
     /**
-     * Calculate attendance status based on punch times
+     * Calculate attendance status based on punch times and the status
+     * rules, against the member's shift when given (shared with the
+     * punch page via Utils)
      */
-    const calculateStatus = (punchIn, punchOut) => {
-        // If no punch in and no punch out → Absent
-        if (!punchIn && !punchOut) {
-            return 'Absent';
-        }
-        
-        // If only punch in (no punch out yet), still consider present
-        if (!punchIn) {
-            return 'Absent';
-        }
-        
-        // Parse times
-        const startTimeMinutes = parseTime(settings.StartTime || '09:00');
-        const graceMinutes = parseInt(settings.LateGracePeriod, 10) || 0;
-        const punchInMinutes = parseTime(punchIn);
-        
-        if (punchInMinutes === null) {
-            return 'Present';
-        }
-        
-        // Grace end time
-        const graceEndMinutes = startTimeMinutes + graceMinutes;
-        
-        // Determine status
-        if (punchInMinutes <= graceEndMinutes) {
-            return 'On Time';
-        } else {
-            return 'Late';
-        }
+    const calculateStatus = (punchIn, punchOut, memberId = null) => {
+        const shift = memberId ? getMemberShift(memberId) : null;
+        return Utils.calculateAttendanceStatus(punchIn, punchOut, settings, shift, selectedDate);
     };
 
     /**
-     * Calculate hours worked between punch in and punch out
+     * Minutes late for a punch in against the member's shift (0 when on time)
      */
-    const calculateHours = (punchIn, punchOut) => {
-        if (!punchIn || !punchOut) return '0:00';
-        
-        const inMinutes = parseTime(punchIn);
-        const outMinutes = parseTime(punchOut);
-        
-        if (inMinutes === null || outMinutes === null) return '0:00';
-        
-        let diffMinutes = outMinutes - inMinutes;
-        
-        // Handle overnight shifts
-        if (diffMinutes < 0) {
-            diffMinutes += 24 * 60;
-        }
-        
-        const hours = Math.floor(diffMinutes / 60);
-        const minutes = diffMinutes % 60;
-        
-        return `${hours}:${String(minutes).padStart(2, '0')}`;
+    const calculateLateMinutes = (punchIn, memberId = null) => {
+        const shift = memberId ? getMemberShift(memberId) : null;
+        return Utils.calculateLateMinutes(punchIn, settings, shift);
+    };
+
+    /**
+     * Calculate hours worked between punch in and punch out, less the
+     * member's shift break (or the BreakDuration setting without one)
+     */
+    const calculateHours = (punchIn, punchOut, memberId = null) => {
+        const shift = memberId ? getMemberShift(memberId) : null;
+        return Utils.calculateHoursWorked(punchIn, punchOut, shift ? shift.breakMinutes : settings.BreakDuration);
     };
 
     /**
@@ -1166,6 +2295,11 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
                 bg: 'bg-orange-100',
                 text: 'text-orange-800',
                 icon: `<svg class="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clip-rule="evenodd"></path></svg>`
+            },
+            'Early Leave': {
+                bg: 'bg-yellow-100',
+                text: 'text-yellow-800',
+                icon: `<svg class="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clip-rule="evenodd"></path></svg>`
             }
         };
         
@@ -1303,12 +2437,67 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
         $(SELECTORS.btnDeselectAll).on('click', deselectAllMembers);
         $(SELECTORS.btnSaveBulkAttendance).on('click', saveBulkAttendance);
         
+        // Punch Log Import Modal
+        $(SELECTORS.btnImportPunchLog).on('click', openPunchImportModal);
+        $(SELECTORS.btnClosePunchImportModal).on('click', closePunchImportModal);
+        $(SELECTORS.btnCancelPunchImport).on('click', closePunchImportModal);
+        $(SELECTORS.btnConfirmPunchImport).on('click', confirmPunchImport);
+        $(SELECTORS.punchImportFile).on('change', function() {
+            loadPunchLogFile(this.files[0]);
+        });
+        $(SELECTORS.punchImportUnmatchedBody)
+            .on('change', '.punch-code-member', function() {
+                const code = $(this).attr('data-code');
+                punchImport.codeMap[code] = $(this).val() || null;
+                if (!punchImport.codeMap[code]) delete punchImport.remember[code];
+                refreshPunchImport();
+            })
+            .on('change', '.punch-code-remember', function() {
+                punchImport.remember[$(this).attr('data-code')] = this.checked;
+            });
+        $(SELECTORS.punchImportDuplicatesBody).on('change', '.punch-duplicate-choice', function() {
+            punchImport.resolutions[$(this).attr('data-key')] = $(this).val();
+            refreshPunchImport();
+        });
+        
+        // Export Menu
+        Utils.bindExportMenu(SELECTORS.btnExport, SELECTORS.exportMenu, exportAttendance);
+        
+        // Monthly Register
+        $(SELECTORS.viewButtons).on('click', function() {
+            switchView($(this).data('view'));
+        });
+        $(SELECTORS.btnRegisterPrevMonth).on('click', () => shiftRegisterMonth(-1));
+        $(SELECTORS.btnRegisterNextMonth).on('click', () => shiftRegisterMonth(1));
+        $(SELECTORS.registerMonthInput).on('change', function() {
+            setRegisterMonth($(this).val());
+        });
+        $(SELECTORS.registerDepartment).on('change', renderRegister);
+        $(SELECTORS.btnPrintRegister).on('click', () => window.print());
+        Utils.bindExportMenu(SELECTORS.btnExportRegister, SELECTORS.registerExportMenu, exportRegister);
+        
+        // Payroll Summary
+        $(SELECTORS.btnPayrollPrevMonth).on('click', () => shiftPayrollMonth(-1));
+        $(SELECTORS.btnPayrollNextMonth).on('click', () => shiftPayrollMonth(1));
+        $(SELECTORS.payrollMonthInput).on('change', function() {
+            setPayrollMonth($(this).val());
+        });
+        Utils.bindExportMenu(SELECTORS.btnExportPayroll, SELECTORS.payrollExportMenu, exportPayroll);
+        
         // Refresh Button
         $(SELECTORS.btnRefresh).on('click', async () => {
+            API.clearCache();
             await loadAttendance();
+            if (currentView === 'register') await loadRegister();
+            if (currentView === 'payroll') await loadPayroll();
             Utils.showToast('Attendance refreshed', 'info');
         });
         
+        // Reload once offline changes reach the server
+        $(document).on('squidx:sync-complete', () => {
+            loadAttendance();
+        });
+        
         // Filters
         $(SELECTORS.filterDepartment).on('change', renderAttendanceTable);
         $(SELECTORS.filterStatus).on('change', renderAttendanceTable);
@@ -1324,6 +2513,9 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
         $(SELECTORS.bulkModal).on('click', function(e) {
             if (e.target === this) closeBulkModal();
         });
+        $(SELECTORS.punchImportModal).on('click', function(e) {
+            if (e.target === this) closePunchImportModal();
+        });
         
         // Keyboard shortcuts
         $(document).on('keydown', function(e) {
@@ -1338,6 +2530,9 @@ let status = override && override !== '' ? override : calculateStatus(punchIn, p
                 if (!$(SELECTORS.bulkModal).hasClass('hidden')) {
                     closeBulkModal();
                 }
+                if (!$(SELECTORS.punchImportModal).hasClass('hidden')) {
+                    closePunchImportModal();
+                }
             }
         });
         
@@ -1413,6 +2608,8 @@ const normalizeHours = (hoursWorked, punchIn, punchOut) => {
         closeSingleModal,
         openBulkModal,
         closeBulkModal,
+        openPunchImportModal,
+        closePunchImportModal,
         selectDate,
         
         // Expose utilities for testing
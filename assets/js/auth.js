@@ -0,0 +1,627 @@
+/**
+ * SquidX HRM — Authentication
+ * =============================
+ * Session handling for every page.
+ * - Stores the session token returned by the 'login' action
+ * - Redirects to the login page when there is no valid session
+ *   (on load, on expiry and on any 401 from the API)
+ * - Shows the signed-in user and the logout button in the navbar
+ * - Changing the password (required on the seeded admin's first sign-in)
+ * - Role-based access: which pages a role may open, which actions it
+ *   may take (Auth.can), and hiding sidebar links it can't use
+ *
+ * Must be loaded right after api.js so the redirect happens before
+ * page controllers start loading data.
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js (for CONFIG.AUTH)
+ *   - /assets/js/api.js
+ *   - /assets/js/utils.js (loaded later; used after document ready)
+ */
+
+const Auth = (function() {
+    'use strict';
+
+    // ============================================
+    // 🔧 CONFIGURATION & CONSTANTS
+    // ============================================
+
+    const OPTIONS = {
+        enabled: false,
+        appsScriptReady: false,
+        loginPage: 'login.html',
+        storageKey: 'squidx_session',
+        ...(CONFIG.AUTH || {})
+    };
+
+    const ROLES = CONFIG.USER_ROLES;
+
+    /**
+     * Actions and the roles allowed to take them.
+     * Managers are limited to members of their own department for the
+     * actions listed in DEPARTMENT_SCOPED.
+     */
+    const PERMISSIONS = {
+        'settings.edit': [ROLES.ADMIN],
+        'members.create': [ROLES.ADMIN],
+        'members.edit': [ROLES.ADMIN],
+        'members.delete': [ROLES.ADMIN],
+        'attendance.edit': [ROLES.ADMIN, ROLES.MANAGER],
+        'tasks.manage': [ROLES.ADMIN, ROLES.MANAGER],
+        'ratings.manage': [ROLES.ADMIN, ROLES.MANAGER],
+        'ratings.templates': [ROLES.ADMIN],
+        'reviews.manage': [ROLES.ADMIN],
+        'reviews.track': [ROLES.ADMIN, ROLES.MANAGER],
+        'okrs.manage': [ROLES.ADMIN, ROLES.MANAGER],
+        'leave.approve': [ROLES.ADMIN, ROLES.MANAGER],
+        'leave.adjust': [ROLES.ADMIN],
+        'holidays.manage': [ROLES.ADMIN],
+        'shifts.manage': [ROLES.ADMIN],
+        'shifts.assign': [ROLES.ADMIN, ROLES.MANAGER],
+        'timesheets.approve': [ROLES.ADMIN, ROLES.MANAGER],
+        'payroll.view': [ROLES.ADMIN]
+    };
+
+    const DEPARTMENT_SCOPED = ['tasks.manage', 'ratings.manage', 'okrs.manage', 'leave.approve', 'shifts.assign', 'timesheets.approve'];
+
+    /**
+     * Pages and the roles that may open them. Employees only get their
+     * own profile (employee.html), which shows their attendance and leave,
+     * and the reviews they have to write.
+     */
+    const PAGE_ROLES = {
+        'index.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'members.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'attendance.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'performance.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'ratings.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'settings.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'leave.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'roster.html': [ROLES.ADMIN, ROLES.MANAGER],
+        'reviews.html': [ROLES.ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE],
+        'employee.html': [ROLES.ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE],
+        'punch.html': [ROLES.ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE]
+    };
+
+    /**
+     * DOM Selectors (navbar user menu & sidebar)
+     */
+    const SELECTORS = {
+        userName: '#navUserName',
+        userRole: '#navUserRole',
+        btnLogout: '#btnLogout',
+        btnChangePassword: '#btnChangePassword',
+        sidebarLinks: '#sidebar nav a[href]',
+        myProfileLink: '#navMyProfile',
+        punchLink: '#navPunch'
+    };
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    /**
+     * Set once a redirect to the login page has started
+     */
+    let isRedirecting = false;
+
+    /**
+     * Timer that signs the user out when the session expires
+     */
+    let expiryTimer = null;
+
+    // ============================================
+    // 💾 SESSION STORAGE
+    // ============================================
+
+    /**
+     * Reads the stored session ({ token, expiresAt, user })
+     * @returns {Object|null}
+     */
+    const readSession = () => {
+        try {
+            const raw = localStorage.getItem(OPTIONS.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Stores a session returned by the 'login' action
+     */
+    const writeSession = (session) => {
+        localStorage.setItem(OPTIONS.storageKey, JSON.stringify({
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: session.user
+        }));
+    };
+
+    /**
+     * Removes the stored session
+     */
+    const clearSession = () => {
+        localStorage.removeItem(OPTIONS.storageKey);
+    };
+
+    /**
+     * Returns the current session, or null when missing or expired
+     * @returns {Object|null} - { token, expiresAt, user }
+     */
+    const getSession = () => {
+        const session = readSession();
+        if (!session || !session.token) return null;
+
+        if (session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now()) {
+            clearSession();
+            return null;
+        }
+
+        return session;
+    };
+
+    /**
+     * Returns the session token to send with API calls
+     * @returns {string|null}
+     */
+    const getToken = () => {
+        const session = getSession();
+        return session ? session.token : null;
+    };
+
+    /**
+     * Returns the signed-in user ({ username, name, role, memberId })
+     * @returns {Object|null}
+     */
+    const getUser = () => {
+        const session = getSession();
+        return session ? session.user : null;
+    };
+
+    /**
+     * Checks whether authentication is turned on
+     * @returns {boolean}
+     */
+    const isEnabled = () => OPTIONS.enabled === true;
+
+    /**
+     * Checks whether the backend enforces sign-in. A backend that doesn't
+     * would leave every action open, so the app won't start against it.
+     * @returns {boolean}
+     */
+    const isBackendReady = () => CONFIG.BACKEND.type !== 'appsscript' || OPTIONS.appsScriptReady === true;
+
+    /**
+     * Checks whether there is a valid session (always true when auth is off)
+     * @returns {boolean}
+     */
+    const isAuthenticated = () => !isEnabled() || getSession() !== null;
+
+    // ============================================
+    // 🛡️ ROLES & PERMISSIONS
+    // ============================================
+
+    /**
+     * Returns the current role (admin when auth is off)
+     * @returns {string}
+     */
+    const getRole = () => {
+        if (!isEnabled()) return ROLES.ADMIN;
+        const user = getUser();
+        return (user && user.role) || ROLES.EMPLOYEE;
+    };
+
+    /**
+     * Checks whether the current user has one of the given roles
+     * @param {...string} roles - Role names
+     * @returns {boolean}
+     */
+    const hasRole = (...roles) => roles.includes(getRole());
+
+    /**
+     * Checks whether the current user may take an action.
+     * Pass the target member to apply the manager department scope;
+     * without one, answers "can they do this for anyone at all".
+     * @param {string} permission - Key of PERMISSIONS (e.g. 'ratings.manage')
+     * @param {Object} [member] - Target member ({ department })
+     * @returns {boolean}
+     */
+    const can = (permission, member = null) => {
+        const roles = PERMISSIONS[permission];
+        if (!roles || !roles.includes(getRole())) return false;
+
+        if (member && getRole() === ROLES.MANAGER && DEPARTMENT_SCOPED.includes(permission)) {
+            return isInDepartment(member);
+        }
+        return true;
+    };
+
+    /**
+     * Checks whether a member is in the current user's department
+     * @param {Object} member - Member ({ department })
+     * @returns {boolean}
+     */
+    const isInDepartment = (member) => {
+        const user = getUser();
+        return !!(user && user.department && member && member.department === user.department);
+    };
+
+    /**
+     * Checks whether a member ID is the signed-in user's own member
+     * @param {string} memberId - Member ID
+     * @returns {boolean}
+     */
+    const isSelf = (memberId) => {
+        const user = getUser();
+        return !!(user && user.memberId && user.memberId === memberId);
+    };
+
+    /**
+     * Checks whether the current user may open a page
+     * @param {string} page - File name (e.g. 'settings.html')
+     * @returns {boolean}
+     */
+    const canAccessPage = (page) => {
+        const roles = PAGE_ROLES[page];
+        return !roles || roles.includes(getRole());
+    };
+
+    /**
+     * Returns the page a user lands on when a page is off limits
+     * @returns {string}
+     */
+    const getHomePage = () => {
+        if (canAccessPage('index.html')) return 'index.html';
+
+        const user = getUser();
+        return user && user.memberId ? getProfileLink(user.memberId) : OPTIONS.loginPage;
+    };
+
+    /**
+     * Link to a member's profile page (Utils isn't loaded yet when the
+     * page guard runs)
+     * @param {string} memberId - Member ID
+     * @returns {string}
+     */
+    const getProfileLink = (memberId) => `employee.html?memberId=${encodeURIComponent(memberId)}`;
+
+    // ============================================
+    // 🔀 REDIRECTS
+    // ============================================
+
+    /**
+     * Checks whether the current page is the login page
+     * @returns {boolean}
+     */
+    const isLoginPage = () => {
+        const page = window.location.pathname.split('/').pop();
+        return page === OPTIONS.loginPage;
+    };
+
+    /**
+     * Sends the browser to the login page, remembering where to come back to
+     * @param {string} [reason] - Shown on the login page (e.g. 'expired')
+     */
+    const redirectToLogin = (reason = '') => {
+        if (isRedirecting || isLoginPage()) return;
+        isRedirecting = true;
+
+        const page = window.location.pathname.split('/').pop() || 'index.html';
+        const params = new URLSearchParams();
+        params.set('next', page + window.location.search);
+        if (reason) params.set('reason', reason);
+
+        window.location.replace(`${OPTIONS.loginPage}?${params.toString()}`);
+    };
+
+    /**
+     * Returns the page to open after login. Only plain page names from
+     * this app are accepted, never another origin.
+     * @returns {string}
+     */
+    const getReturnPage = () => {
+        const next = new URLSearchParams(window.location.search).get('next') || '';
+        return /^[\w-]+\.html(\?[^#]*)?$/.test(next) ? next : 'index.html';
+    };
+
+    /**
+     * Redirects to the login page when there is no valid session, and
+     * away from pages the user's role can't open. Employees may only open
+     * their own profile.
+     * @returns {boolean} - true when the page may continue loading
+     */
+    const requireAuth = () => {
+        if (!isEnabled() || isLoginPage()) return true;
+
+        if (!isBackendReady()) {
+            redirectToLogin('backend');
+            return false;
+        }
+
+        if (!isAuthenticated()) {
+            redirectToLogin();
+            return false;
+        }
+
+        const page = window.location.pathname.split('/').pop() || 'index.html';
+        const user = getUser();
+        const isOwnProfile = page !== 'employee.html' ||
+            getRole() !== ROLES.EMPLOYEE ||
+            new URLSearchParams(window.location.search).get('memberId') === user.memberId;
+
+        if (canAccessPage(page) && isOwnProfile) return true;
+
+        // An employee without a linked member has nowhere to go
+        if (getRole() === ROLES.EMPLOYEE && !user.memberId) {
+            clearSession();
+            redirectToLogin('noprofile');
+            return false;
+        }
+
+        isRedirecting = true;
+        window.location.replace(getHomePage());
+        return false;
+    };
+
+    /**
+     * Called by the API module on any 401 response
+     */
+    const handleUnauthorized = () => {
+        if (!isEnabled()) return;
+
+        clearSession();
+        redirectToLogin('expired');
+    };
+
+    // ============================================
+    // 🔑 LOGIN & LOGOUT
+    // ============================================
+
+    /**
+     * Signs in and stores the session
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} - Signed-in user
+     */
+    const login = (username, password) => {
+        return API.login(username, password).then(session => {
+            writeSession(session);
+            // Never show the previous user's cached data
+            API.clearCache();
+            CONFIG.log('Signed in as', session.user && session.user.username);
+            return session.user;
+        });
+    };
+
+    /**
+     * Ends the session on the server and locally, then opens the login page
+     * @returns {Promise<void>}
+     */
+    const logout = () => {
+        return API.logout()
+            .catch(error => {
+                // The local session is dropped either way
+                CONFIG.logWarn('Logout request failed:', error && error.message);
+            })
+            .then(() => {
+                clearSession();
+                API.clearCache();
+                isRedirecting = true;
+                window.location.replace(OPTIONS.loginPage);
+            });
+    };
+
+    /**
+     * Asks for confirmation when offline changes are still waiting to sync
+     */
+    const confirmLogout = async () => {
+        if (window.SyncQueue && SyncQueue.hasPending()) {
+            const confirmed = await Utils.showConfirm(
+                'Some of your attendance changes have not been synced yet. They will be sent the next time you sign in on this device. Sign out anyway?',
+                'Sign Out'
+            );
+            if (!confirmed) return;
+        }
+
+        logout();
+    };
+
+    // ============================================
+    // 🔒 CHANGE PASSWORD
+    // ============================================
+
+    /**
+     * Asks for the current and a new password and changes it. When the
+     * change is required (default credentials) the dialog can't be dismissed.
+     * @param {boolean} [required] - Password must be changed before going on
+     */
+    const showChangePasswordModal = (required = false) => {
+        if ($('.squidx-password-modal').length) return;
+
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors';
+        const modal = $(`
+            <div class="squidx-password-modal fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+                <form class="bg-white rounded-xl shadow-2xl max-w-md w-full mx-4 transform scale-95 opacity-0 transition-all duration-200" novalidate>
+                    <div class="p-6 space-y-4">
+                        <div>
+                            <h3 class="text-lg font-semibold text-gray-900 mb-1">Change Password</h3>
+                            <p class="text-sm ${required ? 'text-amber-700' : 'text-gray-600'}">
+                                ${required
+                                    ? 'You are signed in with the default password. Choose a new one to continue.'
+                                    : 'You will stay signed in here; other devices are signed out.'}
+                            </p>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1" for="currentPassword">Current password</label>
+                            <input type="password" id="currentPassword" autocomplete="current-password" class="${inputClass}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1" for="newPassword">New password</label>
+                            <input type="password" id="newPassword" autocomplete="new-password" class="${inputClass}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1" for="confirmNewPassword">Confirm new password</label>
+                            <input type="password" id="confirmNewPassword" autocomplete="new-password" class="${inputClass}">
+                        </div>
+                        <p class="password-error hidden text-sm text-red-600" role="alert"></p>
+                    </div>
+                    <div class="flex gap-3 p-4 bg-gray-50 rounded-b-xl">
+                        <button type="button" class="password-cancel flex-1 px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg font-medium transition-colors">${required ? 'Sign Out' : 'Cancel'}</button>
+                        <button type="submit" class="password-save flex-1 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-colors disabled:opacity-50">Change Password</button>
+                    </div>
+                </form>
+            </div>
+        `);
+
+        $('body').append(modal);
+
+        setTimeout(() => {
+            modal.find('form').removeClass('scale-95 opacity-0');
+            modal.find('#currentPassword').trigger('focus');
+        }, 10);
+
+        const showError = (message) => modal.find('.password-error').text(message).removeClass('hidden');
+
+        modal.find('form').on('submit', async (e) => {
+            e.preventDefault();
+
+            const currentPassword = modal.find('#currentPassword').val();
+            const newPassword = modal.find('#newPassword').val();
+            if (!currentPassword || !newPassword) {
+                showError('Enter your current and new password.');
+                return;
+            }
+            if (newPassword !== modal.find('#confirmNewPassword').val()) {
+                showError('The new passwords do not match.');
+                return;
+            }
+
+            const $save = modal.find('.password-save').prop('disabled', true).text('Saving...');
+            try {
+                const result = await API.changePassword(currentPassword, newPassword);
+                writeSession({ ...getSession(), user: result.user });
+                modal.remove();
+                renderUser();
+                Utils.showToast('Password changed', 'success');
+            } catch (error) {
+                CONFIG.logError('Failed to change password:', error);
+                showError(error.message || 'Could not change the password.');
+                $save.prop('disabled', false).text('Change Password');
+            }
+        });
+
+        modal.find('.password-cancel').on('click', () => {
+            if (required) {
+                logout();
+                return;
+            }
+            modal.remove();
+        });
+    };
+
+    // ============================================
+    // 🎨 NAVBAR
+    // ============================================
+
+    /**
+     * Shows the signed-in user in the navbar
+     */
+    const renderUser = () => {
+        const user = getUser();
+        if (!user) return;
+
+        $(SELECTORS.userName).text(user.name || user.username);
+        $(SELECTORS.userRole).text(user.role || '');
+    };
+
+    /**
+     * Hides sidebar links the role can't open and links "My Profile"
+     * to the user's own member page
+     */
+    const renderSidebar = () => {
+        $(SELECTORS.sidebarLinks).not(`${SELECTORS.myProfileLink}, ${SELECTORS.punchLink}`).each(function() {
+            const page = ($(this).attr('href') || '').split('?')[0];
+            $(this).toggleClass('hidden', !canAccessPage(page));
+        });
+
+        const user = getUser();
+        if (user && user.memberId) {
+            $(SELECTORS.myProfileLink)
+                .attr('href', getProfileLink(user.memberId))
+                .removeClass('hidden');
+            $(SELECTORS.punchLink).removeClass('hidden');
+        }
+
+        // Nothing below the divider — drop it too
+        if (!canAccessPage('settings.html')) {
+            $('#sidebar nav .border-t').addClass('hidden');
+        }
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Binds the logout button and schedules the expiry redirect
+     */
+    const init = () => {
+        if (!isEnabled() || isLoginPage()) return;
+
+        renderUser();
+        renderSidebar();
+        $(SELECTORS.btnLogout).removeClass('hidden').on('click', confirmLogout);
+        $(SELECTORS.btnChangePassword).removeClass('hidden').on('click', () => showChangePasswordModal());
+
+        const user = getUser();
+        if (user && user.mustChangePassword) showChangePasswordModal(true);
+
+        const session = getSession();
+        if (session && session.expiresAt) {
+            // setTimeout overflows past ~24.8 days — such sessions are checked on the next load
+            const remaining = new Date(session.expiresAt).getTime() - Date.now();
+            if (remaining < 2147483647) {
+                clearTimeout(expiryTimer);
+                expiryTimer = setTimeout(handleUnauthorized, Math.max(0, remaining));
+            }
+        }
+    };
+
+    // Guard the page before any controller starts loading data
+    requireAuth();
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init,
+        login,
+        logout,
+        getSession,
+        getToken,
+        getUser,
+        getRole,
+        hasRole,
+        can,
+        isInDepartment,
+        isSelf,
+        canAccessPage,
+        isEnabled,
+        isBackendReady,
+        isAuthenticated,
+        requireAuth,
+        handleUnauthorized,
+        getReturnPage
+    };
+
+})();
+
+// Make Auth globally available
+window.Auth = Auth;
+
+$(document).ready(function() {
+    Auth.init();
+});
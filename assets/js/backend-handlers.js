@@ -0,0 +1,2891 @@
+/**
+ * SquidX HRM — Local Backend Action Handlers
+ * ============================================
+ * Implements the Apps Script `action=` protocol on top of a generic
+ * table store, so the app can run without the production spreadsheet.
+ * Shared by the in-browser IndexedDB backend (backend.js) and the
+ * local Node mock server (server/mock-server.js).
+ *
+ * A store must implement:
+ *   - getAll(table)      → Promise<Array>
+ *   - put(table, row)    → Promise
+ *   - remove(table, key) → Promise
+ *
+ * Dependencies:
+ *   - None (runs in the browser and in Node)
+ */
+
+const BackendHandlers = (function() {
+    'use strict';
+
+    // ============================================
+    // 🔧 TABLE DEFINITIONS
+    // ============================================
+
+    /**
+     * Schema version — bump whenever TABLES changes so IndexedDB
+     * creates the new object stores on upgrade
+     */
+    const SCHEMA_VERSION = 10;
+
+    /**
+     * Tables and their primary key (keyPath)
+     */
+    const TABLES = {
+        settings: 'key',
+        members: 'memberId',
+        attendance: ['date', 'memberId'],
+        tasks: 'taskId',
+        ratings: 'recordId',
+        users: 'username',
+        sessions: 'token',
+        leaves: 'leaveId',
+        leaveAdjustments: 'adjustmentId',
+        holidays: 'holidayId',
+        shifts: 'shiftId',
+        shiftAssignments: 'assignmentId',
+        timesheets: 'timesheetId',
+        ratingTemplates: 'templateId',
+        reviewCycles: 'cycleId',
+        reviews: 'reviewId',
+        objectives: 'objectiveId'
+    };
+
+    /**
+     * Actions that can be called without a session token
+     */
+    const PUBLIC_ACTIONS = ['login'];
+
+    /**
+     * How long a session token stays valid
+     */
+    const SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+
+    /**
+     * Shortest password changePassword accepts
+     */
+    const MIN_PASSWORD_LENGTH = 8;
+
+    /**
+     * Account written when the store has no users, so a fresh local
+     * backend can always be signed into. The app asks for a new password
+     * on its first sign-in (see changePassword).
+     */
+    const DEFAULT_ADMIN = {
+        username: 'admin',
+        password: 'admin',
+        name: 'Administrator',
+        role: 'admin',
+        memberId: '',
+        mustChangePassword: true
+    };
+
+    /**
+     * Demo accounts written alongside the demo members, one per role
+     * below admin (password = username)
+     */
+    const DEMO_USERS = [
+        { username: 'manager', password: 'manager', name: 'Ashfad Hossain', role: 'manager', memberId: 'EMP001' },
+        { username: 'employee', password: 'employee', name: 'Bishal Roy', role: 'employee', memberId: 'EMP002' }
+    ];
+
+    /**
+     * Write actions (and admin-only reads) and the roles allowed to call
+     * them. Other reads are open to admins and managers; employees only
+     * get SELF_SERVICE_ACTIONS.
+     */
+    const ACTION_ROLES = {
+        saveSettings: ['admin'],
+        addMember: ['admin'],
+        importMembers: ['admin'],
+        updateMember: ['admin'],
+        deleteMember: ['admin'],
+        saveAttendance: ['admin', 'manager'],
+        updateAttendance: ['admin', 'manager'],
+        deleteAttendance: ['admin', 'manager'],
+        addTask: ['admin', 'manager'],
+        updateTask: ['admin', 'manager'],
+        deleteTask: ['admin', 'manager'],
+        completeTask: ['admin', 'manager'],
+        addRating: ['admin', 'manager'],
+        updateRating: ['admin', 'manager'],
+        deleteRating: ['admin', 'manager'],
+        saveRatingTemplate: ['admin'],
+        deleteRatingTemplate: ['admin'],
+        saveReviewCycle: ['admin'],
+        deleteReviewCycle: ['admin'],
+        getReviewTracker: ['admin', 'manager'],
+        saveObjective: ['admin', 'manager'],
+        deleteObjective: ['admin', 'manager'],
+        approveLeave: ['admin', 'manager'],
+        rejectLeave: ['admin', 'manager'],
+        addLeaveAdjustment: ['admin'],
+        deleteLeaveAdjustment: ['admin'],
+        addHoliday: ['admin'],
+        updateHoliday: ['admin'],
+        deleteHoliday: ['admin'],
+        importHolidays: ['admin'],
+        saveShift: ['admin'],
+        deleteShift: ['admin'],
+        assignShifts: ['admin', 'manager'],
+        deleteShiftAssignment: ['admin', 'manager'],
+        approveTimesheet: ['admin', 'manager'],
+        rejectTimesheet: ['admin', 'manager'],
+        getPayrollSummary: ['admin']
+    };
+
+    /**
+     * Actions employees may call; those taking a memberId only for
+     * their own member record. saveAttendance is limited to punching
+     * in/out for themselves today, or out of last night's overnight
+     * shift, with the time and status set by the server (see stampPunch).
+     */
+    const SELF_SERVICE_ACTIONS = [
+        'logout', 'getSession', 'changePassword', 'getSettings', 'getHolidays', 'getShifts', 'getShiftAssignments',
+        'getMember', 'getAttendanceByMember', 'getLeaveSummary', 'getPerformanceTasks', 'getRatings', 'getRatingTemplates',
+        'saveAttendance', 'getLeaveRequests', 'applyLeave', 'cancelLeave', 'getLeaveLedger',
+        'getTimesheet', 'submitTimesheet',
+        'getReviewCycles', 'getReviewAssignments', 'submitReview', 'getReviewResults',
+        'getObjectives'
+    ];
+
+    /**
+     * Actions managers may only use for members of their own department
+     */
+    const DEPARTMENT_SCOPED_ACTIONS = [
+        'addTask', 'updateTask', 'deleteTask', 'completeTask',
+        'addRating', 'updateRating', 'deleteRating',
+        'applyLeave', 'approveLeave', 'rejectLeave', 'cancelLeave',
+        'assignShifts', 'deleteShiftAssignment',
+        'submitTimesheet', 'approveTimesheet', 'rejectTimesheet'
+    ];
+
+    /**
+     * Settings written on first run
+     */
+    const DEFAULT_SETTINGS = {
+        StartTime: '09:00',
+        LateGracePeriod: '10',
+        WorkingDays: 'Mon|Tue|Wed|Thu|Fri',
+        WorkingHoursPerDay: '8',
+        PaidLeavePerMonth: '2',
+        SickLeavePerYear: '10',
+        CasualLeavePerYear: '6',
+        CarryForwardCap: '6',
+        CarryForwardExpiryMonths: '0',
+        ProrateJoiningMonth: 'Yes',
+        CompanyName: 'SquidX',
+        CompanyLogo: '',
+        BreakDuration: '60',
+        AllowHalfDay: 'Yes',
+        FullDayMinHours: '6',
+        HalfDayMinHours: '4',
+        EarlyLeaveCutoff: '30',
+        MissingPunchOut: 'Keep',
+        AutoCalculateStatus: 'Yes',
+        PayrollLatesPerDeduction: '3',
+        PayrollLateDeductionDays: '0.5',
+        PayrollHalfDayDeductionDays: '0.5',
+        PayrollAbsentDeductionDays: '1',
+        PayrollColumns: 'memberId|name|department|workingDays|daysPresent|lateCount|unpaidLeaveDays|overtimeHours|deductionDays|payableDays'
+    };
+
+    /**
+     * Leave types and the setting that holds each allowance. Paid leave
+     * accrues monthly into a running ledger (see buildLeaveLedger), sick
+     * and casual leave are allowed per year; unpaid leave has no limit.
+     */
+    const LEAVE_TYPES = {
+        Paid: { setting: 'PaidLeavePerMonth', period: 'accrual' },
+        Sick: { setting: 'SickLeavePerYear', period: 'year' },
+        Casual: { setting: 'CasualLeavePerYear', period: 'year' },
+        Unpaid: null
+    };
+
+    /**
+     * Demo members written on first run (when seeding is enabled)
+     */
+    const DEMO_MEMBERS = [
+        { memberId: 'EMP001', name: 'Ashfad Hossain', email: 'ashfad@squidx.dev', department: 'Engineering', role: 'Team Lead', photoURL: 'assets/images/ashfad.avif' },
+        { memberId: 'EMP002', name: 'Bishal Roy', email: 'bishal@squidx.dev', department: 'Engineering', role: 'Developer', photoURL: 'assets/images/bishal.avif' },
+        { memberId: 'EMP003', name: 'Rehan Ahmed', email: 'rehan@squidx.dev', department: 'Design', role: 'Designer', photoURL: 'assets/images/rehan.avif' },
+        { memberId: 'EMP004', name: 'Shanto Islam', email: 'shanto@squidx.dev', department: 'Support', role: 'Support Engineer', photoURL: 'assets/images/shanto.avif' },
+        { memberId: 'EMP005', name: 'Sohan Das', email: 'sohan@squidx.dev', department: 'Support', role: 'Support Engineer', photoURL: 'assets/images/sohan.avif' },
+        { memberId: 'EMP006', name: 'Tazul Karim', email: 'tazul@squidx.dev', department: 'Operations', role: 'Manager', photoURL: 'assets/images/tazul.avif' }
+    ];
+
+    // ============================================
+    // 🛠️ HELPERS
+    // ============================================
+
+    /**
+     * Builds a handler error in the same shape the API module rejects with
+     */
+    const fail = (message, code = 400) => {
+        throw { message, code };
+    };
+
+    /**
+     * Formats a Date as YYYY-MM-DD (local time)
+     */
+    const toDateString = (d) => {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+
+    /**
+     * Returns today's date as YYYY-MM-DD (local time)
+     */
+    const today = () => toDateString(new Date());
+
+    /**
+     * Returns the holiday on a date for a department, or null. Recurring
+     * holidays repeat on the same month and day every year from their
+     * first date; holidays without a department apply to everyone.
+     */
+    const findHoliday = (date, holidays, department = '') => {
+        return (holidays || []).find(h =>
+            (h.date === date || (h.recurring && h.date.slice(5) === date.slice(5) && h.date <= date)) &&
+            (!h.department || h.department === department)
+        ) || null;
+    };
+
+    /**
+     * Lists every date from startDate to endDate inclusive, as
+     * YYYY-MM-DD strings
+     */
+    const listDates = (startDate, endDate) => {
+        const [sy, sm, sd] = startDate.split('-').map(Number);
+        const [ey, em, ed] = endDate.split('-').map(Number);
+        const end = new Date(ey, em - 1, ed);
+        const dates = [];
+
+        for (const d = new Date(sy, sm - 1, sd); d <= end; d.setDate(d.getDate() + 1)) {
+            dates.push(toDateString(d));
+        }
+        return dates;
+    };
+
+    /**
+     * Lists the working days (per the WorkingDays setting) from
+     * startDate to endDate inclusive, as YYYY-MM-DD strings.
+     * calendar = { holidays, department } also skips holidays.
+     */
+    const listWorkingDates = (startDate, endDate, settings, calendar = {}) => {
+        const workingDays = String(settings.WorkingDays || 'Mon|Tue|Wed|Thu|Fri').split(/[|,]/).map(d => d.trim());
+
+        return listDates(startDate, endDate).filter(date => {
+            const [y, m, d] = date.split('-').map(Number);
+            return workingDays.includes(new Date(y, m - 1, d).toLocaleDateString('en-US', { weekday: 'short' })) &&
+                !findHoliday(date, calendar.holidays, calendar.department);
+        });
+    };
+
+    /**
+     * First and last date of a month (YYYY-MM)
+     */
+    const monthRange = (month) => {
+        const [y, m] = month.split('-').map(Number);
+        return { startDate: `${month}-01`, endDate: `${month}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}` };
+    };
+
+    /**
+     * Parses HH:MM to minutes since midnight (null when unparseable)
+     */
+    const minutesOf = (time) => {
+        const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    };
+
+    /**
+     * Minutes from start to end (HH:MM), running past midnight when end
+     * is earlier; null when either time is missing
+     */
+    const spanMinutes = (start, end) => {
+        const from = minutesOf(start);
+        const to = minutesOf(end);
+        if (from === null || to === null) return null;
+        return to >= from ? to - from : to - from + 24 * 60;
+    };
+
+    /**
+     * Whether a shift ends on the day after it starts
+     */
+    const isOvernightShift = (shift) => {
+        return !!shift && minutesOf(shift.endTime) <= minutesOf(shift.startTime);
+    };
+
+    /**
+     * Returns the shift a member works on a date, or null when they have
+     * no assignment covering it (the global StartTime applies). When
+     * assignments overlap, the one starting latest wins, so a short
+     * swap can sit on top of an open-ended assignment.
+     */
+    const resolveShift = (memberId, date, assignments, shifts) => {
+        const assignment = (assignments || [])
+            .filter(a => a.memberId === memberId && a.startDate <= date && (!a.endDate || a.endDate >= date))
+            .sort((a, b) => b.startDate.localeCompare(a.startDate) || String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+
+        return assignment ? (shifts || []).find(s => s.shiftId === assignment.shiftId) || null : null;
+    };
+
+    /**
+     * Minutes worked between punch in and punch out (running past
+     * midnight), less the break; null when either time is missing
+     */
+    const workedMinutesOf = (punchIn, punchOut, breakMinutes = 0) => {
+        const span = spanMinutes(punchIn, punchOut);
+        return span === null ? null : Math.max(0, span - (Number(breakMinutes) || 0));
+    };
+
+    /**
+     * Minutes late for a punch in (0 within the grace period or when
+     * unparseable), the same as Utils.calculateLateMinutes
+     */
+    const lateMinutesOf = (punchIn, settings, shift) => {
+        const startMinutes = minutesOf(shift ? shift.startTime : (settings.StartTime || '09:00'));
+        const punchInMinutes = minutesOf(punchIn);
+        if (punchInMinutes === null || startMinutes === null) return 0;
+
+        const graceMinutes = shift ? Number(shift.graceMinutes) || 0 : parseInt(settings.LateGracePeriod, 10) || 0;
+        let minutesLate = punchInMinutes - startMinutes;
+        if (isOvernightShift(shift) && minutesLate < -12 * 60) minutesLate += 24 * 60;
+        return minutesLate > graceMinutes ? minutesLate : 0;
+    };
+
+    /**
+     * Whether a record started late, whatever its status (same as Utils.isLateRecord)
+     */
+    const isLateRecord = (record) => record.status === 'Late' || Number(record.lateMinutes) > 0;
+
+    /**
+     * Statuses of a day the member worked (same as CONFIG.WORKED_STATUSES)
+     */
+    const WORKED_STATUSES = ['On Time', 'Present', 'Late', 'Half Day', 'Early Leave'];
+
+    /**
+     * Attendance status from punch times, with the same rules as
+     * Utils.calculateAttendanceStatus (see there for the order they apply in)
+     */
+    const attendanceStatusOf = (punchIn, punchOut, settings, shift, date) => {
+        if (!punchIn) return 'Absent';
+
+        const cutoff = parseInt(settings.EarlyLeaveCutoff, 10);
+        const allowHalfDay = settings.AllowHalfDay !== 'No';
+        const fullDayMinutes = Math.round((parseFloat(settings.FullDayMinHours) || 0) * 60);
+        const halfDayMinutes = Math.round((parseFloat(settings.HalfDayMinHours) || 0) * 60);
+
+        const startMinutes = minutesOf(shift ? shift.startTime : (settings.StartTime || '09:00'));
+        const arrival = minutesOf(punchIn) === null || startMinutes === null
+            ? 'Present'
+            : lateMinutesOf(punchIn, settings, shift) > 0 ? 'Late' : 'On Time';
+
+        if (!punchOut) {
+            const last = new Date();
+            if (isOvernightShift(shift)) last.setDate(last.getDate() - 1);
+            if (!date || date >= toDateString(last)) return arrival;
+            if (settings.MissingPunchOut === 'Absent') return 'Absent';
+            if (settings.MissingPunchOut === 'Half Day' && allowHalfDay) return 'Half Day';
+            return arrival;
+        }
+
+        const breakMinutes = shift ? Number(shift.breakMinutes) || 0 : parseInt(settings.BreakDuration, 10) || 0;
+        const worked = workedMinutesOf(punchIn, punchOut, breakMinutes);
+        if (allowHalfDay && worked !== null && fullDayMinutes && worked < fullDayMinutes) {
+            return halfDayMinutes && worked < halfDayMinutes ? 'Absent' : 'Half Day';
+        }
+
+        if (!isNaN(cutoff)) {
+            const endMinutes = shift
+                ? minutesOf(shift.endTime)
+                : minutesOf(settings.StartTime || '09:00') +
+                    Math.round((parseFloat(settings.WorkingHoursPerDay) || 0) * 60) + breakMinutes;
+            const outMinutes = minutesOf(punchOut);
+
+            if (endMinutes !== null && outMinutes !== null) {
+                const earlyBy = ((endMinutes - outMinutes) % 1440 + 1440) % 1440;
+                if (earlyBy > Math.max(0, cutoff) && earlyBy < 12 * 60) return 'Early Leave';
+            }
+        }
+
+        return arrival;
+    };
+
+    /**
+     * Hours worked as H:MM, like Utils.calculateHoursWorked
+     */
+    const hoursWorkedOf = (punchIn, punchOut, breakMinutes = 0) => {
+        const worked = workedMinutesOf(punchIn, punchOut, breakMinutes);
+        return worked === null ? '0:00' : `${Math.floor(worked / 60)}:${String(worked % 60).padStart(2, '0')}`;
+    };
+
+    /**
+     * Current local time as HH:MM
+     */
+    const currentTime = () => {
+        const now = new Date();
+        return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    };
+
+    /**
+     * Validates a shift and returns the row to store (without shiftId)
+     */
+    const normalizeShift = (shift) => {
+        if (!shift || !String(shift.name || '').trim()) fail('Shift name is required');
+        if (minutesOf(shift.startTime) === null || minutesOf(shift.endTime) === null) {
+            fail('Shift start and end times must be in HH:MM format');
+        }
+        if (shift.startTime === shift.endTime) fail('Shift start and end times must differ');
+
+        const graceMinutes = Number(shift.graceMinutes || 0);
+        const breakMinutes = Number(shift.breakMinutes || 0);
+        if (!(graceMinutes >= 0 && graceMinutes <= 120)) fail('Grace period must be between 0 and 120 minutes');
+        if (!(breakMinutes >= 0 && breakMinutes <= 240)) fail('Break must be between 0 and 240 minutes');
+
+        return {
+            name: String(shift.name).trim(),
+            startTime: shift.startTime,
+            endTime: shift.endTime,
+            graceMinutes,
+            breakMinutes,
+            color: shift.color || 'blue'
+        };
+    };
+
+    /**
+     * Validates a holiday and returns the row to store (without holidayId)
+     */
+    const normalizeHoliday = (holiday) => {
+        if (!holiday || !String(holiday.name || '').trim()) fail('Holiday name is required');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday.date || '')) fail('Holiday date must be in YYYY-MM-DD format');
+
+        return {
+            name: String(holiday.name).trim(),
+            date: holiday.date,
+            recurring: holiday.recurring === true || ['yes', 'true', '1'].includes(String(holiday.recurring).toLowerCase()),
+            department: String(holiday.department || '').trim()
+        };
+    };
+
+    /**
+     * Rating fields a template criterion can't be stored under
+     */
+    const RESERVED_RATING_FIELDS = ['recordId', 'memberId', 'date', 'comments', 'templateId', 'suggestions'];
+
+    /**
+     * Data a rating criterion can take a suggested score from
+     */
+    const RATING_SOURCES = ['punctuality', 'deadlines'];
+
+    /**
+     * Built-in template in effect when no stored one applies
+     * (same criteria and scale as CONFIG.DEFAULT_RATING_TEMPLATE)
+     */
+    const DEFAULT_RATING_TEMPLATE = {
+        name: 'Standard',
+        scale: 5,
+        criteria: [
+            { key: 'quality', label: 'Quality of Work' },
+            { key: 'punctuality', label: 'Punctuality' },
+            { key: 'reliability', label: 'Reliability' },
+            { key: 'deadlines', label: 'Meeting Deadlines' }
+        ]
+    };
+
+    /**
+     * Validates a rating template and returns the row to store (without templateId)
+     */
+    const normalizeRatingTemplate = (template) => {
+        if (!template || !String(template.name || '').trim()) fail('Template name is required');
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(template.effectiveFrom || '')) fail('Effective month must be in YYYY-MM format');
+
+        const scale = Number(template.scale);
+        if (!Number.isInteger(scale) || scale < 3 || scale > 10) fail('Scale must be a whole number between 3 and 10');
+
+        const criteria = Array.isArray(template.criteria) ? template.criteria : [];
+        if (criteria.length === 0 || criteria.length > 10) fail('A template needs between 1 and 10 criteria');
+
+        const rows = criteria.map(c => {
+            const key = String(c.key || '').trim();
+            const label = String(c.label || '').trim();
+            const weight = Number(c.weight);
+            const source = String(c.source || '');
+            if (!label) fail('Every criterion needs a name');
+            if (source && !RATING_SOURCES.includes(source)) fail(`Unknown score source "${source}" for "${label}"`);
+            if (!/^[a-z][a-zA-Z0-9]*$/.test(key) || RESERVED_RATING_FIELDS.includes(key)) fail(`"${label}" can't be stored as a rating field`);
+            if (!(weight > 0 && weight <= 100)) fail(`Weight for "${label}" must be more than 0 and at most 100`);
+            return { key, label, weight, source };
+        });
+        if (new Set(rows.map(r => r.key)).size !== rows.length) fail('Criterion names must be unique');
+        RATING_SOURCES.forEach(source => {
+            if (rows.filter(r => r.source === source).length > 1) fail(`Only one criterion can be suggested from ${source}`);
+        });
+
+        return {
+            name: String(template.name).trim(),
+            department: String(template.department || '').trim(),
+            effectiveFrom: template.effectiveFrom,
+            scale,
+            criteria: rows
+        };
+    };
+
+    /**
+     * Finds the stored rating template in effect for a month and department
+     * (same rules as Utils.resolveRatingTemplate), or null for the built-in one
+     */
+    const ratingTemplateFor = (month, department, templates) => {
+        return templates
+            .filter(t => t.effectiveFrom <= month && (!t.department || t.department === department))
+            .sort((a, b) => (b.department ? 1 : 0) - (a.department ? 1 : 0) || b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+    };
+
+    /**
+     * Requires a note wherever a rating's score differs from the score
+     * suggested for it
+     */
+    const checkSuggestionNotes = (rating) => {
+        Object.entries(rating.suggestions || {}).forEach(([key, suggestion]) => {
+            if (rating[key] !== undefined && Number(rating[key]) !== Number(suggestion.score) && !String(suggestion.note || '').trim()) {
+                fail(`A note is required when the ${key} score differs from the suggested ${suggestion.score}`);
+            }
+        });
+    };
+
+    /**
+     * Kinds of review in a cycle, in the order they are shown
+     */
+    const REVIEW_TYPES = ['self', 'peer', 'manager'];
+
+    /**
+     * Most peers one participant can be reviewed by in a cycle
+     */
+    const MAX_REVIEW_PEERS = 8;
+
+    /**
+     * Fewest peer reviews shown in a participant's results; below this
+     * a single colleague's answers could be picked out of the average
+     */
+    const MIN_PEER_RESPONSES = 2;
+
+    /**
+     * Validates a review cycle against the member list and returns the
+     * row to store (without cycleId)
+     */
+    const normalizeReviewCycle = (cycle, members) => {
+        const name = String(cycle.name || '').trim();
+        if (!name) fail('Cycle name is required');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(cycle.startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(cycle.endDate || '')) {
+            fail('Start and end dates must be in YYYY-MM-DD format');
+        }
+        if (cycle.endDate < cycle.startDate) fail('End date cannot be before start date');
+
+        const memberIds = new Set(members.map(m => m.memberId));
+        const participants = [...new Set(Array.isArray(cycle.participants) ? cycle.participants : [])];
+        if (participants.length === 0) fail('Pick at least one participant');
+
+        const peers = {};
+        participants.forEach(memberId => {
+            if (!memberIds.has(memberId)) fail(`Unknown participant: ${memberId}`);
+
+            const list = [...new Set((cycle.peers && cycle.peers[memberId]) || [])];
+            if (list.includes(memberId)) fail(`${memberId} cannot peer-review themselves`);
+            if (list.length > MAX_REVIEW_PEERS) fail(`${memberId} can have at most ${MAX_REVIEW_PEERS} peer reviewers`);
+            list.forEach(peerId => {
+                if (!memberIds.has(peerId)) fail(`Unknown peer reviewer: ${peerId}`);
+            });
+            peers[memberId] = list;
+        });
+
+        return { name, startDate: cycle.startDate, endDate: cycle.endDate, participants, peers };
+    };
+
+    /**
+     * Whether a review cycle is Upcoming, Open (taking reviews) or Closed
+     * on a given day
+     */
+    const reviewCycleStatus = (cycle, day) => {
+        if (day < cycle.startDate) return 'Upcoming';
+        return day > cycle.endDate ? 'Closed' : 'Open';
+    };
+
+    /**
+     * Whether a user may write the manager review for a member: any admin,
+     * or a manager of the member's department, but never for themselves
+     */
+    const canWriteManagerReview = (user, member) => {
+        if (!user || !member || user.memberId === member.memberId) return false;
+        return user.role === 'admin' ||
+            (user.role === 'manager' && !!user.department && member.department === user.department);
+    };
+
+    /**
+     * Which of a participant's reviews in a cycle are in
+     * @returns {Object} - { self, manager, peersExpected, peersSubmitted, pendingPeerIds, submitted, expected }
+     */
+    const reviewProgress = (cycle, reviews, memberId) => {
+        const own = reviews.filter(r => r.cycleId === cycle.cycleId && r.memberId === memberId);
+        const peerIds = cycle.peers[memberId] || [];
+        const peersDone = new Set(own.filter(r => r.type === 'peer').map(r => r.reviewerId));
+        const self = own.some(r => r.type === 'self');
+        const manager = own.find(r => r.type === 'manager') || null;
+        const peersSubmitted = peerIds.filter(id => peersDone.has(id)).length;
+
+        return {
+            self,
+            manager,
+            peersExpected: peerIds.length,
+            peersSubmitted,
+            pendingPeerIds: peerIds.filter(id => !peersDone.has(id)),
+            submitted: (self ? 1 : 0) + (manager ? 1 : 0) + peersSubmitted,
+            expected: 2 + peerIds.length
+        };
+    };
+
+    /**
+     * Averages the scores of several reviews per criterion (2 decimals)
+     */
+    const averageReviewScores = (reviews) => {
+        const totals = {};
+        reviews.forEach(r => {
+            Object.entries(r.scores || {}).forEach(([key, value]) => {
+                totals[key] = totals[key] || { sum: 0, count: 0 };
+                totals[key].sum += Number(value) || 0;
+                totals[key].count += 1;
+            });
+        });
+
+        const averages = {};
+        Object.entries(totals).forEach(([key, { sum, count }]) => {
+            averages[key] = Math.round((sum / count) * 100) / 100;
+        });
+        return averages;
+    };
+
+    /**
+     * Most key results one objective may have
+     */
+    const MAX_KEY_RESULTS = 5;
+
+    /**
+     * Validates an objective against the member list and returns the row
+     * to store (without objectiveId). Member objectives take the member's
+     * department; key results keep their IDs so linked tasks stay linked.
+     */
+    const normalizeObjective = (objective, members) => {
+        const title = String(objective.title || '').trim();
+        if (!title) fail('Objective title is required');
+        if (!/^\d{4}-Q[1-4]$/.test(objective.period || '')) fail('Period must be a quarter in YYYY-Qn format');
+
+        let department = String(objective.department || '').trim();
+        const memberId = objective.memberId || '';
+        if (memberId) {
+            const member = members.find(m => m.memberId === memberId);
+            if (!member) fail(`Unknown member: ${memberId}`);
+            department = member.department || '';
+        }
+        if (!department) fail('Pick the member or department this objective belongs to');
+
+        const keyResults = Array.isArray(objective.keyResults) ? objective.keyResults : [];
+        if (keyResults.length === 0) fail('Add at least one key result');
+        if (keyResults.length > MAX_KEY_RESULTS) fail(`An objective can have at most ${MAX_KEY_RESULTS} key results`);
+
+        return {
+            title,
+            description: String(objective.description || '').trim(),
+            period: objective.period,
+            memberId,
+            department,
+            keyResults: keyResults.map(kr => {
+                const krTitle = String(kr.title || '').trim();
+                if (!krTitle) fail('Every key result needs a title');
+
+                const startValue = kr.startValue === undefined || kr.startValue === '' ? 0 : Number(kr.startValue);
+                const targetValue = Number(kr.targetValue);
+                const currentValue = kr.currentValue === undefined || kr.currentValue === '' ? startValue : Number(kr.currentValue);
+                if (![startValue, targetValue, currentValue].every(Number.isFinite)) {
+                    fail(`"${krTitle}" needs numeric start, target and current values`);
+                }
+                if (targetValue === startValue) fail(`"${krTitle}" needs a target different from its start value`);
+
+                return {
+                    keyResultId: kr.keyResultId || generateId('KR'),
+                    title: krTitle,
+                    startValue,
+                    targetValue,
+                    currentValue,
+                    unit: String(kr.unit || '').trim().slice(0, 20)
+                };
+            })
+        };
+    };
+
+    /**
+     * Whether a member's task may count towards an objective: the
+     * member's own objectives and their department's
+     */
+    const canLinkTask = (objective, member) => objective.memberId
+        ? objective.memberId === member.memberId
+        : !!member.department && objective.department === member.department;
+
+    /**
+     * Task priority levels, lowest first
+     */
+    const TASK_PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+    /**
+     * Statuses a subtask can be in
+     */
+    const SUBTASK_STATUSES = ['Pending', 'In Progress', 'Completed'];
+
+    /**
+     * Most subtasks per task, and checklist items per subtask
+     */
+    const MAX_SUBTASKS = 20;
+    const MAX_CHECKLIST_ITEMS = 20;
+
+    /**
+     * Validates the priority, effort and subtask fields present on a task
+     * (add or partial update) and returns them normalized. Subtasks and
+     * checklist items keep their IDs across edits.
+     */
+    const normalizeTaskDetails = (task) => {
+        const details = {};
+
+        if ('priority' in task) {
+            const priority = task.priority || 'Medium';
+            if (!TASK_PRIORITIES.includes(priority)) fail(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+            details.priority = priority;
+        }
+
+        [['estimatedHours', 'Estimated'], ['actualHours', 'Actual']].forEach(([field, label]) => {
+            if (!(field in task)) return;
+            if (task[field] === '' || task[field] === null) {
+                details[field] = '';
+                return;
+            }
+            const hours = Number(task[field]);
+            if (!Number.isFinite(hours) || hours < 0) fail(`${label} effort must be a number of hours, 0 or more`);
+            details[field] = Math.round(hours * 100) / 100;
+        });
+
+        if ('subtasks' in task) {
+            const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+            if (subtasks.length > MAX_SUBTASKS) fail(`A task can have at most ${MAX_SUBTASKS} subtasks`);
+
+            details.subtasks = subtasks.map(subtask => {
+                const title = String(subtask.title || '').trim();
+                if (!title) fail('Every subtask needs a title');
+
+                const status = subtask.status || 'Pending';
+                if (!SUBTASK_STATUSES.includes(status)) fail(`"${title}" has an unknown status: ${status}`);
+
+                const checklist = Array.isArray(subtask.checklist) ? subtask.checklist : [];
+                if (checklist.length > MAX_CHECKLIST_ITEMS) fail(`"${title}" can have at most ${MAX_CHECKLIST_ITEMS} checklist items`);
+
+                return {
+                    subtaskId: subtask.subtaskId || generateId('ST'),
+                    title,
+                    status,
+                    checklist: checklist.map(item => {
+                        const text = String(item.text || '').trim();
+                        if (!text) fail(`Every checklist item of "${title}" needs text`);
+                        return { itemId: item.itemId || generateId('CK'), text, done: !!item.done };
+                    })
+                };
+            });
+        }
+
+        return details;
+    };
+
+    /**
+     * Returns the YYYY-MM month after a YYYY-MM month
+     */
+    const nextMonth = (month) => {
+        const [y, m] = month.split('-').map(Number);
+        return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+    };
+
+    /**
+     * Rounds a day count to 2 decimals (avoids float drift in balances)
+     */
+    const roundDays = (days) => Math.round(days * 100) / 100;
+
+    /**
+     * Builds a member's paid leave ledger from their joining month through
+     * untilMonth (YYYY-MM). Every month credits PaidLeavePerMonth (prorated
+     * by calendar days in the joining month when ProrateJoiningMonth is on),
+     * then applies the month's adjustments and leave taken. After December
+     * the balance above CarryForwardCap expires and the rest is carried
+     * forward; with CarryForwardExpiryMonths set, carried days still unused
+     * at the end of that month of the new year expire too.
+     * @param {Object} input - { joinDate, untilMonth, settings, events }
+     *                         events: { date, type, description, days, ... } (days < 0 debits)
+     * @returns {Array} - Entries { date, type, description, days, balance, ... } in date order
+     */
+    const buildLeaveLedger = ({ joinDate, untilMonth, settings, events }) => {
+        const rate = parseFloat(settings.PaidLeavePerMonth) || 0;
+        const cap = Math.max(0, parseFloat(settings.CarryForwardCap) || 0);
+        const expiryMonths = parseInt(settings.CarryForwardExpiryMonths, 10) || 0;
+        const prorate = settings.ProrateJoiningMonth !== 'No';
+
+        const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date));
+        const joinMonth = /^\d{4}-\d{2}-\d{2}$/.test(joinDate || '') ? joinDate.slice(0, 7) : null;
+        const firstEventMonth = sorted.length ? sorted[0].date.slice(0, 7) : untilMonth;
+
+        // Without a joining date, accrue from January of the first year with activity
+        let month = joinMonth && joinMonth <= firstEventMonth
+            ? joinMonth
+            : `${(firstEventMonth < untilMonth ? firstEventMonth : untilMonth).slice(0, 4)}-01`;
+
+        const entries = [];
+        let balance = 0;
+        let carried = 0;
+        let usedThisYear = 0;
+
+        const post = (entry) => {
+            balance = roundDays(balance + entry.days);
+            entries.push({ ...entry, days: roundDays(entry.days), balance });
+        };
+
+        for (; month <= untilMonth; month = nextMonth(month)) {
+            const [y, m] = month.split('-').map(Number);
+            const daysInMonth = new Date(y, m, 0).getDate();
+
+            if (rate && (!joinMonth || month >= joinMonth)) {
+                if (month === joinMonth && prorate && joinDate.slice(8) !== '01') {
+                    const remaining = daysInMonth - Number(joinDate.slice(8)) + 1;
+                    post({
+                        date: joinDate,
+                        type: 'Accrual',
+                        description: `Monthly accrual (prorated, ${remaining} of ${daysInMonth} days)`,
+                        days: rate * remaining / daysInMonth
+                    });
+                } else {
+                    post({ date: `${month}-01`, type: 'Accrual', description: 'Monthly accrual', days: rate });
+                }
+            }
+
+            sorted.filter(e => e.date.startsWith(month)).forEach(e => {
+                post(e);
+                if (e.days < 0) usedThisYear += -e.days;
+            });
+
+            // Leave taken draws on carried-forward days first
+            if (expiryMonths && m === expiryMonths && carried > 0) {
+                const unused = Math.min(Math.max(0, carried - usedThisYear), Math.max(0, balance));
+                if (unused > 0) {
+                    post({
+                        date: `${month}-${daysInMonth}`,
+                        type: 'Expired',
+                        description: `Carried-forward leave not used within ${expiryMonths} month(s)`,
+                        days: -unused
+                    });
+                }
+                carried = 0;
+            }
+
+            // Year end, once December is over
+            if (m === 12 && month < untilMonth) {
+                if (balance > cap) {
+                    post({ date: `${y}-12-31`, type: 'Expired', description: `Above the carry-forward cap of ${cap} day(s)`, days: cap - balance });
+                }
+                carried = Math.max(0, balance);
+                usedThisYear = 0;
+                if (balance !== 0) {
+                    entries.push({ date: `${y + 1}-01-01`, type: 'Carry Forward', description: `Balance carried from ${y}`, days: balance, balance });
+                }
+            }
+        }
+        return entries;
+    };
+
+    /**
+     * Works out a member's timesheet day by day. Working days are scheduled
+     * for their shift's length less its break, or WorkingHoursPerDay without
+     * a shift; holidays, leave and days off are scheduled for nothing, so
+     * time worked on them is all overtime. Worked time is the punch span
+     * less the same break (BreakDuration without a shift). Days still to
+     * come, and today until punch-out, get no overtime or undertime yet.
+     * @param {Object} input - { dates, workingDates, records, settings, shiftOf, holidayOf, asOf }
+     *                         shiftOf/holidayOf: date → shift/holiday or null
+     * @returns {Array} - Days { date, scheduledMinutes, breakMinutes, workedMinutes,
+     *                    overtimeMinutes, undertimeMinutes, note, projected, ... }
+     */
+    const buildTimesheet = ({ dates, workingDates, records, settings, shiftOf, holidayOf, asOf }) => {
+        const working = new Set(workingDates);
+        const byDate = new Map(records.map(r => [r.date, r]));
+        const standardMinutes = Math.round((parseFloat(settings.WorkingHoursPerDay) || 0) * 60);
+        const standardBreak = parseInt(settings.BreakDuration, 10) || 0;
+
+        return dates.map(date => {
+            const record = byDate.get(date) || {};
+            const shift = shiftOf(date);
+            const holiday = holidayOf(date);
+            const onLeave = record.status === 'On Leave';
+            const breakAllowance = shift ? Number(shift.breakMinutes) || 0 : standardBreak;
+
+            const scheduledMinutes = working.has(date) && !onLeave
+                ? (shift ? Math.max(0, spanMinutes(shift.startTime, shift.endTime) - breakAllowance) : standardMinutes)
+                : 0;
+
+            const span = spanMinutes(record.punchIn, record.punchOut);
+            const breakMinutes = span === null ? 0 : Math.min(breakAllowance, span);
+            const workedMinutes = span === null ? 0 : span - breakMinutes;
+
+            const open = !!record.punchIn && !record.punchOut;
+            const projected = date > asOf || (date === asOf && !record.punchOut);
+
+            let note = '';
+            if (holiday) note = holiday.name;
+            else if (onLeave) note = 'On leave';
+            else if (open && !projected) note = 'Missing punch-out';
+            else if (!working.has(date)) note = 'Day off';
+
+            return {
+                date,
+                status: record.status || '',
+                shiftName: shift ? shift.name : '',
+                punchIn: record.punchIn || '',
+                punchOut: record.punchOut || '',
+                scheduledMinutes,
+                breakMinutes,
+                workedMinutes,
+                overtimeMinutes: projected ? 0 : Math.max(0, workedMinutes - scheduledMinutes),
+                undertimeMinutes: projected ? 0 : Math.max(0, scheduledMinutes - workedMinutes),
+                note,
+                projected
+            };
+        });
+    };
+
+    /**
+     * Adds up timesheet days (daysWorked counts days with time worked)
+     */
+    const sumTimesheet = (days) => {
+        return days.reduce((acc, d) => {
+            acc.scheduledMinutes += d.scheduledMinutes;
+            acc.workedMinutes += d.workedMinutes;
+            acc.overtimeMinutes += d.overtimeMinutes;
+            acc.undertimeMinutes += d.undertimeMinutes;
+            if (d.workedMinutes > 0) acc.daysWorked++;
+            return acc;
+        }, { scheduledMinutes: 0, workedMinutes: 0, overtimeMinutes: 0, undertimeMinutes: 0, daysWorked: 0 });
+    };
+
+    /**
+     * Works out a member's payroll figures for a month. Days present count
+     * every day with a present status (days off included); absences are
+     * working days before asOf with no attendance, or marked Absent. Leave
+     * is unpaid when its request is of type Unpaid. Deductions follow the
+     * Payroll* settings: every PayrollLatesPerDeduction late arrivals
+     * (half days and early leaves that started late included) cost
+     * PayrollLateDeductionDays, and each half day, absence and unpaid
+     * leave day its own rate (unpaid leave always a full day).
+     * @param {Object} input - { workingDates, records, days, unpaidLeaveIds, settings, asOf }
+     *                         days: the member's timesheet days (for overtime)
+     * @returns {Object} - { workingDays, daysPresent, lateCount, halfDays, absentDays,
+     *                     paidLeaveDays, unpaidLeaveDays, overtimeHours,
+     *                     lateDeductionDays, deductionDays, payableDays }
+     */
+    const summarizePayroll = ({ workingDates, records, days, unpaidLeaveIds, settings, asOf }) => {
+        const byDate = new Map(records.map(r => [r.date, r]));
+        const count = (status) => records.filter(r => r.status === status).length;
+        const rate = (key) => Math.max(0, parseFloat(settings[key]) || 0);
+
+        // Late arrivals count on half days and early leaves too
+        const lateCount = records.filter(r => WORKED_STATUSES.includes(r.status) && isLateRecord(r)).length;
+        const halfDays = count('Half Day');
+        const leave = records.filter(r => r.status === 'On Leave');
+        const unpaidLeaveDays = leave.filter(r => r.leaveId && unpaidLeaveIds.has(r.leaveId)).length;
+        const absentDays = workingDates.filter(date => {
+            const record = byDate.get(date);
+            return record ? record.status === 'Absent' : date < asOf;
+        }).length;
+
+        const latesPerDeduction = parseInt(settings.PayrollLatesPerDeduction, 10) || 0;
+        const lateDeductionDays = latesPerDeduction > 0
+            ? Math.floor(lateCount / latesPerDeduction) * rate('PayrollLateDeductionDays')
+            : 0;
+        const deductionDays = roundDays(
+            lateDeductionDays +
+            halfDays * rate('PayrollHalfDayDeductionDays') +
+            absentDays * rate('PayrollAbsentDeductionDays') +
+            unpaidLeaveDays
+        );
+
+        return {
+            workingDays: workingDates.length,
+            daysPresent: records.filter(r => WORKED_STATUSES.includes(r.status)).length,
+            lateCount,
+            halfDays,
+            absentDays,
+            paidLeaveDays: leave.length - unpaidLeaveDays,
+            unpaidLeaveDays,
+            overtimeHours: Math.round(sumTimesheet(days).overtimeMinutes / 60 * 100) / 100,
+            lateDeductionDays: roundDays(lateDeductionDays),
+            deductionDays,
+            payableDays: roundDays(Math.max(0, workingDates.length - deductionDays))
+        };
+    };
+
+    /**
+     * Groups timesheet days into Monday-to-Sunday weeks (the first and
+     * last week of a month are cut at the month's edges) with totals
+     */
+    const groupTimesheetWeeks = (days) => {
+        const weeks = [];
+        days.forEach(day => {
+            const [y, m, d] = day.date.split('-').map(Number);
+            if (weeks.length === 0 || new Date(y, m - 1, d).getDay() === 1) weeks.push([]);
+            weeks[weeks.length - 1].push(day);
+        });
+        return weeks.map(week => ({
+            startDate: week[0].date,
+            endDate: week[week.length - 1].date,
+            ...sumTimesheet(week)
+        }));
+    };
+
+    /**
+     * Generates a reasonably unique record ID with a prefix
+     */
+    const generateId = (prefix) => {
+        return `${prefix}${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 1296).toString(36).toUpperCase().padStart(2, '0')}`;
+    };
+
+    /**
+     * generateId for rows written in a loop, where several ids share the
+     * same millisecond; `taken` collects the ids handed out so far
+     */
+    const generateUniqueId = (prefix, taken) => {
+        let id;
+        do {
+            id = generateId(prefix);
+        } while (taken.has(id));
+        taken.add(id);
+        return id;
+    };
+
+    /**
+     * Returns a random hex string (used for tokens and salts)
+     */
+    const randomHex = (bytes) => {
+        const values = new Uint8Array(bytes);
+        globalThis.crypto.getRandomValues(values);
+        return Array.from(values, b => b.toString(16).padStart(2, '0')).join('');
+    };
+
+    /**
+     * Hashes a password with its salt (SHA-256, hex)
+     */
+    const hashPassword = async (password, salt) => {
+        const input = new TextEncoder().encode(`${salt}:${password}`);
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', input);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    };
+
+    /**
+     * Public part of a user row (never includes the password hash).
+     * The department comes from the linked member record.
+     */
+    const toUser = (row, members = []) => {
+        const member = members.find(m => m.memberId === row.memberId);
+        return {
+            username: row.username,
+            name: row.name || row.username,
+            role: row.role || 'employee',
+            memberId: row.memberId || '',
+            department: member?.department || '',
+            mustChangePassword: !!row.mustChangePassword
+        };
+    };
+
+    /**
+     * Generates the next EMP### member ID
+     */
+    const nextMemberId = (members) => {
+        const max = members
+            .map(m => parseInt(String(m.memberId || '').replace('EMP', ''), 10))
+            .filter(n => !isNaN(n))
+            .reduce((a, b) => Math.max(a, b), 0);
+        return `EMP${String(max + 1).padStart(3, '0')}`;
+    };
+
+    /**
+     * Returns the key value of a row for a table (compound keys are arrays)
+     */
+    const keyOf = (table, row) => {
+        const keyPath = TABLES[table];
+        return Array.isArray(keyPath) ? keyPath.map(k => row[k]) : row[keyPath];
+    };
+
+    // ============================================
+    // 🏭 HANDLER FACTORY
+    // ============================================
+
+    /**
+     * Creates the action handlers bound to a store
+     * @param {Object} store - Table store (getAll, put, remove)
+     * @param {Object} [options] - { seed: boolean, sessionTtl: ms }
+     *                              seed writes demo data on first run
+     * @returns {Object} - { handle(action, params) → Promise<envelope> }
+     */
+    const create = (store, options = {}) => {
+        let ready = null;
+
+        /**
+         * Writes default settings (and demo members) into an empty store,
+         * and the default admin account into an empty users table
+         */
+        const ensureSeeded = () => {
+            if (!ready) {
+                ready = (async () => {
+                    const users = await store.getAll('users');
+                    if (users.length === 0) {
+                        const accounts = options.seed ? [DEFAULT_ADMIN, ...DEMO_USERS] : [DEFAULT_ADMIN];
+                        for (const { password, ...account } of accounts) {
+                            const salt = randomHex(8);
+                            await store.put('users', { ...account, salt, passwordHash: await hashPassword(password, salt) });
+                        }
+                    }
+
+                    const settingsRows = await store.getAll('settings');
+                    if (settingsRows.length > 0) return;
+
+                    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+                        await store.put('settings', { key, value: DEFAULT_SETTINGS[key] });
+                    }
+
+                    if (options.seed) {
+                        for (const member of DEMO_MEMBERS) {
+                            await store.put('members', {
+                                phone: '',
+                                joinDate: '2024-01-01',
+                                birthDate: '',
+                                status: 'Active',
+                                notes: '',
+                                ...member
+                            });
+                        }
+                    }
+                })();
+            }
+            return ready;
+        };
+
+        /**
+         * Finds a row by key or fails with 404
+         */
+        const findOrFail = async (table, field, value, label) => {
+            const rows = await store.getAll(table);
+            const row = rows.find(r => String(r[field]) === String(value));
+            if (!row) fail(`${label} not found`, 404);
+            return row;
+        };
+
+        /**
+         * Fails unless a task's key result (if any) belongs to an objective
+         * of the task's member or of their department
+         */
+        const checkTaskKeyResult = async (task) => {
+            if (!task.keyResultId) return;
+
+            const objectives = await store.getAll('objectives');
+            const objective = objectives.find(o => o.keyResults.some(kr => kr.keyResultId === task.keyResultId));
+            if (!objective) fail('Key result not found', 404);
+
+            const member = await findOrFail('members', 'memberId', task.memberId, 'Member');
+            if (!canLinkTask(objective, member)) {
+                fail(`${member.name || member.memberId}'s tasks can only count towards their own or their department's objectives`);
+            }
+        };
+
+        /**
+         * Fails unless a manager is working within their own department
+         */
+        const checkObjectiveDepartment = (user, department) => {
+            if (user && user.role === 'manager' && (!user.department || department !== user.department)) {
+                fail('You can only manage objectives of your own department', 403);
+            }
+        };
+
+        /**
+         * Adds member name/photo/department to attendance rows
+         */
+        const enrichAttendance = async (rows) => {
+            const members = await store.getAll('members');
+            const byId = new Map(members.map(m => [m.memberId, m]));
+            return rows.map(r => {
+                const member = byId.get(r.memberId);
+                return {
+                    ...r,
+                    memberName: member?.name || '',
+                    memberPhoto: member?.photoURL || '',
+                    department: member?.department || ''
+                };
+            });
+        };
+
+        /**
+         * Stored settings over the defaults (older stores may lack newer keys)
+         */
+        const loadSettings = async () => {
+            const rows = await store.getAll('settings');
+            return rows.reduce((acc, row) => {
+                acc[row.key] = row.value;
+                return acc;
+            }, { ...DEFAULT_SETTINGS });
+        };
+
+        /**
+         * The holidays and department used to count a member's working days
+         */
+        const loadHolidayCalendar = async (memberId) => {
+            const member = (await store.getAll('members')).find(m => m.memberId === memberId);
+            return { holidays: await store.getAll('holidays'), department: member?.department || '' };
+        };
+
+        /**
+         * A member's paid leave ledger through untilMonth (YYYY-MM).
+         * Attendance marked On Leave without a leave request (entered
+         * before requests existed) counts as paid leave taken.
+         */
+        const getPaidLeaveLedger = async (memberId, untilMonth, settings) => {
+            const member = (await store.getAll('members')).find(m => m.memberId === memberId);
+            const calendar = await loadHolidayCalendar(memberId);
+            const events = [];
+
+            // One debit per approved request per month it touches
+            (await store.getAll('leaves'))
+                .filter(l => l.memberId === memberId && l.type === 'Paid' && l.status === 'Approved')
+                .forEach(l => {
+                    const byMonth = {};
+                    listWorkingDates(l.startDate, l.endDate, settings, calendar).forEach(d => {
+                        (byMonth[d.slice(0, 7)] = byMonth[d.slice(0, 7)] || []).push(d);
+                    });
+                    Object.values(byMonth).forEach(dates => events.push({
+                        date: dates[0],
+                        type: 'Taken',
+                        description: `Paid leave: ${l.reason}`,
+                        days: -dates.length,
+                        leaveId: l.leaveId
+                    }));
+                });
+
+            const untracked = {};
+            (await store.getAll('attendance'))
+                .filter(r => r.memberId === memberId && r.status === 'On Leave' && !r.leaveId)
+                .forEach(r => {
+                    (untracked[r.date.slice(0, 7)] = untracked[r.date.slice(0, 7)] || []).push(r.date);
+                });
+            Object.values(untracked).forEach(dates => events.push({
+                date: dates.sort()[0],
+                type: 'Taken',
+                description: `Marked On Leave (${dates.length} day${dates.length === 1 ? '' : 's'})`,
+                days: -dates.length
+            }));
+
+            (await store.getAll('leaveAdjustments'))
+                .filter(a => a.memberId === memberId)
+                .forEach(a => events.push({
+                    date: a.date,
+                    type: 'Adjustment',
+                    description: a.reason,
+                    days: Number(a.days) || 0,
+                    adjustmentId: a.adjustmentId
+                }));
+
+            return buildLeaveLedger({
+                joinDate: member?.joinDate,
+                untilMonth,
+                settings,
+                events: events.filter(e => e.date.slice(0, 7) <= untilMonth)
+            });
+        };
+
+        /**
+         * Leave days taken and pending per type for the periods containing
+         * year/month. Paid leave comes from the ledger: allowed is what was
+         * credited this year (carry-forward, accruals, adjustments, less
+         * expiries) and remaining is the ledger balance at the end of month.
+         */
+        const getLeaveBalances = async (memberId, year, month, settings) => {
+            const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+            const yearPrefix = String(year);
+            const leaves = (await store.getAll('leaves')).filter(l => l.memberId === memberId);
+            const calendar = await loadHolidayCalendar(memberId);
+
+            const countDays = (type, status, prefix) => leaves
+                .filter(l => l.type === type && l.status === status)
+                .reduce((sum, l) => sum + listWorkingDates(l.startDate, l.endDate, settings, calendar)
+                    .filter(d => d.startsWith(prefix)).length, 0);
+
+            const ledger = (await getPaidLeaveLedger(memberId, monthPrefix, settings))
+                .filter(e => e.date.startsWith(yearPrefix));
+
+            return Object.keys(LEAVE_TYPES).reduce((acc, type) => {
+                const policy = LEAVE_TYPES[type];
+
+                if (policy && policy.period === 'accrual') {
+                    const taken = roundDays(ledger.filter(e => e.type === 'Taken').reduce((sum, e) => sum - e.days, 0));
+                    const remaining = ledger.length ? ledger[ledger.length - 1].balance : 0;
+                    acc[type] = {
+                        period: policy.period,
+                        allowed: roundDays(remaining + taken),
+                        taken,
+                        pending: countDays(type, 'Pending', yearPrefix),
+                        remaining
+                    };
+                    return acc;
+                }
+
+                const prefix = policy && policy.period === 'year' ? yearPrefix : monthPrefix;
+                const taken = countDays(type, 'Approved', prefix);
+                const allowed = policy ? parseFloat(settings[policy.setting]) || 0 : null;
+                acc[type] = {
+                    period: policy ? policy.period : null,
+                    allowed,
+                    taken,
+                    pending: countDays(type, 'Pending', prefix),
+                    remaining: allowed === null ? null : Math.max(0, allowed - taken)
+                };
+                return acc;
+            }, {});
+        };
+
+        /**
+         * The tables a timesheet is worked out from, loaded once so
+         * month-wide reports can reuse them for every member
+         */
+        const loadTimesheetTables = async () => {
+            const [holidays, shiftAssignments, shifts, attendance] = await Promise.all([
+                store.getAll('holidays'),
+                store.getAll('shiftAssignments'),
+                store.getAll('shifts'),
+                store.getAll('attendance')
+            ]);
+            return { holidays, shiftAssignments, shifts, attendance };
+        };
+
+        /**
+         * A member's timesheet for a month (YYYY-MM): the days, their
+         * Monday-to-Sunday weeks and the month's totals. Days before the
+         * member joined are not scheduled. Pass tables from
+         * loadTimesheetTables when working out many members at once.
+         */
+        const getMonthTimesheet = async (member, month, settings, tables = null) => {
+            const { holidays, shiftAssignments, shifts, attendance } = tables || await loadTimesheetTables();
+            const { startDate, endDate } = monthRange(month);
+            const calendar = { holidays, department: member.department || '' };
+            const assignments = shiftAssignments.filter(a => a.memberId === member.memberId);
+
+            const days = buildTimesheet({
+                dates: listDates(startDate, endDate),
+                workingDates: listWorkingDates(startDate, endDate, settings, calendar)
+                    .filter(d => !member.joinDate || d >= member.joinDate),
+                records: attendance
+                    .filter(r => r.memberId === member.memberId && r.date >= startDate && r.date <= endDate),
+                settings,
+                shiftOf: (date) => resolveShift(member.memberId, date, assignments, shifts),
+                holidayOf: (date) => findHoliday(date, calendar.holidays, calendar.department),
+                asOf: today()
+            });
+
+            return { days, weeks: groupTimesheetWeeks(days), totals: sumTimesheet(days) };
+        };
+
+        // ----------------------------------------
+        // Action table
+        // ----------------------------------------
+
+        const actions = {
+            // Auth
+            login: async ({ username, password }) => {
+                if (!username || !password) fail('Username and password are required');
+
+                const users = await store.getAll('users');
+                const row = users.find(u => u.username.toLowerCase() === String(username).trim().toLowerCase());
+                if (!row || row.disabled || await hashPassword(password, row.salt) !== row.passwordHash) {
+                    fail('Invalid username or password', 401);
+                }
+
+                const session = {
+                    token: randomHex(24),
+                    username: row.username,
+                    createdAt: new Date().toISOString(),
+                    expiresAt: new Date(Date.now() + (options.sessionTtl || SESSION_TTL)).toISOString()
+                };
+                await store.put('sessions', session);
+
+                return { token: session.token, expiresAt: session.expiresAt, user: toUser(row, await store.getAll('members')) };
+            },
+
+            logout: async (params, { session }) => {
+                await store.remove('sessions', session.token);
+                return { loggedOut: true };
+            },
+
+            getSession: async (params, { session, user }) => {
+                return { expiresAt: session.expiresAt, user };
+            },
+
+            changePassword: async ({ currentPassword, newPassword }, { session }) => {
+                if (!currentPassword || !newPassword) fail('Current and new password are required');
+                const password = String(newPassword);
+                if (password.length < MIN_PASSWORD_LENGTH) fail(`The new password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+                if (password === String(currentPassword)) fail('The new password must be different from the current one');
+
+                const row = await findOrFail('users', 'username', session.username, 'User');
+                // Not 401 — that would sign the user out
+                if (await hashPassword(String(currentPassword), row.salt) !== row.passwordHash) fail('Current password is incorrect', 403);
+
+                const { mustChangePassword, ...account } = row;
+                const salt = randomHex(8);
+                await store.put('users', { ...account, salt, passwordHash: await hashPassword(password, salt) });
+
+                // Every other session of this user ends
+                const sessions = (await store.getAll('sessions')).filter(s => s.username === row.username && s.token !== session.token);
+                for (const other of sessions) {
+                    await store.remove('sessions', other.token);
+                }
+
+                return { user: toUser(account, await store.getAll('members')) };
+            },
+
+            // Settings
+            getSettings: async () => loadSettings(),
+
+            saveSettings: async ({ settings }) => {
+                if (!settings || typeof settings !== 'object') fail('Settings object is required');
+                for (const key of Object.keys(settings)) {
+                    await store.put('settings', { key, value: settings[key] });
+                }
+                return { updated: Object.keys(settings).length };
+            },
+
+            // Members
+            getMembers: async () => {
+                const members = await store.getAll('members');
+                return members.filter(m => m.status === 'Active');
+            },
+
+            getAllMembers: async () => store.getAll('members'),
+
+            getMemberNames: async () => {
+                const members = await store.getAll('members');
+                return members.map(m => ({
+                    memberId: m.memberId,
+                    name: m.name,
+                    photoURL: m.photoURL,
+                    department: m.department
+                }));
+            },
+
+            getMember: async ({ memberId }) => findOrFail('members', 'memberId', memberId, 'Member'),
+
+            addMember: async ({ member }) => {
+                if (!member || !member.name) fail('Member object with name is required');
+                const members = await store.getAll('members');
+                if (member.email && members.some(m => (m.email || '').toLowerCase() === member.email.toLowerCase())) {
+                    fail('A member with this email already exists', 409);
+                }
+                const memberId = member.memberId && !members.some(m => m.memberId === member.memberId)
+                    ? member.memberId
+                    : nextMemberId(members);
+                await store.put('members', { status: 'Active', ...member, memberId });
+                return { memberId };
+            },
+
+            importMembers: async ({ members: batch }) => {
+                if (!Array.isArray(batch) || batch.length === 0) fail('members must be a non-empty array');
+
+                const members = await store.getAll('members');
+                const errors = [];
+                const memberIds = [];
+
+                for (const [index, member] of batch.entries()) {
+                    if (!member || !member.name) {
+                        errors.push({ row: index + 1, message: 'Name is required' });
+                        continue;
+                    }
+                    const email = String(member.email || '').toLowerCase();
+                    if (email && members.some(m => (m.email || '').toLowerCase() === email)) {
+                        errors.push({ row: index + 1, message: 'A member with this email already exists' });
+                        continue;
+                    }
+
+                    const memberId = member.memberId && !members.some(m => m.memberId === member.memberId)
+                        ? member.memberId
+                        : nextMemberId(members);
+                    const stored = { status: 'Active', ...member, memberId };
+                    await store.put('members', stored);
+                    members.push(stored);
+                    memberIds.push(memberId);
+                }
+                return { added: memberIds.length, memberIds, errors };
+            },
+
+            updateMember: async ({ memberId, member }) => {
+                const existing = await findOrFail('members', 'memberId', memberId, 'Member');
+                await store.put('members', { ...existing, ...member, memberId: existing.memberId });
+                return { memberId: existing.memberId };
+            },
+
+            deleteMember: async ({ memberId }) => {
+                const existing = await findOrFail('members', 'memberId', memberId, 'Member');
+                await store.remove('members', keyOf('members', existing));
+                return { memberId: existing.memberId };
+            },
+
+            // Attendance
+            getAttendance: async ({ date }) => {
+                const rows = await store.getAll('attendance');
+                return enrichAttendance(rows.filter(r => r.date === date));
+            },
+
+            getAttendanceByMember: async ({ memberId }) => {
+                const rows = await store.getAll('attendance');
+                return rows
+                    .filter(r => r.memberId === memberId)
+                    .sort((a, b) => b.date.localeCompare(a.date));
+            },
+
+            getAttendanceRange: async ({ startDate, endDate }) => {
+                const rows = await store.getAll('attendance');
+                return enrichAttendance(rows.filter(r => r.date >= startDate && r.date <= endDate));
+            },
+
+            saveAttendance: async ({ batch }, { user }) => {
+                if (!Array.isArray(batch) || batch.length === 0) fail('Attendance batch array is required');
+                let inserted = 0;
+                let updated = 0;
+
+                for (let record of batch) {
+                    if (!record.date || !record.memberId) fail('Record is missing required fields (date, memberId)');
+                    if (record.punch) record = await stampPunch(record, user);
+                    const rows = await store.getAll('attendance');
+                    const existing = rows.find(r => r.date === record.date && r.memberId === record.memberId);
+                    const { memberName, memberPhoto, department, punch, ...data } = record;
+                    await store.put('attendance', { ...(existing || {}), ...data });
+                    existing ? updated++ : inserted++;
+                }
+
+                return { processed: batch.length, inserted, updated };
+            },
+
+            updateAttendance: async ({ date, memberId, data }) => {
+                const rows = await store.getAll('attendance');
+                const existing = rows.find(r => r.date === date && r.memberId === memberId);
+                if (!existing) fail('Attendance record not found', 404);
+                await store.put('attendance', { ...existing, ...(data || {}), date, memberId });
+                return { date, memberId };
+            },
+
+            deleteAttendance: async ({ date, memberId }) => {
+                await store.remove('attendance', [date, memberId]);
+                return { date, memberId };
+            },
+
+            // Performance Tasks
+            getPerformanceTasks: async ({ memberId }) => {
+                const tasks = await store.getAll('tasks');
+                return memberId ? tasks.filter(t => t.memberId === memberId) : tasks;
+            },
+
+            getTask: async ({ taskId }) => findOrFail('tasks', 'taskId', taskId, 'Task'),
+
+            addTask: async ({ task }) => {
+                if (!task || !task.memberId || !task.title) fail('Task with memberId and title is required');
+                await checkTaskKeyResult(task);
+                const taskId = task.taskId || generateId('T');
+                await store.put('tasks', {
+                    status: 'Pending', priority: 'Medium', subtasks: [], createdAt: today(),
+                    ...task, ...normalizeTaskDetails(task), taskId
+                });
+                return { taskId };
+            },
+
+            updateTask: async ({ taskId, task }) => {
+                const existing = await findOrFail('tasks', 'taskId', taskId, 'Task');
+                const updated = { ...existing, ...task, ...normalizeTaskDetails(task), taskId: existing.taskId };
+                if ('keyResultId' in task || 'memberId' in task) await checkTaskKeyResult(updated);
+                await store.put('tasks', updated);
+                return { taskId: existing.taskId };
+            },
+
+            deleteTask: async ({ taskId }) => {
+                const existing = await findOrFail('tasks', 'taskId', taskId, 'Task');
+                await store.remove('tasks', keyOf('tasks', existing));
+                return { taskId: existing.taskId };
+            },
+
+            completeTask: async ({ taskId, score, completedOn }) => {
+                const existing = await findOrFail('tasks', 'taskId', taskId, 'Task');
+                const update = { ...existing, status: 'Completed', completedOn: completedOn || today() };
+                if (score !== null && score !== undefined) update.score = score;
+                await store.put('tasks', update);
+                return { taskId: existing.taskId };
+            },
+
+            // Objectives & Key Results
+            getObjectives: async ({ memberId, department, period }, { user }) => {
+                let objectives = await store.getAll('objectives');
+
+                // Employees see their own objectives and their department's
+                if (user && user.role === 'employee') {
+                    objectives = objectives.filter(o => o.memberId
+                        ? o.memberId === user.memberId
+                        : !!user.department && o.department === user.department);
+                }
+                if (memberId) {
+                    const member = await findOrFail('members', 'memberId', memberId, 'Member');
+                    objectives = objectives.filter(o => canLinkTask(o, member));
+                }
+                if (department) objectives = objectives.filter(o => o.department === department);
+                if (period) objectives = objectives.filter(o => o.period === period);
+
+                // Key results carry the tasks counting towards them, so progress
+                // rolls up without every caller needing every member's tasks
+                const tasks = (await store.getAll('tasks')).filter(t => t.keyResultId && t.status !== 'Cancelled');
+                return objectives
+                    .map(o => ({
+                        ...o,
+                        keyResults: o.keyResults.map(kr => {
+                            const linked = tasks.filter(t => t.keyResultId === kr.keyResultId);
+                            return {
+                                ...kr,
+                                linkedTasks: linked.length,
+                                completedTasks: linked.filter(t => t.status === 'Completed').length
+                            };
+                        })
+                    }))
+                    .sort((a, b) =>
+                        b.period.localeCompare(a.period) ||
+                        (a.memberId ? 1 : 0) - (b.memberId ? 1 : 0) ||
+                        a.title.localeCompare(b.title)
+                    );
+            },
+
+            saveObjective: async ({ objective }, { user }) => {
+                if (!objective) fail('Objective is required');
+                const row = normalizeObjective(objective, await store.getAll('members'));
+                const existing = objective.objectiveId ? await findOrFail('objectives', 'objectiveId', objective.objectiveId, 'Objective') : null;
+                checkObjectiveDepartment(user, row.department);
+                if (existing) checkObjectiveDepartment(user, existing.department);
+
+                if (existing) {
+                    // Tasks linked to a key result must still be able to count towards it
+                    const kept = new Set(row.keyResults.map(kr => kr.keyResultId));
+                    const linkedIds = new Set(existing.keyResults.map(kr => kr.keyResultId));
+                    const members = await store.getAll('members');
+                    const linked = (await store.getAll('tasks')).filter(t => linkedIds.has(t.keyResultId));
+                    const removed = linked.find(t => !kept.has(t.keyResultId));
+                    if (removed) fail(`"${removed.title}" is linked to a key result you removed; unlink it first`, 409);
+
+                    const stranded = linked.find(t => !canLinkTask(row, members.find(m => m.memberId === t.memberId) || { memberId: t.memberId }));
+                    if (stranded) fail(`"${stranded.title}" is linked to this objective and would no longer belong to it`, 409);
+                }
+
+                const objectiveId = existing ? existing.objectiveId : generateId('OBJ');
+                await store.put('objectives', {
+                    ...(existing || {}),
+                    ...row,
+                    objectiveId,
+                    createdBy: existing?.createdBy || user?.username || '',
+                    createdAt: existing?.createdAt || new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                });
+                return { objectiveId };
+            },
+
+            deleteObjective: async ({ objectiveId }, { user }) => {
+                const existing = await findOrFail('objectives', 'objectiveId', objectiveId, 'Objective');
+                checkObjectiveDepartment(user, existing.department);
+
+                const linkedIds = new Set(existing.keyResults.map(kr => kr.keyResultId));
+                const linked = (await store.getAll('tasks')).filter(t => linkedIds.has(t.keyResultId)).length;
+                if (linked > 0) fail(`${linked} task${linked === 1 ? ' is' : 's are'} linked to this objective's key results; unlink them first`, 409);
+
+                await store.remove('objectives', keyOf('objectives', existing));
+                return { objectiveId: existing.objectiveId };
+            },
+
+            // Ratings
+            getRatings: async ({ memberId }) => {
+                const ratings = await store.getAll('ratings');
+                return memberId ? ratings.filter(r => r.memberId === memberId) : ratings;
+            },
+
+            getRating: async ({ recordId }) => findOrFail('ratings', 'recordId', recordId, 'Rating'),
+
+            addRating: async ({ rating }) => {
+                if (!rating || !rating.memberId) fail('Rating with memberId is required');
+                checkSuggestionNotes(rating);
+                const recordId = rating.recordId || generateId('R');
+                await store.put('ratings', { date: today(), ...rating, recordId });
+                return { recordId };
+            },
+
+            updateRating: async ({ recordId, rating }) => {
+                const existing = await findOrFail('ratings', 'recordId', recordId, 'Rating');
+                checkSuggestionNotes({ ...existing, ...rating });
+                await store.put('ratings', { ...existing, ...rating, recordId: existing.recordId });
+                return { recordId: existing.recordId };
+            },
+
+            deleteRating: async ({ recordId }) => {
+                const existing = await findOrFail('ratings', 'recordId', recordId, 'Rating');
+                await store.remove('ratings', keyOf('ratings', existing));
+                return { recordId: existing.recordId };
+            },
+
+            // Rating Templates
+            getRatingTemplates: async () => {
+                const templates = await store.getAll('ratingTemplates');
+                return templates.sort((a, b) =>
+                    b.effectiveFrom.localeCompare(a.effectiveFrom) || a.department.localeCompare(b.department)
+                );
+            },
+
+            saveRatingTemplate: async ({ template }) => {
+                const row = normalizeRatingTemplate(template);
+                const templates = await store.getAll('ratingTemplates');
+                const existing = template.templateId ? await findOrFail('ratingTemplates', 'templateId', template.templateId, 'Rating template') : null;
+                if (templates.some(t => t.templateId !== existing?.templateId && t.department === row.department && t.effectiveFrom === row.effectiveFrom)) {
+                    fail(`A template for ${row.department || 'all departments'} already takes effect in ${row.effectiveFrom}`, 409);
+                }
+
+                const templateId = existing ? existing.templateId : generateId('RT');
+                await store.put('ratingTemplates', { ...(existing || {}), ...row, templateId });
+                return { templateId };
+            },
+
+            deleteRatingTemplate: async ({ templateId }) => {
+                const existing = await findOrFail('ratingTemplates', 'templateId', templateId, 'Rating template');
+                const templates = await store.getAll('ratingTemplates');
+                const departments = new Map((await store.getAll('members')).map(m => [m.memberId, m.department || '']));
+                const ratings = await store.getAll('ratings');
+                if (ratings.some(r => r.date && ratingTemplateFor(r.date.slice(0, 7), departments.get(r.memberId) || '', templates)?.templateId === existing.templateId)) {
+                    fail('Ratings have already been scored against this template; add a newer template instead', 409);
+                }
+
+                // Reviews are scored against the template in effect when their cycle ends
+                const cycles = new Map((await store.getAll('reviewCycles')).map(c => [c.cycleId, c]));
+                const reviews = await store.getAll('reviews');
+                if (reviews.some(r => cycles.has(r.cycleId) && ratingTemplateFor(cycles.get(r.cycleId).endDate.slice(0, 7), departments.get(r.memberId) || '', templates)?.templateId === existing.templateId)) {
+                    fail('Reviews have already been scored against this template; add a newer template instead', 409);
+                }
+
+                await store.remove('ratingTemplates', keyOf('ratingTemplates', existing));
+                return { templateId: existing.templateId };
+            },
+
+            // Review Cycles
+            getReviewCycles: async (params, { user }) => {
+                const day = today();
+                const reviews = await store.getAll('reviews');
+                const cycles = (await store.getAll('reviewCycles'))
+                    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+                // Employees only see the cycles they take part in, not who reviews whom
+                if (user && user.role === 'employee') {
+                    return cycles
+                        .filter(c => c.participants.includes(user.memberId) ||
+                            Object.values(c.peers).some(list => list.includes(user.memberId)))
+                        .map(c => ({
+                            cycleId: c.cycleId,
+                            name: c.name,
+                            startDate: c.startDate,
+                            endDate: c.endDate,
+                            status: reviewCycleStatus(c, day)
+                        }));
+                }
+
+                return cycles.map(c => {
+                    const progress = c.participants.map(id => reviewProgress(c, reviews, id));
+                    return {
+                        ...c,
+                        status: reviewCycleStatus(c, day),
+                        submitted: progress.reduce((sum, p) => sum + p.submitted, 0),
+                        expected: progress.reduce((sum, p) => sum + p.expected, 0)
+                    };
+                });
+            },
+
+            saveReviewCycle: async ({ cycle }, { user }) => {
+                if (!cycle) fail('Review cycle is required');
+                const members = await store.getAll('members');
+                const row = normalizeReviewCycle(cycle, members);
+                const existing = cycle.cycleId ? await findOrFail('reviewCycles', 'cycleId', cycle.cycleId, 'Review cycle') : null;
+
+                if (existing) {
+                    const reviews = (await store.getAll('reviews')).filter(r => r.cycleId === existing.cycleId);
+                    const orphaned = reviews.find(r => !row.participants.includes(r.memberId) ||
+                        (r.type === 'peer' && !row.peers[r.memberId].includes(r.reviewerId)));
+                    if (orphaned) {
+                        const name = members.find(m => m.memberId === orphaned.memberId)?.name || orphaned.memberId;
+                        fail(`Reviews of ${name} have already been submitted by a participant or reviewer you removed`, 409);
+                    }
+                }
+
+                const cycleId = existing ? existing.cycleId : generateId('RC');
+                await store.put('reviewCycles', {
+                    ...(existing || {}),
+                    ...row,
+                    cycleId,
+                    createdBy: existing?.createdBy || user?.username || '',
+                    createdAt: existing?.createdAt || new Date().toISOString()
+                });
+                return { cycleId };
+            },
+
+            deleteReviewCycle: async ({ cycleId }) => {
+                const existing = await findOrFail('reviewCycles', 'cycleId', cycleId, 'Review cycle');
+                if ((await store.getAll('reviews')).some(r => r.cycleId === existing.cycleId)) {
+                    fail('Reviews have already been submitted in this cycle', 409);
+                }
+
+                await store.remove('reviewCycles', keyOf('reviewCycles', existing));
+                return { cycleId: existing.cycleId };
+            },
+
+            getReviewAssignments: async (params, { user }) => {
+                const day = today();
+                const members = await store.getAll('members');
+                const byId = new Map(members.map(m => [m.memberId, m]));
+                const reviews = await store.getAll('reviews');
+                const assignments = [];
+
+                (await store.getAll('reviewCycles'))
+                    .filter(c => reviewCycleStatus(c, day) === 'Open')
+                    .forEach(cycle => cycle.participants.forEach(memberId => {
+                        const subject = byId.get(memberId);
+                        if (!subject) return;
+
+                        const types = REVIEW_TYPES.filter(type =>
+                            type === 'self' ? user.memberId === memberId
+                                : type === 'peer' ? !!user.memberId && (cycle.peers[memberId] || []).includes(user.memberId)
+                                    : canWriteManagerReview(user, subject)
+                        );
+
+                        types.forEach(type => {
+                            const reviewerId = type === 'manager' ? user.username : user.memberId;
+                            const review = reviews.find(r => r.cycleId === cycle.cycleId && r.memberId === memberId &&
+                                r.type === type && (type === 'manager' || r.reviewerId === reviewerId));
+                            // Somebody else already wrote this manager review
+                            if (review && review.reviewerId !== reviewerId) return;
+
+                            assignments.push({
+                                cycleId: cycle.cycleId,
+                                cycleName: cycle.name,
+                                endDate: cycle.endDate,
+                                memberId,
+                                memberName: subject.name || memberId,
+                                memberPhoto: subject.photoURL || '',
+                                department: subject.department || '',
+                                type,
+                                review: review ? {
+                                    reviewId: review.reviewId,
+                                    scores: review.scores,
+                                    comments: review.comments,
+                                    submittedAt: review.submittedAt
+                                } : null
+                            });
+                        });
+                    }));
+
+                return assignments.sort((a, b) =>
+                    a.endDate.localeCompare(b.endDate) ||
+                    REVIEW_TYPES.indexOf(a.type) - REVIEW_TYPES.indexOf(b.type) ||
+                    a.memberName.localeCompare(b.memberName)
+                );
+            },
+
+            submitReview: async ({ review }, { user }) => {
+                if (!review || !review.cycleId || !review.memberId || !REVIEW_TYPES.includes(review.type)) {
+                    fail('Review with cycleId, memberId and type (self, peer or manager) is required');
+                }
+
+                const cycle = await findOrFail('reviewCycles', 'cycleId', review.cycleId, 'Review cycle');
+                const status = reviewCycleStatus(cycle, today());
+                if (status === 'Upcoming') fail(`${cycle.name} opens on ${cycle.startDate}`, 409);
+                if (status === 'Closed') fail(`${cycle.name} closed on ${cycle.endDate}`, 409);
+                if (!cycle.participants.includes(review.memberId)) fail('This member is not part of the review cycle');
+
+                const subject = await findOrFail('members', 'memberId', review.memberId, 'Member');
+                const allowed = review.type === 'self' ? user.memberId === review.memberId
+                    : review.type === 'peer' ? !!user.memberId && (cycle.peers[review.memberId] || []).includes(user.memberId)
+                        : canWriteManagerReview(user, subject);
+                if (!allowed) fail(`You are not a ${review.type} reviewer for this member in this cycle`, 403);
+
+                // Scored against the template in effect for the cycle's last month
+                const templates = await store.getAll('ratingTemplates');
+                const template = ratingTemplateFor(cycle.endDate.slice(0, 7), subject.department || '', templates) || DEFAULT_RATING_TEMPLATE;
+                const scale = Number(template.scale);
+
+                const scores = {};
+                Object.entries(review.scores || {}).forEach(([key, value]) => {
+                    const criterion = template.criteria.find(c => c.key === key);
+                    if (!criterion) fail(`${key} is not a criterion of the ${template.name} template`);
+
+                    const score = Number(value);
+                    if (!Number.isInteger(score) || score < 1 || score > scale) {
+                        fail(`Score for ${criterion.label} must be a whole number from 1 to ${scale}`);
+                    }
+                    scores[key] = score;
+                });
+                if (Object.keys(scores).length === 0) fail('Score at least one criterion');
+
+                const comments = String(review.comments || '').trim();
+                if (comments.length > 2000) fail('Comments can be at most 2000 characters');
+
+                const reviewerId = review.type === 'manager' ? user.username : user.memberId;
+                const existing = (await store.getAll('reviews')).find(r =>
+                    r.cycleId === cycle.cycleId && r.memberId === review.memberId && r.type === review.type &&
+                    (review.type === 'manager' || r.reviewerId === reviewerId)
+                );
+                if (existing && existing.reviewerId !== reviewerId) {
+                    fail(`${existing.reviewerName || existing.reviewerId} has already written the manager review`, 409);
+                }
+
+                const reviewId = existing ? existing.reviewId : generateId('RV');
+                await store.put('reviews', {
+                    reviewId,
+                    cycleId: cycle.cycleId,
+                    memberId: review.memberId,
+                    type: review.type,
+                    reviewerId,
+                    // Peer reviewers are never named outside the store
+                    reviewerName: review.type === 'manager' ? (user.name || user.username) : '',
+                    scores,
+                    comments,
+                    submittedAt: new Date().toISOString()
+                });
+                return { reviewId };
+            },
+
+            getReviewTracker: async ({ cycleId }, { user }) => {
+                const cycle = await findOrFail('reviewCycles', 'cycleId', cycleId, 'Review cycle');
+                const members = await store.getAll('members');
+                const byId = new Map(members.map(m => [m.memberId, m]));
+                const reviews = await store.getAll('reviews');
+
+                const participants = cycle.participants
+                    .map(id => byId.get(id) || { memberId: id, name: id, department: '' })
+                    .filter(m => user.role !== 'manager' || m.department === user.department)
+                    .map(m => {
+                        const { manager, pendingPeerIds, ...progress } = reviewProgress(cycle, reviews, m.memberId);
+                        return {
+                            memberId: m.memberId,
+                            name: m.name || m.memberId,
+                            department: m.department || '',
+                            photoURL: m.photoURL || '',
+                            ...progress,
+                            manager: !!manager,
+                            managerReviewer: manager ? manager.reviewerName : '',
+                            pendingPeers: pendingPeerIds.map(id => byId.get(id)?.name || id),
+                            complete: progress.submitted === progress.expected
+                        };
+                    })
+                    .sort((a, b) => a.name.localeCompare(b.name));
+
+                return {
+                    cycle: { ...cycle, status: reviewCycleStatus(cycle, today()) },
+                    participants,
+                    submitted: participants.reduce((sum, p) => sum + p.submitted, 0),
+                    expected: participants.reduce((sum, p) => sum + p.expected, 0),
+                    completed: participants.filter(p => p.complete).length
+                };
+            },
+
+            getReviewResults: async ({ memberId }, { user }) => {
+                const member = await findOrFail('members', 'memberId', memberId, 'Member');
+                const isOwn = user.memberId === memberId;
+                if (user.role === 'manager' && !isOwn && member.department !== user.department) {
+                    fail('You can only view review results for your own department', 403);
+                }
+
+                // Members see their own results once a cycle has closed
+                const day = today();
+                const reviews = (await store.getAll('reviews')).filter(r => r.memberId === memberId);
+                return (await store.getAll('reviewCycles'))
+                    .filter(c => c.participants.includes(memberId))
+                    .map(c => ({ ...c, status: reviewCycleStatus(c, day) }))
+                    .filter(c => user.role === 'admin' || !isOwn || c.status === 'Closed')
+                    .sort((a, b) => b.endDate.localeCompare(a.endDate))
+                    .map(cycle => {
+                        const own = reviews.filter(r => r.cycleId === cycle.cycleId);
+                        const self = own.find(r => r.type === 'self');
+                        const manager = own.find(r => r.type === 'manager');
+                        const peers = own.filter(r => r.type === 'peer');
+                        const shown = peers.length >= MIN_PEER_RESPONSES;
+
+                        return {
+                            cycleId: cycle.cycleId,
+                            name: cycle.name,
+                            startDate: cycle.startDate,
+                            endDate: cycle.endDate,
+                            status: cycle.status,
+                            self: self ? { scores: self.scores, comments: self.comments, submittedAt: self.submittedAt } : null,
+                            manager: manager ? {
+                                scores: manager.scores,
+                                comments: manager.comments,
+                                reviewerName: manager.reviewerName,
+                                submittedAt: manager.submittedAt
+                            } : null,
+                            peers: {
+                                expected: (cycle.peers[memberId] || []).length,
+                                submitted: peers.length,
+                                minResponses: MIN_PEER_RESPONSES,
+                                // Averages and unattributed comments only, in a fixed order
+                                scores: shown ? averageReviewScores(peers) : null,
+                                comments: shown ? peers.map(r => r.comments).filter(Boolean).sort() : []
+                            }
+                        };
+                    });
+            },
+
+            // Dashboard
+            getDashboardStats: async ({ date }) => {
+                const day = date || today();
+                const members = (await store.getAll('members')).filter(m => m.status === 'Active');
+                const records = (await store.getAll('attendance')).filter(r => r.date === day);
+                const holidays = await store.getAll('holidays');
+                const count = (status) => records.filter(r => r.status === status).length;
+                // Everyone who worked is either late or present
+                const late = records.filter(r => WORKED_STATUSES.includes(r.status) && isLateRecord(r)).length;
+
+                // Nobody is absent on their holiday unless they were marked so
+                const onHoliday = members.filter(m =>
+                    !records.some(r => r.memberId === m.memberId) && findHoliday(day, holidays, m.department)
+                ).length;
+
+                return {
+                    date: day,
+                    totalMembers: members.length,
+                    // Half days count as present, the same as in the payroll summary
+                    present: records.filter(r => WORKED_STATUSES.includes(r.status)).length - late,
+                    late,
+                    onLeave: count('On Leave'),
+                    onHoliday: onHoliday + count('Holiday'),
+                    absent: Math.max(0, members.length - records.length - onHoliday) + count('Absent')
+                };
+            },
+
+            // Shifts
+            getShifts: async () => {
+                const shifts = await store.getAll('shifts');
+                return shifts.sort((a, b) => a.startTime.localeCompare(b.startTime));
+            },
+
+            saveShift: async ({ shift }) => {
+                const row = normalizeShift(shift);
+                const shifts = await store.getAll('shifts');
+                const existing = shift.shiftId ? await findOrFail('shifts', 'shiftId', shift.shiftId, 'Shift') : null;
+                if (shifts.some(s => s.shiftId !== existing?.shiftId && s.name.toLowerCase() === row.name.toLowerCase())) {
+                    fail(`A shift named "${row.name}" already exists`, 409);
+                }
+
+                const shiftId = existing ? existing.shiftId : generateId('S');
+                await store.put('shifts', { ...(existing || {}), ...row, shiftId });
+                return { shiftId };
+            },
+
+            deleteShift: async ({ shiftId }) => {
+                const existing = await findOrFail('shifts', 'shiftId', shiftId, 'Shift');
+                const assignments = await store.getAll('shiftAssignments');
+                if (assignments.some(a => a.shiftId === existing.shiftId && (!a.endDate || a.endDate >= today()))) {
+                    fail('This shift is still assigned to members; end or remove those assignments first', 409);
+                }
+
+                await store.remove('shifts', keyOf('shifts', existing));
+                return { shiftId: existing.shiftId };
+            },
+
+            getShiftAssignments: async ({ startDate, endDate, memberId }) => {
+                const assignments = await store.getAll('shiftAssignments');
+                return assignments
+                    .filter(a => !memberId || a.memberId === memberId)
+                    .filter(a => !endDate || a.startDate <= endDate)
+                    .filter(a => !startDate || !a.endDate || a.endDate >= startDate)
+                    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+            },
+
+            assignShifts: async ({ assignments }, { user }) => {
+                if (!Array.isArray(assignments) || assignments.length === 0) fail('assignments must be a non-empty array');
+
+                const members = await store.getAll('members');
+                const shifts = await store.getAll('shifts');
+                const ids = new Set((await store.getAll('shiftAssignments')).map(a => a.assignmentId));
+                const rows = assignments.map(a => {
+                    if (!members.some(m => m.memberId === a.memberId)) fail(`Member not found: ${a.memberId}`, 404);
+                    if (!shifts.some(s => s.shiftId === a.shiftId)) fail(`Shift not found: ${a.shiftId}`, 404);
+                    if (!/^\d{4}-\d{2}-\d{2}$/.test(a.startDate || '')) fail('Start date must be in YYYY-MM-DD format');
+                    if (a.endDate && a.endDate < a.startDate) fail('End date cannot be before start date');
+
+                    return {
+                        assignmentId: generateUniqueId('SA', ids),
+                        memberId: a.memberId,
+                        shiftId: a.shiftId,
+                        startDate: a.startDate,
+                        endDate: a.endDate || '',
+                        createdBy: user?.username || '',
+                        createdAt: new Date().toISOString()
+                    };
+                });
+
+                for (const row of rows) await store.put('shiftAssignments', row);
+                return { assignmentIds: rows.map(r => r.assignmentId) };
+            },
+
+            deleteShiftAssignment: async ({ assignmentId }) => {
+                const existing = await findOrFail('shiftAssignments', 'assignmentId', assignmentId, 'Shift assignment');
+                await store.remove('shiftAssignments', keyOf('shiftAssignments', existing));
+                return { assignmentId: existing.assignmentId };
+            },
+
+            // Holidays
+            getHolidays: async () => {
+                const holidays = await store.getAll('holidays');
+                return holidays.sort((a, b) => a.date.localeCompare(b.date));
+            },
+
+            addHoliday: async ({ holiday }, { user }) => {
+                const row = normalizeHoliday(holiday);
+                const holidays = await store.getAll('holidays');
+                if (holidays.some(h => h.date === row.date && h.department === row.department)) {
+                    fail(`A holiday is already set on ${row.date}${row.department ? ` for ${row.department}` : ''}`, 409);
+                }
+
+                const holidayId = generateId('H');
+                await store.put('holidays', { holidayId, ...row, createdBy: user?.username || '', createdAt: new Date().toISOString() });
+                return { holidayId };
+            },
+
+            updateHoliday: async ({ holidayId, holiday }) => {
+                const existing = await findOrFail('holidays', 'holidayId', holidayId, 'Holiday');
+                const row = normalizeHoliday({ ...existing, ...holiday });
+                const holidays = await store.getAll('holidays');
+                if (holidays.some(h => h.holidayId !== existing.holidayId && h.date === row.date && h.department === row.department)) {
+                    fail(`A holiday is already set on ${row.date}${row.department ? ` for ${row.department}` : ''}`, 409);
+                }
+
+                await store.put('holidays', { ...existing, ...row });
+                return { holidayId: existing.holidayId };
+            },
+
+            deleteHoliday: async ({ holidayId }) => {
+                const existing = await findOrFail('holidays', 'holidayId', holidayId, 'Holiday');
+                await store.remove('holidays', keyOf('holidays', existing));
+                return { holidayId: existing.holidayId };
+            },
+
+            importHolidays: async ({ holidays }, { user }) => {
+                if (!Array.isArray(holidays) || holidays.length === 0) fail('holidays must be a non-empty array');
+
+                const existing = await store.getAll('holidays');
+                const ids = new Set(existing.map(h => h.holidayId));
+                const errors = [];
+                let added = 0;
+                let skipped = 0;
+
+                for (const [index, holiday] of holidays.entries()) {
+                    let row;
+                    try {
+                        row = normalizeHoliday(holiday);
+                    } catch (error) {
+                        errors.push({ row: index + 1, message: error.message });
+                        continue;
+                    }
+
+                    // Re-importing the same calendar leaves existing days alone
+                    if (existing.some(h => h.date === row.date && h.department === row.department)) {
+                        skipped++;
+                        continue;
+                    }
+
+                    const stored = { holidayId: generateUniqueId('H', ids), ...row, createdBy: user?.username || '', createdAt: new Date().toISOString() };
+                    await store.put('holidays', stored);
+                    existing.push(stored);
+                    added++;
+                }
+                return { added, skipped, errors };
+            },
+
+            // Leave
+            getLeaveSummary: async ({ memberId, year, month }) => {
+                const now = new Date();
+                const y = year !== undefined && year !== null && year !== '' ? Number(year) : now.getFullYear();
+                const m = month !== undefined && month !== null && month !== '' ? Number(month) : now.getMonth();
+
+                const balances = await getLeaveBalances(memberId, y, m, await loadSettings());
+                const paid = balances.Paid;
+
+                return {
+                    memberId,
+                    year: y,
+                    month: m,
+                    allowed: paid.allowed,
+                    taken: paid.taken,
+                    pending: paid.pending,
+                    remaining: paid.remaining,
+                    balances
+                };
+            },
+
+            getLeaveRequests: async ({ memberId, status }) => {
+                const members = await store.getAll('members');
+                const byId = new Map(members.map(m => [m.memberId, m]));
+                return (await store.getAll('leaves'))
+                    .filter(l => (!memberId || l.memberId === memberId) && (!status || l.status === status))
+                    .map(l => ({
+                        ...l,
+                        memberName: byId.get(l.memberId)?.name || '',
+                        memberPhoto: byId.get(l.memberId)?.photoURL || '',
+                        department: byId.get(l.memberId)?.department || ''
+                    }))
+                    .sort((a, b) => String(b.appliedAt).localeCompare(String(a.appliedAt)));
+            },
+
+            applyLeave: async ({ leave }, { user }) => {
+                if (!leave || !leave.memberId || !leave.startDate || !leave.endDate) {
+                    fail('Leave with memberId, startDate and endDate is required');
+                }
+                if (!(leave.type in LEAVE_TYPES)) fail(`Unknown leave type: ${leave.type}`);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(leave.startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(leave.endDate)) {
+                    fail('Dates must be in YYYY-MM-DD format');
+                }
+                if (leave.endDate < leave.startDate) fail('End date cannot be before start date');
+                if (!String(leave.reason || '').trim()) fail('A reason is required');
+                await findOrFail('members', 'memberId', leave.memberId, 'Member');
+
+                const settings = await loadSettings();
+                const calendar = await loadHolidayCalendar(leave.memberId);
+                const dates = listWorkingDates(leave.startDate, leave.endDate, settings, calendar);
+                if (dates.length === 0) fail('The selected dates contain no working days (weekends and holidays are not counted)');
+
+                const overlapping = (await store.getAll('leaves')).find(l =>
+                    l.memberId === leave.memberId &&
+                    (l.status === 'Pending' || l.status === 'Approved') &&
+                    l.startDate <= leave.endDate && l.endDate >= leave.startDate
+                );
+                if (overlapping) {
+                    fail(`This overlaps a ${overlapping.status.toLowerCase()} leave request (${overlapping.startDate} to ${overlapping.endDate})`, 409);
+                }
+
+                // Paid leave must fit the ledger balance projected to the
+                // leave's last month, less other pending paid leave
+                if (LEAVE_TYPES[leave.type] && LEAVE_TYPES[leave.type].period === 'accrual') {
+                    const untilMonth = leave.endDate.slice(0, 7);
+                    const ledger = await getPaidLeaveLedger(leave.memberId, untilMonth, settings);
+                    const pending = (await store.getAll('leaves'))
+                        .filter(l => l.memberId === leave.memberId && l.type === leave.type && l.status === 'Pending')
+                        .reduce((sum, l) => sum + listWorkingDates(l.startDate, l.endDate, settings, calendar)
+                            .filter(d => d.slice(0, 7) <= untilMonth).length, 0);
+
+                    const balance = ledger.length ? ledger[ledger.length - 1].balance : 0;
+                    const available = Math.max(0, roundDays(balance - pending));
+                    if (dates.length > available) {
+                        fail(`Not enough ${leave.type.toLowerCase()} leave: ${available} day(s) available by ${untilMonth}`);
+                    }
+                } else if (LEAVE_TYPES[leave.type]) {
+                    // Every year the leave touches must have enough balance
+                    const checked = new Set();
+                    for (const date of dates) {
+                        const period = date.slice(0, 4);
+                        if (checked.has(period)) continue;
+                        checked.add(period);
+
+                        const [y, m] = date.split('-').map(Number);
+                        const balance = (await getLeaveBalances(leave.memberId, y, m - 1, settings))[leave.type];
+
+                        const requested = dates.filter(d => d.startsWith(period)).length;
+                        const available = Math.max(0, balance.allowed - balance.taken - balance.pending);
+                        if (requested > available) {
+                            fail(`Not enough ${leave.type.toLowerCase()} leave: ${available} day(s) left for ${period}`);
+                        }
+                    }
+                }
+
+                const leaveId = generateId('L');
+                await store.put('leaves', {
+                    leaveId,
+                    memberId: leave.memberId,
+                    type: leave.type,
+                    startDate: leave.startDate,
+                    endDate: leave.endDate,
+                    days: dates.length,
+                    reason: String(leave.reason).trim(),
+                    status: 'Pending',
+                    appliedBy: user?.username || '',
+                    appliedAt: new Date().toISOString(),
+                    reviewedBy: '',
+                    reviewedAt: '',
+                    reviewComment: ''
+                });
+                return { leaveId, days: dates.length };
+            },
+
+            approveLeave: async ({ leaveId, comment }, { user }) => {
+                const leave = await findOrFail('leaves', 'leaveId', leaveId, 'Leave request');
+                if (leave.status !== 'Pending') fail(`Leave request is already ${leave.status.toLowerCase()}`, 409);
+                if (user && user.role !== 'admin' && user.memberId === leave.memberId) {
+                    fail('You cannot approve your own leave request', 403);
+                }
+
+                // Days the member already punched in on were worked, not taken
+                const settings = await loadSettings();
+                const rows = await store.getAll('attendance');
+                const dates = listWorkingDates(leave.startDate, leave.endDate, settings, await loadHolidayCalendar(leave.memberId));
+                const worked = dates.filter(date => rows.some(r => r.date === date && r.memberId === leave.memberId && r.punchIn));
+                if (worked.length > 0) {
+                    fail(`The member has punched in on ${worked.join(', ')}; adjust the leave dates or their attendance first`, 409);
+                }
+
+                // Write an On Leave attendance row for every working day,
+                // keeping the row it replaces so cancelling can restore it
+                for (const date of dates) {
+                    const existing = rows.find(r => r.date === date && r.memberId === leave.memberId);
+                    const { memberName, memberPhoto, department, ...previous } = existing || {};
+                    await store.put('attendance', {
+                        date,
+                        memberId: leave.memberId,
+                        punchIn: '',
+                        punchOut: '',
+                        status: 'On Leave',
+                        hoursWorked: '',
+                        comments: `${leave.type} leave: ${leave.reason}`,
+                        leaveId: leave.leaveId,
+                        previous: existing ? previous : null
+                    });
+                }
+
+                await store.put('leaves', {
+                    ...leave,
+                    status: 'Approved',
+                    reviewedBy: user?.username || '',
+                    reviewedAt: new Date().toISOString(),
+                    reviewComment: comment || ''
+                });
+                return { leaveId: leave.leaveId, status: 'Approved', days: dates.length };
+            },
+
+            rejectLeave: async ({ leaveId, comment }, { user }) => {
+                const leave = await findOrFail('leaves', 'leaveId', leaveId, 'Leave request');
+                if (leave.status !== 'Pending') fail(`Leave request is already ${leave.status.toLowerCase()}`, 409);
+
+                await store.put('leaves', {
+                    ...leave,
+                    status: 'Rejected',
+                    reviewedBy: user?.username || '',
+                    reviewedAt: new Date().toISOString(),
+                    reviewComment: comment || ''
+                });
+                return { leaveId: leave.leaveId, status: 'Rejected' };
+            },
+
+            cancelLeave: async ({ leaveId }, { user }) => {
+                const leave = await findOrFail('leaves', 'leaveId', leaveId, 'Leave request');
+                if (leave.status !== 'Pending' && leave.status !== 'Approved') {
+                    fail(`Leave request is already ${leave.status.toLowerCase()}`, 409);
+                }
+                // Employees can't take back leave that has already started
+                if (user && user.role === 'employee' && leave.status === 'Approved' && leave.startDate <= today()) {
+                    fail('Leave that has already started can only be cancelled by a manager', 403);
+                }
+
+                // Put back the rows the leave replaced; days that had none are cleared
+                if (leave.status === 'Approved') {
+                    const rows = (await store.getAll('attendance')).filter(r => r.leaveId === leave.leaveId);
+                    for (const row of rows) {
+                        if (row.previous) {
+                            await store.put('attendance', row.previous);
+                        } else {
+                            await store.remove('attendance', keyOf('attendance', row));
+                        }
+                    }
+                }
+
+                await store.put('leaves', { ...leave, status: 'Cancelled' });
+                return { leaveId: leave.leaveId, status: 'Cancelled' };
+            },
+
+            getLeaveLedger: async ({ memberId, year }) => {
+                if (!memberId) fail('Member ID is required');
+                const member = await findOrFail('members', 'memberId', memberId, 'Member');
+                const settings = await loadSettings();
+                const current = new Date().getFullYear();
+                const y = year !== undefined && year !== null && year !== '' ? Number(year) : current;
+
+                // Past years run into January so their year-end expiry and
+                // carry-forward show; the current year is projected to December
+                const untilMonth = y < current ? `${y + 1}-01` : `${y}-12`;
+                const entries = (await getPaidLeaveLedger(memberId, untilMonth, settings))
+                    .filter(e => e.date.startsWith(String(y)));
+                const asOf = today();
+                const toDate = entries.filter(e => e.date <= asOf);
+
+                return {
+                    memberId,
+                    year: y,
+                    joinDate: member.joinDate || '',
+                    entries: entries.map(e => ({ ...e, projected: e.date > asOf })),
+                    balance: toDate.length ? toDate[toDate.length - 1].balance : 0,
+                    closingBalance: entries.length ? entries[entries.length - 1].balance : 0,
+                    policy: {
+                        accrualPerMonth: parseFloat(settings.PaidLeavePerMonth) || 0,
+                        carryForwardCap: parseFloat(settings.CarryForwardCap) || 0,
+                        carryForwardExpiryMonths: parseInt(settings.CarryForwardExpiryMonths, 10) || 0,
+                        prorateJoiningMonth: settings.ProrateJoiningMonth !== 'No'
+                    }
+                };
+            },
+
+            addLeaveAdjustment: async ({ adjustment }, { user }) => {
+                if (!adjustment || !adjustment.memberId || !adjustment.date) {
+                    fail('Adjustment with memberId and date is required');
+                }
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(adjustment.date)) fail('Date must be in YYYY-MM-DD format');
+                const days = Number(adjustment.days);
+                if (!days || !isFinite(days)) fail('Days must be a non-zero number');
+                if (!String(adjustment.reason || '').trim()) fail('A reason is required');
+                await findOrFail('members', 'memberId', adjustment.memberId, 'Member');
+
+                const adjustmentId = generateId('A');
+                await store.put('leaveAdjustments', {
+                    adjustmentId,
+                    memberId: adjustment.memberId,
+                    date: adjustment.date,
+                    days: roundDays(days),
+                    reason: String(adjustment.reason).trim(),
+                    createdBy: user?.username || '',
+                    createdAt: new Date().toISOString()
+                });
+                return { adjustmentId };
+            },
+
+            deleteLeaveAdjustment: async ({ adjustmentId }) => {
+                const existing = await findOrFail('leaveAdjustments', 'adjustmentId', adjustmentId, 'Adjustment');
+                await store.remove('leaveAdjustments', keyOf('leaveAdjustments', existing));
+                return { adjustmentId: existing.adjustmentId };
+            },
+
+            // Timesheets
+            getTimesheet: async ({ memberId, month }) => {
+                if (!memberId) fail('Member ID is required');
+                const m = month || today().slice(0, 7);
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(m)) fail('Month must be in YYYY-MM format');
+
+                const member = await findOrFail('members', 'memberId', memberId, 'Member');
+                const settings = await loadSettings();
+                const { days, weeks, totals } = await getMonthTimesheet(member, m, settings);
+                const approval = (await store.getAll('timesheets')).find(t => t.memberId === memberId && t.month === m) || null;
+
+                return {
+                    memberId,
+                    month: m,
+                    days,
+                    weeks,
+                    totals,
+                    approval,
+                    // Attendance edited after the totals were submitted or approved
+                    changed: !!approval && ['scheduledMinutes', 'workedMinutes', 'overtimeMinutes', 'undertimeMinutes']
+                        .some(key => Number(approval[key]) !== totals[key]),
+                    policy: {
+                        workingHoursPerDay: parseFloat(settings.WorkingHoursPerDay) || 0,
+                        breakMinutes: parseInt(settings.BreakDuration, 10) || 0
+                    }
+                };
+            },
+
+            submitTimesheet: async ({ timesheet }, { user }) => {
+                if (!timesheet || !timesheet.memberId || !/^\d{4}-(0[1-9]|1[0-2])$/.test(timesheet.month || '')) {
+                    fail('Timesheet with memberId and month (YYYY-MM) is required');
+                }
+                if (timesheet.month > today().slice(0, 7)) fail('A timesheet cannot be submitted before its month starts');
+
+                const member = await findOrFail('members', 'memberId', timesheet.memberId, 'Member');
+                const existing = (await store.getAll('timesheets'))
+                    .find(t => t.memberId === timesheet.memberId && t.month === timesheet.month);
+                if (existing && (existing.status === 'Submitted' || existing.status === 'Approved')) {
+                    fail(`Timesheet for ${timesheet.month} is already ${existing.status.toLowerCase()}`, 409);
+                }
+
+                const { totals } = await getMonthTimesheet(member, timesheet.month, await loadSettings());
+                const timesheetId = existing ? existing.timesheetId : generateId('TS');
+                await store.put('timesheets', {
+                    timesheetId,
+                    memberId: timesheet.memberId,
+                    month: timesheet.month,
+                    ...totals,
+                    status: 'Submitted',
+                    note: String(timesheet.note || '').trim(),
+                    submittedBy: user?.username || '',
+                    submittedAt: new Date().toISOString(),
+                    reviewedBy: '',
+                    reviewedAt: '',
+                    reviewComment: ''
+                });
+                return { timesheetId, status: 'Submitted' };
+            },
+
+            approveTimesheet: async ({ timesheetId, comment }, { user }) => {
+                const timesheet = await findOrFail('timesheets', 'timesheetId', timesheetId, 'Timesheet');
+                if (timesheet.status !== 'Submitted') fail(`Timesheet is already ${timesheet.status.toLowerCase()}`, 409);
+                if (user && user.role !== 'admin' && user.memberId === timesheet.memberId) {
+                    fail('You cannot approve your own timesheet', 403);
+                }
+
+                // Approve the totals as they stand now, edits since submission included
+                const member = await findOrFail('members', 'memberId', timesheet.memberId, 'Member');
+                const { totals } = await getMonthTimesheet(member, timesheet.month, await loadSettings());
+                await store.put('timesheets', {
+                    ...timesheet,
+                    ...totals,
+                    status: 'Approved',
+                    reviewedBy: user?.username || '',
+                    reviewedAt: new Date().toISOString(),
+                    reviewComment: comment || ''
+                });
+                return { timesheetId: timesheet.timesheetId, status: 'Approved' };
+            },
+
+            rejectTimesheet: async ({ timesheetId, comment }, { user }) => {
+                const timesheet = await findOrFail('timesheets', 'timesheetId', timesheetId, 'Timesheet');
+                if (timesheet.status !== 'Submitted') fail(`Timesheet is already ${timesheet.status.toLowerCase()}`, 409);
+
+                await store.put('timesheets', {
+                    ...timesheet,
+                    status: 'Rejected',
+                    reviewedBy: user?.username || '',
+                    reviewedAt: new Date().toISOString(),
+                    reviewComment: comment || ''
+                });
+                return { timesheetId: timesheet.timesheetId, status: 'Rejected' };
+            },
+
+            // Payroll
+            getPayrollSummary: async ({ month }) => {
+                const m = month || today().slice(0, 7);
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(m)) fail('Month must be in YYYY-MM format');
+
+                const settings = await loadSettings();
+                const { startDate, endDate } = monthRange(m);
+                const tables = await loadTimesheetTables();
+                const monthRecords = tables.attendance.filter(r => r.date >= startDate && r.date <= endDate);
+                const unpaidLeaveIds = new Set((await store.getAll('leaves'))
+                    .filter(l => l.type === 'Unpaid')
+                    .map(l => l.leaveId));
+
+                // Active members who had joined by the month's end, and anyone
+                // else with attendance in the month (e.g. left part-way through)
+                const members = (await store.getAll('members')).filter(member =>
+                    (member.status === 'Active' && (!member.joinDate || member.joinDate <= endDate)) ||
+                    monthRecords.some(r => r.memberId === member.memberId)
+                );
+
+                const rows = [];
+                for (const member of members) {
+                    const { days } = await getMonthTimesheet(member, m, settings, tables);
+                    const workingDates = listWorkingDates(startDate, endDate, settings, { holidays: tables.holidays, department: member.department || '' })
+                        .filter(d => !member.joinDate || d >= member.joinDate);
+
+                    rows.push({
+                        memberId: member.memberId,
+                        name: member.name,
+                        department: member.department || '',
+                        role: member.role || '',
+                        ...summarizePayroll({
+                            workingDates,
+                            records: monthRecords.filter(r => r.memberId === member.memberId),
+                            days,
+                            unpaidLeaveIds,
+                            settings,
+                            asOf: today()
+                        })
+                    });
+                }
+
+                return {
+                    month: m,
+                    startDate,
+                    endDate,
+                    members: rows.sort((a, b) => String(a.name).localeCompare(String(b.name))),
+                    rules: {
+                        latesPerDeduction: parseInt(settings.PayrollLatesPerDeduction, 10) || 0,
+                        lateDeductionDays: parseFloat(settings.PayrollLateDeductionDays) || 0,
+                        halfDayDeductionDays: parseFloat(settings.PayrollHalfDayDeductionDays) || 0,
+                        absentDeductionDays: parseFloat(settings.PayrollAbsentDeductionDays) || 0
+                    }
+                };
+            }
+        };
+
+        /**
+         * Resolves a session token to { session, user } or fails with 401
+         */
+        const authenticate = async (token) => {
+            if (!token) fail('Authentication required', 401);
+
+            const sessions = await store.getAll('sessions');
+            const session = sessions.find(row => row.token === token);
+            if (!session) fail('Session expired. Please sign in again.', 401);
+
+            if (new Date(session.expiresAt).getTime() <= Date.now()) {
+                await store.remove('sessions', session.token);
+                fail('Session expired. Please sign in again.', 401);
+            }
+
+            const users = await store.getAll('users');
+            const row = users.find(u => u.username === session.username);
+            if (!row || row.disabled) fail('Account is no longer active', 401);
+
+            return { session, user: toUser(row, await store.getAll('members')) };
+        };
+
+        /**
+         * Returns the member IDs a task/rating/leave/shift/timesheet write touches
+         */
+        const getTargetMemberIds = async (action, params) => {
+            const ids = [];
+            const record = params.task || params.rating || params.leave || params.timesheet;
+            if (record && record.memberId) ids.push(record.memberId);
+            if (Array.isArray(params.assignments)) ids.push(...params.assignments.map(a => a.memberId));
+
+            if (params.taskId) {
+                ids.push((await findOrFail('tasks', 'taskId', params.taskId, 'Task')).memberId);
+            }
+            if (params.recordId) {
+                ids.push((await findOrFail('ratings', 'recordId', params.recordId, 'Rating')).memberId);
+            }
+            if (params.leaveId) {
+                ids.push((await findOrFail('leaves', 'leaveId', params.leaveId, 'Leave request')).memberId);
+            }
+            if (params.assignmentId) {
+                ids.push((await findOrFail('shiftAssignments', 'assignmentId', params.assignmentId, 'Shift assignment')).memberId);
+            }
+            if (params.timesheetId) {
+                ids.push((await findOrFail('timesheets', 'timesheetId', params.timesheetId, 'Timesheet')).memberId);
+            }
+            return ids;
+        };
+
+        /**
+         * Builds a punch ({ date, memberId, punch: 'in' | 'out' }) from the
+         * server's clock, with status and hours worked from the member's
+         * shift. Punches are for yourself, today; no second punch in, no
+         * punch out before punching in and no second punch out. Members on
+         * an overnight shift may also punch out of yesterday's record
+         * after midnight.
+         */
+        const stampPunch = async (record, user) => {
+            if (!user || record.memberId !== user.memberId) {
+                fail('You can only punch in or out for yourself, today', 403);
+            }
+            if (record.punch !== 'in' && record.punch !== 'out') fail('Punch must be "in" or "out"');
+
+            const rows = await store.getAll('attendance');
+            const existing = rows.find(r => r.date === record.date && r.memberId === record.memberId) || {};
+            const shift = resolveShift(record.memberId, record.date,
+                await store.getAll('shiftAssignments'), await store.getAll('shifts'));
+
+            if (record.date !== today()) {
+                const yesterday = new Date();
+                yesterday.setDate(yesterday.getDate() - 1);
+
+                if (record.date !== toDateString(yesterday) || !isOvernightShift(shift) || !existing.punchIn || record.punch !== 'out') {
+                    fail('You can only punch in or out for yourself, today', 403);
+                }
+            }
+
+            const settings = await loadSettings();
+            const time = currentTime();
+            const comments = record.comments !== undefined ? record.comments : existing.comments || '';
+
+            if (record.punch === 'in') {
+                if (existing.punchIn) fail(`You already punched in today at ${existing.punchIn}`, 409);
+                return {
+                    date: record.date,
+                    memberId: record.memberId,
+                    punchIn: time,
+                    punchOut: '',
+                    status: attendanceStatusOf(time, '', settings, shift, record.date),
+                    lateMinutes: lateMinutesOf(time, settings, shift),
+                    hoursWorked: '',
+                    comments
+                };
+            }
+
+            if (!existing.punchIn) fail('You need to punch in before punching out');
+            if (existing.punchOut) fail(`You already punched out today at ${existing.punchOut}`, 409);
+            const breakMinutes = shift ? shift.breakMinutes : settings.BreakDuration;
+            return {
+                date: record.date,
+                memberId: record.memberId,
+                punchIn: existing.punchIn,
+                punchOut: time,
+                status: attendanceStatusOf(existing.punchIn, time, settings, shift, record.date),
+                lateMinutes: lateMinutesOf(existing.punchIn, settings, shift),
+                hoursWorked: hoursWorkedOf(existing.punchIn, time, breakMinutes),
+                comments
+            };
+        };
+
+        /**
+         * An employee's saveAttendance must be a single punch for
+         * themselves; times and status come from the server (stampPunch)
+         */
+        const checkSelfPunch = ({ batch }, user) => {
+            const record = Array.isArray(batch) && batch.length === 1 ? batch[0] : null;
+            if (!record || record.memberId !== user.memberId || !record.punch) {
+                fail('You can only punch in or out for yourself, today', 403);
+            }
+            if (['punchIn', 'punchOut', 'status', 'lateMinutes', 'hoursWorked'].some(field => field in record)) {
+                fail('Punch times and status are set by the server');
+            }
+        };
+
+        /**
+         * Fails with 403 when the signed-in user's role may not call an action
+         */
+        const authorize = async (action, params, { user }) => {
+            const denied = () => fail('You do not have permission to perform this action', 403);
+
+            if (user.role === 'admin') return;
+
+            if (user.role === 'employee') {
+                if (!SELF_SERVICE_ACTIONS.includes(action)) denied();
+                if ('memberId' in params && params.memberId !== user.memberId) denied();
+                // Listing tasks/ratings without a memberId would return everyone's
+                if (['getPerformanceTasks', 'getRatings', 'getLeaveRequests', 'getLeaveLedger', 'getShiftAssignments', 'getTimesheet', 'getReviewResults'].includes(action) && !params.memberId) denied();
+                if (['applyLeave', 'cancelLeave', 'submitTimesheet'].includes(action)) {
+                    const targets = await getTargetMemberIds(action, params);
+                    if (targets.some(id => id !== user.memberId)) denied();
+                }
+                if (action === 'saveAttendance') checkSelfPunch(params, user);
+                return;
+            }
+
+            if (ACTION_ROLES[action] && !ACTION_ROLES[action].includes(user.role)) denied();
+
+            if (DEPARTMENT_SCOPED_ACTIONS.includes(action)) {
+                const members = await store.getAll('members');
+                const targets = await getTargetMemberIds(action, params);
+                const outside = targets.some(id => {
+                    const member = members.find(m => m.memberId === id);
+                    return !member || !user.department || member.department !== user.department;
+                });
+                if (outside) fail('You can only manage members of your own department', 403);
+            }
+        };
+
+        /**
+         * Runs one action and wraps the result in the Apps Script envelope
+         */
+        const run = async (action, params, context) => {
+            try {
+                const handler = actions[action];
+                if (!handler) fail(`Unknown action: ${action}`, 404);
+                if (context.user) await authorize(action, params, context);
+
+                const data = await handler(params, context);
+                return { success: true, data };
+            } catch (error) {
+                return {
+                    success: false,
+                    error: error?.message || String(error),
+                    code: error?.code || 500
+                };
+            }
+        };
+
+        /**
+         * Authenticates the request, then runs the action (or batch).
+         * The token travels as a `token` param and never reaches handlers.
+         * @param {string} action - Action name
+         * @param {Object} params - Action parameters (query params or POST body)
+         * @returns {Promise<Object>} - { success, data } or { success: false, error, code }
+         */
+        const handle = async (action, params = {}) => {
+            const { token, ...rest } = params;
+            let context = {};
+
+            try {
+                await ensureSeeded();
+                if (!PUBLIC_ACTIONS.includes(action)) {
+                    context = await authenticate(token);
+                }
+            } catch (error) {
+                return {
+                    success: false,
+                    error: error?.message || String(error),
+                    code: error?.code || 500
+                };
+            }
+
+            return action === 'batch' ? handleBatch(rest, context) : run(action, rest, context);
+        };
+
+        /**
+         * Runs several read actions in one request. `requests` is an array
+         * (or its JSON string, when sent as a query param) of
+         * { action, ...params }; the result holds one envelope per request.
+         * Only reads (get*) are allowed: a batch can arrive as a GET, and
+         * writes must go through POST so clients purge their caches.
+         */
+        const handleBatch = async ({ requests } = {}, context) => {
+            let list;
+            try {
+                list = typeof requests === 'string' ? JSON.parse(requests) : requests;
+            } catch (error) {
+                list = null;
+            }
+
+            if (!Array.isArray(list)) {
+                return { success: false, error: 'requests must be an array', code: 400 };
+            }
+
+            const data = [];
+            for (const { action, ...params } of list) {
+                if (action === 'batch') {
+                    data.push({ success: false, error: 'Nested batches are not allowed', code: 400 });
+                } else if (!/^get[A-Z]/.test(String(action))) {
+                    data.push({ success: false, error: `Only read actions can be batched, not ${action}`, code: 400 });
+                } else {
+                    data.push(await run(action, params, context));
+                }
+            }
+            return { success: true, data };
+        };
+
+        return {
+            handle,
+            actions,
+            hasAction: (action) => Object.prototype.hasOwnProperty.call(actions, action)
+        };
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        SCHEMA_VERSION,
+        TABLES,
+        DEFAULT_SETTINGS,
+        findHoliday,
+        resolveShift,
+        isOvernightShift,
+        create,
+        keyOf
+    };
+
+})();
+
+// Make available in the browser and in Node (mock server)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackendHandlers;
+} else {
+    window.BackendHandlers = BackendHandlers;
+}
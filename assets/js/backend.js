@@ -0,0 +1,298 @@
+/**
+ * SquidX HRM — Backend Adapter Layer
+ * ====================================
+ * Transport layer used by the API module. Each adapter sends an
+ * action request and resolves with the raw response envelope
+ * ({ success, data, error, code }), so api.js stays backend-agnostic.
+ *
+ * Adapters:
+ *   - appsscript: Google Apps Script web app (CONFIG.SCRIPT_URL)
+ *   - rest:       Local REST/mock server (CONFIG.BACKEND.restUrl)
+ *   - indexeddb:  In-browser IndexedDB store (CONFIG.BACKEND.dbName)
+ *
+ * Transport failures reject with { xhr, status, error } so the API
+ * module can normalize them with parseAjaxError.
+ *
+ * Dependencies:
+ *   - jQuery (for AJAX)
+ *   - /config/sheet-config.js
+ *   - /assets/js/backend-handlers.js (IndexedDB adapter only)
+ */
+
+const Backend = (function() {
+    'use strict';
+
+    // ============================================
+    // 🔧 CONFIGURATION & CONSTANTS
+    // ============================================
+
+    const OPTIONS = CONFIG.BACKEND || { type: 'appsscript' };
+    const TIMEOUT = CONFIG.REQUEST_TIMEOUT || 30000;
+
+    // ============================================
+    // 🌐 HTTP HELPERS
+    // ============================================
+
+    /**
+     * Builds a URL with an encoded query string
+     * @param {string} base - Base URL
+     * @param {Object} params - Query parameters
+     * @returns {string} - Full URL
+     */
+    const buildUrl = (base, params = {}) => {
+        const queryString = Object.keys(params)
+            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+            .join('&');
+
+        return queryString ? `${base}?${queryString}` : base;
+    };
+
+    /**
+     * Promise wrapper around $.ajax that expects a JSON envelope
+     * @param {Object} options - $.ajax options
+     * @returns {Promise<Object>} - Resolves with the response envelope
+     */
+    const ajax = (options) => {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                dataType: 'json',
+                timeout: TIMEOUT,
+                ...options,
+                success: function(response) {
+                    resolve(response);
+                },
+                error: function(xhr, status, error) {
+                    reject({ xhr, status, error });
+                }
+            });
+        });
+    };
+
+    // ============================================
+    // 📄 APPS SCRIPT ADAPTER
+    // ============================================
+
+    /**
+     * Google Apps Script web app — `?action=` GETs and form-encoded POSTs
+     */
+    const appsScriptAdapter = {
+        name: 'appsscript',
+
+        endpoint: () => CONFIG.SCRIPT_URL,
+
+        get: (params) => ajax({
+            url: buildUrl(CONFIG.SCRIPT_URL, params),
+            type: 'GET'
+        }),
+
+        post: (body) => ajax({
+            url: CONFIG.SCRIPT_URL,
+            type: 'POST',
+            contentType: 'application/x-www-form-urlencoded',
+            data: { payload: JSON.stringify(body) }
+        })
+    };
+
+    // ============================================
+    // 🖥️ REST ADAPTER
+    // ============================================
+
+    /**
+     * Local REST server — GET/POST {restUrl}/{action} with JSON bodies
+     */
+    const restAdapter = {
+        name: 'rest',
+
+        endpoint: () => OPTIONS.restUrl,
+
+        get: (params) => {
+            const { action, ...query } = params;
+            return ajax({
+                url: buildUrl(`${OPTIONS.restUrl}/${encodeURIComponent(action)}`, query),
+                type: 'GET'
+            });
+        },
+
+        post: (body) => ajax({
+            url: `${OPTIONS.restUrl}/${encodeURIComponent(body.action)}`,
+            type: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify(body)
+        })
+    };
+
+    // ============================================
+    // 💾 INDEXEDDB ADAPTER
+    // ============================================
+
+    /**
+     * Open database promise (lazily created)
+     */
+    let dbPromise = null;
+
+    /**
+     * Action handlers bound to the IndexedDB store (lazily created)
+     */
+    let localHandlers = null;
+
+    /**
+     * Wraps an IDBRequest in a Promise
+     */
+    const promisifyRequest = (request) => {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Opens (and upgrades) the local database
+     * @returns {Promise<IDBDatabase>}
+     */
+    const openDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = window.indexedDB.open(OPTIONS.dbName || 'squidx-hrm', BackendHandlers.SCHEMA_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(BackendHandlers.TABLES).forEach(([table, keyPath]) => {
+                        if (!db.objectStoreNames.contains(table)) {
+                            db.createObjectStore(table, { keyPath });
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    /**
+     * Table store implementation over IndexedDB
+     */
+    const indexedDbStore = {
+        getAll: async (table) => {
+            const db = await openDatabase();
+            const tx = db.transaction(table, 'readonly');
+            return promisifyRequest(tx.objectStore(table).getAll());
+        },
+
+        put: async (table, row) => {
+            const db = await openDatabase();
+            const tx = db.transaction(table, 'readwrite');
+            return promisifyRequest(tx.objectStore(table).put(row));
+        },
+
+        remove: async (table, key) => {
+            const db = await openDatabase();
+            const tx = db.transaction(table, 'readwrite');
+            return promisifyRequest(tx.objectStore(table).delete(key));
+        }
+    };
+
+    /**
+     * Runs an action against the local store.
+     * Payloads are cloned through JSON to mirror a real network round-trip.
+     */
+    const runLocal = (payload) => {
+        if (!localHandlers) {
+            localHandlers = BackendHandlers.create(indexedDbStore, { seed: OPTIONS.seedDemoData });
+        }
+
+        const { action, ...params } = JSON.parse(JSON.stringify(payload));
+
+        return localHandlers.handle(action, params)
+            .then(response => JSON.parse(JSON.stringify(response)))
+            .catch(error => Promise.reject({
+                xhr: { status: 500 },
+                status: 'error',
+                error: error?.message || String(error)
+            }));
+    };
+
+    /**
+     * In-browser IndexedDB store — no network involved
+     */
+    const indexedDbAdapter = {
+        name: 'indexeddb',
+
+        endpoint: () => `indexeddb://${OPTIONS.dbName || 'squidx-hrm'}`,
+
+        get: (params) => runLocal(params),
+
+        post: (body) => runLocal(body)
+    };
+
+    // ============================================
+    // 🔌 ADAPTER REGISTRY
+    // ============================================
+
+    const adapters = {
+        appsscript: appsScriptAdapter,
+        rest: restAdapter,
+        indexeddb: indexedDbAdapter
+    };
+
+    /**
+     * Resolves the adapter selected in CONFIG.BACKEND.type
+     * @returns {Object} - Active adapter
+     */
+    const getAdapter = () => {
+        const adapter = adapters[OPTIONS.type];
+
+        if (!adapter) {
+            CONFIG.logWarn(`Unknown backend "${OPTIONS.type}", falling back to Apps Script`);
+            return appsScriptAdapter;
+        }
+
+        return adapter;
+    };
+
+    /**
+     * Registers a custom adapter (must implement get, post and endpoint)
+     * @param {string} name - Adapter name used in CONFIG.BACKEND.type
+     * @param {Object} adapter - Adapter implementation
+     */
+    const registerAdapter = (name, adapter) => {
+        if (!adapter || typeof adapter.get !== 'function' || typeof adapter.post !== 'function') {
+            throw new Error('Adapter must implement get() and post()');
+        }
+        adapters[name] = { name, endpoint: () => name, ...adapter };
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        /**
+         * Sends a read request
+         * @param {Object} params - Request parameters (must include 'action')
+         * @returns {Promise<Object>} - Response envelope
+         */
+        get: (params) => getAdapter().get(params),
+
+        /**
+         * Sends a write request
+         * @param {Object} body - Request body (must include 'action')
+         * @returns {Promise<Object>} - Response envelope
+         */
+        post: (body) => getAdapter().post(body),
+
+        getType: () => getAdapter().name,
+        getEndpoint: () => getAdapter().endpoint(),
+        registerAdapter
+    };
+
+})();
+
+// Make Backend globally available
+window.Backend = Backend;
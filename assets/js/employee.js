@@ -4,8 +4,9 @@
  * Handles all employee profile page functionality including:
  * - Loading and displaying employee profile
  * - Attendance history with filtering
- * - Leave history and remaining balance
- * - Performance tasks management
+ * - Leave balances, requests, cancellations and the paid leave ledger
+ * - Monthly timesheet with overtime/undertime and its approval
+ * - Performance tasks management, with priorities, effort and subtasks
  * - Ratings timeline with charts
  * 
  * Dependencies:
@@ -44,9 +45,31 @@ const EmployeePage = (function() {
     let attendanceRecords = [];
 
     /**
-     * Leave records for this member
+     * Leave requests for this member (newest first)
      */
-    let leaveRecords = [];
+    let leaveRequests = [];
+
+    /**
+     * Leave balances from API.getLeaveSummary
+     */
+    let leaveSummary = null;
+
+    /**
+     * Paid leave ledger for ledgerYear from API.getLeaveLedger
+     */
+    let leaveLedger = null;
+    let ledgerYear = new Date().getFullYear();
+
+    /**
+     * Timesheet for the selected month (YYYY-MM)
+     */
+    let timesheet = null;
+    let timesheetMonth = Utils.getToday().slice(0, 7);
+
+    /**
+     * Action the timesheet modal confirms: 'submit', 'approve' or 'reject'
+     */
+    let timesheetAction = null;
 
     /**
      * Performance tasks for this member
@@ -58,6 +81,27 @@ const EmployeePage = (function() {
      */
     let ratings = [];
 
+    /**
+     * Admin-defined rating templates (see Utils.resolveRatingTemplate)
+     */
+    let ratingTemplates = [];
+
+    /**
+     * Review cycle results for this member (see API.getReviewResults)
+     */
+    let reviewResults = [];
+
+    /**
+     * Objectives this member's tasks count towards: their own and their
+     * department's (see API.getObjectives)
+     */
+    let objectives = [];
+
+    /**
+     * Suggested scores for the open rating modal, by criterion key
+     */
+    let ratingSuggestions = {};
+
     /**
      * Application settings
      */
@@ -68,6 +112,11 @@ const EmployeePage = (function() {
      */
     let activeTab = 'attendance';
 
+    /**
+     * Tabs a ?tab= link may open
+     */
+    const TABS = ['attendance', 'leave', 'timesheet', 'performance', 'okrs', 'ratings', 'reviews'];
+
     /**
      * Ratings chart instance
      */
@@ -96,7 +145,8 @@ const EmployeePage = (function() {
         'Late': { color: 'amber', icon: 'clock', label: 'Late' },
         'Absent': { color: 'red', icon: 'x-circle', label: 'Absent' },
         'On Leave': { color: 'blue', icon: 'calendar', label: 'On Leave' },
-        'Half Day': { color: 'orange', icon: 'minus-circle', label: 'Half Day' }
+        'Half Day': { color: 'orange', icon: 'minus-circle', label: 'Half Day' },
+        'Early Leave': { color: 'yellow', icon: 'clock', label: 'Early Leave' }
     };
 
     /**
@@ -111,14 +161,18 @@ const EmployeePage = (function() {
     };
 
     /**
-     * Chart colors for ratings
+     * Most subtasks per task, and checklist items per subtask (matches the backend)
      */
-    const CHART_COLORS = {
-        quality: { border: '#3B82F6', background: 'rgba(59, 130, 246, 0.1)' },
-        punctuality: { border: '#10B981', background: 'rgba(16, 185, 129, 0.1)' },
-        reliability: { border: '#F59E0B', background: 'rgba(245, 158, 11, 0.1)' },
-        deadlines: { border: '#8B5CF6', background: 'rgba(139, 92, 246, 0.1)' }
-    };
+    const MAX_SUBTASKS = 20;
+    const MAX_CHECKLIST_ITEMS = 20;
+
+    /**
+     * Chart colors for rating criteria, in criterion order
+     */
+    const CRITERION_COLORS = [
+        '#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899',
+        '#14B8A6', '#6366F1', '#EF4444', '#84CC16', '#6B7280'
+    ];
 
     // ============================================
     // 🎯 DOM SELECTORS
@@ -159,6 +213,7 @@ const EmployeePage = (function() {
         tabContents: '.tab-content',
         tabAttendance: '#tabAttendance',
         tabLeave: '#tabLeave',
+        tabTimesheet: '#tabTimesheet',
         tabPerformance: '#tabPerformance',
         tabRatings: '#tabRatings',
         
@@ -172,10 +227,26 @@ const EmployeePage = (function() {
         // Leave Tab
         leaveContent: '#leaveContent',
         leaveList: '#leaveList',
-        leaveRemaining: '#leaveRemaining',
-        leaveTaken: '#leaveTaken',
-        leaveTotal: '#leaveTotal',
+        leaveBalances: '#leaveBalances',
         leaveEmptyState: '#leaveEmptyState',
+        btnRequestLeave: '#btnRequestLeave',
+        ledgerYear: '#ledgerYear',
+        ledgerPolicy: '#ledgerPolicy',
+        leaveLedgerBody: '#leaveLedgerBody',
+        btnAddAdjustment: '#btnAddAdjustment',
+        
+        // Timesheet tab
+        timesheetContent: '#timesheetContent',
+        timesheetMonth: '#timesheetMonth',
+        timesheetStatus: '#timesheetStatus',
+        timesheetPolicy: '#timesheetPolicy',
+        timesheetReview: '#timesheetReview',
+        timesheetTotals: '#timesheetTotals',
+        timesheetWeeksBody: '#timesheetWeeksBody',
+        timesheetDaysBody: '#timesheetDaysBody',
+        btnSubmitTimesheet: '#btnSubmitTimesheet',
+        btnApproveTimesheet: '#btnApproveTimesheet',
+        btnRejectTimesheet: '#btnRejectTimesheet',
         
         // Performance Tab
         performanceContent: '#performanceContent',
@@ -184,6 +255,12 @@ const EmployeePage = (function() {
         taskEmptyState: '#taskEmptyState',
         taskStats: '#taskStats',
         
+        // OKRs Tab
+        okrsContent: '#okrsContent',
+        okrPeriodFilter: '#okrPeriodFilter',
+        okrList: '#okrList',
+        okrEmptyState: '#okrEmptyState',
+        
         // Ratings Tab
         ratingsContent: '#ratingsContent',
         ratingChart: '#ratingChart',
@@ -193,6 +270,12 @@ const EmployeePage = (function() {
         ratingEmptyState: '#ratingEmptyState',
         averageRating: '#averageRating',
         
+        // Reviews Tab
+        reviewsContent: '#reviewsContent',
+        reviewResultList: '#reviewResultList',
+        reviewEmptyState: '#reviewEmptyState',
+        reviewEmptyMessage: '#reviewEmptyMessage',
+        
         // Task Modal
         taskModal: '#taskModal',
         taskForm: '#taskForm',
@@ -200,10 +283,17 @@ const EmployeePage = (function() {
         taskId: '#taskId',
         taskTitle: '#taskTitle',
         taskDescription: '#taskDescription',
+        taskKeyResult: '#taskKeyResult',
         taskDeadline: '#taskDeadline',
         taskStatus: '#taskStatus',
         taskScore: '#taskScore',
+        taskPriority: '#taskPriority',
+        taskEstimatedHours: '#taskEstimatedHours',
+        taskActualHours: '#taskActualHours',
         taskNotes: '#taskNotes',
+        subtaskList: '#subtaskList',
+        subtaskProgress: '#subtaskProgress',
+        btnAddSubtask: '#btnAddSubtask',
         btnSaveTask: '#btnSaveTask',
         btnCloseTaskModal: '#btnCloseTaskModal',
         btnCancelTask: '#btnCancelTask',
@@ -215,17 +305,43 @@ const EmployeePage = (function() {
         ratingModalTitle: '#ratingModalTitle',
         ratingId: '#ratingId',
         ratingDate: '#ratingDate',
-        ratingQuality: '#ratingQuality',
-        ratingPunctuality: '#ratingPunctuality',
-        ratingReliability: '#ratingReliability',
-        ratingDeadlines: '#ratingDeadlines',
-        ratingQualityValue: '#ratingQualityValue',
-        ratingPunctualityValue: '#ratingPunctualityValue',
-        ratingReliabilityValue: '#ratingReliabilityValue',
-        ratingDeadlinesValue: '#ratingDeadlinesValue',
+        ratingTemplateInfo: '#ratingTemplateInfo',
+        ratingCriteria: '#ratingCriteria',
         btnSaveRating: '#btnSaveRating',
         btnCloseRatingModal: '#btnCloseRatingModal',
-        btnCancelRating: '#btnCancelRating'
+        btnCancelRating: '#btnCancelRating',
+        
+        // Leave Modal
+        leaveModal: '#leaveModal',
+        leaveForm: '#leaveForm',
+        leaveType: '#leaveType',
+        leaveTypeBalance: '#leaveTypeBalance',
+        leaveStartDate: '#leaveStartDate',
+        leaveEndDate: '#leaveEndDate',
+        leaveReason: '#leaveReason',
+        btnSaveLeave: '#btnSaveLeave',
+        btnCloseLeaveModal: '#btnCloseLeaveModal',
+        btnCancelLeaveModal: '#btnCancelLeaveModal',
+        
+        // Leave Adjustment Modal
+        adjustmentModal: '#adjustmentModal',
+        adjustmentForm: '#adjustmentForm',
+        adjustmentDate: '#adjustmentDate',
+        adjustmentDays: '#adjustmentDays',
+        adjustmentReason: '#adjustmentReason',
+        btnSaveAdjustment: '#btnSaveAdjustment',
+        btnCloseAdjustmentModal: '#btnCloseAdjustmentModal',
+        btnCancelAdjustmentModal: '#btnCancelAdjustmentModal',
+        
+        // Timesheet modal
+        timesheetModal: '#timesheetModal',
+        timesheetModalTitle: '#timesheetModalTitle',
+        timesheetSummary: '#timesheetSummary',
+        timesheetComment: '#timesheetComment',
+        timesheetCommentLabel: '#timesheetCommentLabel',
+        btnConfirmTimesheet: '#btnConfirmTimesheet',
+        btnCloseTimesheetModal: '#btnCloseTimesheetModal',
+        btnCancelTimesheetModal: '#btnCancelTimesheetModal'
     };
 
     // ============================================
@@ -244,6 +360,7 @@ const EmployeePage = (function() {
             
             // Parse member ID from URL
             memberId = Utils.getUrlParam('memberId');
+            if (TABS.includes(Utils.getUrlParam('tab'))) activeTab = Utils.getUrlParam('tab');
             
             if (!memberId) {
                 Utils.showToast('No member ID provided', 'error');
@@ -261,15 +378,23 @@ const EmployeePage = (function() {
             // Load member profile
             await loadMemberProfile();
             
+            // Hide actions the current role can't take for this member
+            applyPermissions();
+            
             // Load all data in parallel
             await Promise.all([
                 loadAttendance(),
+                loadLeave(),
+                loadTimesheet(),
                 loadTasks(),
-                loadRatings()
+                loadObjectives(),
+                loadRatings(),
+                loadReviewResults()
             ]);
             
             // Calculate and render summaries
             calculateSummaries();
+            populateOkrFilter();
             
             // Render the active tab
             switchTab(activeTab);
@@ -289,6 +414,33 @@ const EmployeePage = (function() {
         }
     };
 
+    /**
+     * Hides actions the current role can't take for this member
+     * (employees viewing their own profile get a read-only page)
+     */
+    const applyPermissions = () => {
+        $(SELECTORS.btnEditMember).toggleClass('hidden', !Auth.can('members.edit'));
+        $(SELECTORS.btnBackToDirectory).toggleClass('hidden', !Auth.canAccessPage('members.html'));
+        $(SELECTORS.btnAddTask).toggleClass('hidden', !Auth.can('tasks.manage', member));
+        $(SELECTORS.btnAddRating).toggleClass('hidden', !Auth.can('ratings.manage', member));
+        $(SELECTORS.btnRequestLeave).toggleClass('hidden', !canRequestLeave());
+        $(SELECTORS.btnAddAdjustment).toggleClass('hidden', !Auth.can('leave.adjust'));
+    };
+
+    /**
+     * Leave can be requested (and cancelled) by the member themselves
+     * or by whoever approves their leave
+     */
+    const canRequestLeave = () => Auth.isSelf(memberId) || Auth.can('leave.approve', member);
+
+    /**
+     * Timesheets are submitted by the member or by whoever approves them;
+     * only admins may approve their own
+     */
+    const canSubmitTimesheet = () => Auth.isSelf(memberId) || Auth.can('timesheets.approve', member);
+    const canReviewTimesheet = () => Auth.can('timesheets.approve', member) &&
+        (Auth.hasRole(CONFIG.USER_ROLES.ADMIN) || !Auth.isSelf(memberId));
+
     /**
      * Load application settings
      */
@@ -349,6 +501,50 @@ const EmployeePage = (function() {
         }
     };
 
+    /**
+     * Load leave requests and balances for this member
+     */
+    const loadLeave = async () => {
+        try {
+            [leaveRequests, leaveSummary] = await Promise.all([
+                API.getLeaveRequests({ memberId: memberId }),
+                API.getLeaveSummary(memberId),
+                loadLedger()
+            ]);
+            
+            CONFIG.log(`Loaded ${leaveRequests.length} leave requests`);
+            
+        } catch (error) {
+            CONFIG.logError('Failed to load leave:', error);
+            leaveRequests = [];
+            leaveSummary = null;
+        }
+    };
+
+    /**
+     * Load the paid leave ledger for the selected year
+     */
+    const loadLedger = async () => {
+        try {
+            leaveLedger = await API.getLeaveLedger(memberId, ledgerYear);
+        } catch (error) {
+            CONFIG.logError('Failed to load leave ledger:', error);
+            leaveLedger = null;
+        }
+    };
+
+    /**
+     * Load the timesheet for the selected month
+     */
+    const loadTimesheet = async () => {
+        try {
+            timesheet = await API.getTimesheet(memberId, timesheetMonth);
+        } catch (error) {
+            CONFIG.logError('Failed to load timesheet:', error);
+            timesheet = null;
+        }
+    };
+
     /**
      * Load performance tasks for this member
      */
@@ -374,6 +570,11 @@ const EmployeePage = (function() {
                         task.status = 'Overdue';
                     }
                 }
+                
+                // Tasks created before priorities and subtasks existed
+                task.priority = task.priority || CONFIG.TASK_PRIORITY.MEDIUM;
+                task.subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+                task.progress = Utils.calculateTaskProgress(task);
                 return task;
             });
             
@@ -390,7 +591,10 @@ const EmployeePage = (function() {
      */
     const loadRatings = async () => {
         try {
-            ratings = await API.getRatings(memberId);
+            [ratings, ratingTemplates] = await Promise.all([
+                API.getRatings(memberId),
+                API.getRatingTemplates().catch(() => [])
+            ]);
             
             // Sort by date ascending for chart
             ratings.sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -574,33 +778,16 @@ const EmployeePage = (function() {
     };
 
     /**
-     * Render leave list
+     * Render leave balances and requests
      */
     const renderLeaveList = () => {
         const $list = $(SELECTORS.leaveList);
         const $empty = $(SELECTORS.leaveEmptyState);
         
-        // Calculate leave from attendance (days marked as "On Leave")
-        const leaveDays = attendanceRecords.filter(a => a.status === 'On Leave');
-        
-        // Calculate leave summary
-        const paidLeavePerMonth = parseInt(settings.PaidLeavePerMonth) || 2;
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        const thisMonthLeave = leaveDays.filter(a => {
-            const date = new Date(a.date);
-            return date.getMonth() === currentMonth && date.getFullYear() === currentYear;
-        }).length;
-        
-        const remainingLeave = Math.max(0, paidLeavePerMonth - thisMonthLeave);
+        renderLeaveBalances();
+        renderLedger();
         
-        // Update leave stats
-        $(SELECTORS.leaveRemaining).text(remainingLeave);
-        $(SELECTORS.leaveTaken).text(thisMonthLeave);
-        $(SELECTORS.leaveTotal).text(paidLeavePerMonth);
-        
-        if (leaveDays.length === 0) {
+        if (leaveRequests.length === 0) {
             $list.html('');
             $empty.removeClass('hidden');
             return;
@@ -608,61 +795,297 @@ const EmployeePage = (function() {
         
         $empty.addClass('hidden');
         
-        // Group by month
-        const groupedByMonth = {};
-        leaveDays.forEach(leave => {
-            const date = new Date(leave.date);
-            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            if (!groupedByMonth[key]) {
-                groupedByMonth[key] = [];
-            }
-            groupedByMonth[key].push(leave);
-        });
-        
-        let html = '';
+        const canCancel = canRequestLeave();
+        const today = Utils.getToday();
         
-        Object.entries(groupedByMonth)
-            .sort((a, b) => b[0].localeCompare(a[0]))
-            .forEach(([monthKey, leaves]) => {
-                const [year, month] = monthKey.split('-');
-                const monthName = new Date(year, month - 1).toLocaleDateString('en-US', { 
-                    month: 'long', 
-                    year: 'numeric' 
-                });
-                
-                html += `
-                    <div class="mb-4">
-                        <h4 class="text-sm font-semibold text-gray-700 mb-2">${monthName}</h4>
-                        <div class="space-y-2">
-                `;
-                
-                leaves.forEach(leave => {
-                    html += `
-                        <div class="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
-                            <div class="flex items-center gap-3">
-                                <div class="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
-                                    <svg class="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-                                    </svg>
-                                </div>
-                                <span class="text-sm font-medium text-gray-900">
-                                    ${Utils.formatDateDisplay(leave.date)}
-                                </span>
+        const html = leaveRequests.map(leave => {
+            const range = leave.startDate === leave.endDate
+                ? Utils.formatDateDisplay(leave.startDate)
+                : `${Utils.formatDateDisplay(leave.startDate)} – ${Utils.formatDateDisplay(leave.endDate)}`;
+            // Employees can't take back leave that has already started
+            const cancellable = canCancel && (leave.status === 'Pending' ||
+                (leave.status === 'Approved' && (Auth.can('leave.approve', member) || leave.startDate > today)));
+            
+            return `
+                <div class="p-4 bg-white border border-gray-200 rounded-lg">
+                    <div class="flex items-start justify-between gap-4">
+                        <div class="flex items-start gap-3">
+                            <div class="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center flex-shrink-0">
+                                <svg class="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+                                </svg>
+                            </div>
+                            <div>
+                                <p class="text-sm font-medium text-gray-900">
+                                    ${Utils.escapeHtml(leave.type)} leave · ${leave.days} day${Number(leave.days) === 1 ? '' : 's'}
+                                </p>
+                                <p class="text-sm text-gray-500">${range}</p>
+                                ${leave.reason ? `<p class="text-sm text-gray-600 mt-1">${Utils.escapeHtml(leave.reason)}</p>` : ''}
+                                ${leave.reviewComment ? `<p class="text-xs text-gray-500 mt-1 italic">“${Utils.escapeHtml(leave.reviewComment)}”</p>` : ''}
                             </div>
-                            <span class="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs font-medium">
-                                On Leave
-                            </span>
                         </div>
-                    `;
-                });
-                
-                html += `
+                        <div class="flex flex-col items-end gap-2">
+                            <span class="px-2.5 py-1 rounded-full text-xs font-medium ${Utils.getLeaveStatusBadge(leave.status)}">
+                                ${Utils.escapeHtml(leave.status)}
+                            </span>
+                            ${cancellable ? `
+                                <button class="btn-cancel-leave text-xs font-medium text-red-600 hover:text-red-700" data-leave-id="${Utils.escapeHtml(leave.leaveId)}">
+                                    Cancel
+                                </button>
+                            ` : ''}
                         </div>
                     </div>
-                `;
-            });
+                </div>
+            `;
+        }).join('');
         
         $list.html(html);
+        
+        // Attach click handlers
+        $('.btn-cancel-leave').on('click', function() {
+            cancelLeaveRequest($(this).data('leave-id'));
+        });
+    };
+
+    /**
+     * Render one balance card per leave type
+     */
+    const renderLeaveBalances = () => {
+        const balances = (leaveSummary && leaveSummary.balances) || {};
+        const colors = { Paid: 'green', Sick: 'red', Casual: 'amber', Unpaid: 'gray' };
+        
+        const html = Object.values(CONFIG.LEAVE_TYPES).map(type => {
+            const balance = balances[type] || { allowed: 0, taken: 0, pending: 0, remaining: 0 };
+            const color = colors[type] || 'blue';
+            const isLimited = balance.allowed !== null && balance.allowed !== undefined;
+            let detail = 'days taken this month';
+            if (balance.period === 'accrual') {
+                detail = `available · ${balance.taken} taken this year`;
+            } else if (isLimited) {
+                detail = `left of ${balance.allowed} ${balance.period === 'year' ? 'this year' : 'this month'}`;
+            }
+            
+            return `
+                <div class="bg-${color}-50 rounded-xl p-4">
+                    <p class="text-sm text-${color}-600 mb-1">${type}</p>
+                    <p class="text-3xl font-bold text-${color}-700">${isLimited ? balance.remaining : balance.taken}</p>
+                    <p class="text-xs text-${color}-600 mt-1">
+                        ${detail}
+                        ${balance.pending ? ` · ${balance.pending} pending` : ''}
+                    </p>
+                </div>
+            `;
+        }).join('');
+        
+        $(SELECTORS.leaveBalances).html(html);
+    };
+
+    /**
+     * Render the paid leave ledger with its running balance
+     */
+    const renderLedger = () => {
+        populateLedgerYears();
+        
+        const $body = $(SELECTORS.leaveLedgerBody);
+        const policy = leaveLedger && leaveLedger.policy;
+        
+        $(SELECTORS.ledgerPolicy).text(policy
+            ? `${policy.accrualPerMonth} day(s) accrue each month · up to ${policy.carryForwardCap} carried into the next year` +
+              (policy.carryForwardExpiryMonths ? ` (expire after ${policy.carryForwardExpiryMonths} month(s))` : '')
+            : '');
+        
+        if (!leaveLedger || leaveLedger.entries.length === 0) {
+            $body.html(`
+                <tr>
+                    <td colspan="6" class="px-6 py-8 text-center text-gray-500">No ledger entries for ${ledgerYear}</td>
+                </tr>
+            `);
+            return;
+        }
+        
+        const canAdjust = Auth.can('leave.adjust');
+        const colors = { Accrual: 'text-green-700', 'Carry Forward': 'text-blue-700', Taken: 'text-gray-900', Adjustment: 'text-purple-700', Expired: 'text-red-600' };
+        
+        const html = leaveLedger.entries.map(entry => `
+            <tr class="${entry.projected ? 'text-gray-400' : ''}">
+                <td class="px-6 py-3 whitespace-nowrap">${Utils.escapeHtml(Utils.formatDateDisplay(entry.date))}</td>
+                <td class="px-6 py-3 whitespace-nowrap font-medium ${entry.projected ? '' : colors[entry.type] || 'text-gray-900'}">
+                    ${Utils.escapeHtml(entry.type)}${entry.projected ? ' <span class="text-xs font-normal">(upcoming)</span>' : ''}
+                </td>
+                <td class="px-6 py-3 text-gray-600">${Utils.escapeHtml(entry.description || '')}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right">${entry.days > 0 ? '+' : ''}${entry.days}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right font-medium">${entry.balance}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right">
+                    ${canAdjust && entry.adjustmentId ? `
+                        <button class="btn-delete-adjustment text-xs font-medium text-red-600 hover:text-red-700" data-adjustment-id="${Utils.escapeHtml(entry.adjustmentId)}">
+                            Remove
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+        
+        $body.html(html);
+        
+        // Attach click handlers
+        $('.btn-delete-adjustment').on('click', function() {
+            deleteAdjustment($(this).data('adjustment-id'));
+        });
+    };
+
+    /**
+     * Fill the ledger year dropdown from the joining year to this year
+     */
+    const populateLedgerYears = () => {
+        const current = new Date().getFullYear();
+        const joinYear = parseInt(String(member?.joinDate || '').slice(0, 4), 10);
+        const first = joinYear && joinYear <= current ? joinYear : current;
+        
+        let options = '';
+        for (let year = current; year >= first; year--) {
+            options += `<option value="${year}">${year}</option>`;
+        }
+        $(SELECTORS.ledgerYear).html(options).val(ledgerYear);
+    };
+
+    /**
+     * Render the timesheet: approval state, monthly totals, weekly
+     * totals and one row per day
+     */
+    const renderTimesheet = () => {
+        $(SELECTORS.timesheetMonth).val(timesheetMonth).attr('max', Utils.getToday().slice(0, 7));
+        
+        if (!timesheet) {
+            $(SELECTORS.timesheetStatus).html('');
+            $(SELECTORS.timesheetPolicy).text('');
+            $(SELECTORS.timesheetReview).addClass('hidden');
+            $(SELECTORS.timesheetTotals).html('');
+            $(SELECTORS.timesheetWeeksBody).html(`
+                <tr><td colspan="6" class="px-6 py-8 text-center text-gray-500">Timesheet could not be loaded</td></tr>
+            `);
+            $(SELECTORS.timesheetDaysBody).html('');
+            $(`${SELECTORS.btnSubmitTimesheet}, ${SELECTORS.btnApproveTimesheet}, ${SELECTORS.btnRejectTimesheet}`).addClass('hidden');
+            return;
+        }
+        
+        const approval = timesheet.approval;
+        const status = approval ? approval.status : 'Draft';
+        
+        $(SELECTORS.timesheetStatus).html(`
+            <span class="px-2.5 py-1 rounded-full text-xs font-medium ${Utils.getTimesheetStatusBadge(status)}">${status}</span>
+        `);
+        $(SELECTORS.timesheetPolicy).text(
+            `${timesheet.policy.workingHoursPerDay}h scheduled per working day (or the day's shift) · ` +
+            `${timesheet.policy.breakMinutes} min break deducted (or the shift's break)`
+        );
+        
+        $(SELECTORS.btnSubmitTimesheet).toggleClass('hidden', !canSubmitTimesheet() || status === 'Submitted' || status === 'Approved');
+        $(`${SELECTORS.btnApproveTimesheet}, ${SELECTORS.btnRejectTimesheet}`).toggleClass('hidden', status !== 'Submitted' || !canReviewTimesheet());
+        
+        renderTimesheetReview();
+        renderTimesheetTotals();
+        
+        const weeks = timesheet.weeks.map(week => `
+            <tr>
+                <td class="px-6 py-3 whitespace-nowrap text-gray-900">
+                    ${Utils.escapeHtml(Utils.formatDateDisplay(week.startDate))} – ${Utils.escapeHtml(Utils.formatDateDisplay(week.endDate))}
+                </td>
+                <td class="px-6 py-3 whitespace-nowrap text-right">${Utils.formatDuration(week.scheduledMinutes)}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right font-medium">${Utils.formatDuration(week.workedMinutes)}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right ${week.overtimeMinutes ? 'text-purple-700' : 'text-gray-400'}">${Utils.formatDuration(week.overtimeMinutes)}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right ${week.undertimeMinutes ? 'text-red-600' : 'text-gray-400'}">${Utils.formatDuration(week.undertimeMinutes)}</td>
+                <td class="px-6 py-3 whitespace-nowrap text-right">${week.daysWorked}</td>
+            </tr>
+        `).join('');
+        $(SELECTORS.timesheetWeeksBody).html(weeks);
+        
+        const days = timesheet.days.map(day => {
+            const balance = day.overtimeMinutes - day.undertimeMinutes;
+            let balanceHtml = '<span class="text-gray-400">—</span>';
+            if (balance > 0) balanceHtml = `<span class="text-purple-700">+${Utils.formatDuration(balance)}</span>`;
+            if (balance < 0) balanceHtml = `<span class="text-red-600">−${Utils.formatDuration(balance)}</span>`;
+            
+            return `
+                <tr class="${day.projected ? 'text-gray-400' : ''} ${!day.scheduledMinutes && !day.workedMinutes ? 'bg-gray-50' : ''}">
+                    <td class="px-6 py-3 whitespace-nowrap">
+                        <span class="${day.projected ? '' : 'text-gray-900'}">${Utils.escapeHtml(Utils.formatDateDisplay(day.date))}</span>
+                        <span class="text-xs text-gray-400 ml-1">${Utils.getDayName(`${day.date}T00:00:00`)}</span>
+                    </td>
+                    <td class="px-6 py-3 whitespace-nowrap">${Utils.escapeHtml(day.shiftName || '—')}</td>
+                    <td class="px-6 py-3 whitespace-nowrap">${day.punchIn ? Utils.formatTimeDisplay(day.punchIn) : '—'}</td>
+                    <td class="px-6 py-3 whitespace-nowrap">${day.punchOut ? Utils.formatTimeDisplay(day.punchOut) : '—'}</td>
+                    <td class="px-6 py-3 whitespace-nowrap text-right">${day.breakMinutes ? `${day.breakMinutes}m` : '—'}</td>
+                    <td class="px-6 py-3 whitespace-nowrap text-right font-medium">${day.workedMinutes ? Utils.formatDuration(day.workedMinutes) : '—'}</td>
+                    <td class="px-6 py-3 whitespace-nowrap text-right">${day.scheduledMinutes ? Utils.formatDuration(day.scheduledMinutes) : '—'}</td>
+                    <td class="px-6 py-3 whitespace-nowrap text-right">${day.projected ? '' : balanceHtml}</td>
+                    <td class="px-6 py-3 text-gray-500">${Utils.escapeHtml(day.note)}</td>
+                </tr>
+            `;
+        }).join('');
+        $(SELECTORS.timesheetDaysBody).html(days);
+    };
+
+    /**
+     * Render the monthly total cards
+     */
+    const renderTimesheetTotals = () => {
+        const totals = timesheet.totals;
+        const cards = [
+            { label: 'Scheduled', value: totals.scheduledMinutes, color: 'blue', detail: 'for the month' },
+            { label: 'Worked', value: totals.workedMinutes, color: 'green', detail: `over ${totals.daysWorked} day${totals.daysWorked === 1 ? '' : 's'}, breaks deducted` },
+            { label: 'Overtime', value: totals.overtimeMinutes, color: 'purple', detail: 'beyond scheduled hours' },
+            { label: 'Undertime', value: totals.undertimeMinutes, color: 'red', detail: 'short of scheduled hours' }
+        ];
+        
+        $(SELECTORS.timesheetTotals).html(cards.map(card => `
+            <div class="bg-${card.color}-50 rounded-xl p-4">
+                <p class="text-sm text-${card.color}-600 mb-1">${card.label}</p>
+                <p class="text-3xl font-bold text-${card.color}-700">${Utils.formatDuration(card.value)}</p>
+                <p class="text-xs text-${card.color}-600 mt-1">${card.detail}</p>
+            </div>
+        `).join(''));
+    };
+
+    /**
+     * Render who submitted / reviewed the timesheet, and whether the
+     * attendance has changed since
+     */
+    const renderTimesheetReview = () => {
+        const approval = timesheet.approval;
+        const $review = $(SELECTORS.timesheetReview);
+        
+        if (!approval) {
+            $review.addClass('hidden').html('');
+            return;
+        }
+        
+        const styles = {
+            Submitted: 'bg-amber-50 text-amber-800',
+            Approved: 'bg-green-50 text-green-800',
+            Rejected: 'bg-red-50 text-red-800'
+        };
+        const reviewed = approval.status !== 'Submitted';
+        const by = reviewed ? approval.reviewedBy : approval.submittedBy;
+        const at = reviewed ? approval.reviewedAt : approval.submittedAt;
+        const comment = reviewed ? approval.reviewComment : approval.note;
+        
+        let changed = '';
+        if (timesheet.changed) {
+            changed = approval.status === 'Approved'
+                ? `Attendance has changed since approval — ${Utils.formatDuration(approval.workedMinutes)} worked was approved.`
+                : 'Attendance has changed since submission — approving uses the current totals.';
+        }
+        
+        $review.removeClass('hidden bg-amber-50 text-amber-800 bg-green-50 text-green-800 bg-red-50 text-red-800')
+            .addClass(styles[approval.status] || 'bg-gray-50 text-gray-700')
+            .html(`
+                <p class="font-medium">
+                    ${Utils.escapeHtml(approval.status)}${by ? ` by ${Utils.escapeHtml(by)}` : ''}${at ? ` on ${Utils.escapeHtml(Utils.formatDateDisplay(at))}` : ''}
+                </p>
+                ${comment ? `<p class="mt-1 italic">“${Utils.escapeHtml(comment)}”</p>` : ''}
+                ${approval.status === 'Rejected' && canSubmitTimesheet() ? '<p class="mt-1">Correct the attendance and submit again.</p>' : ''}
+                ${changed ? `<p class="mt-1 font-medium">${changed}</p>` : ''}
+            `);
     };
 
     /**
@@ -693,14 +1116,17 @@ const EmployeePage = (function() {
         $empty.addClass('hidden');
         
         let html = '';
+        const canManageTasks = Auth.can('tasks.manage', member);
         
         tasks.forEach(task => {
             const statusConfig = TASK_STATUS[task.status] || TASK_STATUS['Pending'];
             const deadline = task.deadline ? Utils.formatDateDisplay(task.deadline) : 'No deadline';
             const isOverdue = task.status === 'Overdue';
+            const effort = Utils.formatTaskEffort(task);
+            const isOverEstimate = Number(task.estimatedHours) > 0 && Number(task.actualHours) > Number(task.estimatedHours);
             
             html += `
-                <div class="p-4 bg-white border border-gray-200 rounded-lg hover:shadow-md transition-shadow cursor-pointer task-item"
+                <div class="p-4 bg-white border border-gray-200 rounded-lg hover:shadow-md transition-shadow ${canManageTasks ? 'cursor-pointer' : ''} task-item"
                      data-task-id="${task.taskId}">
                     <div class="flex items-start justify-between">
                         <div class="flex-1">
@@ -708,6 +1134,9 @@ const EmployeePage = (function() {
                                 ${Utils.escapeHtml(task.title)}
                             </h4>
                             ${task.notes ? `<p class="text-sm text-gray-500 mt-1">${Utils.escapeHtml(task.notes)}</p>` : ''}
+                            ${getKeyResult(task.keyResultId) ? `
+                                <p class="text-xs text-primary-600 mt-1">Key result: ${Utils.escapeHtml(getKeyResult(task.keyResultId).title)}</p>
+                            ` : ''}
                             <div class="flex items-center gap-4 mt-2 text-xs text-gray-500">
                                 <span class="flex items-center gap-1">
                                     <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -715,6 +1144,14 @@ const EmployeePage = (function() {
                                     </svg>
                                     <span class="${isOverdue ? 'text-red-600 font-medium' : ''}">${deadline}</span>
                                 </span>
+                                ${effort ? `
+                                    <span class="flex items-center gap-1 ${isOverEstimate ? 'text-red-600 font-medium' : ''}" ${isOverEstimate ? 'title="Over the estimate"' : ''}>
+                                        <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                                        </svg>
+                                        ${effort}
+                                    </span>
+                                ` : ''}
                                 ${task.score ? `
                                     <span class="flex items-center gap-1">
                                         <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -724,10 +1161,16 @@ const EmployeePage = (function() {
                                     </span>
                                 ` : ''}
                             </div>
+                            ${renderSubtasks(task)}
+                        </div>
+                        <div class="flex flex-col items-end gap-1.5 ml-3">
+                            <span class="px-2.5 py-1 rounded-full text-xs font-medium bg-${statusConfig.color}-100 text-${statusConfig.color}-800">
+                                ${statusConfig.label}
+                            </span>
+                            <span class="px-2 py-0.5 rounded-full text-xs font-medium ${Utils.getTaskPriorityBadge(task.priority)}">
+                                ${Utils.escapeHtml(task.priority)}
+                            </span>
                         </div>
-                        <span class="px-2.5 py-1 rounded-full text-xs font-medium bg-${statusConfig.color}-100 text-${statusConfig.color}-800">
-                            ${statusConfig.label}
-                        </span>
                     </div>
                 </div>
             `;
@@ -742,6 +1185,45 @@ const EmployeePage = (function() {
         });
     };
 
+    /**
+     * Render a task's completion bar and its subtasks with their checklist
+     * counts (nothing without subtasks)
+     * @param {Object} task - Task from loadTasks
+     */
+    const renderSubtasks = (task) => {
+        if (!task.progress) return '';
+        
+        const dot = {
+            'Pending': 'bg-gray-300',
+            'In Progress': 'bg-blue-500',
+            'Completed': 'bg-green-500'
+        };
+        
+        return `
+            <div class="mt-3">
+                <div class="flex items-center gap-2">
+                    <div class="flex-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                        <div class="h-full ${task.progress.percent === 100 ? 'bg-green-500' : 'bg-primary-500'} rounded-full" style="width: ${task.progress.percent}%"></div>
+                    </div>
+                    <span class="text-xs text-gray-500">${task.progress.completed}/${task.progress.total} subtasks · ${task.progress.percent}%</span>
+                </div>
+                <ul class="mt-2 space-y-1">
+                    ${task.subtasks.map(subtask => {
+                        const checklist = subtask.checklist || [];
+                        const done = checklist.filter(item => item.done).length;
+                        return `
+                            <li class="flex items-center gap-2 text-xs text-gray-600">
+                                <span class="w-2 h-2 rounded-full flex-shrink-0 ${dot[subtask.status] || dot.Pending}" title="${Utils.escapeHtml(subtask.status)}"></span>
+                                <span class="${subtask.status === 'Completed' ? 'line-through text-gray-400' : ''}">${Utils.escapeHtml(subtask.title)}</span>
+                                ${checklist.length ? `<span class="text-gray-400">${done}/${checklist.length}</span>` : ''}
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    };
+
     /**
      * Render ratings chart
      */
@@ -763,46 +1245,35 @@ const EmployeePage = (function() {
         
         const labels = ratings.map(r => Utils.formatDateDisplay(r.date));
         
+        // One line per criterion of every template the ratings use, scaled
+        // to 5 so templates with different scales share the axis
+        const criteria = [];
+        ratings.forEach(r => {
+            getRatingTemplate(r).criteria.forEach(c => {
+                if (!criteria.some(existing => existing.key === c.key)) criteria.push(c);
+            });
+        });
+        
         const ctx = canvas.getContext('2d');
         
         ratingsChart = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: labels,
-                datasets: [
-                    {
-                        label: 'Quality',
-                        data: ratings.map(r => r.quality || 0),
-                        borderColor: CHART_COLORS.quality.border,
-                        backgroundColor: CHART_COLORS.quality.background,
-                        tension: 0.3,
-                        fill: false
-                    },
-                    {
-                        label: 'Punctuality',
-                        data: ratings.map(r => r.punctuality || 0),
-                        borderColor: CHART_COLORS.punctuality.border,
-                        backgroundColor: CHART_COLORS.punctuality.background,
-                        tension: 0.3,
-                        fill: false
-                    },
-                    {
-                        label: 'Reliability',
-                        data: ratings.map(r => r.reliability || 0),
-                        borderColor: CHART_COLORS.reliability.border,
-                        backgroundColor: CHART_COLORS.reliability.background,
-                        tension: 0.3,
-                        fill: false
-                    },
-                    {
-                        label: 'Deadlines',
-                        data: ratings.map(r => r.deadlines || 0),
-                        borderColor: CHART_COLORS.deadlines.border,
-                        backgroundColor: CHART_COLORS.deadlines.background,
-                        tension: 0.3,
-                        fill: false
-                    }
-                ]
+                datasets: criteria.map((criterion, i) => ({
+                    label: criterion.label,
+                    data: ratings.map(r => {
+                        const template = getRatingTemplate(r);
+                        const value = parseFloat(r[criterion.key]) || 0;
+                        if (!template.criteria.some(c => c.key === criterion.key) || value <= 0) return null;
+                        return Math.round((Math.min(value, template.scale) / template.scale) * 50) / 10;
+                    }),
+                    borderColor: CRITERION_COLORS[i % CRITERION_COLORS.length],
+                    backgroundColor: CRITERION_COLORS[i % CRITERION_COLORS.length] + '1A',
+                    tension: 0.3,
+                    fill: false,
+                    spanGaps: true
+                }))
             },
             options: {
                 responsive: true,
@@ -857,12 +1328,8 @@ const EmployeePage = (function() {
         let html = '';
         
         sortedRatings.forEach(rating => {
-            const avg = (
-                (rating.quality || 0) + 
-                (rating.punctuality || 0) + 
-                (rating.reliability || 0) + 
-                (rating.deadlines || 0)
-            ) / 4;
+            const template = getRatingTemplate(rating);
+            const avg = Utils.calculateRatingScore(rating, template, 5);
             
             html += `
                 <div class="p-4 bg-white border border-gray-200 rounded-lg">
@@ -875,35 +1342,224 @@ const EmployeePage = (function() {
                         </span>
                     </div>
                     <div class="grid grid-cols-2 gap-3">
-                        <div class="flex items-center justify-between">
-                            <span class="text-xs text-gray-500">Quality</span>
-                            <div class="flex items-center gap-1">
-                                ${renderStars(rating.quality || 0)}
-                            </div>
-                        </div>
-                        <div class="flex items-center justify-between">
-                            <span class="text-xs text-gray-500">Punctuality</span>
-                            <div class="flex items-center gap-1">
-                                ${renderStars(rating.punctuality || 0)}
+                        ${template.criteria.map(c => `
+                            <div class="flex items-center justify-between" title="${parseFloat(rating[c.key]) || 0}/${template.scale}">
+                                <span class="text-xs text-gray-500">${Utils.escapeHtml(c.label)}</span>
+                                <div class="flex items-center gap-1">
+                                    ${renderStars(Math.round(((parseFloat(rating[c.key]) || 0) / template.scale) * 5))}
+                                </div>
                             </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        });
+        
+        $list.html(html);
+    };
+
+    /**
+     * Render the member's objectives and their team's, each key result
+     * with the member's tasks linked to it
+     */
+    const renderOkrs = () => {
+        const $list = $(SELECTORS.okrList);
+        const $empty = $(SELECTORS.okrEmptyState);
+        
+        const period = $(SELECTORS.okrPeriodFilter).val() || 'all';
+        const shown = objectives.filter(o => period === 'all' || o.period === period);
+        
+        if (shown.length === 0) {
+            $list.html('');
+            $empty.removeClass('hidden');
+            return;
+        }
+        
+        $empty.addClass('hidden');
+        
+        const progressBar = (progress, height = 'h-2') => `
+            <div class="w-full ${height} bg-gray-200 rounded-full overflow-hidden">
+                <div class="h-full ${Utils.getOkrProgressClass(progress)} rounded-full" style="width: ${Math.round(progress * 100)}%"></div>
+            </div>
+        `;
+        
+        $list.html(shown.map(objective => {
+            const progress = Utils.calculateObjectiveProgress(objective);
+            
+            return `
+                <div class="p-4 bg-white border border-gray-200 rounded-lg">
+                    <div class="flex items-start justify-between gap-3 mb-3">
+                        <div>
+                            <p class="text-sm font-semibold text-gray-900">${Utils.escapeHtml(objective.title)}</p>
+                            <p class="text-xs text-gray-500 mt-0.5">
+                                ${Utils.formatQuarter(objective.period)} · ${objective.memberId ? 'Individual objective' : `Team objective — ${Utils.escapeHtml(objective.department)}`}
+                            </p>
+                            ${objective.description ? `<p class="text-sm text-gray-600 mt-2">${Utils.escapeHtml(objective.description)}</p>` : ''}
                         </div>
-                        <div class="flex items-center justify-between">
-                            <span class="text-xs text-gray-500">Reliability</span>
-                            <div class="flex items-center gap-1">
-                                ${renderStars(rating.reliability || 0)}
+                        <span class="px-2.5 py-1 bg-primary-100 text-primary-700 rounded-full text-sm font-semibold">
+                            ${Math.round(progress * 100)}%
+                        </span>
+                    </div>
+                    ${progressBar(progress)}
+                    <div class="mt-4 space-y-4">
+                        ${objective.keyResults.map(kr => {
+                            const linked = tasks.filter(t => t.keyResultId === kr.keyResultId);
+                            return `
+                                <div>
+                                    <div class="flex items-center justify-between gap-3 text-sm mb-1">
+                                        <span class="text-gray-700">${Utils.escapeHtml(kr.title)}</span>
+                                        <span class="text-xs text-gray-500 whitespace-nowrap">${Utils.escapeHtml(Utils.formatKeyResultProgress(kr))}</span>
+                                    </div>
+                                    ${progressBar(Utils.calculateKeyResultProgress(kr).progress, 'h-1.5')}
+                                    ${linked.length ? `
+                                        <div class="flex flex-wrap gap-2 mt-2">
+                                            ${linked.map(task => {
+                                                const statusConfig = TASK_STATUS[task.status] || TASK_STATUS['Pending'];
+                                                return `
+                                                    <span class="px-2 py-0.5 rounded-full text-xs bg-${statusConfig.color}-100 text-${statusConfig.color}-800" title="${statusConfig.label}">
+                                                        ${Utils.escapeHtml(task.title)}
+                                                    </span>
+                                                `;
+                                            }).join('')}
+                                        </div>
+                                    ` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Populate the OKR quarter filter, defaulting to the current quarter
+     * when it has objectives
+     */
+    const populateOkrFilter = () => {
+        const periods = [...new Set(objectives.map(o => o.period))].sort().reverse();
+        const current = Utils.getQuarter();
+        
+        $(SELECTORS.okrPeriodFilter).html(
+            '<option value="all">All Quarters</option>' +
+            periods.map(p => `<option value="${p}">${Utils.formatQuarter(p)}</option>`).join('')
+        ).val(periods.includes(current) ? current : 'all');
+    };
+
+    /**
+     * Find one of the loaded key results by ID
+     */
+    const getKeyResult = (keyResultId) => {
+        if (!keyResultId) return null;
+        
+        for (const objective of objectives) {
+            const keyResult = objective.keyResults.find(kr => kr.keyResultId === keyResultId);
+            if (keyResult) return keyResult;
+        }
+        return null;
+    };
+
+    /**
+     * Render consolidated review results: self, peer (averaged, never
+     * attributed) and manager scores side by side for each cycle
+     */
+    const renderReviewResults = () => {
+        const $list = $(SELECTORS.reviewResultList);
+        const $empty = $(SELECTORS.reviewEmptyState);
+
+        if (reviewResults.length === 0) {
+            $(SELECTORS.reviewEmptyMessage).text(Auth.isSelf(memberId) && !Auth.hasRole(CONFIG.USER_ROLES.ADMIN)
+                ? 'Your results appear here once a review cycle you take part in has closed.'
+                : 'Results appear here for each review cycle this member takes part in.');
+            $list.html('');
+            $empty.removeClass('hidden');
+            return;
+        }
+
+        $empty.addClass('hidden');
+
+        const month = (cycle) => cycle.endDate.substring(0, 7);
+        const formatScore = (value, scale) => value
+            ? `${Number.isInteger(value) ? value : value.toFixed(1)}<span class="text-gray-400">/${scale}</span>`
+            : '<span class="text-gray-300">—</span>';
+        const overall = (label, scores, template) => {
+            const score = scores ? Utils.calculateRatingScore(scores, template, 5) : 0;
+            return `
+                <div class="px-3 py-2 bg-gray-50 rounded-lg text-center">
+                    <p class="text-xs text-gray-500">${label}</p>
+                    <p class="text-sm font-semibold ${score ? 'text-gray-900' : 'text-gray-300'}">${score ? `${score.toFixed(1)}/5` : '—'}</p>
+                </div>
+            `;
+        };
+        const comment = (label, text) => `
+            <div class="p-3 bg-gray-50 rounded-lg">
+                <p class="text-xs font-medium text-gray-500 mb-1">${label}</p>
+                <p class="text-sm text-gray-700 whitespace-pre-line">${Utils.escapeHtml(text)}</p>
+            </div>
+        `;
+
+        const html = reviewResults.map(cycle => {
+            const template = Utils.resolveRatingTemplate(month(cycle), member?.department || '', ratingTemplates);
+            const self = cycle.self?.scores || null;
+            const peers = cycle.peers.scores;
+            const manager = cycle.manager?.scores || null;
+
+            const peerNote = cycle.peers.expected === 0
+                ? 'No peers were picked for this cycle.'
+                : (!peers ? `Peer results appear once ${cycle.peers.minResponses} reviews are in (${cycle.peers.submitted} of ${cycle.peers.expected} so far).` : '');
+
+            const comments = [
+                cycle.self?.comments ? comment('Self-assessment', cycle.self.comments) : '',
+                cycle.manager?.comments ? comment(`Manager — ${Utils.escapeHtml(cycle.manager.reviewerName || 'Manager')}`, cycle.manager.comments) : '',
+                ...cycle.peers.comments.map(text => comment('Peer', text))
+            ].join('');
+
+            return `
+                <div class="p-4 bg-white border border-gray-200 rounded-lg">
+                    <div class="flex flex-wrap items-start justify-between gap-3 mb-4">
+                        <div>
+                            <div class="flex items-center gap-2">
+                                <span class="text-sm font-semibold text-gray-900">${Utils.escapeHtml(cycle.name)}</span>
+                                <span class="px-2 py-0.5 rounded-full text-xs font-medium ${Utils.getReviewCycleStatusBadge(cycle.status)}">${Utils.escapeHtml(cycle.status)}</span>
                             </div>
+                            <p class="text-xs text-gray-500 mt-0.5">
+                                ${Utils.formatDateDisplay(cycle.startDate)} – ${Utils.formatDateDisplay(cycle.endDate)} · ${Utils.escapeHtml(template.name)} template
+                            </p>
                         </div>
-                        <div class="flex items-center justify-between">
-                            <span class="text-xs text-gray-500">Deadlines</span>
-                            <div class="flex items-center gap-1">
-                                ${renderStars(rating.deadlines || 0)}
-                            </div>
+                        <div class="grid grid-cols-3 gap-2">
+                            ${overall('Self', self, template)}
+                            ${overall('Peers', peers, template)}
+                            ${overall('Manager', manager, template)}
                         </div>
                     </div>
+                    <div class="overflow-x-auto">
+                        <table class="min-w-full text-sm">
+                            <thead>
+                                <tr class="text-xs text-gray-500 uppercase tracking-wider">
+                                    <th class="py-2 pr-4 text-left font-medium">Criterion</th>
+                                    <th class="py-2 px-4 text-center font-medium">Self</th>
+                                    <th class="py-2 px-4 text-center font-medium">Peers (avg)</th>
+                                    <th class="py-2 pl-4 text-center font-medium">Manager</th>
+                                </tr>
+                            </thead>
+                            <tbody class="divide-y divide-gray-100">
+                                ${template.criteria.map(c => `
+                                    <tr>
+                                        <td class="py-2 pr-4 text-gray-700">${Utils.escapeHtml(c.label)}</td>
+                                        <td class="py-2 px-4 text-center">${formatScore(self && parseFloat(self[c.key]), template.scale)}</td>
+                                        <td class="py-2 px-4 text-center">${formatScore(peers && parseFloat(peers[c.key]), template.scale)}</td>
+                                        <td class="py-2 pl-4 text-center">${formatScore(manager && parseFloat(manager[c.key]), template.scale)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    ${peerNote ? `<p class="mt-3 text-xs text-gray-500">${peerNote}</p>` : ''}
+                    ${comments ? `<div class="mt-4 space-y-2">${comments}</div>` : ''}
                 </div>
             `;
-        });
-        
+        }).join('');
+
         $list.html(html);
     };
 
@@ -932,8 +1588,9 @@ const EmployeePage = (function() {
     const calculateSummaries = () => {
         const summaries = {
             totalDays: attendanceRecords.length,
-            presentDays: attendanceRecords.filter(a => a.status === 'On Time' || a.status === 'Present').length,
-            lateDays: attendanceRecords.filter(a => a.status === 'Late').length,
+            // Days worked split into late and present, whatever else the status says
+            presentDays: attendanceRecords.filter(a => CONFIG.WORKED_STATUSES.includes(a.status) && !Utils.isLateRecord(a)).length,
+            lateDays: attendanceRecords.filter(a => CONFIG.WORKED_STATUSES.includes(a.status) && Utils.isLateRecord(a)).length,
             absentDays: attendanceRecords.filter(a => a.status === 'Absent').length,
             leaveDays: attendanceRecords.filter(a => a.status === 'On Leave').length,
             averageRating: calculateAverageRating()
@@ -944,25 +1601,23 @@ const EmployeePage = (function() {
     };
 
     /**
-     * Calculate average rating across all rating records
+     * Calculate average rating (out of 5) across all rating records, each
+     * scored against the template in effect for its month
      */
     const calculateAverageRating = () => {
-        if (ratings.length === 0) return 0;
-        
-        let totalScore = 0;
-        let count = 0;
-        
-        ratings.forEach(r => {
-            const values = [r.quality, r.punctuality, r.reliability, r.deadlines]
-                .filter(v => v !== null && v !== undefined && v !== '');
-            
-            if (values.length > 0) {
-                totalScore += values.reduce((sum, v) => sum + Number(v), 0);
-                count += values.length;
-            }
-        });
+        const scores = ratings
+            .map(r => Utils.calculateRatingScore(r, getRatingTemplate(r), 5))
+            .filter(score => score > 0);
         
-        return count > 0 ? totalScore / count : 0;
+        return scores.length > 0 ? scores.reduce((sum, v) => sum + v, 0) / scores.length : 0;
+    };
+
+    /**
+     * Get the rating template in effect for a rating's month
+     */
+    const getRatingTemplate = (rating) => {
+        const month = (rating.date || Utils.formatDate(new Date())).substring(0, 7);
+        return Utils.resolveRatingTemplate(month, member?.department || '', ratingTemplates);
     };
 
     /**
@@ -995,6 +1650,32 @@ const EmployeePage = (function() {
         $(SELECTORS.attendanceFilterMonth).html(monthOptions);
     };
 
+    /**
+     * Load the objectives this member's tasks can count towards
+     */
+    const loadObjectives = async () => {
+        try {
+            objectives = await API.getObjectives({ memberId });
+            CONFIG.log(`Loaded ${objectives.length} objectives`);
+        } catch (error) {
+            CONFIG.logError('Failed to load objectives:', error);
+            objectives = [];
+        }
+    };
+
+    /**
+     * Load review cycle results for this member
+     */
+    const loadReviewResults = async () => {
+        try {
+            reviewResults = await API.getReviewResults(memberId);
+            CONFIG.log(`Loaded ${reviewResults.length} review cycles`);
+        } catch (error) {
+            CONFIG.logError('Failed to load review results:', error);
+            reviewResults = [];
+        }
+    };
+
     // ============================================
     // 📑 TAB HANDLING
     // ============================================
@@ -1021,13 +1702,22 @@ const EmployeePage = (function() {
             case 'leave':
                 renderLeaveList();
                 break;
+            case 'timesheet':
+                renderTimesheet();
+                break;
             case 'performance':
                 renderTaskList();
                 break;
+            case 'okrs':
+                renderOkrs();
+                break;
             case 'ratings':
                 renderRatingsChart();
                 renderRatingsList();
                 break;
+            case 'reviews':
+                renderReviewResults();
+                break;
         }
     };
 
@@ -1039,11 +1729,18 @@ const EmployeePage = (function() {
      * Open task modal for add/edit
      */
     const openTaskModal = (taskId = null) => {
+        if (!Auth.can('tasks.manage', member)) return;
+        
         editingTaskId = taskId;
         
         // Reset form
         $(SELECTORS.taskForm)[0]?.reset();
         clearFormErrors(SELECTORS.taskForm);
+        populateKeyResultOptions();
+        $(SELECTORS.taskPriority).html(Object.values(CONFIG.TASK_PRIORITY)
+            .map(priority => `<option value="${priority}">${priority}</option>`).join(''));
+        $(SELECTORS.taskPriority).val(CONFIG.TASK_PRIORITY.MEDIUM);
+        $(SELECTORS.subtaskList).html('');
         
         if (taskId) {
             // Edit mode
@@ -1056,6 +1753,11 @@ const EmployeePage = (function() {
                 $(SELECTORS.taskDeadline).val(task.deadline || '');
                 $(SELECTORS.taskStatus).val(task.status || 'Pending');
                 $(SELECTORS.taskScore).val(task.score || '');
+                $(SELECTORS.taskKeyResult).val(getKeyResult(task.keyResultId) ? task.keyResultId : '');
+                $(SELECTORS.taskPriority).val(task.priority);
+                $(SELECTORS.taskEstimatedHours).val(task.estimatedHours ?? '');
+                $(SELECTORS.taskActualHours).val(task.actualHours ?? '');
+                $(SELECTORS.subtaskList).html(task.subtasks.map(renderSubtaskRow).join(''));
                 $(SELECTORS.btnDeleteTask).removeClass('hidden');
                 $(SELECTORS.btnSaveTask).text('Update Task');
             }
@@ -1067,6 +1769,7 @@ const EmployeePage = (function() {
             $(SELECTORS.btnDeleteTask).addClass('hidden');
             $(SELECTORS.btnSaveTask).text('Add Task');
         }
+        updateSubtaskProgress();
         
         // Show modal
         $(SELECTORS.taskModal).removeClass('hidden').addClass('flex');
@@ -1076,6 +1779,99 @@ const EmployeePage = (function() {
         }, 10);
     };
 
+    /**
+     * Fill the task modal's key result picker, newest quarter first
+     */
+    const populateKeyResultOptions = () => {
+        let options = '<option value="">Not linked</option>';
+        
+        objectives.forEach(objective => {
+            options += `<optgroup label="${Utils.escapeHtml(`${Utils.formatQuarter(objective.period)} · ${objective.title}`)}">`;
+            objective.keyResults.forEach(kr => {
+                options += `<option value="${Utils.escapeHtml(kr.keyResultId)}">${Utils.escapeHtml(kr.title)}</option>`;
+            });
+            options += '</optgroup>';
+        });
+        
+        $(SELECTORS.taskKeyResult).html(options);
+    };
+
+    /**
+     * Render an editable subtask with its checklist
+     * @param {Object} [subtask] - Subtask
+     */
+    const renderSubtaskRow = (subtask = {}) => {
+        const input = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+        const status = subtask.status || CONFIG.SUBTASK_STATUS.PENDING;
+        
+        return `
+            <div class="subtask-row p-3 border border-gray-200 rounded-lg space-y-2" data-subtask-id="${Utils.escapeHtml(subtask.subtaskId || '')}">
+                <div class="flex items-center gap-2">
+                    <input type="text" class="subtask-title flex-1 min-w-0 ${input}" value="${Utils.escapeHtml(subtask.title || '')}" placeholder="Subtask">
+                    <select class="subtask-status w-32 bg-white ${input}">
+                        ${Object.values(CONFIG.SUBTASK_STATUS).map(s => `<option value="${s}" ${s === status ? 'selected' : ''}>${s}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn-remove-subtask w-8 h-8 flex-shrink-0 flex items-center justify-center text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Remove subtask">
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                        </svg>
+                    </button>
+                </div>
+                <div class="checklist space-y-1.5 pl-1">
+                    ${(subtask.checklist || []).map(renderChecklistItem).join('')}
+                </div>
+                <button type="button" class="btn-add-checklist-item text-xs font-medium text-primary-600 hover:text-primary-700">+ Checklist item</button>
+            </div>
+        `;
+    };
+
+    /**
+     * Render an editable checklist item
+     * @param {Object} [item] - Checklist item
+     */
+    const renderChecklistItem = (item = {}) => `
+        <div class="checklist-item flex items-center gap-2" data-item-id="${Utils.escapeHtml(item.itemId || '')}">
+            <input type="checkbox" class="checklist-done w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500" ${item.done ? 'checked' : ''}>
+            <input type="text" class="checklist-text flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${Utils.escapeHtml(item.text || '')}" placeholder="Checklist item">
+            <button type="button" class="btn-remove-checklist-item w-6 h-6 flex-shrink-0 flex items-center justify-center text-gray-400 hover:text-red-600 rounded transition-colors" title="Remove item">
+                <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                </svg>
+            </button>
+        </div>
+    `;
+
+    /**
+     * Read the subtask editor into subtasks (blank checklist items are dropped)
+     * @returns {Array} - Subtasks
+     */
+    const collectSubtasks = () => $(SELECTORS.subtaskList).find('.subtask-row').map(function() {
+        const $row = $(this);
+        const subtask = {
+            title: $row.find('.subtask-title').val().trim(),
+            status: $row.find('.subtask-status').val(),
+            checklist: $row.find('.checklist-item').map(function() {
+                const $item = $(this);
+                const item = { text: $item.find('.checklist-text').val().trim(), done: $item.find('.checklist-done').is(':checked') };
+                if ($item.data('item-id')) item.itemId = $item.data('item-id');
+                return item;
+            }).get().filter(item => item.text)
+        };
+        if ($row.data('subtask-id')) subtask.subtaskId = $row.data('subtask-id');
+        return subtask;
+    }).get();
+
+    /**
+     * Show the completion the subtasks being edited add up to
+     */
+    const updateSubtaskProgress = () => {
+        const progress = Utils.calculateTaskProgress({ subtasks: collectSubtasks() });
+        
+        $(SELECTORS.subtaskProgress).text(progress
+            ? `${progress.completed} of ${progress.total} subtask${progress.total === 1 ? '' : 's'} done · ${progress.percent}% complete`
+            : 'Break the task down to track its completion from the subtasks.');
+    };
+
     /**
      * Close task modal
      */
@@ -1103,13 +1899,34 @@ const EmployeePage = (function() {
             return;
         }
         
+        const negativeHours = [SELECTORS.taskEstimatedHours, SELECTORS.taskActualHours].filter(selector => Number($(selector).val()) < 0);
+        if (negativeHours.length > 0) {
+            Utils.showToast('Hours can\'t be negative', 'error');
+            negativeHours.forEach(selector => $(selector).addClass('border-red-500'));
+            return;
+        }
+        
+        const $untitled = $(SELECTORS.subtaskList).find('.subtask-title').filter(function() {
+            return !$(this).val().trim();
+        });
+        if ($untitled.length > 0) {
+            Utils.showToast('Every subtask needs a title', 'error');
+            $untitled.addClass('border-red-500');
+            return;
+        }
+        
         const taskData = {
             memberId: memberId,
             title: title,
             notes: $(SELECTORS.taskDescription).val().trim(),
             deadline: $(SELECTORS.taskDeadline).val(),
             status: $(SELECTORS.taskStatus).val(),
-            score: $(SELECTORS.taskScore).val()
+            score: $(SELECTORS.taskScore).val(),
+            keyResultId: $(SELECTORS.taskKeyResult).val() || '',
+            priority: $(SELECTORS.taskPriority).val(),
+            estimatedHours: $(SELECTORS.taskEstimatedHours).val(),
+            actualHours: $(SELECTORS.taskActualHours).val(),
+            subtasks: collectSubtasks()
         };
         
         try {
@@ -1127,7 +1944,7 @@ const EmployeePage = (function() {
             }
             
             closeTaskModal();
-            await loadTasks();
+            await Promise.all([loadTasks(), loadObjectives()]);
             renderTaskList();
             calculateSummaries();
             
@@ -1157,7 +1974,7 @@ const EmployeePage = (function() {
             await API.deleteTask(editingTaskId);
             Utils.showToast('Task deleted', 'success');
             closeTaskModal();
-            await loadTasks();
+            await Promise.all([loadTasks(), loadObjectives()]);
             renderTaskList();
             calculateSummaries();
         } catch (error) {
@@ -1174,6 +1991,8 @@ const EmployeePage = (function() {
      * Open rating modal
      */
     const openRatingModal = () => {
+        if (!Auth.can('ratings.manage', member)) return;
+        
         // Reset form
         $(SELECTORS.ratingForm)[0]?.reset();
         
@@ -1181,16 +2000,9 @@ const EmployeePage = (function() {
         $(SELECTORS.ratingModalTitle).text('Add Rating');
         $(SELECTORS.ratingDate).val(Utils.formatDate(new Date()));
         
-        // Set slider values
-        [
-            { slider: SELECTORS.ratingQuality, value: SELECTORS.ratingQualityValue },
-            { slider: SELECTORS.ratingPunctuality, value: SELECTORS.ratingPunctualityValue },
-            { slider: SELECTORS.ratingReliability, value: SELECTORS.ratingReliabilityValue },
-            { slider: SELECTORS.ratingDeadlines, value: SELECTORS.ratingDeadlinesValue }
-        ].forEach(({ slider, value }) => {
-            $(slider).val(3);
-            $(value).text('3');
-        });
+        // Sliders for the template in effect, at the suggested score where
+        // there is one and the middle otherwise
+        renderRatingCriteria({});
         
         // Show modal
         $(SELECTORS.ratingModal).removeClass('hidden').addClass('flex');
@@ -1211,19 +2023,126 @@ const EmployeePage = (function() {
         }, 200);
     };
 
+    /**
+     * Render a slider per criterion of the template in effect for the
+     * rating date, keeping any scores already given. Criteria that take a
+     * suggested score from this member's attendance or tasks start at the
+     * suggestion and show the evidence for it.
+     * @param {Object} values - Scores by criterion key
+     * @param {Object} [notes] - Override notes by criterion key
+     */
+    const renderRatingCriteria = (values, notes = {}) => {
+        const date = $(SELECTORS.ratingDate).val() || Utils.formatDate(new Date());
+        const template = getRatingTemplate({ date });
+        ratingSuggestions = Utils.suggestRatingScores(template, {
+            month: date.slice(0, 7),
+            attendance: attendanceRecords,
+            tasks
+        });
+        
+        $(SELECTORS.ratingTemplateInfo).text(`${template.name} template · scored 1–${template.scale}`);
+        $(SELECTORS.ratingCriteria).html(template.criteria.map(criterion => {
+            const suggestion = ratingSuggestions[criterion.key];
+            const given = parseInt(values[criterion.key], 10) || suggestion?.score;
+            const value = Math.min(given || Math.ceil(template.scale / 2), template.scale);
+            
+            return `
+                <div class="rating-slider-group" data-key="${criterion.key}">
+                    <div class="flex items-center justify-between mb-2">
+                        <label for="rating_${criterion.key}" class="text-sm font-medium text-gray-700">${Utils.escapeHtml(criterion.label)}</label>
+                        <span class="rating-criterion-value text-sm font-semibold text-primary-600">${value}</span>
+                    </div>
+                    <input type="range" 
+                           id="rating_${criterion.key}" 
+                           class="rating-criterion w-full"
+                           data-key="${criterion.key}"
+                           min="1" 
+                           max="${template.scale}" 
+                           value="${value}">
+                    <div class="flex justify-between text-xs text-gray-400 mt-1">
+                        <span>Poor</span>
+                        <span>Excellent</span>
+                    </div>
+                    ${suggestion ? `
+                        <div class="mt-2 rounded-lg bg-indigo-50 px-3 py-2 text-xs text-indigo-800">
+                            <span class="font-semibold">Suggested ${suggestion.score}/${template.scale}</span>
+                            <p class="mt-0.5 text-indigo-700">${Utils.escapeHtml(suggestion.evidence)}</p>
+                        </div>
+                        <input type="text" 
+                               class="rating-override-note mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500 ${value === suggestion.score ? 'hidden' : ''}"
+                               maxlength="200"
+                               placeholder="Why does your score differ from the suggestion?"
+                               value="${Utils.escapeHtml(notes[criterion.key] || '')}">
+                    ` : criterion.source ? `
+                        <p class="mt-2 text-xs text-gray-500">No data this month to suggest a score from.</p>
+                    ` : ''}
+                </div>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Read the rating modal's override notes, keyed by criterion
+     */
+    const collectOverrideNotes = () => {
+        const notes = {};
+        $(SELECTORS.ratingCriteria).find('.rating-slider-group').each(function() {
+            const $note = $(this).find('.rating-override-note');
+            if ($note.length) notes[$(this).data('key')] = $note.val();
+        });
+        return notes;
+    };
+
+    /**
+     * Suggestions to store with the rating: the suggested score, its
+     * evidence and the note given when the score differs
+     */
+    const collectSuggestionRecords = () => {
+        const notes = collectOverrideNotes();
+        const scores = collectCriterionScores();
+        const records = {};
+        Object.entries(ratingSuggestions).forEach(([key, suggestion]) => {
+            records[key] = {
+                score: suggestion.score,
+                evidence: suggestion.evidence,
+                note: scores[key] === suggestion.score ? '' : (notes[key] || '').trim()
+            };
+        });
+        return records;
+    };
+
+    /**
+     * Read the rating modal's slider values, keyed by criterion
+     */
+    const collectCriterionScores = () => {
+        const scores = {};
+        $(SELECTORS.ratingCriteria).find('.rating-criterion').each(function() {
+            scores[$(this).data('key')] = parseInt($(this).val(), 10) || 0;
+        });
+        return scores;
+    };
+
     /**
      * Save rating
      */
     const saveRating = async () => {
         if (isSaving) return;
         
+        // Scoring away from a suggestion needs a note
+        const $missingNote = $(SELECTORS.ratingCriteria).find('.rating-override-note')
+            .not('.hidden')
+            .filter(function() { return !$(this).val().trim(); });
+        if ($missingNote.length) {
+            Utils.showToast('Add a note on why your score differs from the suggested one', 'error');
+            $missingNote.addClass('border-red-500');
+            return;
+        }
+        
         const ratingData = {
             memberId: memberId,
             date: $(SELECTORS.ratingDate).val() || Utils.formatDate(new Date()),
-            quality: parseInt($(SELECTORS.ratingQuality).val()) || 0,
-            punctuality: parseInt($(SELECTORS.ratingPunctuality).val()) || 0,
-            reliability: parseInt($(SELECTORS.ratingReliability).val()) || 0,
-            deadlines: parseInt($(SELECTORS.ratingDeadlines).val()) || 0
+            ...collectCriterionScores(),
+            suggestions: collectSuggestionRecords()
         };
         
         try {
@@ -1248,6 +2167,356 @@ const EmployeePage = (function() {
         }
     };
 
+    // ============================================
+    // 🌴 LEAVE REQUESTS
+    // ============================================
+
+    /**
+     * Open leave request modal
+     */
+    const openLeaveModal = () => {
+        if (!canRequestLeave()) return;
+        
+        $(SELECTORS.leaveForm)[0]?.reset();
+        clearFormErrors(SELECTORS.leaveForm);
+        
+        const today = Utils.getToday();
+        $(SELECTORS.leaveStartDate).val(today);
+        $(SELECTORS.leaveEndDate).val(today);
+        updateLeaveTypeBalance();
+        
+        $(SELECTORS.leaveModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.leaveModal).find('.modal-content').removeClass('scale-95 opacity-0');
+        }, 10);
+    };
+
+    /**
+     * Close leave request modal
+     */
+    const closeLeaveModal = () => {
+        const modal = $(SELECTORS.leaveModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+        
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+        }, 200);
+    };
+
+    /**
+     * Show the remaining balance for the selected leave type
+     */
+    const updateLeaveTypeBalance = () => {
+        const type = $(SELECTORS.leaveType).val();
+        const balance = leaveSummary && leaveSummary.balances ? leaveSummary.balances[type] : null;
+        
+        if (!balance || balance.allowed === null) {
+            $(SELECTORS.leaveTypeBalance).text(type === CONFIG.LEAVE_TYPES.UNPAID ? 'Unpaid leave has no limit' : '');
+            return;
+        }
+        
+        const available = balance.period === 'accrual'
+            ? `${balance.remaining} day(s) available now`
+            : `${balance.remaining} of ${balance.allowed} day(s) left ${balance.period === 'year' ? 'this year' : 'this month'}`;
+        $(SELECTORS.leaveTypeBalance).text(
+            available + (balance.pending ? ` (${balance.pending} pending)` : '')
+        );
+    };
+
+    /**
+     * Submit leave request
+     */
+    const saveLeave = async () => {
+        if (isSaving) return;
+        
+        const leaveData = {
+            memberId: memberId,
+            type: $(SELECTORS.leaveType).val(),
+            startDate: $(SELECTORS.leaveStartDate).val(),
+            endDate: $(SELECTORS.leaveEndDate).val(),
+            reason: $(SELECTORS.leaveReason).val().trim()
+        };
+        
+        // Validate
+        if (!leaveData.startDate || !leaveData.endDate) {
+            Utils.showToast('Please choose the leave dates', 'error');
+            $(leaveData.startDate ? SELECTORS.leaveEndDate : SELECTORS.leaveStartDate).addClass('border-red-500');
+            return;
+        }
+        if (leaveData.endDate < leaveData.startDate) {
+            Utils.showToast('End date cannot be before start date', 'error');
+            $(SELECTORS.leaveEndDate).addClass('border-red-500');
+            return;
+        }
+        if (!leaveData.reason) {
+            Utils.showToast('Please give a reason for the leave', 'error');
+            $(SELECTORS.leaveReason).addClass('border-red-500');
+            return;
+        }
+        
+        try {
+            isSaving = true;
+            updateSaveButton(SELECTORS.btnSaveLeave, true);
+            
+            const result = await API.applyLeave(leaveData);
+            const days = result && result.days ? result.days : 0;
+            Utils.showToast(`Leave request submitted${days ? ` (${days} day${days === 1 ? '' : 's'})` : ''}`, 'success');
+            
+            closeLeaveModal();
+            await loadLeave();
+            renderLeaveList();
+            
+        } catch (error) {
+            CONFIG.logError('Failed to submit leave request:', error);
+            Utils.showToast(error.message || 'Failed to submit leave request', 'error');
+        } finally {
+            isSaving = false;
+            updateSaveButton(SELECTORS.btnSaveLeave, false, 'Submit Request');
+        }
+    };
+
+    /**
+     * Cancel a pending or approved leave request
+     */
+    const cancelLeaveRequest = async (leaveId) => {
+        const leave = leaveRequests.find(l => l.leaveId === leaveId);
+        if (!leave) return;
+        
+        const confirmed = await Utils.showConfirm(
+            leave.status === 'Approved'
+                ? 'Cancel this approved leave? The days will no longer be marked On Leave.'
+                : 'Cancel this leave request?',
+            'Cancel Leave'
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            await API.cancelLeave(leaveId);
+            Utils.showToast('Leave request cancelled', 'success');
+            await Promise.all([loadLeave(), loadAttendance()]);
+            renderLeaveList();
+            calculateSummaries();
+        } catch (error) {
+            CONFIG.logError('Failed to cancel leave:', error);
+            Utils.showToast(error.message || 'Failed to cancel leave request', 'error');
+        }
+    };
+
+    /**
+     * Switch the ledger to another year
+     */
+    const changeLedgerYear = async (year) => {
+        ledgerYear = Number(year);
+        await loadLedger();
+        renderLedger();
+    };
+
+    /**
+     * Open leave adjustment modal
+     */
+    const openAdjustmentModal = () => {
+        if (!Auth.can('leave.adjust')) return;
+        
+        $(SELECTORS.adjustmentForm)[0]?.reset();
+        clearFormErrors(SELECTORS.adjustmentForm);
+        $(SELECTORS.adjustmentDate).val(Utils.getToday());
+        
+        $(SELECTORS.adjustmentModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.adjustmentModal).find('.modal-content').removeClass('scale-95 opacity-0');
+            $(SELECTORS.adjustmentDays).focus();
+        }, 10);
+    };
+
+    /**
+     * Close leave adjustment modal
+     */
+    const closeAdjustmentModal = () => {
+        const modal = $(SELECTORS.adjustmentModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+        
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+        }, 200);
+    };
+
+    /**
+     * Save a manual credit or debit to the paid leave ledger
+     */
+    const saveAdjustment = async () => {
+        if (isSaving) return;
+        
+        const adjustment = {
+            memberId: memberId,
+            date: $(SELECTORS.adjustmentDate).val(),
+            days: parseFloat($(SELECTORS.adjustmentDays).val()),
+            reason: $(SELECTORS.adjustmentReason).val().trim()
+        };
+        
+        // Validate
+        if (!adjustment.date) {
+            Utils.showToast('Please choose a date', 'error');
+            $(SELECTORS.adjustmentDate).addClass('border-red-500');
+            return;
+        }
+        if (!adjustment.days) {
+            Utils.showToast('Please enter the number of days (negative to deduct)', 'error');
+            $(SELECTORS.adjustmentDays).addClass('border-red-500');
+            return;
+        }
+        if (!adjustment.reason) {
+            Utils.showToast('Please give a reason for the adjustment', 'error');
+            $(SELECTORS.adjustmentReason).addClass('border-red-500');
+            return;
+        }
+        
+        try {
+            isSaving = true;
+            updateSaveButton(SELECTORS.btnSaveAdjustment, true);
+            
+            await API.addLeaveAdjustment(adjustment);
+            Utils.showToast(`Paid leave ${adjustment.days > 0 ? 'credited' : 'deducted'}: ${Math.abs(adjustment.days)} day(s)`, 'success');
+            
+            closeAdjustmentModal();
+            ledgerYear = Number(adjustment.date.slice(0, 4));
+            await loadLeave();
+            renderLeaveList();
+            
+        } catch (error) {
+            CONFIG.logError('Failed to save leave adjustment:', error);
+            Utils.showToast(error.message || 'Failed to save adjustment', 'error');
+        } finally {
+            isSaving = false;
+            updateSaveButton(SELECTORS.btnSaveAdjustment, false, 'Save Adjustment');
+        }
+    };
+
+    /**
+     * Remove a manual leave adjustment
+     */
+    const deleteAdjustment = async (adjustmentId) => {
+        const confirmed = await Utils.showConfirm(
+            'Remove this adjustment? The ledger balance will be recalculated.',
+            'Remove Adjustment'
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            await API.deleteLeaveAdjustment(adjustmentId);
+            Utils.showToast('Adjustment removed', 'success');
+            await loadLeave();
+            renderLeaveList();
+        } catch (error) {
+            CONFIG.logError('Failed to remove leave adjustment:', error);
+            Utils.showToast(error.message || 'Failed to remove adjustment', 'error');
+        }
+    };
+
+    // ============================================
+    // ⏱️ TIMESHEET
+    // ============================================
+
+    /**
+     * Switch the timesheet to another month
+     */
+    const changeTimesheetMonth = async (month) => {
+        if (!/^\d{4}-\d{2}$/.test(month || '')) return;
+        timesheetMonth = month;
+        await loadTimesheet();
+        renderTimesheet();
+    };
+
+    /**
+     * Open the timesheet modal to submit, approve or reject the month
+     * @param {string} action - 'submit', 'approve' or 'reject'
+     */
+    const openTimesheetModal = (action) => {
+        if (!timesheet) return;
+        
+        timesheetAction = action;
+        const titles = { submit: 'Submit Timesheet', approve: 'Approve Timesheet', reject: 'Reject Timesheet' };
+        const buttons = {
+            submit: { text: 'Submit', classes: 'bg-primary-600 hover:bg-primary-700' },
+            approve: { text: 'Approve', classes: 'bg-green-600 hover:bg-green-700' },
+            reject: { text: 'Reject', classes: 'bg-red-600 hover:bg-red-700' }
+        };
+        const [year, month] = timesheetMonth.split('-').map(Number);
+        const monthLabel = new Date(year, month - 1, 1).toLocaleDateString(CONFIG.LOCALE || 'en-US', { month: 'long', year: 'numeric' });
+        const totals = timesheet.totals;
+        
+        $(SELECTORS.timesheetModalTitle).text(titles[action]);
+        $(SELECTORS.timesheetSummary).html(`
+            <p class="font-medium text-gray-900">${Utils.escapeHtml(member?.name || memberId)} · ${Utils.escapeHtml(monthLabel)}</p>
+            <p class="mt-1">${Utils.formatDuration(totals.workedMinutes)} worked of ${Utils.formatDuration(totals.scheduledMinutes)} scheduled</p>
+            <p class="text-gray-500">${Utils.formatDuration(totals.overtimeMinutes)} overtime · ${Utils.formatDuration(totals.undertimeMinutes)} undertime</p>
+        `);
+        $(SELECTORS.timesheetCommentLabel).text(action === 'submit' ? 'Note' : 'Comment');
+        $(SELECTORS.timesheetComment).val('').attr('placeholder', action === 'submit'
+            ? 'Anything the approver should know about this month'
+            : 'Add a note for the employee');
+        $(SELECTORS.btnConfirmTimesheet)
+            .text(buttons[action].text)
+            .removeClass('bg-primary-600 hover:bg-primary-700 bg-green-600 hover:bg-green-700 bg-red-600 hover:bg-red-700')
+            .addClass(buttons[action].classes);
+        
+        $(SELECTORS.timesheetModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.timesheetModal).find('.modal-content').removeClass('scale-95 opacity-0');
+            $(SELECTORS.timesheetComment).focus();
+        }, 10);
+    };
+
+    /**
+     * Close the timesheet modal
+     */
+    const closeTimesheetModal = () => {
+        const modal = $(SELECTORS.timesheetModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+        
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+            timesheetAction = null;
+        }, 200);
+    };
+
+    /**
+     * Submit, approve or reject the selected month's timesheet
+     */
+    const confirmTimesheet = async () => {
+        if (!timesheetAction || isSaving) return;
+        
+        const action = timesheetAction;
+        const comment = $(SELECTORS.timesheetComment).val().trim();
+        const messages = { submit: 'Timesheet submitted for approval', approve: 'Timesheet approved', reject: 'Timesheet rejected' };
+        
+        isSaving = true;
+        $(SELECTORS.btnConfirmTimesheet).prop('disabled', true);
+        
+        try {
+            if (action === 'submit') {
+                await API.submitTimesheet({ memberId: memberId, month: timesheetMonth, note: comment });
+            } else if (action === 'approve') {
+                await API.approveTimesheet(timesheet.approval.timesheetId, comment);
+            } else {
+                await API.rejectTimesheet(timesheet.approval.timesheetId, comment);
+            }
+            
+            Utils.showToast(messages[action], 'success');
+            closeTimesheetModal();
+            await loadTimesheet();
+            renderTimesheet();
+            
+        } catch (error) {
+            CONFIG.logError(`Failed to ${action} timesheet:`, error);
+            Utils.showToast(error.message || `Failed to ${action} timesheet`, 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnConfirmTimesheet).prop('disabled', false);
+        }
+    };
+
     // ============================================
     // 🔧 UI HELPERS
     // ============================================
@@ -1327,6 +2596,9 @@ const EmployeePage = (function() {
         
         // Attendance filters
         $(SELECTORS.attendanceFilterMonth).on('change', renderAttendanceList);
+        
+        // OKR quarter filter
+        $(SELECTORS.okrPeriodFilter).on('change', renderOkrs);
         $(SELECTORS.attendanceFilterYear).on('change', renderAttendanceList);
         
         // Task modal
@@ -1341,6 +2613,38 @@ const EmployeePage = (function() {
             saveTask();
         });
         
+        // Subtasks & checklists
+        $(SELECTORS.btnAddSubtask).on('click', () => {
+            if ($(SELECTORS.subtaskList).children().length >= MAX_SUBTASKS) {
+                Utils.showToast(`A task can have at most ${MAX_SUBTASKS} subtasks`, 'warning');
+                return;
+            }
+            $(SELECTORS.subtaskList).append(renderSubtaskRow());
+            $(SELECTORS.subtaskList).find('.subtask-title').last().focus();
+            updateSubtaskProgress();
+        });
+        $(SELECTORS.subtaskList).on('click', '.btn-remove-subtask', function() {
+            $(this).closest('.subtask-row').remove();
+            updateSubtaskProgress();
+        });
+        $(SELECTORS.subtaskList).on('click', '.btn-add-checklist-item', function() {
+            const $checklist = $(this).closest('.subtask-row').find('.checklist');
+            if ($checklist.children().length >= MAX_CHECKLIST_ITEMS) {
+                Utils.showToast(`A subtask can have at most ${MAX_CHECKLIST_ITEMS} checklist items`, 'warning');
+                return;
+            }
+            $checklist.append(renderChecklistItem());
+            $checklist.find('.checklist-text').last().focus();
+        });
+        $(SELECTORS.subtaskList).on('click', '.btn-remove-checklist-item', function() {
+            $(this).closest('.checklist-item').remove();
+            updateSubtaskProgress();
+        });
+        $(SELECTORS.subtaskList).on('change', '.subtask-status, .checklist-done, .checklist-text', updateSubtaskProgress);
+        $(SELECTORS.subtaskList).on('input', '.subtask-title', function() {
+            $(this).removeClass('border-red-500');
+        });
+        
         // Rating modal
         $(SELECTORS.btnAddRating).on('click', openRatingModal);
         $(SELECTORS.btnCloseRatingModal).on('click', closeRatingModal);
@@ -1352,18 +2656,60 @@ const EmployeePage = (function() {
             saveRating();
         });
         
-        // Rating sliders
-        [
-            { slider: SELECTORS.ratingQuality, value: SELECTORS.ratingQualityValue },
-            { slider: SELECTORS.ratingPunctuality, value: SELECTORS.ratingPunctualityValue },
-            { slider: SELECTORS.ratingReliability, value: SELECTORS.ratingReliabilityValue },
-            { slider: SELECTORS.ratingDeadlines, value: SELECTORS.ratingDeadlinesValue }
-        ].forEach(({ slider, value }) => {
-            $(slider).on('input', function() {
-                $(value).text($(this).val());
-            });
+        // Rating sliders (rebuilt when the date falls under another template)
+        $(SELECTORS.ratingCriteria).on('input', '.rating-criterion', function() {
+            const $group = $(this).closest('.rating-slider-group');
+            const suggestion = ratingSuggestions[$group.data('key')];
+            $group.find('.rating-criterion-value').text($(this).val());
+            if (suggestion) {
+                $group.find('.rating-override-note').toggleClass('hidden', parseInt($(this).val(), 10) === suggestion.score);
+            }
+        });
+        $(SELECTORS.ratingDate).on('change', () => {
+            renderRatingCriteria({}, collectOverrideNotes());
         });
         
+        // Leave modal
+        $(SELECTORS.btnRequestLeave).on('click', openLeaveModal);
+        $(SELECTORS.btnCloseLeaveModal).on('click', closeLeaveModal);
+        $(SELECTORS.btnCancelLeaveModal).on('click', closeLeaveModal);
+        $(SELECTORS.btnSaveLeave).on('click', saveLeave);
+        $(SELECTORS.leaveType).on('change', updateLeaveTypeBalance);
+        $(SELECTORS.leaveStartDate).on('change', function() {
+            // Keep the range valid when the start moves past the end
+            if ($(SELECTORS.leaveEndDate).val() < $(this).val()) {
+                $(SELECTORS.leaveEndDate).val($(this).val());
+            }
+        });
+        
+        $(SELECTORS.leaveForm).on('submit', function(e) {
+            e.preventDefault();
+            saveLeave();
+        });
+        
+        // Leave ledger
+        $(SELECTORS.ledgerYear).on('change', function() {
+            changeLedgerYear($(this).val());
+        });
+        $(SELECTORS.btnAddAdjustment).on('click', openAdjustmentModal);
+        $(SELECTORS.btnCloseAdjustmentModal).on('click', closeAdjustmentModal);
+        $(SELECTORS.btnCancelAdjustmentModal).on('click', closeAdjustmentModal);
+        $(SELECTORS.btnSaveAdjustment).on('click', saveAdjustment);
+        $(SELECTORS.adjustmentForm).on('submit', function(e) {
+            e.preventDefault();
+            saveAdjustment();
+        });
+        
+        // Timesheet
+        $(SELECTORS.timesheetMonth).on('change', function() {
+            changeTimesheetMonth($(this).val());
+        });
+        $(SELECTORS.btnSubmitTimesheet).on('click', () => openTimesheetModal('submit'));
+        $(SELECTORS.btnApproveTimesheet).on('click', () => openTimesheetModal('approve'));
+        $(SELECTORS.btnRejectTimesheet).on('click', () => openTimesheetModal('reject'));
+        $(SELECTORS.btnConfirmTimesheet).on('click', confirmTimesheet);
+        $(`${SELECTORS.btnCloseTimesheetModal}, ${SELECTORS.btnCancelTimesheetModal}`).on('click', closeTimesheetModal);
+        
         // Modal backdrop clicks
         $(SELECTORS.taskModal).on('click', function(e) {
             if (e.target === this) closeTaskModal();
@@ -1371,6 +2717,15 @@ const EmployeePage = (function() {
         $(SELECTORS.ratingModal).on('click', function(e) {
             if (e.target === this) closeRatingModal();
         });
+        $(SELECTORS.leaveModal).on('click', function(e) {
+            if (e.target === this) closeLeaveModal();
+        });
+        $(SELECTORS.adjustmentModal).on('click', function(e) {
+            if (e.target === this) closeAdjustmentModal();
+        });
+        $(SELECTORS.timesheetModal).on('click', function(e) {
+            if (e.target === this) closeTimesheetModal();
+        });
         
         // Edit member button
         $(SELECTORS.btnEditMember).on('click', function() {
@@ -1392,6 +2747,15 @@ const EmployeePage = (function() {
                 if (!$(SELECTORS.ratingModal).hasClass('hidden')) {
                     closeRatingModal();
                 }
+                if (!$(SELECTORS.leaveModal).hasClass('hidden')) {
+                    closeLeaveModal();
+                }
+                if (!$(SELECTORS.adjustmentModal).hasClass('hidden')) {
+                    closeAdjustmentModal();
+                }
+                if (!$(SELECTORS.timesheetModal).hasClass('hidden')) {
+                    closeTimesheetModal();
+                }
             }
         });
         
@@ -1412,11 +2776,19 @@ const EmployeePage = (function() {
         closeTaskModal,
         openRatingModal,
         closeRatingModal,
+        openLeaveModal,
+        closeLeaveModal,
+        openAdjustmentModal,
+        closeAdjustmentModal,
+        openTimesheetModal,
+        closeTimesheetModal,
         
         // State getters
         getMember: () => member,
         getMemberId: () => memberId,
         getAttendance: () => [...attendanceRecords],
+        getLeaveRequests: () => [...leaveRequests],
+        getTimesheet: () => timesheet,
         getTasks: () => [...tasks],
         getRatings: () => [...ratings]
     };
@@ -54,11 +54,21 @@ const DashboardPage = (function() {
      */
     let ratings = [];
 
+    /**
+     * Admin-defined rating templates (see Utils.resolveRatingTemplate)
+     */
+    let ratingTemplates = [];
+
     /**
      * All tasks data
      */
     let tasks = [];
 
+    /**
+     * Holiday calendar entries
+     */
+    let holidays = [];
+
     /**
      * Today's date in YYYY-MM-DD format
      */
@@ -109,7 +119,9 @@ const DashboardPage = (function() {
         'Late': { bg: 'bg-amber-100', text: 'text-amber-800', dot: 'bg-amber-500' },
         'Absent': { bg: 'bg-red-100', text: 'text-red-800', dot: 'bg-red-500' },
         'On Leave': { bg: 'bg-blue-100', text: 'text-blue-800', dot: 'bg-blue-500' },
-        'Half Day': { bg: 'bg-orange-100', text: 'text-orange-800', dot: 'bg-orange-500' }
+        'Half Day': { bg: 'bg-orange-100', text: 'text-orange-800', dot: 'bg-orange-500' },
+        'Early Leave': { bg: 'bg-yellow-100', text: 'text-yellow-800', dot: 'bg-yellow-500' },
+        'Holiday': { bg: 'bg-purple-100', text: 'text-purple-800', dot: 'bg-purple-500' }
     };
 
     // ============================================
@@ -178,7 +190,8 @@ const DashboardPage = (function() {
                 loadTodayAttendance(),
                 loadMonthAttendanceRange(),
                 loadRatings(),
-                loadTasks()
+                loadTasks(),
+                loadHolidays()
             ]);
             
             // Calculate statistics
@@ -223,14 +236,16 @@ const DashboardPage = (function() {
             today = Utils.getToday();
             updateDateDisplay();
             
-            // Reload all data
+            // Reload all data (bypassing cached responses)
+            API.clearCache();
             await Promise.all([
                 loadSettings(),
                 loadMembers(),
                 loadTodayAttendance(),
                 loadMonthAttendanceRange(),
                 loadRatings(),
-                loadTasks()
+                loadTasks(),
+                loadHolidays()
             ]);
             
             // Re-calculate and render
@@ -308,6 +323,18 @@ const DashboardPage = (function() {
         }
     };
 
+    /**
+     * Load the holiday calendar
+     */
+    const loadHolidays = async () => {
+        try {
+            holidays = await API.getHolidays();
+        } catch (error) {
+            CONFIG.logError('Failed to load holidays:', error);
+            holidays = [];
+        }
+    };
+
     /**
      * Load attendance records for the current month
      */
@@ -329,7 +356,10 @@ const DashboardPage = (function() {
      */
     const loadRatings = async () => {
         try {
-            ratings = await API.getRatings();
+            [ratings, ratingTemplates] = await Promise.all([
+                API.getRatings(),
+                API.getRatingTemplates().catch(() => [])
+            ]);
             CONFIG.log(`Loaded ${ratings.length} ratings`);
         } catch (error) {
             CONFIG.logError('Failed to load ratings:', error);
@@ -360,15 +390,19 @@ const DashboardPage = (function() {
      */
     const calculateTodayStats = () => {
         const totalEmployees = activeMembers.length;
-        const presentCount = todayRecords.filter(r => 
-            r.status === 'On Time' || r.status === 'Present'
-        ).length;
-        const lateCount = todayRecords.filter(r => r.status === 'Late').length;
+        // Everyone who worked is either late or present, whatever else the status says
+        const worked = todayRecords.filter(r => CONFIG.WORKED_STATUSES.includes(r.status));
+        const lateCount = worked.filter(Utils.isLateRecord).length;
+        const presentCount = worked.length - lateCount;
         const onLeaveCount = todayRecords.filter(r => r.status === 'On Leave').length;
         const halfDayCount = todayRecords.filter(r => r.status === 'Half Day').length;
+        const onHolidayCount = countOnHoliday(today, todayRecords);
+        
+        // Absent = total employees - everyone who has a record or a holiday
+        const absentCount = Math.max(0, totalEmployees - todayRecords.length - onHolidayCount);
         
-        // Absent = total employees - everyone who has a record
-        const absentCount = Math.max(0, totalEmployees - todayRecords.length);
+        // Members on holiday aren't expected in, so they don't lower the rate
+        const expectedCount = totalEmployees - onHolidayCount;
         
         // Calculate average rating
         const avgRating = calculateAverageRating();
@@ -383,36 +417,45 @@ const DashboardPage = (function() {
             absentCount,
             onLeaveCount,
             halfDayCount,
+            onHolidayCount,
             avgRating,
             tasksDueToday,
-            attendanceRate: totalEmployees > 0 
-                ? Math.round(((presentCount + lateCount) / totalEmployees) * 100) 
+            attendanceRate: expectedCount > 0 
+                ? Math.round(((presentCount + lateCount) / expectedCount) * 100) 
                 : 0
         };
     };
 
     /**
-     * Calculate average rating across all employees
+     * Count active members off on a holiday for their department with
+     * no attendance record that day
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Array} dayRecords - Attendance records for that date
+     * @returns {number}
+     */
+    const countOnHoliday = (date, dayRecords) => {
+        return activeMembers.filter(m =>
+            !dayRecords.some(r => r.memberId === m.memberId) &&
+            Utils.findHoliday(date, holidays, m.department)
+        ).length;
+    };
+
+    /**
+     * Calculate average rating across all employees, each rating scored
+     * against the template in effect for its month and department
      * @returns {number} Average rating (0-5)
      */
     const calculateAverageRating = () => {
-        if (ratings.length === 0) return 0;
-        
-        let totalScore = 0;
-        let count = 0;
-        
-        ratings.forEach(r => {
-            const values = [r.quality, r.punctuality, r.reliability, r.deadlines]
-                .filter(v => v !== null && v !== undefined && v !== '')
-                .map(v => Number(v));
-            
-            if (values.length > 0) {
-                totalScore += values.reduce((sum, v) => sum + v, 0);
-                count += values.length;
-            }
-        });
+        const departments = new Map(members.map(m => [m.memberId, m.department || '']));
+        const scores = ratings
+            .filter(r => r.date)
+            .map(r => {
+                const template = Utils.resolveRatingTemplate(r.date.substring(0, 7), departments.get(r.memberId) || '', ratingTemplates);
+                return Utils.calculateRatingScore(r, template, 5);
+            })
+            .filter(score => score > 0);
         
-        return count > 0 ? (totalScore / count) : 0;
+        return scores.length > 0 ? scores.reduce((sum, v) => sum + v, 0) / scores.length : 0;
     };
 
     /**
@@ -545,7 +588,7 @@ const DashboardPage = (function() {
         activeMembers.forEach(member => {
             const dept = member.department || 'Unassigned';
             if (!departments[dept]) {
-                departments[dept] = { count: 0, present: 0 };
+                departments[dept] = { count: 0, present: 0, onHoliday: 0 };
             }
             departments[dept].count++;
             
@@ -553,6 +596,8 @@ const DashboardPage = (function() {
             const hasAttendance = todayRecords.find(r => r.memberId === member.memberId);
             if (hasAttendance) {
                 departments[dept].present++;
+            } else if (Utils.findHoliday(today, holidays, member.department)) {
+                departments[dept].onHoliday++;
             }
         });
         
@@ -566,8 +611,9 @@ const DashboardPage = (function() {
         sortedDepts.forEach(([dept, data], index) => {
             const color = colors[index % colors.length];
             const percentage = Math.round((data.count / activeMembers.length) * 100);
-            const attendanceRate = data.count > 0 
-                ? Math.round((data.present / data.count) * 100) 
+            const expected = data.count - data.onHoliday;
+            const attendanceRate = expected > 0 
+                ? Math.round((data.present / expected) * 100) 
                 : 0;
             
             html += `
@@ -797,11 +843,10 @@ const DashboardPage = (function() {
             // Get records for this day
             const dayRecords = monthRangeRecords.filter(r => r.date === dateStr);
             
-            const presentCount = dayRecords.filter(r => 
-                r.status === 'On Time' || r.status === 'Present'
-            ).length;
-            const lateCount = dayRecords.filter(r => r.status === 'Late').length;
-            const absentCount = Math.max(0, totalEmployees - dayRecords.length);
+            const worked = dayRecords.filter(r => CONFIG.WORKED_STATUSES.includes(r.status));
+            const lateCount = worked.filter(Utils.isLateRecord).length;
+            const presentCount = worked.length - lateCount;
+            const absentCount = Math.max(0, totalEmployees - dayRecords.length - countOnHoliday(dateStr, dayRecords));
             
             present.push(presentCount);
             late.push(lateCount);
@@ -0,0 +1,433 @@
+/**
+ * SquidX HRM — Leave Requests Page Controller
+ * =============================================
+ * Approval queue for managers and admins:
+ * - Lists leave requests (pending first) with search and filters
+ * - Approve / Reject with an optional comment for the employee
+ * - Managers only act on requests from their own department
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js
+ *   - /assets/js/api.js
+ *   - /assets/js/auth.js
+ *   - /assets/js/utils.js
+ */
+
+const LeavePage = (function() {
+    'use strict';
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    let leaveRequests = [];
+    let reviewing = null;
+    let isSaving = false;
+
+    // ============================================
+    // 🎯 DOM SELECTORS
+    // ============================================
+
+    const SELECTORS = {
+        statPending: '#statPending',
+        statOnLeaveToday: '#statOnLeaveToday',
+        statUpcoming: '#statUpcoming',
+        searchInput: '#searchInput',
+        filterStatus: '#filterStatus',
+        filterType: '#filterType',
+        filterDepartment: '#filterDepartment',
+        tableBody: '#leaveTableBody',
+        reviewModal: '#reviewModal',
+        reviewModalTitle: '#reviewModalTitle',
+        reviewSummary: '#reviewSummary',
+        reviewComment: '#reviewComment',
+        btnConfirmReview: '#btnConfirmReview',
+        btnCancelReview: '#btnCancelReview',
+        btnCloseReviewModal: '#btnCloseReviewModal'
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Initializes the leave requests page
+     */
+    const init = async () => {
+        CONFIG.log('Initializing Leave Page...');
+
+        setupEventListeners();
+        await loadData();
+    };
+
+    // ============================================
+    // 📡 DATA LOADING
+    // ============================================
+
+    /**
+     * Loads all leave requests visible to the user
+     */
+    const loadData = async () => {
+        try {
+            leaveRequests = await API.getLeaveRequests() || [];
+            populateFilters();
+            render();
+        } catch (error) {
+            CONFIG.logError('Failed to load leave requests:', error);
+            Utils.showToast(error.message || 'Failed to load leave requests', 'error');
+            renderError();
+        }
+    };
+
+    // ============================================
+    // 🎨 RENDERING
+    // ============================================
+
+    /**
+     * Renders the summary cards and the table
+     */
+    const render = () => {
+        renderStats();
+        renderTable();
+    };
+
+    /**
+     * Renders the summary cards
+     */
+    const renderStats = () => {
+        const today = Utils.getToday();
+        const approved = leaveRequests.filter(l => l.status === 'Approved');
+
+        $(SELECTORS.statPending).text(leaveRequests.filter(l => l.status === 'Pending').length);
+        $(SELECTORS.statOnLeaveToday).text(
+            new Set(approved.filter(l => l.startDate <= today && l.endDate >= today).map(l => l.memberId)).size
+        );
+        $(SELECTORS.statUpcoming).text(approved.filter(l => l.startDate > today).length);
+    };
+
+    /**
+     * Renders the filtered leave requests
+     */
+    const renderTable = () => {
+        const filtered = applyFilters(leaveRequests);
+
+        if (filtered.length === 0) {
+            $(SELECTORS.tableBody).html(`
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center">
+                        <div class="flex flex-col items-center">
+                            <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
+                                <svg class="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                                </svg>
+                            </div>
+                            <p class="text-gray-900 font-medium">No leave requests</p>
+                            <p class="text-gray-500 text-sm mt-1">Nothing matches the current filters</p>
+                        </div>
+                    </td>
+                </tr>
+            `);
+            return;
+        }
+
+        $(SELECTORS.tableBody).html(filtered.map(renderRow).join(''));
+
+        // Attach click handlers
+        $('.btn-approve-leave').on('click', function() {
+            openReviewModal($(this).data('leave-id'), 'approve');
+        });
+        $('.btn-reject-leave').on('click', function() {
+            openReviewModal($(this).data('leave-id'), 'reject');
+        });
+    };
+
+    /**
+     * Renders one leave request row
+     * @param {Object} leave - Leave request
+     */
+    const renderRow = (leave) => {
+        const name = leave.memberName || leave.memberId;
+        const actions = canReview(leave) ? `
+            <div class="flex items-center justify-end gap-2">
+                <button class="btn-approve-leave px-3 py-1.5 text-xs font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 transition-colors" data-leave-id="${Utils.escapeHtml(leave.leaveId)}">
+                    Approve
+                </button>
+                <button class="btn-reject-leave px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors" data-leave-id="${Utils.escapeHtml(leave.leaveId)}">
+                    Reject
+                </button>
+            </div>
+        ` : (leave.reviewedBy ? `<span class="text-xs text-gray-400">by ${Utils.escapeHtml(leave.reviewedBy)}</span>` : '');
+
+        return `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <a href="employee.html?memberId=${encodeURIComponent(leave.memberId)}" class="flex items-center group">
+                        <img src="${Utils.escapeHtml(leave.memberPhoto || Utils.getAvatarUrl(name))}"
+                             alt="${Utils.escapeHtml(name)}"
+                             class="w-9 h-9 rounded-full object-cover"
+                             onerror="this.src='${Utils.getAvatarUrl(name)}'">
+                        <div class="ml-3">
+                            <p class="text-sm font-medium text-gray-900 group-hover:text-primary-600">${Utils.escapeHtml(name)}</p>
+                            <p class="text-xs text-gray-500">${Utils.escapeHtml(leave.department || '')}</p>
+                        </div>
+                    </a>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">${Utils.escapeHtml(leave.type)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    ${Utils.escapeHtml(formatRange(leave))}
+                    <p class="text-xs text-gray-500">${leave.days} day${Number(leave.days) === 1 ? '' : 's'}</p>
+                </td>
+                <td class="px-6 py-4 text-sm text-gray-600 max-w-xs">
+                    <p class="truncate" title="${Utils.escapeHtml(leave.reason || '')}">${Utils.escapeHtml(leave.reason || '—')}</p>
+                    ${leave.reviewComment ? `<p class="text-xs text-gray-500 italic truncate">“${Utils.escapeHtml(leave.reviewComment)}”</p>` : ''}
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <span class="px-2.5 py-1 rounded-full text-xs font-medium ${Utils.getLeaveStatusBadge(leave.status)}">
+                        ${Utils.escapeHtml(leave.status)}
+                    </span>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-right">${actions}</td>
+            </tr>
+        `;
+    };
+
+    /**
+     * Renders a load failure in the table
+     */
+    const renderError = () => {
+        $(SELECTORS.tableBody).html(`
+            <tr>
+                <td colspan="6" class="px-6 py-12 text-center text-gray-500">Could not load leave requests</td>
+            </tr>
+        `);
+    };
+
+    /**
+     * Formats a request's date range for display
+     */
+    const formatRange = (leave) => {
+        return leave.startDate === leave.endDate
+            ? Utils.formatDateDisplay(leave.startDate)
+            : `${Utils.formatDateDisplay(leave.startDate)} – ${Utils.formatDateDisplay(leave.endDate)}`;
+    };
+
+    // ============================================
+    // 🔍 FILTERS
+    // ============================================
+
+    /**
+     * Apply filters to leave requests
+     */
+    const applyFilters = (requests) => {
+        let filtered = [...requests];
+
+        const status = $(SELECTORS.filterStatus).val();
+        if (status && status !== 'all') {
+            filtered = filtered.filter(l => l.status === status);
+        }
+
+        const type = $(SELECTORS.filterType).val();
+        if (type && type !== 'all') {
+            filtered = filtered.filter(l => l.type === type);
+        }
+
+        const department = $(SELECTORS.filterDepartment).val();
+        if (department && department !== 'all') {
+            filtered = filtered.filter(l => l.department === department);
+        }
+
+        const search = $(SELECTORS.searchInput).val();
+        if (search) {
+            const query = search.toLowerCase();
+            filtered = filtered.filter(l => (l.memberName || l.memberId || '').toLowerCase().includes(query));
+        }
+
+        // Oldest pending first so nothing waits too long; everything else newest first
+        if (status === 'Pending') {
+            filtered.sort((a, b) => String(a.appliedAt).localeCompare(String(b.appliedAt)));
+        }
+
+        return filtered;
+    };
+
+    /**
+     * Populate the department filter from the loaded requests
+     */
+    const populateFilters = () => {
+        const current = $(SELECTORS.filterDepartment).val();
+        const departments = [...new Set(leaveRequests.map(l => l.department).filter(Boolean))].sort();
+
+        let deptOptions = '<option value="all">All Departments</option>';
+        departments.forEach(dept => {
+            deptOptions += `<option value="${Utils.escapeHtml(dept)}">${Utils.escapeHtml(dept)}</option>`;
+        });
+        $(SELECTORS.filterDepartment).html(deptOptions);
+
+        if (current && departments.includes(current)) {
+            $(SELECTORS.filterDepartment).val(current);
+        }
+    };
+
+    // ============================================
+    // ✅ APPROVE / REJECT
+    // ============================================
+
+    /**
+     * Whether the user may approve or reject a request
+     * Nobody but an admin signs off on their own leave
+     */
+    const canReview = (leave) => {
+        if (leave.status !== 'Pending') return false;
+        if (!Auth.can('leave.approve', { department: leave.department })) return false;
+
+        return Auth.hasRole(CONFIG.USER_ROLES.ADMIN) || !Auth.isSelf(leave.memberId);
+    };
+
+    /**
+     * Opens the review modal
+     * @param {string} leaveId - Leave request ID
+     * @param {string} decision - 'approve' or 'reject'
+     */
+    const openReviewModal = (leaveId, decision) => {
+        const leave = leaveRequests.find(l => l.leaveId === leaveId);
+        if (!leave) return;
+
+        reviewing = { leave, decision };
+        const approve = decision === 'approve';
+
+        $(SELECTORS.reviewModalTitle).text(approve ? 'Approve Leave' : 'Reject Leave');
+        $(SELECTORS.reviewSummary).html(`
+            <p class="font-medium text-gray-900">${Utils.escapeHtml(leave.memberName || leave.memberId)}</p>
+            <p class="mt-1">${Utils.escapeHtml(leave.type)} leave · ${leave.days} day${Number(leave.days) === 1 ? '' : 's'}</p>
+            <p class="text-gray-500">${Utils.escapeHtml(formatRange(leave))}</p>
+            ${leave.reason ? `<p class="mt-2 text-gray-600">${Utils.escapeHtml(leave.reason)}</p>` : ''}
+        `);
+        $(SELECTORS.reviewComment).val('');
+        $(SELECTORS.btnConfirmReview)
+            .text(approve ? 'Approve' : 'Reject')
+            .toggleClass('bg-green-600 hover:bg-green-700', approve)
+            .toggleClass('bg-red-600 hover:bg-red-700', !approve);
+
+        $(SELECTORS.reviewModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.reviewModal).find('.modal-content').removeClass('scale-95 opacity-0');
+            $(SELECTORS.reviewComment).focus();
+        }, 10);
+    };
+
+    /**
+     * Closes the review modal
+     */
+    const closeReviewModal = () => {
+        const modal = $(SELECTORS.reviewModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+            reviewing = null;
+        }, 200);
+    };
+
+    /**
+     * Saves the approve / reject decision
+     */
+    const confirmReview = async () => {
+        if (!reviewing || isSaving) return;
+
+        const { leave, decision } = reviewing;
+        const comment = $(SELECTORS.reviewComment).val().trim();
+        const approve = decision === 'approve';
+
+        isSaving = true;
+        $(SELECTORS.btnConfirmReview).prop('disabled', true);
+
+        try {
+            if (approve) {
+                await API.approveLeave(leave.leaveId, comment);
+            } else {
+                await API.rejectLeave(leave.leaveId, comment);
+            }
+
+            Utils.showToast(
+                `${approve ? 'Approved' : 'Rejected'} leave for ${leave.memberName || leave.memberId}`,
+                'success'
+            );
+            closeReviewModal();
+            await loadData();
+        } catch (error) {
+            CONFIG.logError(`Failed to ${decision} leave:`, error);
+            Utils.showToast(error.message || `Failed to ${decision} leave`, 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnConfirmReview).prop('disabled', false);
+        }
+    };
+
+    // ============================================
+    // 🎯 EVENT LISTENERS
+    // ============================================
+
+    /**
+     * Sets up all event listeners
+     */
+    const setupEventListeners = () => {
+        $(SELECTORS.searchInput).on('input', debounce(renderTable, 300));
+        $(`${SELECTORS.filterStatus}, ${SELECTORS.filterType}, ${SELECTORS.filterDepartment}`).on('change', renderTable);
+
+        $(SELECTORS.btnConfirmReview).on('click', confirmReview);
+        $(`${SELECTORS.btnCancelReview}, ${SELECTORS.btnCloseReviewModal}`).on('click', closeReviewModal);
+
+        // Close on backdrop click
+        $(SELECTORS.reviewModal).on('click', function(e) {
+            if (e.target === this) closeReviewModal();
+        });
+
+        // Close on escape key
+        $(document).on('keydown', function(e) {
+            if (e.key === 'Escape' && reviewing) closeReviewModal();
+        });
+    };
+
+    /**
+     * Debounce utility function
+     */
+    const debounce = (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    };
+
+    /**
+     * Reloads everything from the server
+     */
+    const refresh = async () => {
+        API.invalidateCache(['getLeaveRequests']);
+        await loadData();
+        Utils.showToast('Leave requests refreshed', 'info');
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init,
+        refresh
+    };
+
+})();
+
+// ============================================
+// 🚀 DOCUMENT READY
+// ============================================
+
+$(document).ready(function() {
+    LeavePage.init();
+});
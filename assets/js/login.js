@@ -0,0 +1,197 @@
+/**
+ * SquidX HRM — Login Page Controller
+ * ====================================
+ * Handles the sign-in form:
+ * - Submitting credentials through Auth.login
+ * - Showing why the user landed here (expired session)
+ * - Refusing to sign in against a backend that doesn't enforce it
+ * - Returning to the page that required the login
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js
+ *   - /assets/js/api.js
+ *   - /assets/js/auth.js
+ */
+
+const LoginPage = (function() {
+    'use strict';
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    /**
+     * Flag to prevent double submissions
+     */
+    let isSubmitting = false;
+
+    // ============================================
+    // 🎯 DOM SELECTORS
+    // ============================================
+
+    const SELECTORS = {
+        form: '#loginForm',
+        username: '#loginUsername',
+        password: '#loginPassword',
+        btnLogin: '#btnLogin',
+        btnLoginText: '#btnLoginText',
+        btnLoginSpinner: '#btnLoginSpinner',
+        btnTogglePassword: '#btnTogglePassword',
+        error: '#loginError',
+        errorText: '#loginErrorText',
+        notice: '#loginNotice',
+        localHint: '#loginLocalHint'
+    };
+
+    /**
+     * Messages for the `reason` the user was sent here with
+     */
+    const NOTICES = {
+        expired: 'Your session has expired. Please sign in again.',
+        noprofile: 'Your account is not linked to a member profile. Please contact an administrator.',
+        backend: 'Sign-in is not available: the Apps Script backend does not check session tokens yet, so the app is locked. ' +
+            'Deploy the sign-in actions described in config/sheet-config.js, then set AUTH.appsScriptReady.'
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Initializes the login page
+     */
+    const init = () => {
+        CONFIG.log('Initializing Login Page...');
+
+        if (Auth.isEnabled() && !Auth.isBackendReady()) {
+            CONFIG.logError('The Apps Script backend does not enforce sign-in (see CONFIG.AUTH)');
+            showError(NOTICES.backend);
+            $(`${SELECTORS.form} :input`).prop('disabled', true);
+            return;
+        }
+
+        // Already signed in — go straight back
+        if (Auth.isEnabled() && Auth.getSession()) {
+            window.location.replace(Auth.getReturnPage());
+            return;
+        }
+
+        const reason = new URLSearchParams(window.location.search).get('reason');
+        if (NOTICES[reason]) {
+            $(SELECTORS.notice).text(NOTICES[reason]).removeClass('hidden');
+        }
+
+        // Local backends are seeded with a default admin account
+        if (API.getBackendType() !== 'appsscript') {
+            $(SELECTORS.localHint).removeClass('hidden');
+        }
+
+        setupEventListeners();
+        $(SELECTORS.username).trigger('focus');
+    };
+
+    // ============================================
+    // 🔑 SIGN IN
+    // ============================================
+
+    /**
+     * Submits the login form
+     * @param {Event} e - Submit event
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (isSubmitting) return;
+
+        const username = $(SELECTORS.username).val().trim();
+        const password = $(SELECTORS.password).val();
+
+        if (!username || !password) {
+            showError('Please enter your username and password.');
+            return;
+        }
+
+        hideError();
+        setSubmitting(true);
+
+        try {
+            await Auth.login(username, password);
+            window.location.replace(Auth.getReturnPage());
+        } catch (error) {
+            CONFIG.logError('Login failed:', error);
+            showError(error.message || 'Sign in failed. Please try again.');
+            $(SELECTORS.password).val('').trigger('focus');
+            setSubmitting(false);
+        }
+    };
+
+    // ============================================
+    // 🎨 UI HELPERS
+    // ============================================
+
+    /**
+     * Toggles the submit button loading state
+     */
+    const setSubmitting = (submitting) => {
+        isSubmitting = submitting;
+        $(SELECTORS.btnLogin).prop('disabled', submitting);
+        $(SELECTORS.btnLoginText).text(submitting ? 'Signing in...' : 'Sign In');
+        $(SELECTORS.btnLoginSpinner).toggleClass('hidden', !submitting);
+    };
+
+    /**
+     * Shows an error message above the form
+     */
+    const showError = (message) => {
+        $(SELECTORS.notice).addClass('hidden');
+        $(SELECTORS.errorText).text(message);
+        $(SELECTORS.error).removeClass('hidden');
+    };
+
+    /**
+     * Hides the error message
+     */
+    const hideError = () => {
+        $(SELECTORS.error).addClass('hidden');
+    };
+
+    /**
+     * Shows or hides the password
+     */
+    const togglePassword = () => {
+        const $input = $(SELECTORS.password);
+        const visible = $input.attr('type') === 'text';
+        $input.attr('type', visible ? 'password' : 'text');
+        $(SELECTORS.btnTogglePassword).attr('title', visible ? 'Show password' : 'Hide password');
+    };
+
+    // ============================================
+    // 🎯 EVENT LISTENERS
+    // ============================================
+
+    /**
+     * Sets up all event listeners
+     */
+    const setupEventListeners = () => {
+        $(SELECTORS.form).on('submit', handleSubmit);
+        $(SELECTORS.btnTogglePassword).on('click', togglePassword);
+        $(`${SELECTORS.username}, ${SELECTORS.password}`).on('input', hideError);
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init
+    };
+
+})();
+
+// ============================================
+// 🚀 DOCUMENT READY
+// ============================================
+
+$(document).ready(function() {
+    LoginPage.init();
+});
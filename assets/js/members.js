@@ -5,6 +5,8 @@
  * - Loading and displaying members from Google Sheets
  * - Filtering, searching, and sorting
  * - Add/Edit/Delete member operations
+ * - Bulk import from CSV / Excel with a validation preview
+ * - CSV, Excel and PDF export of the filtered directory
  * - Navigation to member detail pages
  * 
  * Dependencies:
@@ -46,6 +48,19 @@ const MembersPage = (function() {
      */
     let isInitialized = false;
 
+    /**
+     * Bulk import: header and data rows of the chosen file, and the
+     * column index mapped to each member property (-1 when unmapped)
+     */
+    let importHeaders = [];
+    let importRows = [];
+    let importMapping = {};
+
+    /**
+     * Rows checked by the last import preview
+     */
+    let importEntries = [];
+
     // ============================================
     // 🔧 CONFIGURATION
     // ============================================
@@ -60,6 +75,25 @@ const MembersPage = (function() {
      */
     const STATUS_OPTIONS = ['Active', 'Inactive', 'On Leave', 'Terminated'];
 
+    /**
+     * Member properties a bulk import can fill, with the column headers
+     * each is matched to automatically (compared lower-case, without spaces)
+     */
+    const IMPORT_FIELDS = [
+        { key: 'name', label: 'Name', aliases: ['name', 'fullname', 'employee', 'employeename'] },
+        { key: 'email', label: 'Email', aliases: ['email', 'emailaddress', 'mail'] },
+        { key: 'phone', label: 'Phone', aliases: ['phone', 'phonenumber', 'mobile', 'contact'] },
+        { key: 'department', label: 'Department', aliases: ['department', 'dept', 'team'] },
+        { key: 'role', label: 'Role', aliases: ['role', 'designation', 'title', 'jobtitle', 'position'] },
+        { key: 'joinDate', label: 'Join Date', aliases: ['joindate', 'joiningdate', 'datejoined', 'startdate', 'hiredate'] },
+        { key: 'birthDate', label: 'Birthday', aliases: ['birthday', 'birthdate', 'dateofbirth', 'dob'] },
+        { key: 'photoURL', label: 'Photo URL', aliases: ['photo', 'photourl', 'image', 'avatar'] },
+        { key: 'status', label: 'Status', aliases: ['status'] },
+        { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+        { key: 'memberId', label: 'Member ID', aliases: ['memberid', 'id', 'employeeid', 'empid'] },
+        { key: 'deviceCode', label: 'Device Code', aliases: ['devicecode', 'badge', 'badgeno', 'cardno', 'enrollno'] }
+    ];
+
     /**
      * Sort options
      */
@@ -112,6 +146,7 @@ const MembersPage = (function() {
         memberName: '#memberName',
         memberEmail: '#memberEmail',
         memberPhone: '#memberPhone',
+        memberDeviceCode: '#memberDeviceCode',
         memberDepartment: '#memberDepartment',
         memberRole: '#memberRole',
         memberPhoto: '#memberPhoto',
@@ -129,7 +164,36 @@ const MembersPage = (function() {
         btnCloseDeleteModal: '#btnCloseDeleteModal',
         
         // Results Info
-        resultsCount: '#resultsCount'
+        resultsCount: '#resultsCount',
+        
+        // Export Menu
+        btnExport: '#btnExport',
+        exportMenu: '#exportMenu',
+        
+        // Import Modal
+        btnImportMembers: '#btnImportMembers',
+        importModal: '#importModal',
+        importFile: '#importFile',
+        importFileName: '#importFileName',
+        importMapping: '#importMapping',
+        importMappingGrid: '#importMappingGrid',
+        importPreview: '#importPreview',
+        importPreviewHead: '#importPreviewHead',
+        importPreviewBody: '#importPreviewBody',
+        importSummary: '#importSummary',
+        btnCloseImportModal: '#btnCloseImportModal',
+        btnCancelImport: '#btnCancelImport',
+        btnConfirmImport: '#btnConfirmImport'
+    };
+
+    /**
+     * Form field for each member property, used to flag validation errors
+     */
+    const FIELD_SELECTORS = {
+        name: SELECTORS.memberName,
+        email: SELECTORS.memberEmail,
+        joinDate: SELECTORS.memberJoinDate,
+        photoURL: SELECTORS.memberPhoto
     };
 
     // ============================================
@@ -143,6 +207,9 @@ const MembersPage = (function() {
         CONFIG.log('Initializing Members Page...');
         
         try {
+            // Hide actions the current role can't take
+            applyPermissions();
+            
             // Show loading state
             showLoading(true);
             
@@ -174,6 +241,14 @@ const MembersPage = (function() {
         }
     };
 
+    /**
+     * Hides page-level actions the current role can't take
+     */
+    const applyPermissions = () => {
+        $(SELECTORS.btnAddMember).toggleClass('hidden', !Auth.can('members.create'));
+        $(SELECTORS.btnImportMembers).toggleClass('hidden', !Auth.can('members.create'));
+    };
+
     /**
      * Load members from API
      */
@@ -199,6 +274,7 @@ const MembersPage = (function() {
      */
     const refreshMembers = async () => {
         try {
+            API.clearCache();
             showLoading(true);
             await loadMembers();
             populateFilters();
@@ -381,6 +457,9 @@ const MembersPage = (function() {
         
         let html = '';
         
+        const canEdit = Auth.can('members.edit');
+        const canDelete = Auth.can('members.delete');
+        
         filteredMembers.forEach((member, index) => {
             const memberLink = getMemberLink(member.memberId);
             const photoUrl = member.photoURL || Utils.getAvatarUrl(member.name);
@@ -408,15 +487,15 @@ const MembersPage = (function() {
                             
                             <!-- Action Buttons -->
                             <div class="absolute top-3 right-3 flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity z-10">
-                                <button class="btn-edit-member p-2 bg-white/90 backdrop-blur-sm rounded-lg text-gray-700 hover:bg-white hover:text-primary-600 transition-all shadow-sm"
+                                ${canEdit ? `<button class="btn-edit-member p-2 bg-white/90 backdrop-blur-sm rounded-lg text-gray-700 hover:bg-white hover:text-primary-600 transition-all shadow-sm"
                                         data-member-id="${member.memberId}"
                                         title="Edit Member"
                                         onclick="event.preventDefault(); event.stopPropagation();">
                                     <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
                                     </svg>
-                                </button>
-                                <button class="btn-delete-member p-2 bg-white/90 backdrop-blur-sm rounded-lg text-gray-700 hover:bg-red-50 hover:text-red-600 transition-all shadow-sm"
+                                </button>` : ''}
+                                ${canDelete ? `<button class="btn-delete-member p-2 bg-white/90 backdrop-blur-sm rounded-lg text-gray-700 hover:bg-red-50 hover:text-red-600 transition-all shadow-sm"
                                         data-member-id="${member.memberId}"
                                         data-member-name="${Utils.escapeHtml(member.name)}"
                                         title="Delete Member"
@@ -424,7 +503,7 @@ const MembersPage = (function() {
                                     <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                                     </svg>
-                                </button>
+                                </button>` : ''}
                             </div>
                             
                             <!-- Photo -->
@@ -552,9 +631,9 @@ const MembersPage = (function() {
                     <button id="btnClearFiltersEmpty" class="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium">
                         Clear Filters
                     </button>
-                    <button id="btnAddMemberEmpty" class="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm font-medium">
+                    ${Auth.can('members.create') ? `<button id="btnAddMemberEmpty" class="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm font-medium">
                         Add Member
-                    </button>
+                    </button>` : ''}
                 </div>
             </div>
         `);
@@ -622,6 +701,8 @@ const MembersPage = (function() {
      * @param {string|null} memberId - Member ID for edit, null for add
      */
     const openMemberModal = (memberId = null) => {
+        if (!Auth.can(memberId ? 'members.edit' : 'members.create')) return;
+        
         editingMemberId = memberId;
         
         // Reset form
@@ -690,6 +771,7 @@ const MembersPage = (function() {
         $(SELECTORS.memberName).val(member.name || '');
         $(SELECTORS.memberEmail).val(member.email || '');
         $(SELECTORS.memberPhone).val(member.phone || '');
+        $(SELECTORS.memberDeviceCode).val(member.deviceCode || '');
         $(SELECTORS.memberDepartment).val(member.department || '');
         $(SELECTORS.memberRole).val(member.role || '');
         $(SELECTORS.memberPhoto).val(member.photoURL || '');
@@ -751,6 +833,7 @@ const MembersPage = (function() {
             name: $(SELECTORS.memberName).val().trim(),
             email: $(SELECTORS.memberEmail).val().trim(),
             phone: $(SELECTORS.memberPhone).val().trim(),
+            deviceCode: $(SELECTORS.memberDeviceCode).val().trim(),
             department: $(SELECTORS.memberDepartment).val().trim(),
             role: $(SELECTORS.memberRole).val().trim(),
             photoURL: $(SELECTORS.memberPhoto).val().trim(),
@@ -762,45 +845,54 @@ const MembersPage = (function() {
     };
 
     /**
-     * Validate form data
-     * @returns {Object} { valid: boolean, errors: string[] }
+     * Check member data against the member rules (shared by the form
+     * and the bulk import)
+     * @param {Object} data - Member data
+     * @returns {Array<Object>} [{ field, message }] — empty when valid
      */
-    const validateForm = () => {
-        const data = collectFormData();
+    const getMemberErrors = (data) => {
         const errors = [];
         
-        clearFormErrors();
-        
         // Required: Name
         if (!data.name) {
-            errors.push('Name is required');
-            markFieldError(SELECTORS.memberName);
+            errors.push({ field: 'name', message: 'Name is required' });
         }
         
         // Required: Email
         if (!data.email) {
-            errors.push('Email is required');
-            markFieldError(SELECTORS.memberEmail);
+            errors.push({ field: 'email', message: 'Email is required' });
         } else if (!isValidEmail(data.email)) {
-            errors.push('Please enter a valid email address');
-            markFieldError(SELECTORS.memberEmail);
+            errors.push({ field: 'email', message: 'Please enter a valid email address' });
         }
         
         // Required: Join Date
         if (!data.joinDate) {
-            errors.push('Join date is required');
-            markFieldError(SELECTORS.memberJoinDate);
+            errors.push({ field: 'joinDate', message: 'Join date is required' });
+        } else if (!isValidDate(data.joinDate)) {
+            errors.push({ field: 'joinDate', message: 'Please enter a valid join date' });
         }
         
         // Optional: Photo URL validation
         if (data.photoURL && !isValidURL(data.photoURL)) {
-            errors.push('Please enter a valid photo URL');
-            markFieldError(SELECTORS.memberPhoto);
+            errors.push({ field: 'photoURL', message: 'Please enter a valid photo URL' });
         }
         
+        return errors;
+    };
+
+    /**
+     * Validate form data
+     * @returns {Object} { valid: boolean, errors: string[] }
+     */
+    const validateForm = () => {
+        const errors = getMemberErrors(collectFormData());
+        
+        clearFormErrors();
+        errors.forEach(error => markFieldError(FIELD_SELECTORS[error.field]));
+        
         return {
             valid: errors.length === 0,
-            errors: errors
+            errors: errors.map(error => error.message)
         };
     };
 
@@ -846,12 +938,12 @@ const MembersPage = (function() {
 
     /**
      * Generate new member ID
+     * @param {Array<string>} [reserved] - IDs already handed out but not saved yet
      * @returns {string} New member ID
      */
-    const generateMemberId = () => {
+    const generateMemberId = (reserved = []) => {
         // Get existing member IDs
-        const existingIds = members
-            .map(m => m.memberId)
+        const existingIds = [...members.map(m => m.memberId), ...reserved]
             .filter(id => id && id.startsWith('EMP'))
             .map(id => parseInt(id.replace('EMP', ''), 10))
             .filter(num => !isNaN(num));
@@ -945,6 +1037,366 @@ const MembersPage = (function() {
         }
     };
 
+    // ============================================
+    // 📥 BULK IMPORT
+    // ============================================
+
+    /**
+     * Open the import modal with nothing loaded
+     */
+    const openImportModal = () => {
+        if (!Auth.can('members.create')) return;
+        
+        resetImport();
+        
+        $(SELECTORS.importModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.importModal).find('.modal-content').removeClass('scale-95 opacity-0');
+        }, 10);
+    };
+
+    /**
+     * Close the import modal
+     */
+    const closeImportModal = () => {
+        const modal = $(SELECTORS.importModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+        
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+            resetImport();
+        }, 200);
+    };
+
+    /**
+     * Forget the loaded file and hide the mapping and preview
+     */
+    const resetImport = () => {
+        importHeaders = [];
+        importRows = [];
+        importMapping = {};
+        importEntries = [];
+        
+        $(SELECTORS.importFile).val('');
+        $(SELECTORS.importFileName).text('CSV or Excel (.xlsx), first row as column headers');
+        $(`${SELECTORS.importMapping}, ${SELECTORS.importPreview}`).addClass('hidden');
+        $(SELECTORS.importSummary).text('');
+        updateImportButton();
+    };
+
+    /**
+     * Read the chosen file, guess the column mapping and show the preview
+     * @param {File} file - CSV or Excel file
+     */
+    const loadImportFile = async (file) => {
+        if (!file) return;
+        
+        try {
+            const rows = await Utils.readSpreadsheet(file);
+            if (rows.length < 2) {
+                Utils.showToast('The file needs a header row and at least one member', 'warning');
+                resetImport();
+                return;
+            }
+            
+            importHeaders = rows[0];
+            importRows = rows.slice(1);
+            importMapping = guessImportMapping(importHeaders);
+            
+            $(SELECTORS.importFileName).text(`${file.name} — ${importRows.length} row${importRows.length === 1 ? '' : 's'}`);
+            renderImportMapping();
+            refreshImportPreview();
+        } catch (error) {
+            CONFIG.logError('Failed to read import file:', error);
+            Utils.showToast(error.message || 'Could not read the file', 'error');
+            resetImport();
+        }
+    };
+
+    /**
+     * Match each member property to a column by its header
+     * @param {Array<string>} headers - Header row
+     * @returns {Object} { [property]: columnIndex } (-1 when unmatched)
+     */
+    const guessImportMapping = (headers) => {
+        const normalized = headers.map(h => String(h).toLowerCase().replace(/[^a-z]/g, ''));
+        const mapping = {};
+        
+        IMPORT_FIELDS.forEach(field => {
+            mapping[field.key] = normalized.findIndex(h => field.aliases.includes(h));
+        });
+        
+        return mapping;
+    };
+
+    /**
+     * Render a column select for every member property
+     */
+    const renderImportMapping = () => {
+        const columnOptions = importHeaders
+            .map((header, index) => `<option value="${index}">${Utils.escapeHtml(header || `Column ${index + 1}`)}</option>`)
+            .join('');
+        
+        const html = IMPORT_FIELDS.map(field => `
+            <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">${field.label}</label>
+                <select class="import-mapping-select w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500" data-field="${field.key}">
+                    <option value="-1">— Not imported —</option>
+                    ${columnOptions}
+                </select>
+            </div>
+        `).join('');
+        
+        $(SELECTORS.importMappingGrid).html(html);
+        IMPORT_FIELDS.forEach(field => {
+            $(`${SELECTORS.importMappingGrid} select[data-field="${field.key}"]`).val(String(importMapping[field.key]));
+        });
+        $(SELECTORS.importMapping).removeClass('hidden');
+    };
+
+    /**
+     * Turn a spreadsheet date into YYYY-MM-DD. Accepts ISO dates,
+     * day/month/year with / . or - and anything Date can parse
+     * (e.g. "Jan 15, 2024"); returns the value unchanged when it can't
+     * be read so validation reports it.
+     * @param {string} value - Cell value
+     * @returns {string}
+     */
+    const normalizeImportDate = (value) => {
+        if (!value || /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        
+        const dmy = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (dmy) {
+            const iso = `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+            return isValidDate(iso) ? iso : value;
+        }
+        
+        return Utils.formatDate(value) || value;
+    };
+
+    /**
+     * Whether a YYYY-MM-DD string is a real calendar date
+     * @param {string} value - Date string
+     * @returns {boolean}
+     */
+    const isValidDate = (value) => {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && Utils.formatDate(`${value}T00:00:00`) === value;
+    };
+
+    /**
+     * Build member data from a row using the current mapping
+     * @param {Array<string>} row - Data row
+     * @returns {Object} Member data
+     */
+    const mapImportRow = (row) => {
+        const data = {};
+        IMPORT_FIELDS.forEach(field => {
+            const index = importMapping[field.key];
+            data[field.key] = index >= 0 ? String(row[index] ?? '').trim() : '';
+        });
+        
+        data.joinDate = normalizeImportDate(data.joinDate);
+        data.birthDate = normalizeImportDate(data.birthDate);
+        
+        // Status matches the form's options case-insensitively and defaults to Active
+        const status = STATUS_OPTIONS.find(s => s.toLowerCase() === data.status.toLowerCase());
+        data.status = status || data.status || 'Active';
+        
+        return data;
+    };
+
+    /**
+     * Check every row with the member rules, flag emails that already
+     * exist (or repeat within the file) and assign IDs to valid rows
+     */
+    const buildImportEntries = () => {
+        const existingEmails = new Set(members.map(m => String(m.email || '').toLowerCase()).filter(Boolean));
+        const existingIds = new Set(members.map(m => m.memberId));
+        const fileEmails = new Set();
+        const reservedIds = [];
+        
+        return importRows.map((row, index) => {
+            const data = mapImportRow(row);
+            const errors = getMemberErrors(data).map(error => error.message);
+            const email = data.email.toLowerCase();
+            
+            if (data.birthDate && !isValidDate(data.birthDate)) {
+                errors.push('Please enter a valid birthday');
+            }
+            if (!STATUS_OPTIONS.includes(data.status)) {
+                errors.push(`Status must be one of ${STATUS_OPTIONS.join(', ')}`);
+            }
+            if (email && existingEmails.has(email)) {
+                errors.push('A member with this email already exists');
+            } else if (email && fileEmails.has(email)) {
+                errors.push('This email appears earlier in the file');
+            }
+            if (data.memberId && (existingIds.has(data.memberId) || reservedIds.includes(data.memberId))) {
+                errors.push(`Member ID ${data.memberId} is already taken`);
+            }
+            if (email) fileEmails.add(email);
+            
+            if (errors.length === 0) {
+                data.memberId = data.memberId || generateMemberId(reservedIds);
+                reservedIds.push(data.memberId);
+            }
+            
+            return { row: index + 2, data, errors };
+        });
+    };
+
+    /**
+     * Re-check the rows and render the preview table
+     */
+    const refreshImportPreview = () => {
+        importEntries = buildImportEntries();
+        renderImportPreview();
+    };
+
+    /**
+     * Render the preview table and summary from the current entries
+     */
+    const renderImportPreview = () => {
+        const columns = IMPORT_FIELDS.filter(field => field.key === 'memberId' || importMapping[field.key] >= 0);
+        
+        $(SELECTORS.importPreviewHead).html(`
+            <tr>
+                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                ${columns.map(field => `<th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">${field.label}</th>`).join('')}
+                <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+            </tr>
+        `);
+        
+        const body = importEntries.map(entry => {
+            const valid = entry.errors.length === 0;
+            return `
+                <tr class="${valid ? '' : 'bg-red-50'}">
+                    <td class="px-3 py-2 text-sm text-gray-500">${entry.row}</td>
+                    ${columns.map(field => `<td class="px-3 py-2 text-sm text-gray-900 whitespace-nowrap">${Utils.escapeHtml(entry.data[field.key] || '—')}</td>`).join('')}
+                    <td class="px-3 py-2 text-sm ${valid ? 'text-green-700' : 'text-red-700'}">
+                        ${valid ? 'Ready' : entry.errors.map(e => Utils.escapeHtml(e)).join('<br>')}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        $(SELECTORS.importPreviewBody).html(body);
+        $(SELECTORS.importPreview).removeClass('hidden');
+        
+        const ready = importEntries.filter(e => e.errors.length === 0).length;
+        const invalid = importEntries.length - ready;
+        $(SELECTORS.importSummary).text(
+            `${ready} ready to import${invalid ? `, ${invalid} with errors will be skipped` : ''}`
+        );
+        updateImportButton();
+    };
+
+    /**
+     * Enable the import button while there are valid rows
+     * @param {boolean} [loading] - Show the saving state
+     */
+    const updateImportButton = (loading = false) => {
+        const ready = importEntries.filter(e => e.errors.length === 0).length;
+        const $btn = $(SELECTORS.btnConfirmImport);
+        
+        $btn.prop('disabled', loading || ready === 0).toggleClass('opacity-50', loading || ready === 0);
+        if (loading) {
+            $btn.text('Importing...');
+        } else {
+            $btn.text(ready ? `Import ${ready} Member${ready === 1 ? '' : 's'}` : 'Import Members');
+        }
+    };
+
+    /**
+     * Write the valid rows. Rows the server turned away stay in the
+     * preview with its reason, next to the rows skipped before sending.
+     */
+    const confirmImport = async () => {
+        const valid = importEntries.filter(e => e.errors.length === 0);
+        if (valid.length === 0 || isSaving) return;
+        
+        try {
+            isSaving = true;
+            updateImportButton(true);
+            
+            const result = await API.importMembers(valid.map(e => e.data));
+            const skipped = importEntries.length - result.added;
+            
+            // Server errors number rows within the batch that was sent
+            const rejected = new Map();
+            (result.errors || []).forEach(e => {
+                const entry = valid[e.row - 1];
+                if (entry) rejected.set(entry, [...(rejected.get(entry) || []), e.message]);
+            });
+            
+            Utils.showToast(
+                `Imported ${result.added} member${result.added === 1 ? '' : 's'}${skipped ? `, ${skipped} skipped` : ''}`,
+                skipped ? 'warning' : 'success'
+            );
+            
+            if (rejected.size === 0) {
+                closeImportModal();
+            } else {
+                importEntries = importEntries
+                    .filter(entry => entry.errors.length > 0 || rejected.has(entry))
+                    .map(entry => rejected.has(entry) ? { ...entry, errors: rejected.get(entry) } : entry);
+                renderImportPreview();
+                $(SELECTORS.importSummary).text(
+                    `Imported ${result.added} member${result.added === 1 ? '' : 's'}. The rows below were skipped.`
+                );
+            }
+            await refreshMembers();
+        } catch (error) {
+            CONFIG.logError('Failed to import members:', error);
+            Utils.showToast(error.message || 'Failed to import members', 'error');
+        } finally {
+            isSaving = false;
+            updateImportButton(false);
+        }
+    };
+
+    // ============================================
+    // 📤 EXPORT
+    // ============================================
+
+    /**
+     * Export the members matching the current search and filters
+     * @param {string} format - 'csv', 'xlsx' or 'pdf'
+     */
+    const exportMembers = async (format) => {
+        if (filteredMembers.length === 0) {
+            Utils.showToast('No members match the current filters', 'warning');
+            return;
+        }
+        
+        try {
+            // Company name and logo for the PDF header
+            const settings = await API.getSettings().catch(() => ({}));
+            
+            await Utils.exportData({
+                format,
+                filename: `members-${Utils.getToday()}`,
+                title: 'Members Directory',
+                subtitle: `${filteredMembers.length} of ${members.length} members`,
+                settings,
+                rows: filteredMembers,
+                columns: [
+                    { label: 'ID', key: 'memberId' },
+                    { label: 'Name', key: 'name' },
+                    { label: 'Email', key: 'email' },
+                    { label: 'Phone', key: 'phone' },
+                    { label: 'Department', key: 'department' },
+                    { label: 'Role', key: 'role' },
+                    { label: 'Join Date', value: m => Utils.formatDate(m.joinDate) },
+                    { label: 'Status', key: 'status' }
+                ]
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to export members:', error);
+            Utils.showToast(error.message || 'Failed to export members', 'error');
+        }
+    };
+
     // ============================================
     // 🗑️ DELETE MEMBER
     // ============================================
@@ -960,6 +1412,8 @@ const MembersPage = (function() {
      * @param {string} memberName - Member name for display
      */
     const openDeleteModal = (memberId, memberName) => {
+        if (!Auth.can('members.delete')) return;
+        
         memberToDelete = { memberId, memberName };
         
         $(SELECTORS.deleteConfirmName).text(memberName);
@@ -1083,6 +1537,22 @@ const MembersPage = (function() {
             saveMember();
         });
         
+        // Export Menu
+        Utils.bindExportMenu(SELECTORS.btnExport, SELECTORS.exportMenu, exportMembers);
+        
+        // Import modal events
+        $(SELECTORS.btnImportMembers).on('click', openImportModal);
+        $(SELECTORS.btnCloseImportModal).on('click', closeImportModal);
+        $(SELECTORS.btnCancelImport).on('click', closeImportModal);
+        $(SELECTORS.btnConfirmImport).on('click', confirmImport);
+        $(SELECTORS.importFile).on('change', function() {
+            loadImportFile(this.files[0]);
+        });
+        $(SELECTORS.importMappingGrid).on('change', '.import-mapping-select', function() {
+            importMapping[$(this).data('field')] = parseInt($(this).val(), 10);
+            refreshImportPreview();
+        });
+        
         // Delete modal events
         $(SELECTORS.btnCloseDeleteModal).on('click', closeDeleteModal);
         $(SELECTORS.btnCancelDelete).on('click', closeDeleteModal);
@@ -1095,6 +1565,9 @@ const MembersPage = (function() {
         $(SELECTORS.deleteModal).on('click', function(e) {
             if (e.target === this) closeDeleteModal();
         });
+        $(SELECTORS.importModal).on('click', function(e) {
+            if (e.target === this) closeImportModal();
+        });
         
         // Keyboard shortcuts
         $(document).on('keydown', function(e) {
@@ -1106,6 +1579,9 @@ const MembersPage = (function() {
                 if (!$(SELECTORS.deleteModal).hasClass('hidden')) {
                     closeDeleteModal();
                 }
+                if (!$(SELECTORS.importModal).hasClass('hidden')) {
+                    closeImportModal();
+                }
             }
             
             // Ctrl/Cmd + N to add new member
@@ -1172,6 +1648,8 @@ const MembersPage = (function() {
         refreshMembers,
         openMemberModal,
         closeMemberModal,
+        openImportModal,
+        closeImportModal,
         clearFilters,
         
         // State getters
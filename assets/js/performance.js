@@ -4,9 +4,14 @@
  * Handles all performance task management including:
  * - Loading and displaying tasks
  * - Task CRUD operations
+ * - Task priorities, estimated vs. actual effort, and subtasks with
+ *   checklists from which a task's completion is derived
  * - Team-level overview with charts
  * - Filtering and searching
  * - Summary metrics and analytics
+ * - Quarterly objectives and key results, with progress rolled up from
+ *   linked tasks per objective and department
+ * - CSV, Excel and PDF export of the filtered tasks
  * 
  * Dependencies:
  *   - jQuery
@@ -38,6 +43,11 @@ const PerformancePage = (function() {
      */
     let filteredTasks = [];
 
+    /**
+     * Objectives of every member and department (see API.getObjectives)
+     */
+    let objectives = [];
+
     /**
      * Application settings
      */
@@ -58,6 +68,11 @@ const PerformancePage = (function() {
      */
     let editingTaskId = null;
 
+    /**
+     * Objective being edited (null for new objective)
+     */
+    let editingObjectiveId = null;
+
     /**
      * Chart instances for cleanup
      */
@@ -91,6 +106,25 @@ const PerformancePage = (function() {
         'Cancelled': { color: 'gray', bgClass: 'bg-gray-100', textClass: 'text-gray-800', label: 'Cancelled' }
     };
 
+    /**
+     * Most key results per objective (matches the backend)
+     */
+    const MAX_KEY_RESULTS = 5;
+
+    /**
+     * Most subtasks per task, and checklist items per subtask (matches the backend)
+     */
+    const MAX_SUBTASKS = 20;
+    const MAX_CHECKLIST_ITEMS = 20;
+
+    /**
+     * Sort weight of each priority (higher first)
+     */
+    const PRIORITY_RANK = Object.values(CONFIG.TASK_PRIORITY).reduce((rank, priority, index) => {
+        rank[priority] = index;
+        return rank;
+    }, {});
+
     /**
      * Chart color palette
      */
@@ -125,12 +159,15 @@ const PerformancePage = (function() {
         filterDepartment: '#filterDepartment',
         filterEmployee: '#filterEmployee',
         filterStatus: '#filterStatus',
+        filterPriority: '#filterPriority',
         searchInput: '#searchInput',
         btnClearFilters: '#btnClearFilters',
         
         // Action buttons
         btnAddTask: '#btnAddTask',
         btnRefresh: '#btnRefresh',
+        btnExport: '#btnExport',
+        exportMenu: '#exportMenu',
         
         // Table
         taskTableContainer: '#taskTableContainer',
@@ -157,15 +194,46 @@ const PerformancePage = (function() {
         taskEmployeeSelect: '#taskEmployeeSelect',
         taskTitleInput: '#taskTitleInput',
         taskDescriptionInput: '#taskDescriptionInput',
+        taskKeyResultSelect: '#taskKeyResultSelect',
         taskDeadlineInput: '#taskDeadlineInput',
         taskStatusSelect: '#taskStatusSelect',
         taskQualityInput: '#taskQualityInput',
+        taskPrioritySelect: '#taskPrioritySelect',
+        taskEstimatedInput: '#taskEstimatedInput',
+        taskActualInput: '#taskActualInput',
         taskNotesInput: '#taskNotesInput',
+        subtaskList: '#subtaskList',
+        subtaskProgress: '#subtaskProgress',
+        btnAddSubtask: '#btnAddSubtask',
         btnSaveTask: '#btnSaveTask',
         btnCancelTask: '#btnCancelTask',
         btnCloseTaskModal: '#btnCloseTaskModal',
         btnDeleteTask: '#btnDeleteTask',
         
+        // Objectives & Key Results
+        okrSection: '#okrSection',
+        okrPeriod: '#okrPeriod',
+        okrDepartment: '#okrDepartment',
+        okrRollup: '#okrRollup',
+        okrList: '#okrList',
+        btnAddObjective: '#btnAddObjective',
+        
+        // Objective Modal
+        objectiveModal: '#objectiveModal',
+        objectiveForm: '#objectiveForm',
+        objectiveModalTitle: '#objectiveModalTitle',
+        objectiveId: '#objectiveId',
+        objectiveTitle: '#objectiveTitle',
+        objectiveDescription: '#objectiveDescription',
+        objectiveOwner: '#objectiveOwner',
+        objectivePeriod: '#objectivePeriod',
+        keyResultList: '#keyResultList',
+        btnAddKeyResult: '#btnAddKeyResult',
+        btnSaveObjective: '#btnSaveObjective',
+        btnCancelObjective: '#btnCancelObjective',
+        btnCloseObjectiveModal: '#btnCloseObjectiveModal',
+        btnDeleteObjective: '#btnDeleteObjective',
+        
         // View Toggle
         btnViewTable: '#btnViewTable',
         btnViewCards: '#btnViewCards',
@@ -182,6 +250,9 @@ const PerformancePage = (function() {
     const init = async () => {
         CONFIG.log('Initializing Performance Page...');
         
+        // Hide actions the current role can't take
+        applyPermissions();
+        
         try {
             // Show loading state
             showPageLoading();
@@ -192,20 +263,22 @@ const PerformancePage = (function() {
             // Step 2: Load all members
             await loadMembers();
             
-            // Step 3: Load all tasks
-            await loadTasks();
+            // Step 3: Load all tasks and the objectives they count towards
+            await Promise.all([loadTasks(), loadObjectives()]);
             
             // Step 4: Setup event listeners
             setupEventListeners();
             
             // Step 5: Populate filter dropdowns
             populateFilters();
+            populateOkrFilters();
             
             // Step 6: Apply initial filters & render
             applyFilters();
             
-            // Step 7: Render charts
+            // Step 7: Render charts and the OKR roll-up
             renderCharts();
+            renderOkrs();
             
             CONFIG.log('Performance Page initialized successfully');
             
@@ -253,7 +326,7 @@ const PerformancePage = (function() {
         try {
             showTableLoading();
             
-            tasks = await API.getAllTasks();
+            tasks = await API.getPerformanceTasks();
             
             // Process tasks - check for overdue
             tasks = tasks.map(task => processTask(task));
@@ -264,10 +337,12 @@ const PerformancePage = (function() {
                 if (a.status === 'Overdue' && b.status !== 'Overdue') return -1;
                 if (b.status === 'Overdue' && a.status !== 'Overdue') return 1;
                 
-                // Then by deadline
+                // Then by deadline, most urgent priority first on the same day
+                if (!a.deadline && !b.deadline) return PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority];
                 if (!a.deadline) return 1;
                 if (!b.deadline) return -1;
-                return new Date(a.deadline) - new Date(b.deadline);
+                return (new Date(a.deadline) - new Date(b.deadline)) ||
+                       (PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority]);
             });
             
             CONFIG.log(`Loaded ${tasks.length} tasks`);
@@ -279,6 +354,19 @@ const PerformancePage = (function() {
         }
     };
 
+    /**
+     * Load all objectives (a failure only leaves the OKR section empty)
+     */
+    const loadObjectives = async () => {
+        try {
+            objectives = await API.getObjectives();
+            CONFIG.log(`Loaded ${objectives.length} objectives`);
+        } catch (error) {
+            CONFIG.logError('Failed to load objectives:', error);
+            objectives = [];
+        }
+    };
+
     /**
      * Process a task - calculate status, scores, etc.
      */
@@ -301,6 +389,11 @@ const PerformancePage = (function() {
         processed.score = parseFloat(processed.score) || 0;
         processed.qualityScore = parseFloat(processed.qualityScore || processed.score) || 0;
         
+        // Tasks created before priorities and subtasks existed
+        if (!(processed.priority in PRIORITY_RANK)) processed.priority = CONFIG.TASK_PRIORITY.MEDIUM;
+        processed.subtasks = Array.isArray(processed.subtasks) ? processed.subtasks : [];
+        processed.progress = Utils.calculateTaskProgress(processed);
+        
         return processed;
     };
 
@@ -398,6 +491,12 @@ const PerformancePage = (function() {
             statusOptions += `<option value="${status}">${TASK_STATUS[status].label}</option>`;
         });
         $(SELECTORS.filterStatus).html(statusOptions);
+        
+        // Priority filter (highest first) and the task modal's priority picker
+        const priorities = Object.values(CONFIG.TASK_PRIORITY);
+        $(SELECTORS.filterPriority).html('<option value="all">All Priorities</option>' +
+            [...priorities].reverse().map(priority => `<option value="${priority}">${priority}</option>`).join(''));
+        $(SELECTORS.taskPrioritySelect).html(priorities.map(priority => `<option value="${priority}">${priority}</option>`).join(''));
     };
 
     /**
@@ -427,6 +526,12 @@ const PerformancePage = (function() {
             filtered = filtered.filter(t => t.status === status);
         }
         
+        // Priority filter
+        const priority = $(SELECTORS.filterPriority).val();
+        if (priority && priority !== 'all') {
+            filtered = filtered.filter(t => t.priority === priority);
+        }
+        
         // Search filter
         const search = $(SELECTORS.searchInput).val();
         if (search) {
@@ -436,10 +541,12 @@ const PerformancePage = (function() {
                 const title = (t.title || '').toLowerCase();
                 const description = (t.description || t.notes || '').toLowerCase();
                 const memberName = (member?.name || '').toLowerCase();
+                const subtaskTitles = t.subtasks.map(subtask => subtask.title).join(' ').toLowerCase();
                 
                 return title.includes(query) || 
                        description.includes(query) || 
-                       memberName.includes(query);
+                       memberName.includes(query) ||
+                       subtaskTitles.includes(query);
             });
         }
         
@@ -462,6 +569,7 @@ const PerformancePage = (function() {
         $(SELECTORS.filterDepartment).val('all');
         $(SELECTORS.filterEmployee).val('all');
         $(SELECTORS.filterStatus).val('all');
+        $(SELECTORS.filterPriority).val('all');
         $(SELECTORS.searchInput).val('');
         
         applyFilters();
@@ -501,6 +609,9 @@ const PerformancePage = (function() {
             const deadlineDisplay = formatDeadline(task.deadline);
             const isOverdue = task.status === 'Overdue';
             const scoreDisplay = task.qualityScore > 0 ? task.qualityScore.toFixed(0) : '—';
+            const effortDisplay = Utils.formatTaskEffort(task) || '—';
+            const isOverEstimate = Number(task.estimatedHours) > 0 && Number(task.actualHours) > Number(task.estimatedHours);
+            const canManage = canManageMember(task.memberId);
             
             html += `
                 <tr class="hover:bg-gray-50 transition-colors group" data-task-id="${task.taskId}">
@@ -528,6 +639,8 @@ const PerformancePage = (function() {
                             <p class="text-sm font-medium text-gray-900 truncate ${task.status === 'Completed' ? 'line-through text-gray-500' : ''}">
                                 ${Utils.escapeHtml(task.title)}
                             </p>
+                            ${renderKeyResultLink(task.keyResultId)}
+                            ${renderSubtaskProgress(task.progress)}
                             ${task.description || task.notes ? `
                                 <p class="text-xs text-gray-500 truncate mt-1" title="${Utils.escapeHtml(task.description || task.notes)}">
                                     ${Utils.escapeHtml((task.description || task.notes).substring(0, 50))}${(task.description || task.notes).length > 50 ? '...' : ''}
@@ -536,6 +649,13 @@ const PerformancePage = (function() {
                         </div>
                     </td>
                     
+                    <!-- Priority -->
+                    <td class="px-6 py-4 whitespace-nowrap">
+                        <span class="px-2.5 py-1 rounded-full text-xs font-medium ${Utils.getTaskPriorityBadge(task.priority)}">
+                            ${Utils.escapeHtml(task.priority)}
+                        </span>
+                    </td>
+                    
                     <!-- Deadline -->
                     <td class="px-6 py-4 whitespace-nowrap">
                         <div class="flex items-center">
@@ -548,6 +668,14 @@ const PerformancePage = (function() {
                         </div>
                     </td>
                     
+                    <!-- Effort -->
+                    <td class="px-6 py-4 whitespace-nowrap">
+                        <span class="text-sm ${isOverEstimate ? 'text-red-600 font-medium' : 'text-gray-700'}"
+                              ${isOverEstimate ? 'title="Over the estimate"' : ''}>
+                            ${effortDisplay}
+                        </span>
+                    </td>
+                    
                     <!-- Status -->
                     <td class="px-6 py-4 whitespace-nowrap">
                         ${renderStatusBadge(task.status)}
@@ -560,7 +688,7 @@ const PerformancePage = (function() {
                     
                     <!-- Actions -->
                     <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                        <div class="flex items-center justify-end gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                        ${canManage ? `<div class="flex items-center justify-end gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
                             <button class="p-2 text-primary-600 hover:text-primary-800 hover:bg-primary-50 rounded-lg transition-colors btn-edit-task" 
                                     data-task-id="${task.taskId}"
                                     title="Edit Task">
@@ -575,7 +703,7 @@ const PerformancePage = (function() {
                                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                                 </svg>
                             </button>
-                        </div>
+                        </div>` : ''}
                     </td>
                 </tr>
             `;
@@ -596,6 +724,7 @@ const PerformancePage = (function() {
         const hasFilters = $(SELECTORS.filterDepartment).val() !== 'all' ||
                           $(SELECTORS.filterEmployee).val() !== 'all' ||
                           $(SELECTORS.filterStatus).val() !== 'all' ||
+                          $(SELECTORS.filterPriority).val() !== 'all' ||
                           $(SELECTORS.searchInput).val();
         
         const message = hasFilters 
@@ -604,7 +733,7 @@ const PerformancePage = (function() {
         
         tableBody.html(`
             <tr>
-                <td colspan="6" class="px-6 py-12 text-center">
+                <td colspan="8" class="px-6 py-12 text-center">
                     <div class="flex flex-col items-center">
                         <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
                             <svg class="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -616,7 +745,7 @@ const PerformancePage = (function() {
                             <button id="btnClearFiltersEmpty" class="mt-2 text-primary-600 hover:text-primary-700 text-sm font-medium">
                                 Clear Filters
                             </button>
-                        ` : `
+                        ` : !Auth.can('tasks.manage') ? '' : `
                             <button id="btnAddFirstTask" class="mt-4 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors inline-flex items-center">
                                 <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path>
@@ -939,6 +1068,386 @@ const PerformancePage = (function() {
         });
     };
 
+    // ============================================
+    // 🎯 OBJECTIVES & KEY RESULTS
+    // ============================================
+
+    /**
+     * Populate the quarter and department filters of the OKR section:
+     * the quarters around today plus any that have objectives
+     */
+    const populateOkrFilters = () => {
+        const current = Utils.getQuarter();
+        const selected = $(SELECTORS.okrPeriod).val() || current;
+        const periods = new Set([-2, -1, 0, 1].map(offset => Utils.shiftQuarter(current, offset)));
+        objectives.forEach(o => periods.add(o.period));
+        
+        $(SELECTORS.okrPeriod).html([...periods].sort().reverse().map(period => `
+            <option value="${period}">${Utils.formatQuarter(period)}${period === current ? ' (current)' : ''}</option>
+        `).join('')).val(selected);
+        
+        const department = $(SELECTORS.okrDepartment).val() || 'all';
+        const departments = [...new Set([
+            ...members.map(m => m.department),
+            ...objectives.map(o => o.department)
+        ].filter(Boolean))].sort();
+        
+        $(SELECTORS.okrDepartment).html(
+            '<option value="all">All Departments</option>' +
+            departments.map(d => `<option value="${Utils.escapeHtml(d)}">${Utils.escapeHtml(d)}</option>`).join('')
+        ).val(departments.includes(department) ? department : 'all');
+    };
+
+    /**
+     * Render the department roll-up and the objective list for the
+     * selected quarter
+     */
+    const renderOkrs = () => {
+        const period = $(SELECTORS.okrPeriod).val() || Utils.getQuarter();
+        const department = $(SELECTORS.okrDepartment).val();
+        const shown = objectives.filter(o =>
+            o.period === period && (!department || department === 'all' || o.department === department)
+        );
+        
+        renderOkrRollup(shown);
+        
+        if (shown.length === 0) {
+            $(SELECTORS.okrList).html(`
+                <div class="py-8 text-center">
+                    <p class="text-gray-900 font-medium">No objectives for ${Utils.formatQuarter(period)}</p>
+                    <p class="text-gray-500 text-sm mt-1">${Auth.can('okrs.manage') ? 'Set one with “New Objective”' : 'Managers set objectives for their team'}</p>
+                </div>
+            `);
+            return;
+        }
+        
+        // Group by department: the team's objectives first, then its members'
+        const groups = Utils.groupBy(shown, 'department');
+        
+        $(SELECTORS.okrList).html(Object.keys(groups).sort().map(dept => `
+            <div>
+                <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">${Utils.escapeHtml(dept)}</h4>
+                <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                    ${groups[dept].map(renderObjectiveCard).join('')}
+                </div>
+            </div>
+        `).join(''));
+    };
+
+    /**
+     * Render one progress card per department: the average progress of
+     * all its objectives, team and individual
+     * @param {Array<Object>} shown - Objectives in view
+     */
+    const renderOkrRollup = (shown) => {
+        const groups = Utils.groupBy(shown, 'department');
+        
+        $(SELECTORS.okrRollup).html(Object.keys(groups).sort().map(dept => {
+            const list = groups[dept];
+            const progress = list.reduce((sum, o) => sum + Utils.calculateObjectiveProgress(o), 0) / list.length;
+            const team = list.filter(o => !o.memberId).length;
+            
+            return `
+                <div class="p-4 bg-gray-50 rounded-xl">
+                    <div class="flex items-center justify-between mb-2">
+                        <p class="text-sm font-medium text-gray-900">${Utils.escapeHtml(dept)}</p>
+                        <p class="text-sm font-semibold text-gray-900">${Math.round(progress * 100)}%</p>
+                    </div>
+                    ${renderOkrProgressBar(progress)}
+                    <p class="text-xs text-gray-500 mt-2">
+                        ${team} team · ${list.length - team} individual objective${list.length - team === 1 ? '' : 's'}
+                    </p>
+                </div>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Render an objective with its key results and their progress
+     * @param {Object} objective - Objective
+     */
+    const renderObjectiveCard = (objective) => {
+        const member = objective.memberId ? getEmployeeById(objective.memberId) : null;
+        const progress = Utils.calculateObjectiveProgress(objective);
+        const canManage = Auth.can('okrs.manage', member || { department: objective.department });
+        const ownerName = member?.name || objective.memberId;
+        
+        return `
+            <div class="p-4 border border-gray-200 rounded-xl">
+                <div class="flex items-start justify-between gap-3 mb-3">
+                    <div class="min-w-0">
+                        <p class="text-sm font-semibold text-gray-900">${Utils.escapeHtml(objective.title)}</p>
+                        ${objective.memberId ? `
+                            <a href="${Utils.getMemberLink(objective.memberId)}" class="inline-flex items-center mt-1 text-xs text-gray-500 hover:text-primary-600">
+                                <img src="${getEmployeePhoto(objective.memberId)}" alt="${Utils.escapeHtml(ownerName)}" class="w-4 h-4 rounded-full object-cover mr-1.5"
+                                     onerror="this.src='${Utils.getAvatarUrl(ownerName)}'">
+                                ${Utils.escapeHtml(ownerName)}
+                            </a>
+                        ` : `
+                            <p class="mt-1 text-xs text-gray-500">Team objective</p>
+                        `}
+                    </div>
+                    <div class="flex items-center gap-2 flex-shrink-0">
+                        <span class="text-sm font-semibold text-gray-900">${Math.round(progress * 100)}%</span>
+                        ${canManage ? `
+                            <button class="btn-edit-objective p-1.5 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                                    data-objective-id="${Utils.escapeHtml(objective.objectiveId)}" title="Edit Objective">
+                                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+                                </svg>
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+                ${renderOkrProgressBar(progress)}
+                <div class="mt-4 space-y-3">
+                    ${objective.keyResults.map(kr => `
+                        <div>
+                            <div class="flex items-center justify-between gap-3 text-xs mb-1">
+                                <span class="text-gray-700 truncate">${Utils.escapeHtml(kr.title)}</span>
+                                <span class="text-gray-500 whitespace-nowrap">${Utils.escapeHtml(Utils.formatKeyResultProgress(kr))}</span>
+                            </div>
+                            ${renderOkrProgressBar(Utils.calculateKeyResultProgress(kr).progress, 'h-1.5')}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    };
+
+    /**
+     * Render an OKR progress bar
+     * @param {number} progress - 0..1
+     * @param {string} [height] - Tailwind height class
+     */
+    const renderOkrProgressBar = (progress, height = 'h-2') => `
+        <div class="w-full ${height} bg-gray-200 rounded-full overflow-hidden">
+            <div class="h-full ${Utils.getOkrProgressClass(progress)} rounded-full" style="width: ${Math.round(progress * 100)}%"></div>
+        </div>
+    `;
+
+    /**
+     * Open the objective modal to add an objective, or edit one
+     * @param {string} [objectiveId] - Objective to edit
+     */
+    const openObjectiveModal = (objectiveId = null) => {
+        const objective = objectiveId ? objectives.find(o => o.objectiveId === objectiveId) : null;
+        if (objectiveId && !objective) {
+            Utils.showToast('Objective not found', 'error');
+            return;
+        }
+        
+        editingObjectiveId = objective ? objective.objectiveId : null;
+        
+        $(SELECTORS.objectiveForm)[0]?.reset();
+        $(SELECTORS.objectiveForm).find('input, select, textarea').removeClass('border-red-500 focus:border-red-500 focus:ring-red-500');
+        $(SELECTORS.objectiveForm).find('.field-error').remove();
+        
+        populateObjectiveOwners();
+        
+        // Quarters: the current one and the next two, plus the objective's own
+        const current = Utils.getQuarter();
+        const periods = new Set([-1, 0, 1, 2].map(offset => Utils.shiftQuarter(current, offset)));
+        if (objective) periods.add(objective.period);
+        $(SELECTORS.objectivePeriod).html([...periods].sort().map(period => `
+            <option value="${period}">${Utils.formatQuarter(period)}</option>
+        `).join(''));
+        
+        const department = $(SELECTORS.okrDepartment).val();
+        
+        $(SELECTORS.objectiveModalTitle).text(objective ? 'Edit Objective' : 'New Objective');
+        $(SELECTORS.objectiveId).val(objective ? objective.objectiveId : '');
+        $(SELECTORS.objectiveTitle).val(objective ? objective.title : '');
+        $(SELECTORS.objectiveDescription).val(objective ? objective.description : '');
+        $(SELECTORS.objectivePeriod).val(objective ? objective.period : ($(SELECTORS.okrPeriod).val() || current));
+        if (objective) {
+            $(SELECTORS.objectiveOwner).val(objective.memberId ? `member:${objective.memberId}` : `department:${objective.department}`);
+        } else if (department && department !== 'all') {
+            $(SELECTORS.objectiveOwner).val(`department:${department}`);
+        }
+        
+        $(SELECTORS.keyResultList).html((objective ? objective.keyResults : [{}]).map(renderKeyResultRow).join(''));
+        $(SELECTORS.btnDeleteObjective).toggleClass('hidden', !objective);
+        
+        showModal(SELECTORS.objectiveModal);
+        setTimeout(() => {
+            $(SELECTORS.objectiveTitle).focus();
+        }, 100);
+    };
+
+    /**
+     * Close the objective modal
+     */
+    const closeObjectiveModal = () => {
+        hideModal(SELECTORS.objectiveModal);
+        editingObjectiveId = null;
+    };
+
+    /**
+     * Populate who an objective can belong to: departments and members
+     * the current user may set objectives for
+     */
+    const populateObjectiveOwners = () => {
+        const departments = [...new Set(members.map(m => m.department).filter(Boolean))]
+            .filter(department => Auth.can('okrs.manage', { department }))
+            .sort();
+        const owners = members
+            .filter(member => Auth.can('okrs.manage', member))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
+        $(SELECTORS.objectiveOwner).html(`
+            <option value="">Select department or member</option>
+            <optgroup label="Team objective">
+                ${departments.map(d => `<option value="department:${Utils.escapeHtml(d)}">${Utils.escapeHtml(d)}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Individual objective">
+                ${owners.map(m => `<option value="member:${m.memberId}">${Utils.escapeHtml(m.name)} — ${Utils.escapeHtml(m.department || 'N/A')}</option>`).join('')}
+            </optgroup>
+        `);
+    };
+
+    /**
+     * Render an editable key result row
+     * @param {Object} [kr] - Key result
+     */
+    const renderKeyResultRow = (kr = {}) => {
+        const input = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+        const value = (v) => v === undefined || v === null ? '' : Utils.escapeHtml(String(v));
+        
+        return `
+            <div class="key-result-row flex items-center gap-2" data-key-result-id="${Utils.escapeHtml(kr.keyResultId || '')}">
+                <input type="text" class="kr-title flex-1 min-w-0 ${input}" value="${value(kr.title)}" placeholder="e.g. Cut average response time">
+                <input type="text" class="kr-unit w-20 ${input}" value="${value(kr.unit)}" placeholder="hours">
+                <input type="number" step="any" class="kr-start w-16 ${input}" value="${value(kr.startValue ?? 0)}">
+                <input type="number" step="any" class="kr-target w-16 ${input}" value="${value(kr.targetValue)}">
+                <input type="number" step="any" class="kr-current w-16 ${input}" value="${value(kr.currentValue)}">
+                <button type="button" class="btn-remove-kr w-8 h-8 flex items-center justify-center text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Remove">
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                    </svg>
+                </button>
+            </div>
+        `;
+    };
+
+    /**
+     * Read the objective modal into an objective, or show what's missing
+     * @returns {Object|null}
+     */
+    const collectObjective = () => {
+        const title = $(SELECTORS.objectiveTitle).val().trim();
+        const owner = $(SELECTORS.objectiveOwner).val() || '';
+        let isValid = true;
+        
+        if (title.length < 3) {
+            showFieldError(SELECTORS.objectiveTitle, 'Objective must be at least 3 characters');
+            isValid = false;
+        }
+        if (!owner) {
+            showFieldError(SELECTORS.objectiveOwner, 'Pick a department or member');
+            isValid = false;
+        }
+        
+        const keyResults = $(SELECTORS.keyResultList).find('.key-result-row').map(function() {
+            const $row = $(this);
+            const number = (selector) => $row.find(selector).val() === '' ? '' : Number($row.find(selector).val());
+            const kr = {
+                title: $row.find('.kr-title').val().trim(),
+                unit: $row.find('.kr-unit').val().trim(),
+                startValue: number('.kr-start') === '' ? 0 : number('.kr-start'),
+                targetValue: number('.kr-target'),
+                currentValue: number('.kr-current')
+            };
+            if ($row.data('key-result-id')) kr.keyResultId = $row.data('key-result-id');
+            
+            $row.find('.kr-title').toggleClass('border-red-500', !kr.title);
+            $row.find('.kr-target').toggleClass('border-red-500', kr.targetValue === '' || kr.targetValue === kr.startValue);
+            return kr;
+        }).get();
+        
+        if (keyResults.length === 0) {
+            Utils.showToast('Add at least one key result', 'error');
+            return null;
+        }
+        if (keyResults.some(kr => !kr.title || kr.targetValue === '' || kr.targetValue === kr.startValue)) {
+            Utils.showToast('Every key result needs a title and a target different from its start', 'error');
+            return null;
+        }
+        if (!isValid) return null;
+        
+        const [type, id] = [owner.slice(0, owner.indexOf(':')), owner.slice(owner.indexOf(':') + 1)];
+        
+        return {
+            objectiveId: editingObjectiveId || undefined,
+            title,
+            description: $(SELECTORS.objectiveDescription).val().trim(),
+            period: $(SELECTORS.objectivePeriod).val(),
+            memberId: type === 'member' ? id : '',
+            department: type === 'department' ? id : '',
+            keyResults
+        };
+    };
+
+    /**
+     * Save the objective modal (add or update)
+     */
+    const saveObjective = async () => {
+        if (isSaving) return;
+        
+        const objective = collectObjective();
+        if (!objective) return;
+        
+        try {
+            isSaving = true;
+            $(SELECTORS.btnSaveObjective).prop('disabled', true).text('Saving...');
+            
+            await API.saveObjective(objective);
+            Utils.showToast(editingObjectiveId ? 'Objective updated' : 'Objective added', 'success');
+            
+            closeObjectiveModal();
+            await loadObjectives();
+            $(SELECTORS.okrPeriod).val(objective.period);
+            populateOkrFilters();
+            renderOkrs();
+            renderTaskTable();
+            
+        } catch (error) {
+            CONFIG.logError('Failed to save objective:', error);
+            Utils.showToast(error.message || 'Failed to save objective', 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnSaveObjective).prop('disabled', false).text('Save Objective');
+        }
+    };
+
+    /**
+     * Confirm and delete an objective
+     */
+    const confirmDeleteObjective = async (objectiveId) => {
+        const objective = objectives.find(o => o.objectiveId === objectiveId);
+        if (!objective) return;
+        
+        const confirmed = await Utils.showConfirm(
+            `Delete the objective "${objective.title}" and its key results?`,
+            'Delete Objective'
+        );
+        if (!confirmed) return;
+        
+        try {
+            await API.deleteObjective(objectiveId);
+            Utils.showToast('Objective deleted', 'success');
+            
+            closeObjectiveModal();
+            await loadObjectives();
+            populateOkrFilters();
+            renderOkrs();
+            
+        } catch (error) {
+            CONFIG.logError('Failed to delete objective:', error);
+            Utils.showToast(error.message || 'Failed to delete objective', 'error');
+        }
+    };
+
     // ============================================
     // 📝 TASK MODAL
     // ============================================
@@ -960,6 +1469,10 @@ const PerformancePage = (function() {
         $(SELECTORS.taskModalTitle).text('Add New Task');
         $(SELECTORS.taskStatusSelect).val('Pending');
         $(SELECTORS.taskQualityInput).val('');
+        $(SELECTORS.taskPrioritySelect).val(CONFIG.TASK_PRIORITY.MEDIUM);
+        $(SELECTORS.subtaskList).html('');
+        updateSubtaskProgress();
+        populateKeyResultDropdown('', '');
         $(SELECTORS.btnDeleteTask).addClass('hidden');
         $(SELECTORS.btnSaveTask).text('Add Task');
         
@@ -988,6 +1501,8 @@ const PerformancePage = (function() {
             return;
         }
         
+        if (!canManageMember(task.memberId)) return;
+        
         editingTaskId = taskId;
         
         // Reset form
@@ -1006,6 +1521,12 @@ const PerformancePage = (function() {
         $(SELECTORS.taskDeadlineInput).val(task.deadline || '');
         $(SELECTORS.taskStatusSelect).val(task.status || 'Pending');
         $(SELECTORS.taskQualityInput).val(task.qualityScore || task.score || '');
+        $(SELECTORS.taskPrioritySelect).val(task.priority);
+        $(SELECTORS.taskEstimatedInput).val(task.estimatedHours ?? '');
+        $(SELECTORS.taskActualInput).val(task.actualHours ?? '');
+        $(SELECTORS.subtaskList).html(task.subtasks.map(renderSubtaskRow).join(''));
+        updateSubtaskProgress();
+        populateKeyResultDropdown(task.memberId, task.keyResultId || '');
         
         // Show delete button
         $(SELECTORS.btnDeleteTask).removeClass('hidden');
@@ -1029,7 +1550,10 @@ const PerformancePage = (function() {
     const populateEmployeeDropdown = () => {
         let options = '<option value="">Select Employee</option>';
         
-        members.sort((a, b) => a.name.localeCompare(b.name)).forEach(member => {
+        // Managers can only assign tasks within their own department
+        const assignable = members.filter(member => Auth.can('tasks.manage', member));
+        
+        assignable.sort((a, b) => a.name.localeCompare(b.name)).forEach(member => {
             options += `<option value="${member.memberId}">
                 ${Utils.escapeHtml(member.name)} — ${Utils.escapeHtml(member.department || 'N/A')}
             </option>`;
@@ -1038,6 +1562,109 @@ const PerformancePage = (function() {
         $(SELECTORS.taskEmployeeSelect).html(options);
     };
 
+    /**
+     * Populate the key results a member's task can count towards: their
+     * own objectives' and their department's, newest quarter first
+     * @param {string} memberId - Task's member
+     * @param {string} selectedId - Key result to select
+     */
+    const populateKeyResultDropdown = (memberId, selectedId) => {
+        const member = getEmployeeById(memberId);
+        const linkable = member ? objectives.filter(o => o.memberId
+            ? o.memberId === member.memberId
+            : !!member.department && o.department === member.department) : [];
+        
+        let options = `<option value="">${member ? 'Not linked' : 'Select an employee first'}</option>`;
+        
+        [...linkable].sort((a, b) => b.period.localeCompare(a.period)).forEach(objective => {
+            options += `<optgroup label="${Utils.escapeHtml(`${Utils.formatQuarter(objective.period)} · ${objective.title}`)}">`;
+            objective.keyResults.forEach(kr => {
+                options += `<option value="${Utils.escapeHtml(kr.keyResultId)}">${Utils.escapeHtml(kr.title)}</option>`;
+            });
+            options += '</optgroup>';
+        });
+        
+        $(SELECTORS.taskKeyResultSelect).html(options).prop('disabled', !member);
+        $(SELECTORS.taskKeyResultSelect).val(linkable.some(o => o.keyResults.some(kr => kr.keyResultId === selectedId)) ? selectedId : '');
+    };
+
+    /**
+     * Render an editable subtask with its checklist
+     * @param {Object} [subtask] - Subtask
+     */
+    const renderSubtaskRow = (subtask = {}) => {
+        const input = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+        const status = subtask.status || CONFIG.SUBTASK_STATUS.PENDING;
+        
+        return `
+            <div class="subtask-row p-3 border border-gray-200 rounded-lg space-y-2" data-subtask-id="${Utils.escapeHtml(subtask.subtaskId || '')}">
+                <div class="flex items-center gap-2">
+                    <input type="text" class="subtask-title flex-1 min-w-0 ${input}" value="${Utils.escapeHtml(subtask.title || '')}" placeholder="e.g. Draft the API reference">
+                    <select class="subtask-status w-36 bg-white ${input}">
+                        ${Object.values(CONFIG.SUBTASK_STATUS).map(s => `<option value="${s}" ${s === status ? 'selected' : ''}>${s}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn-remove-subtask w-8 h-8 flex-shrink-0 flex items-center justify-center text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Remove subtask">
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                        </svg>
+                    </button>
+                </div>
+                <div class="checklist space-y-1.5 pl-1">
+                    ${(subtask.checklist || []).map(renderChecklistItem).join('')}
+                </div>
+                <button type="button" class="btn-add-checklist-item text-xs font-medium text-primary-600 hover:text-primary-700">+ Checklist item</button>
+            </div>
+        `;
+    };
+
+    /**
+     * Render an editable checklist item
+     * @param {Object} [item] - Checklist item
+     */
+    const renderChecklistItem = (item = {}) => `
+        <div class="checklist-item flex items-center gap-2" data-item-id="${Utils.escapeHtml(item.itemId || '')}">
+            <input type="checkbox" class="checklist-done w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500" ${item.done ? 'checked' : ''}>
+            <input type="text" class="checklist-text flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${Utils.escapeHtml(item.text || '')}" placeholder="Checklist item">
+            <button type="button" class="btn-remove-checklist-item w-6 h-6 flex-shrink-0 flex items-center justify-center text-gray-400 hover:text-red-600 rounded transition-colors" title="Remove item">
+                <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                </svg>
+            </button>
+        </div>
+    `;
+
+    /**
+     * Read the subtask editor into subtasks. Blank checklist items are
+     * dropped; a subtask without a title is flagged.
+     * @returns {Array} - Subtasks
+     */
+    const collectSubtasks = () => $(SELECTORS.subtaskList).find('.subtask-row').map(function() {
+        const $row = $(this);
+        const subtask = {
+            title: $row.find('.subtask-title').val().trim(),
+            status: $row.find('.subtask-status').val(),
+            checklist: $row.find('.checklist-item').map(function() {
+                const $item = $(this);
+                const item = { text: $item.find('.checklist-text').val().trim(), done: $item.find('.checklist-done').is(':checked') };
+                if ($item.data('item-id')) item.itemId = $item.data('item-id');
+                return item;
+            }).get().filter(item => item.text)
+        };
+        if ($row.data('subtask-id')) subtask.subtaskId = $row.data('subtask-id');
+        return subtask;
+    }).get();
+
+    /**
+     * Show the completion the subtasks being edited add up to
+     */
+    const updateSubtaskProgress = () => {
+        const progress = Utils.calculateTaskProgress({ subtasks: collectSubtasks() });
+        
+        $(SELECTORS.subtaskProgress).text(progress
+            ? `${progress.completed} of ${progress.total} subtask${progress.total === 1 ? '' : 's'} done · ${progress.percent}% complete`
+            : 'Break the task down to track its completion from the subtasks.');
+    };
+
     /**
      * Save task (add or update)
      */
@@ -1056,7 +1683,12 @@ const PerformancePage = (function() {
             deadline: $(SELECTORS.taskDeadlineInput).val(),
             status: $(SELECTORS.taskStatusSelect).val(),
             score: $(SELECTORS.taskQualityInput).val() || 0,
-            qualityScore: $(SELECTORS.taskQualityInput).val() || 0
+            qualityScore: $(SELECTORS.taskQualityInput).val() || 0,
+            keyResultId: $(SELECTORS.taskKeyResultSelect).val() || '',
+            priority: $(SELECTORS.taskPrioritySelect).val(),
+            estimatedHours: $(SELECTORS.taskEstimatedInput).val(),
+            actualHours: $(SELECTORS.taskActualInput).val(),
+            subtasks: collectSubtasks()
         };
         
         // Add timestamps
@@ -1095,9 +1727,10 @@ const PerformancePage = (function() {
             }
             
             closeTaskModal();
-            await loadTasks();
+            await Promise.all([loadTasks(), loadObjectives()]);
             applyFilters();
             renderCharts();
+            renderOkrs();
             
         } catch (error) {
             CONFIG.logError('Failed to save task:', error);
@@ -1138,6 +1771,24 @@ const PerformancePage = (function() {
             isValid = false;
         }
         
+        // Effort can't be negative
+        [SELECTORS.taskEstimatedInput, SELECTORS.taskActualInput].forEach(selector => {
+            if (Number($(selector).val()) < 0) {
+                showFieldError(selector, 'Hours can\'t be negative');
+                isValid = false;
+            }
+        });
+        
+        // Every subtask needs a title
+        const $untitled = $(SELECTORS.subtaskList).find('.subtask-title').filter(function() {
+            return !$(this).val().trim();
+        });
+        if ($untitled.length > 0) {
+            $untitled.addClass('border-red-500');
+            Utils.showToast('Every subtask needs a title', 'error');
+            isValid = false;
+        }
+        
         return isValid;
     };
 
@@ -1180,6 +1831,56 @@ const PerformancePage = (function() {
         }
     };
 
+    // ============================================
+    // 📤 EXPORT
+    // ============================================
+
+    /**
+     * Export the tasks matching the current filters
+     * @param {string} format - 'csv', 'xlsx' or 'pdf'
+     */
+    const exportTasks = async (format) => {
+        if (filteredTasks.length === 0) {
+            Utils.showToast('No tasks match the current filters', 'warning');
+            return;
+        }
+        
+        const department = $(SELECTORS.filterDepartment).val();
+        const status = $(SELECTORS.filterStatus).val();
+        const scope = [
+            department && department !== 'all' ? department : 'All departments',
+            status && status !== 'all' ? status : null
+        ].filter(Boolean).join(', ');
+        
+        try {
+            await Utils.exportData({
+                format,
+                filename: `tasks-${Utils.getToday()}`,
+                title: 'Task Report',
+                subtitle: scope,
+                settings,
+                rows: filteredTasks,
+                columns: [
+                    { label: 'Employee', value: t => getEmployeeById(t.memberId)?.name || t.memberId },
+                    { label: 'Department', value: t => getEmployeeById(t.memberId)?.department || '' },
+                    { label: 'Task', key: 'title' },
+                    { label: 'Priority', key: 'priority' },
+                    { label: 'Status', key: 'status' },
+                    { label: 'Progress', value: t => t.progress ? `${t.progress.percent}%` : '' },
+                    { label: 'Deadline', value: t => Utils.formatDate(t.deadline) },
+                    { label: 'Estimated Hours', value: t => t.estimatedHours ?? '' },
+                    { label: 'Actual Hours', value: t => t.actualHours ?? '' },
+                    { label: 'Score', key: 'qualityScore' },
+                    { label: 'Completed', value: t => Utils.formatDate(t.completedOn) },
+                    { label: 'Key Result', value: t => findKeyResult(t.keyResultId)?.keyResult.title || '' }
+                ]
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to export tasks:', error);
+            Utils.showToast(error.message || 'Failed to export tasks', 'error');
+        }
+    };
+
     // ============================================
     // 🗑️ DELETE TASK
     // ============================================
@@ -1189,7 +1890,7 @@ const PerformancePage = (function() {
      */
     const confirmDeleteTask = async (taskId) => {
         const task = getTaskById(taskId);
-        if (!task) return;
+        if (!task || !canManageMember(task.memberId)) return;
         
         const confirmed = await Utils.showConfirm(
             `Are you sure you want to delete "${task.title}"?`,
@@ -1212,9 +1913,10 @@ const PerformancePage = (function() {
             
             Utils.showToast('Task deleted successfully', 'success');
             closeTaskModal();
-            await loadTasks();
+            await Promise.all([loadTasks(), loadObjectives()]);
             applyFilters();
             renderCharts();
+            renderOkrs();
             
         } catch (error) {
             CONFIG.logError('Failed to delete task:', error);
@@ -1278,6 +1980,22 @@ const PerformancePage = (function() {
         return members.find(m => m.memberId === memberId) || null;
     };
 
+    /**
+     * Checks whether the current user may manage a member's tasks
+     * (managers: own department only)
+     */
+    const canManageMember = (memberId) => {
+        return Auth.can('tasks.manage', getEmployeeById(memberId) || { memberId });
+    };
+
+    /**
+     * Hides page-level actions the current role can't take
+     */
+    const applyPermissions = () => {
+        $(SELECTORS.btnAddTask).toggleClass('hidden', !Auth.can('tasks.manage'));
+        $(SELECTORS.btnAddObjective).toggleClass('hidden', !Auth.can('okrs.manage'));
+    };
+
     /**
      * Get employee photo URL
      */
@@ -1286,6 +2004,54 @@ const PerformancePage = (function() {
         return member?.photoURL || Utils.getAvatarUrl(member?.name || 'Unknown');
     };
 
+    /**
+     * Find a key result and its objective by key result ID
+     * @returns {Object|null} - { objective, keyResult }
+     */
+    const findKeyResult = (keyResultId) => {
+        if (!keyResultId) return null;
+        
+        for (const objective of objectives) {
+            const keyResult = objective.keyResults.find(kr => kr.keyResultId === keyResultId);
+            if (keyResult) return { objective, keyResult };
+        }
+        return null;
+    };
+
+    /**
+     * Render the key result a task counts towards (under its title)
+     */
+    const renderKeyResultLink = (keyResultId) => {
+        const found = findKeyResult(keyResultId);
+        if (!found) return '';
+        
+        return `
+            <p class="flex items-center text-xs text-primary-600 mt-1 truncate" title="${Utils.escapeHtml(`${Utils.formatQuarter(found.objective.period)} · ${found.objective.title}`)}">
+                <svg class="w-3.5 h-3.5 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9"></path>
+                </svg>
+                ${Utils.escapeHtml(found.keyResult.title)}
+            </p>
+        `;
+    };
+
+    /**
+     * Render a task's subtask completion bar (nothing without subtasks)
+     * @param {Object|null} progress - From Utils.calculateTaskProgress
+     */
+    const renderSubtaskProgress = (progress) => {
+        if (!progress) return '';
+        
+        return `
+            <div class="flex items-center gap-2 mt-1" title="${progress.completed} of ${progress.total} subtasks done">
+                <div class="w-24 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div class="h-full ${progress.percent === 100 ? 'bg-green-500' : 'bg-primary-500'} rounded-full" style="width: ${progress.percent}%"></div>
+                </div>
+                <span class="text-xs text-gray-500">${progress.completed}/${progress.total} subtasks · ${progress.percent}%</span>
+            </div>
+        `;
+    };
+
     /**
      * Get task by ID
      */
@@ -1404,7 +2170,7 @@ const PerformancePage = (function() {
     const showTableLoading = () => {
         $(SELECTORS.taskTableBody).html(`
             <tr>
-                <td colspan="6" class="px-6 py-12 text-center">
+                <td colspan="8" class="px-6 py-12 text-center">
                     <div class="flex flex-col items-center">
                         <div class="spinner mb-4"></div>
                         <p class="text-gray-500">Loading tasks...</p>
@@ -1425,11 +2191,17 @@ const PerformancePage = (function() {
         // Add Task Button
         $(SELECTORS.btnAddTask).on('click', openAddModal);
         
+        // Export Menu
+        Utils.bindExportMenu(SELECTORS.btnExport, SELECTORS.exportMenu, exportTasks);
+        
         // Refresh Button
         $(SELECTORS.btnRefresh).on('click', async () => {
-            await loadTasks();
+            API.clearCache();
+            await Promise.all([loadTasks(), loadObjectives()]);
             applyFilters();
             renderCharts();
+            populateOkrFilters();
+            renderOkrs();
             Utils.showToast('Tasks refreshed', 'info');
         });
         
@@ -1437,6 +2209,7 @@ const PerformancePage = (function() {
         $(SELECTORS.filterDepartment).on('change', applyFilters);
         $(SELECTORS.filterEmployee).on('change', applyFilters);
         $(SELECTORS.filterStatus).on('change', applyFilters);
+        $(SELECTORS.filterPriority).on('change', applyFilters);
         $(SELECTORS.searchInput).on('input', debounce(applyFilters, 300));
         $(SELECTORS.btnClearFilters).on('click', clearFilters);
         
@@ -1454,12 +2227,80 @@ const PerformancePage = (function() {
             }
         });
         
+        $(SELECTORS.taskEmployeeSelect).on('change', function() {
+            populateKeyResultDropdown($(this).val(), $(SELECTORS.taskKeyResultSelect).val());
+        });
+        
+        // Subtasks & checklists
+        $(SELECTORS.btnAddSubtask).on('click', () => {
+            if ($(SELECTORS.subtaskList).children().length >= MAX_SUBTASKS) {
+                Utils.showToast(`A task can have at most ${MAX_SUBTASKS} subtasks`, 'warning');
+                return;
+            }
+            $(SELECTORS.subtaskList).append(renderSubtaskRow());
+            $(SELECTORS.subtaskList).find('.subtask-title').last().focus();
+            updateSubtaskProgress();
+        });
+        $(SELECTORS.subtaskList).on('click', '.btn-remove-subtask', function() {
+            $(this).closest('.subtask-row').remove();
+            updateSubtaskProgress();
+        });
+        $(SELECTORS.subtaskList).on('click', '.btn-add-checklist-item', function() {
+            const $checklist = $(this).closest('.subtask-row').find('.checklist');
+            if ($checklist.children().length >= MAX_CHECKLIST_ITEMS) {
+                Utils.showToast(`A subtask can have at most ${MAX_CHECKLIST_ITEMS} checklist items`, 'warning');
+                return;
+            }
+            $checklist.append(renderChecklistItem());
+            $checklist.find('.checklist-text').last().focus();
+        });
+        $(SELECTORS.subtaskList).on('click', '.btn-remove-checklist-item', function() {
+            $(this).closest('.checklist-item').remove();
+            updateSubtaskProgress();
+        });
+        $(SELECTORS.subtaskList).on('change', '.subtask-status, .checklist-done, .checklist-text', updateSubtaskProgress);
+        
         // Form submission
         $(SELECTORS.taskForm).on('submit', function(e) {
             e.preventDefault();
             saveTask();
         });
         
+        // Objectives & Key Results
+        $(SELECTORS.okrPeriod).on('change', renderOkrs);
+        $(SELECTORS.okrDepartment).on('change', renderOkrs);
+        $(SELECTORS.btnAddObjective).on('click', () => openObjectiveModal());
+        $(SELECTORS.okrList).on('click', '.btn-edit-objective', function() {
+            openObjectiveModal($(this).data('objective-id'));
+        });
+        
+        // Objective Modal
+        $(SELECTORS.btnCloseObjectiveModal).on('click', closeObjectiveModal);
+        $(SELECTORS.btnCancelObjective).on('click', closeObjectiveModal);
+        $(SELECTORS.btnSaveObjective).on('click', saveObjective);
+        $(SELECTORS.btnDeleteObjective).on('click', () => {
+            if (editingObjectiveId) confirmDeleteObjective(editingObjectiveId);
+        });
+        $(SELECTORS.btnAddKeyResult).on('click', () => {
+            if ($(SELECTORS.keyResultList).children().length >= MAX_KEY_RESULTS) {
+                Utils.showToast(`An objective can have at most ${MAX_KEY_RESULTS} key results`, 'warning');
+                return;
+            }
+            $(SELECTORS.keyResultList).append(renderKeyResultRow());
+        });
+        $(SELECTORS.keyResultList).on('click', '.btn-remove-kr', function() {
+            $(this).closest('.key-result-row').remove();
+        });
+        $(SELECTORS.objectiveForm).on('submit', function(e) {
+            e.preventDefault();
+            saveObjective();
+        });
+        $(SELECTORS.objectiveModal).on('click', function(e) {
+            if (e.target === this) {
+                closeObjectiveModal();
+            }
+        });
+        
         // Modal backdrop click
         $(SELECTORS.taskModal).on('click', function(e) {
             if (e.target === this) {
@@ -1473,6 +2314,9 @@ const PerformancePage = (function() {
             if (e.key === 'Escape' && !$(SELECTORS.taskModal).hasClass('hidden')) {
                 closeTaskModal();
             }
+            if (e.key === 'Escape' && !$(SELECTORS.objectiveModal).hasClass('hidden')) {
+                closeObjectiveModal();
+            }
             
             // Ctrl/Cmd + N to add new task
             if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
@@ -1482,7 +2326,7 @@ const PerformancePage = (function() {
         });
         
         // Clear input errors on change
-        $(SELECTORS.taskForm).on('input change', 'input, select, textarea', function() {
+        $(`${SELECTORS.taskForm}, ${SELECTORS.objectiveForm}`).on('input change', 'input, select, textarea', function() {
             $(this).removeClass('border-red-500 focus:border-red-500 focus:ring-red-500');
             $(this).parent().find('.field-error').remove();
         });
@@ -1527,10 +2371,15 @@ const PerformancePage = (function() {
         // Charts
         renderCharts,
         
+        // Objectives
+        openObjectiveModal,
+        renderOkrs,
+        
         // State getters
         getTasks: () => [...tasks],
         getFilteredTasks: () => [...filteredTasks],
         getMembers: () => [...members],
+        getObjectives: () => [...objectives],
         
         // Utilities
         getTaskById,
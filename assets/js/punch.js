@@ -0,0 +1,478 @@
+/**
+ * SquidX HRM — Punch In / Out Page Controller
+ * =============================================
+ * Self-service check-in for the signed-in member:
+ * - Live clock with today's shift start and grace period
+ * - Punch In / Punch Out recorded through API.saveAttendance; the server
+ *   stamps the time and works out status and hours from its own clock
+ * - Overnight shifts punch out after midnight into the day they started
+ * - Double punches and punching out before punching in are blocked
+ * - Punching needs a connection: punches are never queued offline
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js
+ *   - /assets/js/api.js
+ *   - /assets/js/auth.js
+ *   - /assets/js/utils.js
+ */
+
+const PunchPage = (function() {
+    'use strict';
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    let memberId = null;
+    let member = null;
+    let settings = {};
+    let holidays = [];
+    let shifts = [];
+    let shiftAssignments = [];
+    let records = [];
+    let isSaving = false;
+    let clockTimer = null;
+
+    /**
+     * Number of past days listed under Recent Attendance
+     */
+    const RECENT_DAYS = 7;
+
+    /**
+     * How long after an overnight shift ends its punch out is still
+     * taken for that shift rather than a forgotten one
+     */
+    const OVERNIGHT_PUNCH_OUT_WINDOW = 4 * 60; // minutes
+
+    // ============================================
+    // 🎯 DOM SELECTORS
+    // ============================================
+
+    const SELECTORS = {
+        loadingOverlay: '#punchLoadingOverlay',
+        noMember: '#punchNoMember',
+        content: '#punchContent',
+        memberPhoto: '#punchMemberPhoto',
+        memberName: '#punchMemberName',
+        memberRole: '#punchMemberRole',
+        clock: '#punchClock',
+        date: '#punchDate',
+        shiftInfo: '#punchShiftInfo',
+        btnPunchIn: '#btnPunchIn',
+        btnPunchOut: '#btnPunchOut',
+        stateMessage: '#punchStateMessage',
+        todayPunchIn: '#todayPunchIn',
+        todayPunchOut: '#todayPunchOut',
+        todayStatus: '#todayStatus',
+        todayHours: '#todayHours',
+        recentBody: '#recentAttendanceBody'
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Initializes the punch page
+     */
+    const init = async () => {
+        CONFIG.log('Initializing Punch Page...');
+
+        const user = Auth.getUser();
+        memberId = user ? user.memberId : null;
+
+        if (!memberId) {
+            $(SELECTORS.content).addClass('hidden');
+            $(SELECTORS.noMember).removeClass('hidden');
+            return;
+        }
+
+        startClock();
+        setupEventListeners();
+        await loadData();
+    };
+
+    // ============================================
+    // 📡 DATA LOADING
+    // ============================================
+
+    /**
+     * Loads settings, the member and their attendance
+     */
+    const loadData = async () => {
+        $(SELECTORS.loadingOverlay).removeClass('hidden');
+
+        try {
+            const [settingsData, memberData, holidayData, shiftData, assignmentData] = await Promise.all([
+                API.getSettings().catch(error => {
+                    CONFIG.logError('Failed to load settings:', error);
+                    return { StartTime: '09:00', LateGracePeriod: '10' };
+                }),
+                API.getMemberById(memberId),
+                API.getHolidays().catch(error => {
+                    CONFIG.logError('Failed to load holidays:', error);
+                    return [];
+                }),
+                API.getShifts().catch(error => {
+                    CONFIG.logError('Failed to load shifts:', error);
+                    return [];
+                }),
+                API.getShiftAssignments(null, null, memberId).catch(error => {
+                    CONFIG.logError('Failed to load shift assignments:', error);
+                    return [];
+                }),
+                loadRecords()
+            ]);
+
+            settings = settingsData || {};
+            holidays = holidayData || [];
+            shifts = shiftData || [];
+            shiftAssignments = assignmentData || [];
+            member = memberData;
+            render();
+        } catch (error) {
+            CONFIG.logError('Failed to load punch data:', error);
+            Utils.showToast(error.message || 'Failed to load your attendance', 'error');
+        } finally {
+            $(SELECTORS.loadingOverlay).addClass('hidden');
+        }
+    };
+
+    /**
+     * Loads the member's attendance
+     */
+    const loadRecords = async () => {
+        records = await API.getAttendanceByMember(memberId) || [];
+        return records;
+    };
+
+    /**
+     * Re-reads attendance from the server so a punch made on another
+     * device is seen before punching again
+     */
+    const reloadRecords = async () => {
+        API.invalidateCache(['getAttendanceByMember']);
+        await loadRecords();
+    };
+
+    /**
+     * The member's shift on a date (null = the global StartTime)
+     */
+    const getShift = (date) => {
+        return Utils.resolveShift(memberId, date, shiftAssignments, shifts);
+    };
+
+    /**
+     * The date the current punch belongs to: yesterday while an overnight
+     * shift started yesterday is still open, otherwise today
+     */
+    const getWorkDate = () => {
+        const now = new Date();
+        const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+        const yesterdayStr = Utils.formatDate(yesterday);
+        const shift = getShift(yesterdayStr);
+        const open = records.find(r => r.date === yesterdayStr && r.punchIn && !r.punchOut);
+
+        if (open && Utils.isOvernightShift(shift)) {
+            const minutes = Utils.parseTimeToMinutes(Utils.getCurrentTime());
+            if (minutes <= Utils.parseTimeToMinutes(shift.endTime) + OVERNIGHT_PUNCH_OUT_WINDOW) {
+                return yesterdayStr;
+            }
+        }
+        return Utils.getToday();
+    };
+
+    /**
+     * The record for the current work date, if any
+     */
+    const getTodayRecord = () => {
+        const workDate = getWorkDate();
+        return records.find(r => r.date === workDate) || null;
+    };
+
+    // ============================================
+    // ⏱️ PUNCH IN / OUT
+    // ============================================
+
+    /**
+     * Records a punch in at the current time
+     */
+    const punchIn = async () => {
+        if (isSaving) return;
+        setSaving(true);
+
+        try {
+            await reloadRecords();
+            const existing = getTodayRecord();
+
+            if (existing && existing.punchIn) {
+                Utils.showToast(`You already punched in today at ${Utils.formatTimeDisplay(existing.punchIn)}`, 'warning');
+                return;
+            }
+
+            await saveRecord({
+                date: Utils.getToday(),
+                memberId: memberId,
+                punch: 'in'
+            }, 'Punched in');
+        } catch (error) {
+            CONFIG.logError('Failed to punch in:', error);
+            Utils.showToast(error.message || 'Failed to punch in', 'error');
+        } finally {
+            setSaving(false);
+            render();
+        }
+    };
+
+    /**
+     * Records a punch out at the current time
+     */
+    const punchOut = async () => {
+        if (isSaving) return;
+        setSaving(true);
+
+        try {
+            await reloadRecords();
+            const existing = getTodayRecord();
+
+            if (!existing || !existing.punchIn) {
+                Utils.showToast('You need to punch in before punching out', 'warning');
+                return;
+            }
+            if (existing.punchOut) {
+                Utils.showToast(`You already punched out today at ${Utils.formatTimeDisplay(existing.punchOut)}`, 'warning');
+                return;
+            }
+
+            await saveRecord({
+                date: existing.date,
+                memberId: memberId,
+                punch: 'out'
+            }, 'Punched out');
+        } catch (error) {
+            CONFIG.logError('Failed to punch out:', error);
+            Utils.showToast(error.message || 'Failed to punch out', 'error');
+        } finally {
+            setSaving(false);
+            render();
+        }
+    };
+
+    /**
+     * Saves a punch and reloads the records to show the time the server
+     * stamped
+     * @param {Object} record - { date, memberId, punch: 'in' | 'out' }
+     * @param {string} successMessage - Toast shown once saved
+     */
+    const saveRecord = async (record, successMessage) => {
+        await API.saveAttendance([record]);
+        await loadRecords();
+
+        const saved = records.find(r => r.date === record.date);
+        const time = saved && (record.punch === 'in' ? saved.punchIn : saved.punchOut);
+        Utils.showToast(time ? `${successMessage} at ${Utils.formatTimeDisplay(time)}` : successMessage, 'success');
+    };
+
+    // ============================================
+    // 🎨 RENDERING
+    // ============================================
+
+    /**
+     * Renders the member, today's summary, the buttons and recent days
+     */
+    const render = () => {
+        renderMember();
+        renderToday();
+        renderRecent();
+    };
+
+    /**
+     * Renders the member header and shift info
+     */
+    const renderMember = () => {
+        if (member) {
+            $(SELECTORS.memberName).text(member.name || memberId);
+            $(SELECTORS.memberRole).text([member.role, member.department].filter(Boolean).join(' · '));
+            $(SELECTORS.memberPhoto)
+                .attr('src', member.photoURL || Utils.getAvatarUrl(member.name))
+                .attr('alt', member.name || '')
+                .off('error')
+                .on('error', function() { Utils.handleImageError(this, member.name); });
+        }
+
+        const workDate = getWorkDate();
+        const holiday = Utils.findHoliday(workDate, holidays, member?.department);
+        if (holiday) {
+            $(SELECTORS.shiftInfo).text(`Today is a holiday: ${holiday.name}`);
+            return;
+        }
+
+        const shift = getShift(workDate);
+        if (shift) {
+            $(SELECTORS.shiftInfo).text(
+                `${shift.name} shift · ${Utils.formatTimeDisplay(shift.startTime)} – ${Utils.formatTimeDisplay(shift.endTime)}` +
+                (Utils.isOvernightShift(shift) ? ' (next day)' : '') +
+                (shift.graceMinutes ? ` · ${shift.graceMinutes} min grace period` : '')
+            );
+            return;
+        }
+
+        const grace = parseInt(settings.LateGracePeriod, 10) || 0;
+        $(SELECTORS.shiftInfo).text(
+            `Office starts at ${Utils.formatTimeDisplay(settings.StartTime || '09:00')}` +
+            (grace ? ` · ${grace} min grace period` : '')
+        );
+    };
+
+    /**
+     * Renders today's punches and which button is available
+     */
+    const renderToday = () => {
+        const record = getTodayRecord();
+        const hasPunchIn = !!(record && record.punchIn);
+        const hasPunchOut = !!(record && record.punchOut);
+
+        $(SELECTORS.todayPunchIn).text(hasPunchIn ? Utils.formatTimeDisplay(record.punchIn) : '—');
+        $(SELECTORS.todayPunchOut).text(hasPunchOut ? Utils.formatTimeDisplay(record.punchOut) : '—');
+        $(SELECTORS.todayStatus).html(record && record.status ? renderStatusBadge(record.status) : '—');
+        $(SELECTORS.todayHours).text(hasPunchOut ? formatHours(record.hoursWorked) : '—');
+
+        $(SELECTORS.btnPunchIn).prop('disabled', isSaving || hasPunchIn);
+        $(SELECTORS.btnPunchOut).prop('disabled', isSaving || !hasPunchIn || hasPunchOut);
+
+        let message = 'You haven\'t punched in yet today.';
+        if (record && record.date !== Utils.getToday() && !hasPunchOut) {
+            message = `Your overnight shift started ${Utils.formatDateDisplay(record.date)} at ${Utils.formatTimeDisplay(record.punchIn)}. Punch out when it ends.`;
+        } else if (hasPunchOut) {
+            message = 'You\'re done for today. See you tomorrow!';
+        } else if (hasPunchIn) {
+            message = `Punched in at ${Utils.formatTimeDisplay(record.punchIn)}. Don't forget to punch out.`;
+        }
+        $(SELECTORS.stateMessage).text(message);
+    };
+
+    /**
+     * Renders the last few days of attendance
+     */
+    const renderRecent = () => {
+        const recent = [...records]
+            .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+            .slice(0, RECENT_DAYS);
+
+        if (recent.length === 0) {
+            $(SELECTORS.recentBody).html(`
+                <tr>
+                    <td colspan="5" class="px-6 py-8 text-center text-gray-500">No attendance recorded yet</td>
+                </tr>
+            `);
+            return;
+        }
+
+        $(SELECTORS.recentBody).html(recent.map(record => `
+            <tr>
+                <td class="px-6 py-3 text-gray-900">${Utils.escapeHtml(Utils.formatDateDisplay(record.date))}</td>
+                <td class="px-6 py-3 text-gray-700">${record.punchIn ? Utils.escapeHtml(Utils.formatTimeDisplay(record.punchIn)) : '—'}</td>
+                <td class="px-6 py-3 text-gray-700">${record.punchOut ? Utils.escapeHtml(Utils.formatTimeDisplay(record.punchOut)) : '—'}</td>
+                <td class="px-6 py-3 text-gray-700">${record.punchOut ? formatHours(record.hoursWorked) : '—'}</td>
+                <td class="px-6 py-3">${record.status ? renderStatusBadge(record.status) : '—'}</td>
+            </tr>
+        `).join(''));
+    };
+
+    /**
+     * Renders an attendance status badge
+     */
+    const renderStatusBadge = (status) => {
+        return `<span class="inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${Utils.getAttendanceStatusBadge(status)}">${Utils.escapeHtml(status)}</span>`;
+    };
+
+    /**
+     * Formats H:MM hours worked as "7.5 hrs"
+     */
+    const formatHours = (hoursWorked) => {
+        const [hours, minutes] = String(hoursWorked || '').split(':').map(Number);
+        if (isNaN(hours) || isNaN(minutes) || (hours === 0 && minutes === 0)) return '—';
+
+        return `${(hours + minutes / 60).toFixed(1)} hrs`;
+    };
+
+    /**
+     * Toggles the saving state on both buttons
+     */
+    const setSaving = (saving) => {
+        isSaving = saving;
+        $(`${SELECTORS.btnPunchIn}, ${SELECTORS.btnPunchOut}`).prop('disabled', saving);
+    };
+
+    // ============================================
+    // 🕐 CLOCK
+    // ============================================
+
+    /**
+     * Starts the live clock
+     */
+    const startClock = () => {
+        const tick = () => {
+            const now = new Date();
+            $(SELECTORS.clock).text(now.toLocaleTimeString(CONFIG.LOCALE || 'en-US', {
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+            $(SELECTORS.date).text(now.toLocaleDateString(CONFIG.LOCALE || 'en-US', {
+                weekday: 'long',
+                month: 'long',
+                day: 'numeric',
+                year: 'numeric'
+            }));
+        };
+
+        tick();
+        clearInterval(clockTimer);
+        clockTimer = setInterval(tick, 1000);
+    };
+
+    // ============================================
+    // 🎯 EVENT LISTENERS
+    // ============================================
+
+    /**
+     * Sets up all event listeners
+     */
+    const setupEventListeners = () => {
+        $(SELECTORS.btnPunchIn).on('click', punchIn);
+        $(SELECTORS.btnPunchOut).on('click', punchOut);
+    };
+
+    /**
+     * Reloads everything from the server
+     */
+    const refresh = async () => {
+        if (!memberId) return;
+
+        API.clearCache();
+        await loadData();
+        Utils.showToast('Attendance refreshed', 'info');
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init,
+        refresh,
+        punchIn,
+        punchOut
+    };
+
+})();
+
+// ============================================
+// 🚀 DOCUMENT READY
+// ============================================
+
+$(document).ready(function() {
+    PunchPage.init();
+});
@@ -7,6 +7,10 @@
  * - Summary statistics and charts
  * - Filtering and searching
  * - Month-based navigation
+ * - CSV, Excel and PDF export of the selected month
+ * - Rating templates: admin-defined criteria, weights and scales per
+ *   department, each in effect from a given month
+ * - Punctuality and deadline scores suggested from attendance and tasks
  * 
  * Dependencies:
  *   - jQuery
@@ -48,6 +52,26 @@ const RatingsPage = (function() {
      */
     let settings = {};
 
+    /**
+     * Admin-defined rating templates (see Utils.resolveRatingTemplate)
+     */
+    let templates = [];
+
+    /**
+     * Template the open rating modal is scoring against
+     */
+    let modalTemplate = null;
+
+    /**
+     * Suggested scores for the open rating modal, by criterion key
+     */
+    let suggestions = {};
+
+    /**
+     * Increments per suggestion lookup so a slow, outdated one is ignored
+     */
+    let suggestionRequest = 0;
+
     /**
      * Loading state flag
      */
@@ -118,9 +142,12 @@ const RatingsPage = (function() {
     };
 
     /**
-     * Rating categories for detailed breakdown
+     * Colours for template criteria, in criterion order
      */
-    const RATING_CATEGORIES = ['quality', 'punctuality', 'reliability', 'deadlines'];
+    const CRITERION_COLORS = [
+        '#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899',
+        '#14B8A6', '#6366F1', '#EF4444', '#84CC16', '#6B7280'
+    ];
 
     /**
      * Chart color palette
@@ -167,8 +194,10 @@ const RatingsPage = (function() {
         
         // Action buttons
         btnAddRating: '#btnAddRating',
+        btnManageTemplates: '#btnManageTemplates',
         btnRefresh: '#btnRefresh',
         btnExport: '#btnExport',
+        exportMenu: '#exportMenu',
         
         // Table
         ratingsTableContainer: '#ratingsTableContainer',
@@ -195,20 +224,29 @@ const RatingsPage = (function() {
         ratingId: '#ratingId',
         ratingEmployeeSelect: '#ratingEmployeeSelect',
         ratingMonth: '#ratingMonth',
-        ratingQuality: '#ratingQuality',
-        ratingQualityValue: '#ratingQualityValue',
-        ratingPunctuality: '#ratingPunctuality',
-        ratingPunctualityValue: '#ratingPunctualityValue',
-        ratingReliability: '#ratingReliability',
-        ratingReliabilityValue: '#ratingReliabilityValue',
-        ratingDeadlines: '#ratingDeadlines',
-        ratingDeadlinesValue: '#ratingDeadlinesValue',
+        ratingTemplateInfo: '#ratingTemplateInfo',
+        ratingCriteria: '#ratingCriteria',
+        ratingAveragePreview: '#ratingAveragePreview',
         ratingComments: '#ratingComments',
         btnSaveRating: '#btnSaveRating',
         btnCancelRating: '#btnCancelRating',
         btnCloseRatingModal: '#btnCloseRatingModal',
         btnDeleteRating: '#btnDeleteRating',
         
+        // Templates Modal
+        templatesModal: '#templatesModal',
+        templateList: '#templateList',
+        templateId: '#templateId',
+        templateName: '#templateName',
+        templateDepartment: '#templateDepartment',
+        templateEffectiveFrom: '#templateEffectiveFrom',
+        templateScale: '#templateScale',
+        templateCriteriaList: '#templateCriteriaList',
+        btnAddCriterion: '#btnAddCriterion',
+        btnResetTemplateForm: '#btnResetTemplateForm',
+        btnSaveTemplate: '#btnSaveTemplate',
+        btnCloseTemplatesModal: '#btnCloseTemplatesModal',
+        
         // Empty State
         emptyState: '#ratingsEmptyState'
     };
@@ -223,12 +261,16 @@ const RatingsPage = (function() {
     const init = async () => {
         CONFIG.log('Initializing Ratings Page...');
         
+        // Hide actions the current role can't take
+        applyPermissions();
+        
         try {
             // Show loading state
             showPageLoading();
             
-            // Step 1: Load settings
+            // Step 1: Load settings and rating templates
             await loadSettings();
+            await loadTemplates();
             
             // Step 2: Initialize selected month
             initializeMonth();
@@ -274,6 +316,19 @@ const RatingsPage = (function() {
         }
     };
 
+    /**
+     * Load admin-defined rating templates
+     */
+    const loadTemplates = async () => {
+        try {
+            templates = await API.getRatingTemplates();
+            CONFIG.log(`Loaded ${templates.length} rating templates`);
+        } catch (error) {
+            CONFIG.logError('Failed to load rating templates:', error);
+            templates = [];
+        }
+    };
+
     /**
      * Initialize selected month from URL or use current month
      */
@@ -319,7 +374,7 @@ const RatingsPage = (function() {
             showTableLoading();
             
             // Get all ratings and filter by month
-            const allRatings = await API.getAllRatings();
+            const allRatings = await API.getRatings();
             
             // Filter ratings for the selected month
             ratings = allRatings.filter(r => {
@@ -509,18 +564,19 @@ const RatingsPage = (function() {
     };
 
     /**
-     * Calculate average score from a rating object
+     * Calculate the weighted score (out of 10) of a rating object
      */
     const calculateAverageScore = (rating) => {
-        const values = [
-            parseFloat(rating.quality) || 0,
-            parseFloat(rating.punctuality) || 0,
-            parseFloat(rating.reliability) || 0,
-            parseFloat(rating.deadlines) || 0
-        ].filter(v => v > 0);
-        
-        if (values.length === 0) return 0;
-        return values.reduce((a, b) => a + b, 0) / values.length;
+        return Utils.calculateRatingScore(rating, getTemplateForRating(rating));
+    };
+
+    /**
+     * Get the rating template in effect for a rating's month and the
+     * member's department
+     */
+    const getTemplateForRating = (rating) => {
+        const month = rating.date ? rating.date.substring(0, 7) : selectedMonth;
+        return Utils.resolveRatingTemplate(month, getEmployeeById(rating.memberId)?.department || '', templates);
     };
 
     /**
@@ -710,9 +766,10 @@ const RatingsPage = (function() {
             const avgScore = calculateAverageScore(rating);
             const scoreBadge = formatScoreBadge(avgScore);
             const dateDisplay = rating.date ? Utils.formatDateDisplay(rating.date) : 'N/A';
+            const canManage = canManageMember(rating.memberId);
             
             html += `
-                <tr class="hover:bg-gray-50 transition-colors group cursor-pointer" data-rating-id="${rating.recordId}">
+                <tr class="hover:bg-gray-50 transition-colors group ${canManage ? 'cursor-pointer' : ''}" data-rating-id="${rating.recordId}">
                     <!-- Employee -->
                     <td class="px-6 py-4 whitespace-nowrap">
                         <a href="${memberLink}" class="flex items-center group/link" onclick="event.stopPropagation()">
@@ -757,7 +814,7 @@ const RatingsPage = (function() {
                     
                     <!-- Actions -->
                     <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                        <div class="flex items-center justify-end gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                        ${canManage ? `<div class="flex items-center justify-end gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
                             <button class="p-2 text-primary-600 hover:text-primary-800 hover:bg-primary-50 rounded-lg transition-colors btn-edit-rating" 
                                     data-rating-id="${rating.recordId}"
                                     onclick="event.stopPropagation()"
@@ -774,7 +831,7 @@ const RatingsPage = (function() {
                                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                                 </svg>
                             </button>
-                        </div>
+                        </div>` : ''}
                     </td>
                 </tr>
             `;
@@ -787,26 +844,21 @@ const RatingsPage = (function() {
     };
 
     /**
-     * Render mini score bars for individual categories
+     * Render mini score bars for the criteria of the rating's template
      */
     const renderMiniScoreBars = (rating) => {
-        const categories = [
-            { key: 'quality', label: 'Q', color: '#3B82F6' },
-            { key: 'punctuality', label: 'P', color: '#10B981' },
-            { key: 'reliability', label: 'R', color: '#F59E0B' },
-            { key: 'deadlines', label: 'D', color: '#8B5CF6' }
-        ];
+        const template = getTemplateForRating(rating);
         
         let html = '<div class="flex items-center gap-1">';
         
-        categories.forEach(cat => {
-            const value = parseFloat(rating[cat.key]) || 0;
-            const width = (value / 10) * 100;
+        template.criteria.forEach((criterion, i) => {
+            const value = parseFloat(rating[criterion.key]) || 0;
+            const width = Math.min(value / template.scale, 1) * 100;
             
             html += `
-                <div class="relative group/score" title="${cat.label}: ${value}/10">
+                <div class="relative group/score" title="${Utils.escapeHtml(criterion.label)}: ${value}/${template.scale}">
                     <div class="w-8 h-2 bg-gray-200 rounded-full overflow-hidden">
-                        <div class="h-full rounded-full transition-all" style="width: ${width}%; background-color: ${cat.color}"></div>
+                        <div class="h-full rounded-full transition-all" style="width: ${width}%; background-color: ${CRITERION_COLORS[i % CRITERION_COLORS.length]}"></div>
                     </div>
                 </div>
             `;
@@ -845,7 +897,7 @@ const RatingsPage = (function() {
                             <button id="btnClearFiltersEmpty" class="mt-2 text-primary-600 hover:text-primary-700 text-sm font-medium">
                                 Clear Filters
                             </button>
-                        ` : `
+                        ` : !Auth.can('ratings.manage') ? '' : `
                             <button id="btnAddFirstRating" class="mt-4 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors inline-flex items-center">
                                 <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"></path>
@@ -1196,8 +1248,8 @@ const RatingsPage = (function() {
         $(SELECTORS.ratingModalTitle).text('Add New Rating');
         $(SELECTORS.ratingMonth).val(selectedMonth);
         
-        // Reset sliders to middle
-        resetRatingSliders();
+        // Sliders for the template in effect, set to the middle
+        renderRatingCriteria({});
         
         $(SELECTORS.btnDeleteRating).addClass('hidden');
         $(SELECTORS.btnSaveRating).text('Add Rating');
@@ -1222,6 +1274,8 @@ const RatingsPage = (function() {
             return;
         }
         
+        if (!canManageMember(rating.memberId)) return;
+        
         editingRatingId = ratingId;
         
         // Reset form
@@ -1237,11 +1291,13 @@ const RatingsPage = (function() {
         $(SELECTORS.ratingEmployeeSelect).val(rating.memberId);
         $(SELECTORS.ratingMonth).val(rating.date ? rating.date.substring(0, 7) : selectedMonth);
         
-        // Set slider values
-        setSliderValue('ratingQuality', rating.quality || 5);
-        setSliderValue('ratingPunctuality', rating.punctuality || 5);
-        setSliderValue('ratingReliability', rating.reliability || 5);
-        setSliderValue('ratingDeadlines', rating.deadlines || 5);
+        // Sliders for the template in effect that month, with any notes
+        // given for overriding a suggested score
+        const notes = {};
+        Object.entries(rating.suggestions || {}).forEach(([key, suggestion]) => {
+            notes[key] = suggestion.note || '';
+        });
+        renderRatingCriteria(rating, notes);
         
         $(SELECTORS.ratingComments).val(rating.comments || '');
         
@@ -1267,7 +1323,10 @@ const RatingsPage = (function() {
     const populateEmployeeDropdown = () => {
         let options = '<option value="">Select Employee</option>';
         
-        members.sort((a, b) => a.name.localeCompare(b.name)).forEach(member => {
+        // Managers can only rate their own department
+        const ratable = members.filter(member => Auth.can('ratings.manage', member));
+        
+        ratable.sort((a, b) => a.name.localeCompare(b.name)).forEach(member => {
             options += `<option value="${member.memberId}">
                 ${Utils.escapeHtml(member.name)} — ${Utils.escapeHtml(member.department || 'N/A')}
             </option>`;
@@ -1277,24 +1336,210 @@ const RatingsPage = (function() {
     };
 
     /**
-     * Reset rating sliders to default
+     * Render a slider per criterion of the template in effect for the
+     * selected employee and month, keeping any scores already given, then
+     * look up suggested scores for the criteria that take them
+     * @param {Object} values - Scores by criterion key
+     * @param {Object} [notes] - Override notes by criterion key
      */
-    const resetRatingSliders = () => {
-        const sliders = ['ratingQuality', 'ratingPunctuality', 'ratingReliability', 'ratingDeadlines'];
-        sliders.forEach(slider => {
-            setSliderValue(slider, 5);
-        });
+    const renderRatingCriteria = (values, notes = {}) => {
+        const member = getEmployeeById($(SELECTORS.ratingEmployeeSelect).val());
+        const month = $(SELECTORS.ratingMonth).val() || selectedMonth;
+        const template = Utils.resolveRatingTemplate(month, member?.department || '', templates);
+        const totalWeight = template.criteria.reduce((sum, c) => sum + Number(c.weight), 0);
+        const equalWeights = template.criteria.every(c => Number(c.weight) === Number(template.criteria[0].weight));
+        
+        modalTemplate = template;
+        $(SELECTORS.ratingTemplateInfo).text(
+            `${template.name} template${template.department ? ` for ${template.department}` : ''} · scored 1–${template.scale}`
+        );
+        
+        $(SELECTORS.ratingCriteria).html(template.criteria.map((criterion, i) => {
+            const value = Math.min(parseInt(values[criterion.key], 10) || Math.ceil(template.scale / 2), template.scale);
+            const color = CRITERION_COLORS[i % CRITERION_COLORS.length];
+            const share = Math.round((Number(criterion.weight) / totalWeight) * 100);
+            
+            return `
+                <div class="rating-slider-group" data-key="${criterion.key}" data-source="${criterion.source || ''}">
+                    <div class="flex items-center justify-between mb-2">
+                        <label for="rating_${criterion.key}" class="text-sm font-medium text-gray-700">
+                            ${Utils.escapeHtml(criterion.label)}
+                            ${equalWeights ? '' : `<span class="text-xs font-normal text-gray-400">(${share}%)</span>`}
+                        </label>
+                        <span class="rating-criterion-value text-sm font-bold px-2 py-0.5 rounded bg-gray-50" style="color: ${color}">${value}</span>
+                    </div>
+                    <input type="range" 
+                           id="rating_${criterion.key}" 
+                           class="rating-criterion w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                           style="accent-color: ${color}"
+                           data-key="${criterion.key}"
+                           min="1" 
+                           max="${template.scale}" 
+                           value="${value}">
+                    <div class="flex justify-between text-xs text-gray-400 mt-1">
+                        <span>Poor</span>
+                        <span>Average</span>
+                        <span>Excellent</span>
+                    </div>
+                    ${criterion.source ? `
+                        <div class="rating-suggestion mt-2 rounded-lg bg-indigo-50 px-3 py-2 text-xs text-indigo-800"></div>
+                        <input type="text" 
+                               class="rating-override-note hidden mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                               maxlength="200"
+                               placeholder="Why does your score differ from the suggestion?"
+                               value="${Utils.escapeHtml(notes[criterion.key] || '')}">
+                    ` : ''}
+                </div>
+            `;
+        }).join(''));
+        
+        updateScorePreview();
+        loadSuggestions();
+    };
+
+    /**
+     * Work out suggested scores for the selected employee and month from
+     * their attendance and tasks. New ratings start at the suggestion;
+     * edits keep the score already given.
+     */
+    const loadSuggestions = async () => {
+        const request = ++suggestionRequest;
+        const memberId = $(SELECTORS.ratingEmployeeSelect).val();
+        const month = $(SELECTORS.ratingMonth).val();
+        const $boxes = $(SELECTORS.ratingCriteria).find('.rating-suggestion');
+        
+        suggestions = {};
+        if ($boxes.length === 0) return;
+        
+        if (!memberId || !month) {
+            $boxes.html('<span class="text-gray-500">Pick an employee and month to see a suggested score.</span>');
+            updateOverrideNotes();
+            return;
+        }
+        
+        $boxes.html('<span class="text-gray-500">Working out a suggested score...</span>');
+        
+        try {
+            const [year, monthNumber] = month.split('-').map(Number);
+            const endDate = `${month}-${String(new Date(year, monthNumber, 0).getDate()).padStart(2, '0')}`;
+            const [attendance, tasks] = await Promise.all([
+                API.getAttendanceRange(`${month}-01`, endDate),
+                API.getPerformanceTasks(memberId)
+            ]);
+            if (request !== suggestionRequest) return;
+            
+            suggestions = Utils.suggestRatingScores(modalTemplate, {
+                month,
+                attendance: attendance.filter(r => r.memberId === memberId),
+                tasks
+            });
+            renderSuggestions();
+        } catch (error) {
+            if (request !== suggestionRequest) return;
+            CONFIG.logError('Failed to work out suggested scores:', error);
+            $boxes.html('<span class="text-gray-500">Couldn\'t load attendance and tasks for a suggestion.</span>');
+        }
     };
 
     /**
-     * Set slider value and update display
+     * Show each suggestion with its evidence, pre-filling sliders on new
+     * ratings that haven't been moved yet
      */
-    const setSliderValue = (sliderId, value) => {
-        const $slider = $(`#${sliderId}`);
-        const $value = $(`#${sliderId}Value`);
+    const renderSuggestions = () => {
+        $(SELECTORS.ratingCriteria).find('.rating-slider-group').each(function() {
+            const $group = $(this);
+            const suggestion = suggestions[$group.data('key')];
+            const $box = $group.find('.rating-suggestion');
+            if ($box.length === 0) return;
+            
+            if (!suggestion) {
+                $box.html('<span class="text-gray-500">No data this month to suggest a score from.</span>');
+                return;
+            }
+            
+            $box.html(`
+                <div class="flex items-center justify-between gap-2">
+                    <span class="font-semibold">Suggested ${suggestion.score}/${modalTemplate.scale}</span>
+                    <button type="button" class="btn-use-suggestion font-medium text-indigo-700 hover:text-indigo-900">Use suggestion</button>
+                </div>
+                <p class="mt-0.5 text-indigo-700">${Utils.escapeHtml(suggestion.evidence)}</p>
+            `);
+            
+            const $slider = $group.find('.rating-criterion');
+            if (!editingRatingId && !$slider.data('touched')) {
+                setCriterionValue($group, suggestion.score);
+            }
+        });
         
-        $slider.val(value);
-        $value.text(value);
+        updateOverrideNotes();
+        updateScorePreview();
+    };
+
+    /**
+     * Set a criterion slider and its value label
+     */
+    const setCriterionValue = ($group, value) => {
+        $group.find('.rating-criterion').val(value);
+        $group.find('.rating-criterion-value').text(value);
+    };
+
+    /**
+     * Ask for a note on every criterion scored away from its suggestion
+     */
+    const updateOverrideNotes = () => {
+        $(SELECTORS.ratingCriteria).find('.rating-slider-group').each(function() {
+            const suggestion = suggestions[$(this).data('key')];
+            const overridden = !!suggestion && parseInt($(this).find('.rating-criterion').val(), 10) !== suggestion.score;
+            $(this).find('.rating-override-note').toggleClass('hidden', !overridden);
+        });
+    };
+
+    /**
+     * Suggestions to store with the rating: the suggested score, its
+     * evidence and the note given when the score differs
+     */
+    const collectSuggestionRecords = () => {
+        const records = {};
+        Object.entries(suggestions).forEach(([key, suggestion]) => {
+            const $note = $(SELECTORS.ratingCriteria).find(`.rating-slider-group[data-key="${key}"] .rating-override-note`);
+            records[key] = {
+                score: suggestion.score,
+                evidence: suggestion.evidence,
+                note: $note.hasClass('hidden') ? '' : $note.val().trim()
+            };
+        });
+        return records;
+    };
+
+    /**
+     * Read the modal's override notes, keyed by criterion
+     */
+    const collectOverrideNotes = () => {
+        const notes = {};
+        $(SELECTORS.ratingCriteria).find('.rating-slider-group').each(function() {
+            const $note = $(this).find('.rating-override-note');
+            if ($note.length) notes[$(this).data('key')] = $note.val();
+        });
+        return notes;
+    };
+
+    /**
+     * Read the modal's slider values, keyed by criterion
+     */
+    const collectCriterionScores = () => {
+        const scores = {};
+        $(SELECTORS.ratingCriteria).find('.rating-criterion').each(function() {
+            scores[$(this).data('key')] = parseInt($(this).val(), 10) || 0;
+        });
+        return scores;
+    };
+
+    /**
+     * Show the weighted score of the modal's current slider values
+     */
+    const updateScorePreview = () => {
+        const score = modalTemplate ? Utils.calculateRatingScore(collectCriterionScores(), modalTemplate) : 0;
+        $(SELECTORS.ratingAveragePreview).text(score.toFixed(1));
     };
 
     /**
@@ -1311,10 +1556,8 @@ const RatingsPage = (function() {
         const ratingData = {
             memberId: $(SELECTORS.ratingEmployeeSelect).val(),
             date: `${monthValue}-01`, // Use first day of month
-            quality: parseInt($(SELECTORS.ratingQuality).val()) || 0,
-            punctuality: parseInt($(SELECTORS.ratingPunctuality).val()) || 0,
-            reliability: parseInt($(SELECTORS.ratingReliability).val()) || 0,
-            deadlines: parseInt($(SELECTORS.ratingDeadlines).val()) || 0,
+            ...collectCriterionScores(),
+            suggestions: collectSuggestionRecords(),
             comments: $(SELECTORS.ratingComments).val().trim()
         };
         
@@ -1364,6 +1607,14 @@ const RatingsPage = (function() {
             isValid = false;
         }
         
+        // Scoring away from a suggestion needs a note
+        $(SELECTORS.ratingCriteria).find('.rating-override-note').not('.hidden').each(function() {
+            if (!$(this).val().trim()) {
+                showFieldError(this, 'Add a note on why this differs from the suggested score');
+                isValid = false;
+            }
+        });
+        
         return isValid;
     };
 
@@ -1406,6 +1657,299 @@ const RatingsPage = (function() {
         }
     };
 
+    // ============================================
+    // 📤 EXPORT
+    // ============================================
+
+    /**
+     * Export the selected month's ratings matching the current filters
+     * @param {string} format - 'csv', 'xlsx' or 'pdf'
+     */
+    const exportRatings = async (format) => {
+        if (filteredRatings.length === 0) {
+            Utils.showToast(`No ratings match the current filters for ${formatMonthDisplay(selectedMonth)}`, 'warning');
+            return;
+        }
+        
+        // One column per criterion of every template the ratings use
+        const criteria = [];
+        filteredRatings.forEach(r => {
+            getTemplateForRating(r).criteria.forEach(c => {
+                if (!criteria.some(existing => existing.key === c.key)) criteria.push(c);
+            });
+        });
+        
+        try {
+            await Utils.exportData({
+                format,
+                filename: `ratings-${selectedMonth}`,
+                title: 'Ratings Report',
+                subtitle: formatMonthDisplay(selectedMonth),
+                settings,
+                rows: filteredRatings,
+                columns: [
+                    { label: 'Employee', value: r => getEmployeeById(r.memberId)?.name || r.memberId },
+                    { label: 'Department', value: r => getEmployeeById(r.memberId)?.department || '' },
+                    { label: 'Date', value: r => Utils.formatDate(r.date) },
+                    { label: 'Template', value: r => getTemplateForRating(r).name },
+                    ...criteria.map(c => ({ label: c.label, key: c.key })),
+                    { label: 'Score (out of 10)', value: r => calculateAverageScore(r).toFixed(1) },
+                    { label: 'Suggestion Overrides', value: r => describeOverrides(r) },
+                    { label: 'Comments', key: 'comments' }
+                ]
+            });
+        } catch (error) {
+            CONFIG.logError('Failed to export ratings:', error);
+            Utils.showToast(error.message || 'Failed to export ratings', 'error');
+        }
+    };
+
+    /**
+     * Describe where a rating's scores differ from the suggested ones
+     * (e.g. "Punctuality: 3 vs suggested 5, covered for night shift")
+     */
+    const describeOverrides = (rating) => {
+        const template = getTemplateForRating(rating);
+        return Object.entries(rating.suggestions || {})
+            .filter(([, suggestion]) => suggestion.note)
+            .map(([key, suggestion]) => {
+                const label = template.criteria.find(c => c.key === key)?.label || key;
+                return `${label}: ${rating[key]} vs suggested ${suggestion.score}, ${suggestion.note}`;
+            })
+            .join('; ');
+    };
+
+    // ============================================
+    // 🧩 RATING TEMPLATES
+    // ============================================
+
+    /**
+     * Open the rating templates modal
+     */
+    const openTemplatesModal = () => {
+        if (!Auth.can('ratings.templates')) return;
+        
+        const departments = [...new Set(members.map(m => m.department).filter(Boolean))].sort();
+        $(SELECTORS.templateDepartment).html(
+            '<option value="">All departments</option>' +
+            departments.map(d => `<option value="${Utils.escapeHtml(d)}">${Utils.escapeHtml(d)}</option>`).join('')
+        );
+        
+        resetTemplateForm();
+        renderTemplateList();
+        showModal(SELECTORS.templatesModal);
+    };
+
+    /**
+     * Close the rating templates modal
+     */
+    const closeTemplatesModal = () => {
+        hideModal(SELECTORS.templatesModal);
+    };
+
+    /**
+     * Render the list of templates with edit/delete buttons
+     */
+    const renderTemplateList = () => {
+        const builtIn = CONFIG.DEFAULT_RATING_TEMPLATE;
+        const describe = (t) => t.criteria.map(c => `${Utils.escapeHtml(c.label)} ×${c.weight}${c.source ? ' (suggested)' : ''}`).join(', ');
+        
+        const rows = templates.map(t => `
+            <div class="flex items-start justify-between gap-4 py-3">
+                <div>
+                    <p class="text-sm font-medium text-gray-900">
+                        ${Utils.escapeHtml(t.name)}
+                        <span class="ml-1 text-xs font-normal text-gray-500">
+                            ${Utils.escapeHtml(t.department || 'All departments')} · from ${formatMonthDisplay(t.effectiveFrom)} · 1–${t.scale}
+                        </span>
+                    </p>
+                    <p class="text-xs text-gray-500 mt-0.5">${describe(t)}</p>
+                </div>
+                <div class="flex items-center gap-3 text-sm flex-shrink-0">
+                    <button class="btn-edit-template font-medium text-primary-600 hover:text-primary-800" data-template-id="${Utils.escapeHtml(t.templateId)}">Edit</button>
+                    <button class="btn-delete-template font-medium text-red-600 hover:text-red-800" data-template-id="${Utils.escapeHtml(t.templateId)}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+        
+        $(SELECTORS.templateList).html(rows + `
+            <div class="py-3">
+                <p class="text-sm font-medium text-gray-500">
+                    ${Utils.escapeHtml(builtIn.name)} <span class="ml-1 text-xs font-normal">built in · used where no template applies · 1–${builtIn.scale}</span>
+                </p>
+                <p class="text-xs text-gray-400 mt-0.5">${describe(builtIn)}</p>
+            </div>
+        `);
+    };
+
+    /**
+     * Clear the template form back to "new template", starting from the
+     * criteria of the built-in template
+     */
+    const resetTemplateForm = () => {
+        const builtIn = CONFIG.DEFAULT_RATING_TEMPLATE;
+        
+        $(SELECTORS.templateId).val('');
+        $(SELECTORS.templateName).val('');
+        $(SELECTORS.templateDepartment).val('');
+        $(SELECTORS.templateEffectiveFrom).val(selectedMonth);
+        $(SELECTORS.templateScale).val(String(builtIn.scale));
+        $(SELECTORS.templateCriteriaList).empty();
+        builtIn.criteria.forEach(c => addCriterionRow(c));
+        $(SELECTORS.btnSaveTemplate).text('Add Template');
+    };
+
+    /**
+     * Load a template into the form for editing
+     */
+    const editTemplate = (templateId) => {
+        const template = templates.find(t => t.templateId === templateId);
+        if (!template) return;
+        
+        $(SELECTORS.templateId).val(template.templateId);
+        $(SELECTORS.templateName).val(template.name);
+        $(SELECTORS.templateDepartment).val(template.department || '');
+        $(SELECTORS.templateEffectiveFrom).val(template.effectiveFrom);
+        $(SELECTORS.templateScale).val(String(template.scale));
+        $(SELECTORS.templateCriteriaList).empty();
+        template.criteria.forEach(c => addCriterionRow(c));
+        $(SELECTORS.btnSaveTemplate).text('Update Template');
+    };
+
+    /**
+     * Add a criterion row to the template form. Existing criteria keep
+     * their key so renaming one doesn't orphan the scores stored under it.
+     * @param {Object} [criterion] - { key, label, weight }
+     */
+    const addCriterionRow = (criterion = { key: '', label: '', weight: 1, source: '' }) => {
+        $(SELECTORS.templateCriteriaList).append(`
+            <div class="template-criterion flex items-center gap-2" data-key="${Utils.escapeHtml(criterion.key)}">
+                <input type="text" maxlength="40" placeholder="e.g. Teamwork" value="${Utils.escapeHtml(criterion.label)}"
+                       class="criterion-label flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+                <input type="number" min="0.5" max="100" step="0.5" value="${criterion.weight}" title="Weight"
+                       class="criterion-weight w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+                <select class="criterion-source w-44 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white" title="Suggest a score from">
+                    <option value="">Scored by hand</option>
+                    ${Object.entries(CONFIG.RATING_SOURCES).map(([source, label]) => `
+                        <option value="${source}" ${criterion.source === source ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>
+                    `).join('')}
+                </select>
+                <button type="button" class="btn-remove-criterion p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Remove">
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                    </svg>
+                </button>
+            </div>
+        `);
+    };
+
+    /**
+     * Turn a criterion name into a rating field key (e.g. "Team Work" → teamWork)
+     * @param {string} label - Criterion name
+     * @param {Array<string>} taken - Keys already used by the template
+     */
+    const toCriterionKey = (label, taken) => {
+        const words = label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+        let key = words.map((w, i) => i === 0 ? w : w[0].toUpperCase() + w.slice(1)).join('') || 'criterion';
+        if (/^[0-9]/.test(key)) key = `c${key}`;
+        
+        let unique = key;
+        for (let n = 2; taken.includes(unique); n++) unique = `${key}${n}`;
+        return unique;
+    };
+
+    /**
+     * Read the criterion rows of the template form
+     */
+    const collectTemplateCriteria = () => {
+        const criteria = [];
+        $(SELECTORS.templateCriteriaList).find('.template-criterion').each(function() {
+            const label = $(this).find('.criterion-label').val().trim();
+            if (!label) return;
+            
+            criteria.push({
+                key: $(this).data('key') || '',
+                label,
+                weight: Number($(this).find('.criterion-weight').val()) || 0,
+                source: $(this).find('.criterion-source').val() || ''
+            });
+        });
+        
+        criteria.forEach(c => {
+            if (!c.key) c.key = toCriterionKey(c.label, criteria.map(o => o.key));
+        });
+        return criteria;
+    };
+
+    /**
+     * Save the template in the form
+     */
+    const saveTemplate = async () => {
+        if (isSaving) return;
+        
+        const template = {
+            name: $(SELECTORS.templateName).val().trim(),
+            department: $(SELECTORS.templateDepartment).val() || '',
+            effectiveFrom: $(SELECTORS.templateEffectiveFrom).val(),
+            scale: Number($(SELECTORS.templateScale).val()),
+            criteria: collectTemplateCriteria()
+        };
+        const templateId = $(SELECTORS.templateId).val();
+        if (templateId) template.templateId = templateId;
+        
+        if (!template.name || !template.effectiveFrom) {
+            Utils.showToast('Enter a name and the month the template applies from', 'warning');
+            return;
+        }
+        if (template.criteria.length === 0) {
+            Utils.showToast('Add at least one criterion', 'warning');
+            return;
+        }
+        
+        isSaving = true;
+        $(SELECTORS.btnSaveTemplate).prop('disabled', true);
+        
+        try {
+            await API.saveRatingTemplate(template);
+            Utils.showToast(`Template "${template.name}" saved`, 'success');
+            await loadTemplates();
+            resetTemplateForm();
+            renderTemplateList();
+            applyFilters();
+            renderCharts();
+        } catch (error) {
+            CONFIG.logError('Failed to save rating template:', error);
+            Utils.showToast(error.message || 'Failed to save template', 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnSaveTemplate).prop('disabled', false);
+        }
+    };
+
+    /**
+     * Delete a template after confirmation
+     */
+    const deleteTemplate = async (templateId) => {
+        const template = templates.find(t => t.templateId === templateId);
+        if (!template) return;
+        
+        const confirmed = await Utils.showConfirm(`Delete the "${template.name}" template?`, 'Delete Template');
+        if (!confirmed) return;
+        
+        try {
+            await API.deleteRatingTemplate(templateId);
+            Utils.showToast(`Template "${template.name}" deleted`, 'success');
+            await loadTemplates();
+            resetTemplateForm();
+            renderTemplateList();
+            applyFilters();
+            renderCharts();
+        } catch (error) {
+            CONFIG.logError('Failed to delete rating template:', error);
+            Utils.showToast(error.message || 'Failed to delete template', 'error');
+        }
+    };
+
     // ============================================
     // 🗑️ DELETE RATING
     // ============================================
@@ -1415,7 +1959,7 @@ const RatingsPage = (function() {
      */
     const confirmDeleteRating = async (ratingId) => {
         const rating = getRatingById(ratingId);
-        if (!rating) return;
+        if (!rating || !canManageMember(rating.memberId)) return;
         
         const member = getEmployeeById(rating.memberId);
         const memberName = member?.name || 'this employee';
@@ -1495,6 +2039,22 @@ const RatingsPage = (function() {
         return members.find(m => m.memberId === memberId) || null;
     };
 
+    /**
+     * Checks whether the current user may rate a member
+     * (managers: own department only)
+     */
+    const canManageMember = (memberId) => {
+        return Auth.can('ratings.manage', getEmployeeById(memberId) || { memberId });
+    };
+
+    /**
+     * Hides page-level actions the current role can't take
+     */
+    const applyPermissions = () => {
+        $(SELECTORS.btnAddRating).toggleClass('hidden', !Auth.can('ratings.manage'));
+        $(SELECTORS.btnManageTemplates).toggleClass('hidden', !Auth.can('ratings.templates'));
+    };
+
     /**
      * Get rating by ID
      */
@@ -1582,8 +2142,13 @@ const RatingsPage = (function() {
         // Add Rating Button
         $(SELECTORS.btnAddRating).on('click', openAddRatingModal);
         
+        // Export Menu
+        Utils.bindExportMenu(SELECTORS.btnExport, SELECTORS.exportMenu, exportRatings);
+        
         // Refresh Button
         $(SELECTORS.btnRefresh).on('click', async () => {
+            API.clearCache();
+            await loadTemplates();
             await loadRatings();
             applyFilters();
             renderCharts();
@@ -1623,18 +2188,42 @@ const RatingsPage = (function() {
             saveRating();
         });
         
-        // Rating sliders
-        const sliders = [
-            { slider: SELECTORS.ratingQuality, value: SELECTORS.ratingQualityValue },
-            { slider: SELECTORS.ratingPunctuality, value: SELECTORS.ratingPunctualityValue },
-            { slider: SELECTORS.ratingReliability, value: SELECTORS.ratingReliabilityValue },
-            { slider: SELECTORS.ratingDeadlines, value: SELECTORS.ratingDeadlinesValue }
-        ];
-        
-        sliders.forEach(({ slider, value }) => {
-            $(slider).on('input', function() {
-                $(value).text($(this).val());
+        // Rating sliders (rebuilt when the employee or month changes the template)
+        $(SELECTORS.ratingCriteria)
+            .on('input', '.rating-criterion', function() {
+                $(this).data('touched', true);
+                $(this).closest('.rating-slider-group').find('.rating-criterion-value').text($(this).val());
+                updateOverrideNotes();
+                updateScorePreview();
+            })
+            .on('click', '.btn-use-suggestion', function() {
+                const $group = $(this).closest('.rating-slider-group');
+                setCriterionValue($group, suggestions[$group.data('key')].score);
+                updateOverrideNotes();
+                updateScorePreview();
+            });
+        $(`${SELECTORS.ratingEmployeeSelect}, ${SELECTORS.ratingMonth}`).on('change', () => {
+            renderRatingCriteria(collectCriterionScores(), collectOverrideNotes());
+        });
+        
+        // Templates Modal
+        $(SELECTORS.btnManageTemplates).on('click', openTemplatesModal);
+        $(SELECTORS.btnCloseTemplatesModal).on('click', closeTemplatesModal);
+        $(SELECTORS.btnSaveTemplate).on('click', saveTemplate);
+        $(SELECTORS.btnResetTemplateForm).on('click', resetTemplateForm);
+        $(SELECTORS.btnAddCriterion).on('click', () => addCriterionRow());
+        $(SELECTORS.templateCriteriaList).on('click', '.btn-remove-criterion', function() {
+            $(this).closest('.template-criterion').remove();
+        });
+        $(SELECTORS.templateList)
+            .on('click', '.btn-edit-template', function() {
+                editTemplate($(this).data('template-id'));
+            })
+            .on('click', '.btn-delete-template', function() {
+                deleteTemplate($(this).data('template-id'));
             });
+        $(SELECTORS.templatesModal).on('click', function(e) {
+            if (e.target === this) closeTemplatesModal();
         });
         
         // Modal backdrop click
@@ -1650,6 +2239,9 @@ const RatingsPage = (function() {
             if (e.key === 'Escape' && !$(SELECTORS.ratingModal).hasClass('hidden')) {
                 closeRatingModal();
             }
+            if (e.key === 'Escape' && !$(SELECTORS.templatesModal).hasClass('hidden')) {
+                closeTemplatesModal();
+            }
             
             // Ctrl/Cmd + N to add new rating
             if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
@@ -1728,6 +2320,7 @@ const RatingsPage = (function() {
         getRatingById,
         getEmployeeById,
         calculateAverageScore,
+        getTemplateForRating,
         calculateSummaryStats,
         formatScoreBadge
     };
@@ -0,0 +1,818 @@
+/**
+ * SquidX HRM — Review Cycles Page Controller
+ * ============================================
+ * 360-degree reviews run in cycles with a start and end date:
+ * - Every participant writes a self-assessment, is reviewed by their
+ *   manager and by the colleagues picked as their peers
+ * - "Reviews to write" lists what the signed-in user owes in open cycles
+ * - Admins create and edit cycles; admins and managers follow each
+ *   cycle's completion tracker (managers see their own department)
+ * - Reviews are scored on the rating template in effect for the
+ *   participant when the cycle ends; results are on employee.html
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js
+ *   - /assets/js/api.js
+ *   - /assets/js/auth.js
+ *   - /assets/js/utils.js
+ */
+
+const ReviewsPage = (function() {
+    'use strict';
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    let cycles = [];
+    let assignments = [];
+    let members = [];
+    let templates = [];
+    let isSaving = false;
+
+    /**
+     * Cycle whose completion tracker is shown
+     */
+    let trackedCycleId = null;
+
+    /**
+     * Participants and peers picked in the cycle modal ({ memberId: [peerId] })
+     */
+    let draftPeers = {};
+
+    /**
+     * Assignment the review form is open for
+     */
+    let writing = null;
+
+    // ============================================
+    // 🎯 DOM SELECTORS
+    // ============================================
+
+    const SELECTORS = {
+        btnNewCycle: '#btnNewCycle',
+        assignmentList: '#assignmentList',
+        assignmentCount: '#assignmentCount',
+        cyclesSection: '#cyclesSection',
+        cycleTableBody: '#cycleTableBody',
+        trackerSection: '#trackerSection',
+        trackerTitle: '#trackerTitle',
+        trackerSummary: '#trackerSummary',
+        trackerTableBody: '#trackerTableBody',
+        btnCloseTracker: '#btnCloseTracker',
+
+        // Cycle modal
+        cycleModal: '#cycleModal',
+        cycleModalTitle: '#cycleModalTitle',
+        cycleId: '#cycleId',
+        cycleName: '#cycleName',
+        cycleStartDate: '#cycleStartDate',
+        cycleEndDate: '#cycleEndDate',
+        participantCount: '#participantCount',
+        participantSearch: '#participantSearch',
+        participantDepartment: '#participantDepartment',
+        participantList: '#participantList',
+        btnSaveCycle: '#btnSaveCycle',
+        btnCancelCycle: '#btnCancelCycle',
+        btnCloseCycleModal: '#btnCloseCycleModal',
+
+        // Review form modal
+        reviewFormModal: '#reviewFormModal',
+        reviewFormTitle: '#reviewFormTitle',
+        reviewFormSubject: '#reviewFormSubject',
+        reviewFormNote: '#reviewFormNote',
+        reviewTemplateInfo: '#reviewTemplateInfo',
+        reviewCriteria: '#reviewCriteria',
+        reviewComments: '#reviewComments',
+        btnSubmitReviewForm: '#btnSubmitReviewForm',
+        btnCancelReviewForm: '#btnCancelReviewForm',
+        btnCloseReviewFormModal: '#btnCloseReviewFormModal'
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Initializes the review cycles page
+     */
+    const init = async () => {
+        CONFIG.log('Initializing Reviews Page...');
+
+        $(SELECTORS.btnNewCycle).toggleClass('hidden', !Auth.can('reviews.manage'));
+        $(SELECTORS.cyclesSection).toggleClass('hidden', !Auth.can('reviews.track'));
+
+        setupEventListeners();
+        await loadData();
+
+        // Deep link from elsewhere: reviews.html?cycleId=...
+        const cycleId = Utils.getUrlParam('cycleId');
+        if (cycleId && Auth.can('reviews.track') && cycles.some(c => c.cycleId === cycleId)) {
+            await openTracker(cycleId);
+        }
+    };
+
+    // ============================================
+    // 📡 DATA LOADING
+    // ============================================
+
+    /**
+     * Loads cycles, the user's review assignments and, for admins,
+     * the member list the cycle modal picks from
+     */
+    const loadData = async () => {
+        try {
+            [cycles, assignments, templates, members] = await Promise.all([
+                API.getReviewCycles(),
+                API.getReviewAssignments(),
+                API.getRatingTemplates().catch(() => []),
+                Auth.can('reviews.manage') ? API.getMembers() : Promise.resolve([])
+            ]);
+            renderAssignments();
+            renderCycles();
+        } catch (error) {
+            CONFIG.logError('Failed to load review cycles:', error);
+            Utils.showToast(error.message || 'Failed to load review cycles', 'error');
+            renderError();
+        }
+    };
+
+    // ============================================
+    // 🎨 RENDERING
+    // ============================================
+
+    /**
+     * Renders the reviews the user has to write, grouped by cycle
+     */
+    const renderAssignments = () => {
+        const pending = assignments.filter(a => !a.review).length;
+        $(SELECTORS.assignmentCount).text(assignments.length
+            ? `${pending} of ${assignments.length} still to write`
+            : '');
+
+        if (assignments.length === 0) {
+            $(SELECTORS.assignmentList).html(`
+                <div class="px-6 py-12 flex flex-col items-center text-center">
+                    <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
+                        <svg class="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                        </svg>
+                    </div>
+                    <p class="text-gray-900 font-medium">Nothing to review</p>
+                    <p class="text-gray-500 text-sm mt-1">Reviews you're asked to write show up here while their cycle is open</p>
+                </div>
+            `);
+            return;
+        }
+
+        $(SELECTORS.assignmentList).html(assignments.map((assignment, index) => {
+            const name = assignment.memberName;
+            const done = !!assignment.review;
+
+            return `
+                <div class="flex flex-wrap items-center justify-between gap-3 px-6 py-4">
+                    <div class="flex items-center min-w-0">
+                        <img src="${Utils.escapeHtml(assignment.memberPhoto || Utils.getAvatarUrl(name))}"
+                             alt="${Utils.escapeHtml(name)}"
+                             class="w-9 h-9 rounded-full object-cover"
+                             onerror="this.src='${Utils.getAvatarUrl(name)}'">
+                        <div class="ml-3 min-w-0">
+                            <p class="text-sm font-medium text-gray-900 truncate">
+                                ${assignment.type === 'self' ? 'Your self-assessment' : Utils.escapeHtml(name)}
+                            </p>
+                            <p class="text-xs text-gray-500">
+                                ${Utils.escapeHtml(CONFIG.REVIEW_TYPES[assignment.type])} · ${Utils.escapeHtml(assignment.cycleName)} · due ${Utils.formatDateDisplay(assignment.endDate)}
+                            </p>
+                        </div>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        ${done ? `
+                            <span class="px-2.5 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">Submitted</span>
+                        ` : `
+                            <span class="px-2.5 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-800">To do</span>
+                        `}
+                        <button class="btn-write-review px-3 py-1.5 text-xs font-medium rounded-lg transition-colors ${done ? 'text-primary-600 bg-primary-50 hover:bg-primary-100' : 'text-white bg-primary-600 hover:bg-primary-700'}" data-index="${index}">
+                            ${done ? 'Edit' : 'Write review'}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Renders the cycles table (admins and managers)
+     */
+    const renderCycles = () => {
+        if (!Auth.can('reviews.track')) return;
+
+        if (cycles.length === 0) {
+            $(SELECTORS.cycleTableBody).html(`
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center">
+                        <p class="text-gray-900 font-medium">No review cycles yet</p>
+                        <p class="text-gray-500 text-sm mt-1">${Auth.can('reviews.manage') ? 'Start one with “New Cycle”' : 'An admin starts review cycles'}</p>
+                    </td>
+                </tr>
+            `);
+            return;
+        }
+
+        $(SELECTORS.cycleTableBody).html(cycles.map(cycle => {
+            const percent = cycle.expected ? Math.round((cycle.submitted / cycle.expected) * 100) : 0;
+            const canManage = Auth.can('reviews.manage');
+
+            return `
+                <tr class="hover:bg-gray-50 transition-colors ${cycle.cycleId === trackedCycleId ? 'bg-primary-50/50' : ''}">
+                    <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${Utils.escapeHtml(cycle.name)}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        ${Utils.formatDateDisplay(cycle.startDate)} – ${Utils.formatDateDisplay(cycle.endDate)}
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap">
+                        <span class="px-2.5 py-1 rounded-full text-xs font-medium ${Utils.getReviewCycleStatusBadge(cycle.status)}">
+                            ${Utils.escapeHtml(cycle.status)}
+                        </span>
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">${cycle.participants.length}</td>
+                    <td class="px-6 py-4 whitespace-nowrap">
+                        ${renderProgressBar(percent)}
+                        <p class="text-xs text-gray-500 mt-1">${cycle.submitted} of ${cycle.expected} reviews</p>
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap text-right">
+                        <div class="flex items-center justify-end gap-2">
+                            <button class="btn-track-cycle px-3 py-1.5 text-xs font-medium text-primary-600 bg-primary-50 rounded-lg hover:bg-primary-100 transition-colors" data-cycle-id="${Utils.escapeHtml(cycle.cycleId)}">
+                                Tracker
+                            </button>
+                            ${canManage ? `
+                                <button class="btn-edit-cycle px-3 py-1.5 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors" data-cycle-id="${Utils.escapeHtml(cycle.cycleId)}">
+                                    Edit
+                                </button>
+                                <button class="btn-delete-cycle px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors" data-cycle-id="${Utils.escapeHtml(cycle.cycleId)}">
+                                    Delete
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Renders a thin completion bar
+     * @param {number} percent - 0..100
+     */
+    const renderProgressBar = (percent) => `
+        <div class="w-32 h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div class="h-full ${percent === 100 ? 'bg-green-500' : 'bg-primary-500'}" style="width: ${percent}%"></div>
+        </div>
+    `;
+
+    /**
+     * Renders a load failure
+     */
+    const renderError = () => {
+        $(SELECTORS.assignmentList).html('<div class="px-6 py-12 text-center text-gray-500">Could not load reviews</div>');
+        $(SELECTORS.cycleTableBody).html(`
+            <tr>
+                <td colspan="6" class="px-6 py-12 text-center text-gray-500">Could not load review cycles</td>
+            </tr>
+        `);
+    };
+
+    // ============================================
+    // 📊 COMPLETION TRACKER
+    // ============================================
+
+    /**
+     * Shows who has and hasn't submitted each review in a cycle
+     * @param {string} cycleId - Cycle ID
+     */
+    const openTracker = async (cycleId) => {
+        trackedCycleId = cycleId;
+        renderCycles();
+        $(SELECTORS.trackerSection).removeClass('hidden');
+        $(SELECTORS.trackerTableBody).html(`
+            <tr>
+                <td colspan="6" class="px-6 py-12 text-center">
+                    <div class="flex flex-col items-center">
+                        <div class="spinner mb-4"></div>
+                        <p class="text-gray-500">Loading tracker...</p>
+                    </div>
+                </td>
+            </tr>
+        `);
+
+        try {
+            renderTracker(await API.getReviewTracker(cycleId));
+            $(SELECTORS.trackerSection)[0].scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            CONFIG.logError('Failed to load review tracker:', error);
+            Utils.showToast(error.message || 'Failed to load review tracker', 'error');
+            closeTracker();
+        }
+    };
+
+    /**
+     * Renders the completion tracker for one cycle
+     * @param {Object} tracker - From API.getReviewTracker
+     */
+    const renderTracker = (tracker) => {
+        const { cycle, participants } = tracker;
+        const percent = tracker.expected ? Math.round((tracker.submitted / tracker.expected) * 100) : 0;
+
+        $(SELECTORS.trackerTitle).text(`${cycle.name} — Completion`);
+        $(SELECTORS.trackerSummary).text(
+            `${tracker.completed} of ${participants.length} participants complete · ${tracker.submitted} of ${tracker.expected} reviews in (${percent}%)` +
+            (cycle.status === 'Open' ? ` · closes ${Utils.formatDateDisplay(cycle.endDate)}` : '')
+        );
+
+        if (participants.length === 0) {
+            $(SELECTORS.trackerTableBody).html(`
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center text-gray-500">No participants from your department in this cycle</td>
+                </tr>
+            `);
+            return;
+        }
+
+        const tick = (done) => done
+            ? '<span class="inline-flex w-6 h-6 rounded-full bg-green-100 text-green-700 items-center justify-center text-xs font-bold">✓</span>'
+            : '<span class="inline-flex w-6 h-6 rounded-full bg-gray-100 text-gray-400 items-center justify-center text-xs font-bold">–</span>';
+
+        $(SELECTORS.trackerTableBody).html(participants.map(p => {
+            const rowPercent = p.expected ? Math.round((p.submitted / p.expected) * 100) : 0;
+
+            return `
+                <tr class="hover:bg-gray-50 transition-colors">
+                    <td class="px-6 py-4 whitespace-nowrap">
+                        <a href="employee.html?memberId=${encodeURIComponent(p.memberId)}" class="flex items-center group">
+                            <img src="${Utils.escapeHtml(p.photoURL || Utils.getAvatarUrl(p.name))}"
+                                 alt="${Utils.escapeHtml(p.name)}"
+                                 class="w-9 h-9 rounded-full object-cover"
+                                 onerror="this.src='${Utils.getAvatarUrl(p.name)}'">
+                            <div class="ml-3">
+                                <p class="text-sm font-medium text-gray-900 group-hover:text-primary-600">${Utils.escapeHtml(p.name)}</p>
+                                <p class="text-xs text-gray-500">${Utils.escapeHtml(p.department)}</p>
+                            </div>
+                        </a>
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap text-center">${tick(p.self)}</td>
+                    <td class="px-6 py-4 text-sm text-gray-700">
+                        ${p.peersExpected ? `${p.peersSubmitted} of ${p.peersExpected}` : '<span class="text-gray-400">None picked</span>'}
+                        ${p.pendingPeers.length ? `<p class="text-xs text-gray-500">Waiting on ${Utils.escapeHtml(p.pendingPeers.join(', '))}</p>` : ''}
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        <div class="flex items-center gap-2">
+                            ${tick(p.manager)}
+                            ${p.managerReviewer ? `<span class="text-xs text-gray-500">${Utils.escapeHtml(p.managerReviewer)}</span>` : ''}
+                        </div>
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap">
+                        ${renderProgressBar(rowPercent)}
+                        <p class="text-xs text-gray-500 mt-1">${p.submitted} of ${p.expected}</p>
+                    </td>
+                    <td class="px-6 py-4 whitespace-nowrap text-right">
+                        <a href="employee.html?memberId=${encodeURIComponent(p.memberId)}&tab=reviews" class="text-sm font-medium text-primary-600 hover:text-primary-700">View</a>
+                    </td>
+                </tr>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Hides the completion tracker
+     */
+    const closeTracker = () => {
+        trackedCycleId = null;
+        $(SELECTORS.trackerSection).addClass('hidden');
+        renderCycles();
+    };
+
+    // ============================================
+    // 🗓️ CYCLE MODAL
+    // ============================================
+
+    /**
+     * Opens the cycle modal to add a cycle, or edit one
+     * @param {string} [cycleId] - Cycle to edit
+     */
+    const openCycleModal = (cycleId = null) => {
+        if (!Auth.can('reviews.manage')) return;
+
+        const cycle = cycleId ? cycles.find(c => c.cycleId === cycleId) : null;
+        const today = Utils.getToday();
+
+        $(SELECTORS.cycleModalTitle).text(cycle ? 'Edit Review Cycle' : 'New Review Cycle');
+        $(SELECTORS.cycleId).val(cycle ? cycle.cycleId : '');
+        $(SELECTORS.cycleName).val(cycle ? cycle.name : '');
+        $(SELECTORS.cycleStartDate).val(cycle ? cycle.startDate : today);
+        $(SELECTORS.cycleEndDate).val(cycle ? cycle.endDate : Utils.formatDate(new Date(Date.now() + 14 * 86400000)));
+        $(SELECTORS.participantSearch).val('');
+
+        draftPeers = {};
+        if (cycle) {
+            cycle.participants.forEach(id => {
+                draftPeers[id] = [...(cycle.peers[id] || [])];
+            });
+        }
+
+        const departments = [...new Set(members.map(m => m.department).filter(Boolean))].sort();
+        $(SELECTORS.participantDepartment).html(
+            '<option value="all">All Departments</option>' +
+            departments.map(d => `<option value="${Utils.escapeHtml(d)}">${Utils.escapeHtml(d)}</option>`).join('')
+        );
+
+        renderParticipants();
+
+        $(SELECTORS.cycleModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.cycleModal).find('.modal-content').removeClass('scale-95 opacity-0');
+            $(SELECTORS.cycleName).focus();
+        }, 10);
+    };
+
+    /**
+     * Closes the cycle modal
+     */
+    const closeCycleModal = () => {
+        const modal = $(SELECTORS.cycleModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+        }, 200);
+    };
+
+    /**
+     * Renders the member rows of the cycle modal: a checkbox to take part
+     * and, for participants, the colleagues picked to peer-review them
+     */
+    const renderParticipants = () => {
+        const search = ($(SELECTORS.participantSearch).val() || '').toLowerCase();
+        const department = $(SELECTORS.participantDepartment).val();
+        const nameOf = (id) => members.find(m => m.memberId === id)?.name || id;
+
+        const visible = members
+            .filter(m => m.status !== 'Inactive' || draftPeers[m.memberId])
+            .filter(m => department === 'all' || !department || m.department === department)
+            .filter(m => !search || (m.name || '').toLowerCase().includes(search))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        $(SELECTORS.participantCount).text(`(${Object.keys(draftPeers).length} selected)`);
+
+        if (visible.length === 0) {
+            $(SELECTORS.participantList).html('<p class="px-4 py-6 text-center text-sm text-gray-500">No members match</p>');
+            return;
+        }
+
+        $(SELECTORS.participantList).html(visible.map(m => {
+            const peers = draftPeers[m.memberId];
+            const options = members
+                .filter(p => p.memberId !== m.memberId && p.status !== 'Inactive' && !(peers || []).includes(p.memberId))
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+            return `
+                <div class="participant-row px-4 py-3" data-member-id="${Utils.escapeHtml(m.memberId)}">
+                    <label class="flex items-center gap-3 cursor-pointer">
+                        <input type="checkbox" class="participant-toggle w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500" ${peers ? 'checked' : ''}>
+                        <span class="text-sm font-medium text-gray-900">${Utils.escapeHtml(m.name || m.memberId)}</span>
+                        <span class="text-xs text-gray-500">${Utils.escapeHtml(m.department || '')}</span>
+                    </label>
+                    ${peers ? `
+                        <div class="mt-2 ml-7 flex flex-wrap items-center gap-2">
+                            <span class="text-xs text-gray-500">Peers:</span>
+                            ${peers.map(id => `
+                                <span class="inline-flex items-center gap-1 pl-2.5 pr-1 py-0.5 rounded-full bg-primary-50 text-primary-700 text-xs">
+                                    ${Utils.escapeHtml(nameOf(id))}
+                                    <button type="button" class="btn-remove-peer w-4 h-4 rounded-full hover:bg-primary-100" data-peer-id="${Utils.escapeHtml(id)}" title="Remove">×</button>
+                                </span>
+                            `).join('')}
+                            <select class="peer-picker px-2 py-1 border border-gray-300 rounded-lg text-xs text-gray-700 bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+                                <option value="">+ Add peer</option>
+                                ${options.map(p => `<option value="${Utils.escapeHtml(p.memberId)}">${Utils.escapeHtml(p.name || p.memberId)}${p.department ? ` (${Utils.escapeHtml(p.department)})` : ''}</option>`).join('')}
+                            </select>
+                            <button type="button" class="btn-team-peers text-xs font-medium text-primary-600 hover:text-primary-700">Same team</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Adds up to three colleagues from the participant's department as peers
+     * @param {string} memberId - Participant
+     */
+    const addTeamPeers = (memberId) => {
+        const member = members.find(m => m.memberId === memberId);
+        const peers = draftPeers[memberId];
+        if (!member || !peers) return;
+
+        const team = members.filter(m =>
+            m.memberId !== memberId && m.status !== 'Inactive' &&
+            m.department && m.department === member.department && !peers.includes(m.memberId)
+        );
+        if (team.length === 0) {
+            Utils.showToast(`Nobody else in ${member.department || 'this department'} to add`, 'info');
+            return;
+        }
+
+        team.slice(0, Math.max(0, 3 - peers.length)).forEach(m => peers.push(m.memberId));
+        renderParticipants();
+    };
+
+    /**
+     * Validates and saves the cycle modal
+     */
+    const saveCycle = async () => {
+        if (isSaving) return;
+
+        const cycle = {
+            cycleId: $(SELECTORS.cycleId).val() || undefined,
+            name: $(SELECTORS.cycleName).val().trim(),
+            startDate: $(SELECTORS.cycleStartDate).val(),
+            endDate: $(SELECTORS.cycleEndDate).val(),
+            participants: Object.keys(draftPeers),
+            peers: draftPeers
+        };
+
+        if (!cycle.name) {
+            Utils.showToast('Give the cycle a name', 'error');
+            $(SELECTORS.cycleName).focus();
+            return;
+        }
+        if (!cycle.startDate || !cycle.endDate || cycle.endDate < cycle.startDate) {
+            Utils.showToast('Pick an opening date and a closing date on or after it', 'error');
+            return;
+        }
+        if (cycle.participants.length === 0) {
+            Utils.showToast('Pick at least one participant', 'error');
+            return;
+        }
+
+        isSaving = true;
+        $(SELECTORS.btnSaveCycle).prop('disabled', true);
+
+        try {
+            await API.saveReviewCycle(cycle);
+            Utils.showToast(`Saved ${cycle.name}`, 'success');
+            closeCycleModal();
+            await loadData();
+            if (trackedCycleId) await openTracker(trackedCycleId);
+        } catch (error) {
+            CONFIG.logError('Failed to save review cycle:', error);
+            Utils.showToast(error.message || 'Failed to save review cycle', 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnSaveCycle).prop('disabled', false);
+        }
+    };
+
+    /**
+     * Deletes a cycle nobody has submitted a review in yet
+     * @param {string} cycleId - Cycle ID
+     */
+    const deleteCycle = async (cycleId) => {
+        const cycle = cycles.find(c => c.cycleId === cycleId);
+        if (!cycle) return;
+
+        const confirmed = await Utils.showConfirm(
+            `Delete the review cycle “${cycle.name}”? This can't be undone.`,
+            'Delete Review Cycle'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.deleteReviewCycle(cycleId);
+            Utils.showToast(`Deleted ${cycle.name}`, 'success');
+            if (trackedCycleId === cycleId) closeTracker();
+            await loadData();
+        } catch (error) {
+            CONFIG.logError('Failed to delete review cycle:', error);
+            Utils.showToast(error.message || 'Failed to delete review cycle', 'error');
+        }
+    };
+
+    // ============================================
+    // ✍️ REVIEW FORM
+    // ============================================
+
+    /**
+     * Opens the review form for one assignment
+     * @param {Object} assignment - From API.getReviewAssignments
+     */
+    const openReviewForm = (assignment) => {
+        writing = assignment;
+        const template = Utils.resolveRatingTemplate(assignment.endDate.slice(0, 7), assignment.department, templates);
+        const scores = assignment.review ? assignment.review.scores : {};
+
+        $(SELECTORS.reviewFormTitle).text(assignment.type === 'self'
+            ? 'Self-assessment'
+            : `${CONFIG.REVIEW_TYPES[assignment.type]} of ${assignment.memberName}`);
+        $(SELECTORS.reviewFormSubject).text(`${assignment.cycleName} · due ${Utils.formatDateDisplay(assignment.endDate)}`);
+        $(SELECTORS.reviewFormNote).toggleClass('hidden', assignment.type !== 'peer');
+        $(SELECTORS.reviewTemplateInfo).text(`${template.name} template · scored 1–${template.scale}`);
+        $(SELECTORS.reviewComments).val(assignment.review ? assignment.review.comments : '');
+        $(SELECTORS.btnSubmitReviewForm).text(assignment.review ? 'Update Review' : 'Submit Review');
+
+        $(SELECTORS.reviewCriteria).html(template.criteria.map(criterion => {
+            const value = Math.min(parseInt(scores[criterion.key], 10) || Math.ceil(template.scale / 2), template.scale);
+
+            return `
+                <div class="review-slider-group">
+                    <div class="flex items-center justify-between mb-2">
+                        <label for="review_${criterion.key}" class="text-sm font-medium text-gray-700">${Utils.escapeHtml(criterion.label)}</label>
+                        <span class="review-criterion-value text-sm font-semibold text-primary-600">${value}</span>
+                    </div>
+                    <input type="range"
+                           id="review_${criterion.key}"
+                           class="review-criterion w-full"
+                           data-key="${criterion.key}"
+                           min="1"
+                           max="${template.scale}"
+                           value="${value}">
+                    <div class="flex justify-between text-xs text-gray-400 mt-1">
+                        <span>Poor</span>
+                        <span>Excellent</span>
+                    </div>
+                </div>
+            `;
+        }).join(''));
+
+        $(SELECTORS.reviewFormModal).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(SELECTORS.reviewFormModal).find('.modal-content').removeClass('scale-95 opacity-0');
+        }, 10);
+    };
+
+    /**
+     * Closes the review form
+     */
+    const closeReviewForm = () => {
+        const modal = $(SELECTORS.reviewFormModal);
+        modal.find('.modal-content').addClass('scale-95 opacity-0');
+
+        setTimeout(() => {
+            modal.removeClass('flex').addClass('hidden');
+            writing = null;
+        }, 200);
+    };
+
+    /**
+     * Submits the open review form
+     */
+    const submitReviewForm = async () => {
+        if (!writing || isSaving) return;
+
+        const scores = {};
+        $(SELECTORS.reviewCriteria).find('.review-criterion').each(function() {
+            scores[$(this).data('key')] = parseInt($(this).val(), 10) || 0;
+        });
+
+        isSaving = true;
+        $(SELECTORS.btnSubmitReviewForm).prop('disabled', true);
+
+        try {
+            await API.submitReview({
+                cycleId: writing.cycleId,
+                memberId: writing.memberId,
+                type: writing.type,
+                scores,
+                comments: $(SELECTORS.reviewComments).val().trim()
+            });
+            Utils.showToast(writing.review ? 'Review updated' : 'Review submitted', 'success');
+            closeReviewForm();
+            await loadData();
+            if (trackedCycleId) await openTracker(trackedCycleId);
+        } catch (error) {
+            CONFIG.logError('Failed to submit review:', error);
+            Utils.showToast(error.message || 'Failed to submit review', 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnSubmitReviewForm).prop('disabled', false);
+        }
+    };
+
+    // ============================================
+    // 🎯 EVENT LISTENERS
+    // ============================================
+
+    /**
+     * Sets up all event listeners
+     */
+    const setupEventListeners = () => {
+        $(SELECTORS.btnNewCycle).on('click', () => openCycleModal());
+
+        // Rows are re-rendered, so their buttons are delegated
+        $(SELECTORS.assignmentList).on('click', '.btn-write-review', function() {
+            openReviewForm(assignments[$(this).data('index')]);
+        });
+        $(SELECTORS.cycleTableBody)
+            .on('click', '.btn-track-cycle', function() {
+                openTracker($(this).data('cycle-id'));
+            })
+            .on('click', '.btn-edit-cycle', function() {
+                openCycleModal($(this).data('cycle-id'));
+            })
+            .on('click', '.btn-delete-cycle', function() {
+                deleteCycle($(this).data('cycle-id'));
+            });
+        $(SELECTORS.btnCloseTracker).on('click', closeTracker);
+
+        // Cycle modal
+        $(SELECTORS.btnSaveCycle).on('click', saveCycle);
+        $(`${SELECTORS.btnCancelCycle}, ${SELECTORS.btnCloseCycleModal}`).on('click', closeCycleModal);
+        $(SELECTORS.participantSearch).on('input', debounce(renderParticipants, 200));
+        $(SELECTORS.participantDepartment).on('change', renderParticipants);
+        $(SELECTORS.participantList)
+            .on('change', '.participant-toggle', function() {
+                const memberId = $(this).closest('.participant-row').data('member-id');
+                if (this.checked) {
+                    draftPeers[memberId] = draftPeers[memberId] || [];
+                } else {
+                    delete draftPeers[memberId];
+                }
+                renderParticipants();
+            })
+            .on('change', '.peer-picker', function() {
+                const memberId = $(this).closest('.participant-row').data('member-id');
+                if ($(this).val()) draftPeers[memberId].push($(this).val());
+                renderParticipants();
+            })
+            .on('click', '.btn-remove-peer', function() {
+                const memberId = $(this).closest('.participant-row').data('member-id');
+                draftPeers[memberId] = draftPeers[memberId].filter(id => id !== $(this).data('peer-id'));
+                renderParticipants();
+            })
+            .on('click', '.btn-team-peers', function() {
+                addTeamPeers($(this).closest('.participant-row').data('member-id'));
+            });
+
+        // Review form
+        $(SELECTORS.btnSubmitReviewForm).on('click', submitReviewForm);
+        $(`${SELECTORS.btnCancelReviewForm}, ${SELECTORS.btnCloseReviewFormModal}`).on('click', closeReviewForm);
+        $(SELECTORS.reviewCriteria).on('input', '.review-criterion', function() {
+            $(this).closest('.review-slider-group').find('.review-criterion-value').text($(this).val());
+        });
+
+        // Close on backdrop click
+        $(SELECTORS.cycleModal).on('click', function(e) {
+            if (e.target === this) closeCycleModal();
+        });
+        $(SELECTORS.reviewFormModal).on('click', function(e) {
+            if (e.target === this) closeReviewForm();
+        });
+
+        // Close on escape key
+        $(document).on('keydown', function(e) {
+            if (e.key !== 'Escape') return;
+            if (!$(SELECTORS.reviewFormModal).hasClass('hidden')) closeReviewForm();
+            else if (!$(SELECTORS.cycleModal).hasClass('hidden')) closeCycleModal();
+        });
+    };
+
+    /**
+     * Debounce utility function
+     */
+    const debounce = (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    };
+
+    /**
+     * Reloads everything from the server
+     */
+    const refresh = async () => {
+        API.invalidateCache(['getReviewCycles', 'getReviewAssignments', 'getReviewTracker']);
+        await loadData();
+        if (trackedCycleId) await openTracker(trackedCycleId);
+        Utils.showToast('Reviews refreshed', 'info');
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init,
+        refresh
+    };
+
+})();
+
+// ============================================
+// 🚀 DOCUMENT READY
+// ============================================
+
+$(document).ready(function() {
+    ReviewsPage.init();
+});
@@ -0,0 +1,853 @@
+/**
+ * SquidX HRM — Shift Roster Page Controller
+ * ===========================================
+ * Weekly roster of who works which shift:
+ * - Members × days grid built from shift assignments
+ * - Shift definitions (start/end, grace, break; overnight allowed)
+ * - Assigning a shift, or a rotation of shifts, for a date range
+ * - Managers only assign members of their own department
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js
+ *   - /assets/js/api.js
+ *   - /assets/js/auth.js
+ *   - /assets/js/utils.js
+ */
+
+const RosterPage = (function() {
+    'use strict';
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    let settings = {};
+    let members = [];
+    let shifts = [];
+    let assignments = [];
+    let holidays = [];
+    let weekStart = null;
+    let isSaving = false;
+
+    /**
+     * Tailwind classes for each shift colour
+     */
+    const SHIFT_COLORS = {
+        blue: 'bg-blue-100 text-blue-800 border-blue-200',
+        green: 'bg-green-100 text-green-800 border-green-200',
+        amber: 'bg-amber-100 text-amber-800 border-amber-200',
+        purple: 'bg-purple-100 text-purple-800 border-purple-200',
+        rose: 'bg-rose-100 text-rose-800 border-rose-200',
+        teal: 'bg-teal-100 text-teal-800 border-teal-200',
+        gray: 'bg-gray-100 text-gray-800 border-gray-200'
+    };
+
+    // ============================================
+    // 🎯 DOM SELECTORS
+    // ============================================
+
+    const SELECTORS = {
+        weekLabel: '#weekLabel',
+        btnPrevWeek: '#btnPrevWeek',
+        btnNextWeek: '#btnNextWeek',
+        btnThisWeek: '#btnThisWeek',
+        searchInput: '#searchInput',
+        filterDepartment: '#filterDepartment',
+        shiftLegend: '#shiftLegend',
+        rosterHead: '#rosterHead',
+        rosterBody: '#rosterBody',
+        assignmentTableBody: '#assignmentTableBody',
+        btnManageShifts: '#btnManageShifts',
+        btnAssignShift: '#btnAssignShift',
+
+        // Shifts modal
+        shiftsModal: '#shiftsModal',
+        shiftList: '#shiftList',
+        shiftId: '#shiftId',
+        shiftName: '#shiftName',
+        shiftStart: '#shiftStart',
+        shiftEnd: '#shiftEnd',
+        shiftGrace: '#shiftGrace',
+        shiftBreak: '#shiftBreak',
+        shiftColor: '#shiftColor',
+        shiftOvernightHint: '#shiftOvernightHint',
+        btnSaveShift: '#btnSaveShift',
+        btnResetShiftForm: '#btnResetShiftForm',
+        btnCloseShiftsModal: '#btnCloseShiftsModal',
+
+        // Assign modal
+        assignModal: '#assignModal',
+        assignMemberList: '#assignMemberList',
+        assignShift: '#assignShift',
+        assignRotate: '#assignRotate',
+        singleShiftRow: '#singleShiftRow',
+        rotationRow: '#rotationRow',
+        rotationShiftList: '#rotationShiftList',
+        rotationDays: '#rotationDays',
+        rotationStagger: '#rotationStagger',
+        assignStartDate: '#assignStartDate',
+        assignEndDate: '#assignEndDate',
+        btnSaveAssign: '#btnSaveAssign',
+        btnCancelAssign: '#btnCancelAssign',
+        btnCloseAssignModal: '#btnCloseAssignModal'
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Initializes the roster page
+     */
+    const init = async () => {
+        CONFIG.log('Initializing Roster Page...');
+
+        weekStart = getWeekStart(Utils.getUrlParam('week') || Utils.getToday());
+        applyPermissions();
+        setupEventListeners();
+        await loadData();
+    };
+
+    /**
+     * Hides the controls the current role can't use
+     */
+    const applyPermissions = () => {
+        $(SELECTORS.btnManageShifts).toggleClass('hidden', !Auth.can('shifts.manage'));
+        $(SELECTORS.btnAssignShift).toggleClass('hidden', !Auth.can('shifts.assign'));
+    };
+
+    // ============================================
+    // 📡 DATA LOADING
+    // ============================================
+
+    /**
+     * Loads settings, members, shifts and holidays, then the week
+     */
+    const loadData = async () => {
+        try {
+            const [settingsData, memberData, shiftData, holidayData] = await Promise.all([
+                API.getSettings().catch(() => ({ StartTime: '09:00', WorkingHoursPerDay: '8' })),
+                API.getAllMembers(),
+                API.getShifts(),
+                API.getHolidays().catch(() => [])
+            ]);
+
+            settings = settingsData || {};
+            members = (memberData || []).filter(m => m.status === 'Active');
+            shifts = shiftData || [];
+            holidays = holidayData || [];
+
+            populateFilters();
+            renderLegend();
+            await loadWeek();
+        } catch (error) {
+            CONFIG.logError('Failed to load roster:', error);
+            Utils.showToast(error.message || 'Failed to load the roster', 'error');
+            renderError();
+        }
+    };
+
+    /**
+     * Loads assignments overlapping the selected week and renders it
+     */
+    const loadWeek = async () => {
+        Utils.setUrlParam('week', weekStart);
+
+        try {
+            assignments = await API.getShiftAssignments(weekStart, addDays(weekStart, 6)) || [];
+            render();
+        } catch (error) {
+            CONFIG.logError('Failed to load shift assignments:', error);
+            Utils.showToast(error.message || 'Failed to load shift assignments', 'error');
+            renderError();
+        }
+    };
+
+    // ============================================
+    // 📅 DATE HELPERS
+    // ============================================
+
+    /**
+     * Returns a YYYY-MM-DD date shifted by a number of days
+     */
+    const addDays = (date, days) => {
+        const [y, m, d] = date.split('-').map(Number);
+        return Utils.formatDate(new Date(y, m - 1, d + days));
+    };
+
+    /**
+     * Returns the Monday of the week containing a date
+     */
+    const getWeekStart = (date) => {
+        const [y, m, d] = date.split('-').map(Number);
+        const day = new Date(y, m - 1, d).getDay();
+        return addDays(date, day === 0 ? -6 : 1 - day);
+    };
+
+    /**
+     * Lists the seven dates of the selected week
+     */
+    const getWeekDates = () => {
+        return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+    };
+
+    /**
+     * Moves the roster by a number of weeks (0 = this week)
+     */
+    const changeWeek = (weeks) => {
+        weekStart = weeks === 0 ? getWeekStart(Utils.getToday()) : addDays(weekStart, weeks * 7);
+        loadWeek();
+    };
+
+    // ============================================
+    // 🎨 RENDERING
+    // ============================================
+
+    /**
+     * Renders the week label, the grid and the assignment list
+     */
+    const render = () => {
+        const weekEnd = addDays(weekStart, 6);
+        $(SELECTORS.weekLabel).text(`${Utils.formatDateDisplay(weekStart)} – ${Utils.formatDateDisplay(weekEnd)}`);
+
+        renderGrid();
+        renderAssignments();
+    };
+
+    /**
+     * Renders one chip per shift, plus the default schedule
+     */
+    const renderLegend = () => {
+        const chips = shifts.map(s => renderShiftChip(s, true));
+        chips.push(`
+            <span class="inline-flex items-center px-2.5 py-1 rounded-md border text-xs font-medium bg-white text-gray-500 border-dashed border-gray-300">
+                Default · ${Utils.formatTimeDisplay(settings.StartTime || '09:00')}
+            </span>
+        `);
+        $(SELECTORS.shiftLegend).html(chips.join(''));
+    };
+
+    /**
+     * Renders a shift as a coloured chip
+     */
+    const renderShiftChip = (shift, withTimes = false) => {
+        const colors = SHIFT_COLORS[shift.color] || SHIFT_COLORS.blue;
+        const times = `${Utils.formatTimeDisplay(shift.startTime)} – ${Utils.formatTimeDisplay(shift.endTime)}`;
+
+        return `
+            <span class="inline-flex items-center px-2.5 py-1 rounded-md border text-xs font-medium ${colors}" title="${Utils.escapeHtml(`${shift.name}: ${times}`)}">
+                ${Utils.escapeHtml(shift.name)}${withTimes ? ` · ${times}` : ''}
+                ${Utils.isOvernightShift(shift) ? '<span class="ml-1" title="Overnight">🌙</span>' : ''}
+            </span>
+        `;
+    };
+
+    /**
+     * Renders the members × days grid
+     */
+    const renderGrid = () => {
+        const dates = getWeekDates();
+        const today = Utils.getToday();
+
+        $(SELECTORS.rosterHead).html(`
+            <tr>
+                <th scope="col" class="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Employee</th>
+                ${dates.map(date => `
+                    <th scope="col" class="px-3 py-4 text-center text-xs font-semibold uppercase tracking-wider ${date === today ? 'text-primary-700 bg-primary-50' : 'text-gray-600'}">
+                        ${Utils.getDayName(date)}<br>
+                        <span class="font-normal normal-case">${Number(date.slice(8))}</span>
+                    </th>
+                `).join('')}
+            </tr>
+        `);
+
+        const filtered = applyFilters(members);
+        if (filtered.length === 0) {
+            $(SELECTORS.rosterBody).html(`
+                <tr><td colspan="8" class="px-6 py-12 text-center text-gray-500">No members match your filters</td></tr>
+            `);
+            return;
+        }
+
+        $(SELECTORS.rosterBody).html(filtered.map(member => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-6 py-3 whitespace-nowrap">
+                    <a href="${Utils.getMemberLink(member.memberId)}" class="flex items-center group">
+                        <img class="h-8 w-8 rounded-full object-cover"
+                             src="${member.photoURL || Utils.getAvatarUrl(member.name)}"
+                             alt="${Utils.escapeHtml(member.name)}"
+                             onerror="this.src='${Utils.getAvatarUrl(member.name)}'">
+                        <div class="ml-3">
+                            <div class="text-sm font-medium text-gray-900 group-hover:text-primary-600">${Utils.escapeHtml(member.name)}</div>
+                            <div class="text-xs text-gray-500">${Utils.escapeHtml(member.department || '')}</div>
+                        </div>
+                    </a>
+                </td>
+                ${dates.map(date => renderCell(member, date)).join('')}
+            </tr>
+        `).join(''));
+    };
+
+    /**
+     * Renders one roster cell: the member's shift that day, or the
+     * default schedule; holidays are noted underneath
+     */
+    const renderCell = (member, date) => {
+        const shift = Utils.resolveShift(member.memberId, date, assignments, shifts);
+        const holiday = Utils.findHoliday(date, holidays, member.department);
+        const canAssign = Auth.can('shifts.assign', member);
+
+        return `
+            <td class="px-2 py-3 text-center align-top ${canAssign ? 'roster-cell cursor-pointer hover:bg-primary-50' : ''}"
+                data-member-id="${Utils.escapeHtml(member.memberId)}" data-date="${date}">
+                ${shift
+                    ? renderShiftChip(shift)
+                    : '<span class="text-xs text-gray-400">Default</span>'}
+                ${holiday ? `<div class="mt-1 text-[11px] text-purple-600 truncate" title="${Utils.escapeHtml(holiday.name)}">${Utils.escapeHtml(holiday.name)}</div>` : ''}
+            </td>
+        `;
+    };
+
+    /**
+     * Lists the assignments overlapping the week, for removal
+     */
+    const renderAssignments = () => {
+        const visible = new Set(applyFilters(members).map(m => m.memberId));
+        const rows = assignments.filter(a => visible.has(a.memberId));
+
+        if (rows.length === 0) {
+            $(SELECTORS.assignmentTableBody).html(`
+                <tr><td colspan="4" class="px-6 py-8 text-center text-sm text-gray-500">No shift assignments this week — everyone works the default schedule</td></tr>
+            `);
+            return;
+        }
+
+        $(SELECTORS.assignmentTableBody).html(rows.map(a => {
+            const member = members.find(m => m.memberId === a.memberId);
+            const shift = shifts.find(s => s.shiftId === a.shiftId);
+            const canRemove = Auth.can('shifts.assign', member);
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-3 text-sm text-gray-900">${Utils.escapeHtml(member?.name || a.memberId)}</td>
+                    <td class="px-6 py-3">${shift ? renderShiftChip(shift, true) : '<span class="text-xs text-gray-400">Deleted shift</span>'}</td>
+                    <td class="px-6 py-3 text-sm text-gray-600 whitespace-nowrap">
+                        ${Utils.formatDateDisplay(a.startDate)} – ${a.endDate ? Utils.formatDateDisplay(a.endDate) : 'ongoing'}
+                    </td>
+                    <td class="px-6 py-3 text-right">
+                        ${canRemove ? `
+                            <button class="btn-delete-assignment text-sm font-medium text-red-600 hover:text-red-800" data-assignment-id="${Utils.escapeHtml(a.assignmentId)}">
+                                Remove
+                            </button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join(''));
+    };
+
+    /**
+     * Renders an error row in the grid
+     */
+    const renderError = () => {
+        $(SELECTORS.rosterBody).html(`
+            <tr><td colspan="8" class="px-6 py-12 text-center text-red-500">Failed to load the roster. Please refresh.</td></tr>
+        `);
+    };
+
+    // ============================================
+    // 🔍 FILTERING
+    // ============================================
+
+    /**
+     * Fills the department filter from the member list
+     */
+    const populateFilters = () => {
+        const $select = $(SELECTORS.filterDepartment);
+        const current = $select.val();
+        const departments = [...new Set(members.map(m => m.department).filter(Boolean))].sort();
+
+        $select.find('option:not(:first)').remove();
+        departments.forEach(dept => {
+            $select.append(`<option value="${Utils.escapeHtml(dept)}">${Utils.escapeHtml(dept)}</option>`);
+        });
+
+        if (current && departments.includes(current)) {
+            $select.val(current);
+        } else if (Auth.hasRole(CONFIG.USER_ROLES.MANAGER) && departments.includes(Auth.getUser()?.department)) {
+            // Managers start on their own team
+            $select.val(Auth.getUser().department);
+        }
+    };
+
+    /**
+     * Applies search and department filters to members
+     */
+    const applyFilters = (list) => {
+        const query = ($(SELECTORS.searchInput).val() || '').trim().toLowerCase();
+        const department = $(SELECTORS.filterDepartment).val();
+
+        return list
+            .filter(m => !department || department === 'all' || m.department === department)
+            .filter(m => !query || (m.name || '').toLowerCase().includes(query))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    };
+
+    // ============================================
+    // 🕘 SHIFTS MODAL
+    // ============================================
+
+    /**
+     * Opens the shift definitions modal
+     */
+    const openShiftsModal = () => {
+        resetShiftForm();
+        renderShiftList();
+        openModal(SELECTORS.shiftsModal);
+    };
+
+    /**
+     * Closes the shift definitions modal
+     */
+    const closeShiftsModal = () => {
+        closeModal(SELECTORS.shiftsModal);
+    };
+
+    /**
+     * Renders the list of shifts with edit/delete buttons
+     */
+    const renderShiftList = () => {
+        if (shifts.length === 0) {
+            $(SELECTORS.shiftList).html('<p class="text-sm text-gray-500 text-center py-4">No shifts yet. Everyone works the default schedule from Settings.</p>');
+            return;
+        }
+
+        $(SELECTORS.shiftList).html(shifts.map(s => `
+            <div class="flex items-center justify-between py-2">
+                <div class="flex items-center gap-3">
+                    ${renderShiftChip(s)}
+                    <span class="text-xs text-gray-500">
+                        ${Utils.formatTimeDisplay(s.startTime)} – ${Utils.formatTimeDisplay(s.endTime)}
+                        · ${s.graceMinutes} min grace · ${s.breakMinutes} min break
+                    </span>
+                </div>
+                <div class="flex items-center gap-3 text-sm">
+                    <button class="btn-edit-shift font-medium text-primary-600 hover:text-primary-800" data-shift-id="${Utils.escapeHtml(s.shiftId)}">Edit</button>
+                    <button class="btn-delete-shift font-medium text-red-600 hover:text-red-800" data-shift-id="${Utils.escapeHtml(s.shiftId)}">Delete</button>
+                </div>
+            </div>
+        `).join(''));
+    };
+
+    /**
+     * Clears the shift form back to "new shift"
+     */
+    const resetShiftForm = () => {
+        $(SELECTORS.shiftId).val('');
+        $(SELECTORS.shiftName).val('');
+        $(SELECTORS.shiftStart).val('');
+        $(SELECTORS.shiftEnd).val('');
+        $(SELECTORS.shiftGrace).val(settings.LateGracePeriod || '10');
+        $(SELECTORS.shiftBreak).val(settings.BreakDuration || '60');
+        $(SELECTORS.shiftColor).val('blue');
+        $(SELECTORS.btnSaveShift).text('Add Shift');
+        updateOvernightHint();
+    };
+
+    /**
+     * Loads a shift into the form for editing
+     */
+    const editShift = (shiftId) => {
+        const shift = shifts.find(s => s.shiftId === shiftId);
+        if (!shift) return;
+
+        $(SELECTORS.shiftId).val(shift.shiftId);
+        $(SELECTORS.shiftName).val(shift.name);
+        $(SELECTORS.shiftStart).val(shift.startTime);
+        $(SELECTORS.shiftEnd).val(shift.endTime);
+        $(SELECTORS.shiftGrace).val(shift.graceMinutes);
+        $(SELECTORS.shiftBreak).val(shift.breakMinutes);
+        $(SELECTORS.shiftColor).val(shift.color || 'blue');
+        $(SELECTORS.btnSaveShift).text('Update Shift');
+        updateOvernightHint();
+    };
+
+    /**
+     * Shows a hint when the entered end time is on the next day
+     */
+    const updateOvernightHint = () => {
+        const start = $(SELECTORS.shiftStart).val();
+        const end = $(SELECTORS.shiftEnd).val();
+        $(SELECTORS.shiftOvernightHint).toggleClass('hidden', !(start && end && Utils.isOvernightShift({ startTime: start, endTime: end })));
+    };
+
+    /**
+     * Saves the shift in the form
+     */
+    const saveShift = async () => {
+        if (isSaving) return;
+
+        const shift = {
+            name: $(SELECTORS.shiftName).val().trim(),
+            startTime: $(SELECTORS.shiftStart).val(),
+            endTime: $(SELECTORS.shiftEnd).val(),
+            graceMinutes: Number($(SELECTORS.shiftGrace).val()) || 0,
+            breakMinutes: Number($(SELECTORS.shiftBreak).val()) || 0,
+            color: $(SELECTORS.shiftColor).val()
+        };
+        const shiftId = $(SELECTORS.shiftId).val();
+        if (shiftId) shift.shiftId = shiftId;
+
+        if (!shift.name || !shift.startTime || !shift.endTime) {
+            Utils.showToast('Enter a name, start time and end time', 'warning');
+            return;
+        }
+
+        isSaving = true;
+        $(SELECTORS.btnSaveShift).prop('disabled', true);
+
+        try {
+            await API.saveShift(shift);
+            Utils.showToast(`Shift "${shift.name}" saved`, 'success');
+            shifts = await API.getShifts();
+            resetShiftForm();
+            renderShiftList();
+            renderLegend();
+            render();
+        } catch (error) {
+            CONFIG.logError('Failed to save shift:', error);
+            Utils.showToast(error.message || 'Failed to save shift', 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnSaveShift).prop('disabled', false);
+        }
+    };
+
+    /**
+     * Deletes a shift after confirmation
+     */
+    const deleteShift = async (shiftId) => {
+        const shift = shifts.find(s => s.shiftId === shiftId);
+        if (!shift) return;
+
+        const confirmed = await Utils.showConfirm(`Delete the "${shift.name}" shift?`, 'Delete Shift');
+        if (!confirmed) return;
+
+        try {
+            await API.deleteShift(shiftId);
+            Utils.showToast(`Shift "${shift.name}" deleted`, 'success');
+            shifts = await API.getShifts();
+            renderShiftList();
+            renderLegend();
+            render();
+        } catch (error) {
+            CONFIG.logError('Failed to delete shift:', error);
+            Utils.showToast(error.message || 'Failed to delete shift', 'error');
+        }
+    };
+
+    // ============================================
+    // 📝 ASSIGN MODAL
+    // ============================================
+
+    /**
+     * Opens the assign modal, optionally preselecting a member and date
+     */
+    const openAssignModal = (memberId = null, date = null) => {
+        if (shifts.length === 0) {
+            Utils.showToast('Add a shift first', 'warning');
+            if (Auth.can('shifts.manage')) openShiftsModal();
+            return;
+        }
+
+        const assignable = members
+            .filter(m => Auth.can('shifts.assign', m))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        $(SELECTORS.assignMemberList).html(assignable.map(m => `
+            <label class="flex items-center gap-3 px-3 py-2 hover:bg-gray-50 rounded-lg cursor-pointer">
+                <input type="checkbox" class="assign-member rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                       value="${Utils.escapeHtml(m.memberId)}" ${m.memberId === memberId ? 'checked' : ''}>
+                <span class="text-sm text-gray-900">${Utils.escapeHtml(m.name)}</span>
+                <span class="text-xs text-gray-500">${Utils.escapeHtml(m.department || '')}</span>
+            </label>
+        `).join(''));
+
+        const options = shifts.map(s =>
+            `<option value="${Utils.escapeHtml(s.shiftId)}">${Utils.escapeHtml(s.name)} (${s.startTime}–${s.endTime})</option>`
+        ).join('');
+        $(SELECTORS.assignShift).html(options);
+
+        $(SELECTORS.rotationShiftList).html(shifts.map(s => `
+            <label class="inline-flex items-center gap-2 mr-4 text-sm text-gray-700 cursor-pointer">
+                <input type="checkbox" class="rotation-shift rounded border-gray-300 text-primary-600 focus:ring-primary-500" value="${Utils.escapeHtml(s.shiftId)}">
+                ${Utils.escapeHtml(s.name)}
+            </label>
+        `).join(''));
+
+        $(SELECTORS.assignRotate).prop('checked', false);
+        $(SELECTORS.rotationDays).val('7');
+        $(SELECTORS.rotationStagger).prop('checked', false);
+        $(SELECTORS.assignStartDate).val(date || weekStart);
+        $(SELECTORS.assignEndDate).val(date || '');
+        toggleRotation();
+
+        openModal(SELECTORS.assignModal);
+    };
+
+    /**
+     * Closes the assign modal
+     */
+    const closeAssignModal = () => {
+        closeModal(SELECTORS.assignModal);
+    };
+
+    /**
+     * Switches between a single shift and a rotation
+     */
+    const toggleRotation = () => {
+        const rotate = $(SELECTORS.assignRotate).is(':checked');
+        $(SELECTORS.singleShiftRow).toggleClass('hidden', rotate);
+        $(SELECTORS.rotationRow).toggleClass('hidden', !rotate);
+    };
+
+    /**
+     * Builds the assignments for a rotation: the chosen shifts take turns
+     * every `days` days from the start date; with stagger each member
+     * starts one step further along, so the shifts stay covered
+     */
+    const buildRotation = (memberIds, shiftIds, startDate, endDate, days, stagger) => {
+        const rows = [];
+
+        memberIds.forEach((memberId, memberIndex) => {
+            for (let block = 0, from = startDate; from <= endDate; block++, from = addDays(from, days)) {
+                const to = addDays(from, days - 1);
+                rows.push({
+                    memberId,
+                    shiftId: shiftIds[(block + (stagger ? memberIndex : 0)) % shiftIds.length],
+                    startDate: from,
+                    endDate: to < endDate ? to : endDate
+                });
+            }
+        });
+
+        return rows;
+    };
+
+    /**
+     * Saves the assignment (or rotation) in the modal
+     */
+    const saveAssignment = async () => {
+        if (isSaving) return;
+
+        const memberIds = $(SELECTORS.assignMemberList).find('.assign-member:checked').map(function() {
+            return $(this).val();
+        }).get();
+        const startDate = $(SELECTORS.assignStartDate).val();
+        const endDate = $(SELECTORS.assignEndDate).val();
+        const rotate = $(SELECTORS.assignRotate).is(':checked');
+
+        if (memberIds.length === 0) {
+            Utils.showToast('Select at least one member', 'warning');
+            return;
+        }
+        if (!startDate) {
+            Utils.showToast('Choose a start date', 'warning');
+            return;
+        }
+        if (endDate && endDate < startDate) {
+            Utils.showToast('End date cannot be before start date', 'warning');
+            return;
+        }
+
+        let rows;
+        if (rotate) {
+            const shiftIds = $(SELECTORS.rotationShiftList).find('.rotation-shift:checked').map(function() {
+                return $(this).val();
+            }).get();
+            const days = parseInt($(SELECTORS.rotationDays).val(), 10);
+
+            if (shiftIds.length < 2) {
+                Utils.showToast('Pick at least two shifts to rotate', 'warning');
+                return;
+            }
+            if (!endDate) {
+                Utils.showToast('A rotation needs an end date', 'warning');
+                return;
+            }
+            if (!(days >= 1 && days <= 31)) {
+                Utils.showToast('Rotate every 1 to 31 days', 'warning');
+                return;
+            }
+
+            rows = buildRotation(memberIds, shiftIds, startDate, endDate, days, $(SELECTORS.rotationStagger).is(':checked'));
+        } else {
+            rows = memberIds.map(memberId => ({
+                memberId,
+                shiftId: $(SELECTORS.assignShift).val(),
+                startDate,
+                endDate
+            }));
+        }
+
+        isSaving = true;
+        $(SELECTORS.btnSaveAssign).prop('disabled', true);
+
+        try {
+            await API.assignShifts(rows);
+            Utils.showToast(`Shift${rows.length === 1 ? '' : 's'} assigned to ${memberIds.length} member${memberIds.length === 1 ? '' : 's'}`, 'success');
+            closeAssignModal();
+            await loadWeek();
+        } catch (error) {
+            CONFIG.logError('Failed to assign shifts:', error);
+            Utils.showToast(error.message || 'Failed to assign shifts', 'error');
+        } finally {
+            isSaving = false;
+            $(SELECTORS.btnSaveAssign).prop('disabled', false);
+        }
+    };
+
+    /**
+     * Removes an assignment after confirmation
+     */
+    const deleteAssignment = async (assignmentId) => {
+        const confirmed = await Utils.showConfirm(
+            'Remove this shift assignment? The member falls back to any other assignment or the default schedule.',
+            'Remove Assignment'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.deleteShiftAssignment(assignmentId);
+            Utils.showToast('Assignment removed', 'success');
+            await loadWeek();
+        } catch (error) {
+            CONFIG.logError('Failed to remove assignment:', error);
+            Utils.showToast(error.message || 'Failed to remove assignment', 'error');
+        }
+    };
+
+    // ============================================
+    // 🪟 MODAL HELPERS
+    // ============================================
+
+    /**
+     * Shows a modal with the scale/fade animation
+     */
+    const openModal = (selector) => {
+        $(selector).removeClass('hidden').addClass('flex');
+        setTimeout(() => {
+            $(selector).find('.modal-content').removeClass('scale-95 opacity-0');
+        }, 10);
+    };
+
+    /**
+     * Hides a modal with the scale/fade animation
+     */
+    const closeModal = (selector) => {
+        $(selector).find('.modal-content').addClass('scale-95 opacity-0');
+        setTimeout(() => {
+            $(selector).removeClass('flex').addClass('hidden');
+        }, 200);
+    };
+
+    // ============================================
+    // 🎯 EVENT LISTENERS
+    // ============================================
+
+    /**
+     * Sets up all event listeners
+     */
+    const setupEventListeners = () => {
+        $(SELECTORS.btnPrevWeek).on('click', () => changeWeek(-1));
+        $(SELECTORS.btnNextWeek).on('click', () => changeWeek(1));
+        $(SELECTORS.btnThisWeek).on('click', () => changeWeek(0));
+
+        $(SELECTORS.searchInput).on('input', debounce(render, 300));
+        $(SELECTORS.filterDepartment).on('change', render);
+
+        $(SELECTORS.btnManageShifts).on('click', openShiftsModal);
+        $(SELECTORS.btnAssignShift).on('click', () => openAssignModal());
+
+        // Roster cells open the assign modal for that member and day
+        $(SELECTORS.rosterBody).on('click', '.roster-cell', function() {
+            openAssignModal($(this).data('member-id'), $(this).data('date'));
+        });
+        $(SELECTORS.assignmentTableBody).on('click', '.btn-delete-assignment', function() {
+            deleteAssignment($(this).data('assignment-id'));
+        });
+
+        // Shifts modal
+        $(SELECTORS.btnSaveShift).on('click', saveShift);
+        $(SELECTORS.btnResetShiftForm).on('click', resetShiftForm);
+        $(SELECTORS.btnCloseShiftsModal).on('click', closeShiftsModal);
+        $(`${SELECTORS.shiftStart}, ${SELECTORS.shiftEnd}`).on('change input', updateOvernightHint);
+        $(SELECTORS.shiftList)
+            .on('click', '.btn-edit-shift', function() {
+                editShift($(this).data('shift-id'));
+            })
+            .on('click', '.btn-delete-shift', function() {
+                deleteShift($(this).data('shift-id'));
+            });
+
+        // Assign modal
+        $(SELECTORS.assignRotate).on('change', toggleRotation);
+        $(SELECTORS.btnSaveAssign).on('click', saveAssignment);
+        $(`${SELECTORS.btnCancelAssign}, ${SELECTORS.btnCloseAssignModal}`).on('click', closeAssignModal);
+
+        // Close on backdrop click
+        $(`${SELECTORS.shiftsModal}, ${SELECTORS.assignModal}`).on('click', function(e) {
+            if (e.target === this) closeModal(this);
+        });
+
+        // Close on escape key
+        $(document).on('keydown', function(e) {
+            if (e.key !== 'Escape') return;
+            if ($(SELECTORS.assignModal).hasClass('flex')) closeAssignModal();
+            else if ($(SELECTORS.shiftsModal).hasClass('flex')) closeShiftsModal();
+        });
+    };
+
+    /**
+     * Debounce utility function
+     */
+    const debounce = (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    };
+
+    /**
+     * Reloads everything from the server
+     */
+    const refresh = async () => {
+        API.invalidateCache(['getShifts', 'getShiftAssignments']);
+        await loadData();
+        Utils.showToast('Roster refreshed', 'info');
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init,
+        refresh,
+        openAssignModal
+    };
+
+})();
+
+// ============================================
+// 🚀 DOCUMENT READY
+// ============================================
+
+$(document).ready(function() {
+    RosterPage.init();
+});
@@ -7,11 +7,13 @@
  * - Validating all input fields
  * - Detecting unsaved changes
  * - Resetting to defaults
+ * - Managing the holiday calendar (add, edit, delete, CSV/iCal import)
  * 
  * Dependencies:
  *   - jQuery
  *   - /config/sheet-config.js
  *   - /assets/js/api.js
+ *   - /assets/js/auth.js
  *   - /assets/js/utils.js
  */
 
@@ -47,6 +49,31 @@ const SettingsPage = (function() {
      */
     let isInitialized = false;
 
+    /**
+     * Holiday calendar entries, sorted by date
+     */
+    let holidays = [];
+
+    /**
+     * Holiday being edited in the add/edit row (null when adding)
+     */
+    let editingHolidayId = null;
+
+    /**
+     * Flag to prevent overlapping recalculation previews and saves
+     */
+    let isBackfilling = false;
+
+    /**
+     * Members offered in the recalculation member set
+     */
+    let backfillMembers = [];
+
+    /**
+     * Changes found by the last recalculation preview, waiting to be applied
+     */
+    let backfillPreview = null;
+
     // ============================================
     // 🔧 CONFIGURATION & DEFAULTS
     // ============================================
@@ -60,13 +87,41 @@ const SettingsPage = (function() {
         WorkingDays: 'Mon|Tue|Wed|Thu|Fri',
         WorkingHoursPerDay: '8',
         PaidLeavePerMonth: '2',
+        SickLeavePerYear: '10',
+        CasualLeavePerYear: '6',
+        CarryForwardCap: '6',
+        CarryForwardExpiryMonths: '0',
+        ProrateJoiningMonth: 'Yes',
         CompanyName: 'SquidX',
         CompanyLogo: '',
         BreakDuration: '60',
         AllowHalfDay: 'Yes',
-        AutoCalculateStatus: 'Yes'
+        FullDayMinHours: '6',
+        HalfDayMinHours: '4',
+        EarlyLeaveCutoff: '30',
+        MissingPunchOut: 'Keep',
+        AutoCalculateStatus: 'Yes',
+        PayrollLatesPerDeduction: '3',
+        PayrollLateDeductionDays: '0.5',
+        PayrollHalfDayDeductionDays: '0.5',
+        PayrollAbsentDeductionDays: '1',
+        PayrollColumns: 'memberId|name|department|workingDays|daysPresent|lateCount|unpaidLeaveDays|overtimeHours|deductionDays|payableDays'
     };
 
+    /**
+     * Settings that change how attendance status or hours are worked out;
+     * saving a change to any of them offers a recalculation
+     */
+    const RECALC_SETTING_KEYS = [
+        'StartTime', 'LateGracePeriod', 'WorkingHoursPerDay', 'BreakDuration',
+        'AllowHalfDay', 'FullDayMinHours', 'HalfDayMinHours', 'EarlyLeaveCutoff', 'MissingPunchOut'
+    ];
+
+    /**
+     * Records written per saveAttendance call when applying a recalculation
+     */
+    const RECALC_CHUNK_SIZE = 50;
+
     /**
      * Valid day abbreviations
      */
@@ -102,6 +157,11 @@ const SettingsPage = (function() {
         
         // Leave Settings
         paidLeavePerMonth: '#paidLeavePerMonth',
+        sickLeavePerYear: '#sickLeavePerYear',
+        casualLeavePerYear: '#casualLeavePerYear',
+        carryForwardCap: '#carryForwardCap',
+        carryForwardExpiryMonths: '#carryForwardExpiryMonths',
+        prorateJoiningMonth: '#prorateJoiningMonth',
         
         // Company Settings
         companyName: '#companyName',
@@ -112,6 +172,19 @@ const SettingsPage = (function() {
         allowHalfDay: '#allowHalfDay',
         autoCalculateStatus: '#autoCalculateStatus',
         
+        // Status Rules
+        fullDayMinHours: '#fullDayMinHours',
+        halfDayMinHours: '#halfDayMinHours',
+        earlyLeaveCutoff: '#earlyLeaveCutoff',
+        missingPunchOut: '#missingPunchOut',
+        
+        // Payroll
+        payrollLatesPerDeduction: '#payrollLatesPerDeduction',
+        payrollLateDeductionDays: '#payrollLateDeductionDays',
+        payrollHalfDayDeductionDays: '#payrollHalfDayDeductionDays',
+        payrollAbsentDeductionDays: '#payrollAbsentDeductionDays',
+        payrollColumnsList: '#payrollColumnsList',
+        
         // Day Checkboxes (alternative UI)
         dayCheckboxes: '.day-checkbox',
         
@@ -123,10 +196,41 @@ const SettingsPage = (function() {
         // Status Indicators
         unsavedBadge: '#unsavedBadge',
         saveStatus: '#saveStatus',
+        readOnlyNotice: '#readOnlyNotice',
         
         // Containers
         settingsContainer: '#settingsContainer',
-        loadingOverlay: '#settingsLoadingOverlay'
+        loadingOverlay: '#settingsLoadingOverlay',
+
+        // Holiday calendar
+        holidayCard: '#holidayCard',
+        holidayManage: '.holiday-manage',
+        holidayYearFilter: '#holidayYearFilter',
+        holidayTableBody: '#holidayTableBody',
+        holidayDate: '#holidayDate',
+        holidayName: '#holidayName',
+        holidayDepartment: '#holidayDepartment',
+        holidayRecurring: '#holidayRecurring',
+        btnSaveHoliday: '#btnSaveHoliday',
+        btnCancelHolidayEdit: '#btnCancelHolidayEdit',
+        btnImportHolidays: '#btnImportHolidays',
+        holidayImportFile: '#holidayImportFile',
+
+        // Attendance recalculation
+        backfillCard: '#backfillCard',
+        backfillStartDate: '#backfillStartDate',
+        backfillEndDate: '#backfillEndDate',
+        backfillMembers: '#backfillMembers',
+        btnBackfillStatuses: '#btnBackfillStatuses',
+        backfillResult: '#backfillResult',
+        backfillPreview: '#backfillPreview',
+        backfillPreviewSummary: '#backfillPreviewSummary',
+        backfillPreviewBody: '#backfillPreviewBody',
+        backfillProgress: '#backfillProgress',
+        backfillProgressBar: '#backfillProgressBar',
+        backfillProgressText: '#backfillProgressText',
+        btnApplyBackfill: '#btnApplyBackfill',
+        btnDiscardBackfill: '#btnDiscardBackfill'
     };
 
     // ============================================
@@ -152,9 +256,17 @@ const SettingsPage = (function() {
             // Setup event listeners
             bindEventListeners();
             
+            // Lock the form for roles that can't edit settings
+            applyPermissions();
+            
             // Setup navigation warning
             setupNavigationWarning();
             
+            // Holiday calendar loads on its own; a failure there shouldn't block settings
+            loadHolidays();
+            initBackfillRange();
+            loadBackfillMembers();
+            
             // Mark as initialized
             isInitialized = true;
             
@@ -173,10 +285,31 @@ const SettingsPage = (function() {
             originalSettings = { ...DEFAULT_SETTINGS };
             loadSettingsToUI();
             bindEventListeners();
+            applyPermissions();
+            loadHolidays();
+            initBackfillRange();
+            loadBackfillMembers();
             isInitialized = true;
         }
     };
 
+    /**
+     * Makes the page read-only when the current role can't edit settings
+     */
+    const applyPermissions = () => {
+        if (Auth.can('settings.edit')) return;
+
+        $(SELECTORS.settingsForm).find('input, select, textarea').prop('disabled', true);
+        $(`${SELECTORS.btnSaveSettings}, ${SELECTORS.btnResetDefaults}, ${SELECTORS.btnCancelChanges}`).addClass('hidden');
+        $(SELECTORS.readOnlyNotice).removeClass('hidden');
+        $(SELECTORS.backfillCard).addClass('hidden');
+    };
+
+    /**
+     * Whether the current role can change the holiday calendar
+     */
+    const canManageHolidays = () => Auth.can('holidays.manage');
+
     /**
      * Load settings from API
      */
@@ -227,6 +360,11 @@ const SettingsPage = (function() {
         
         // Leave Settings
         $(SELECTORS.paidLeavePerMonth).val(settings.PaidLeavePerMonth || DEFAULT_SETTINGS.PaidLeavePerMonth);
+        $(SELECTORS.sickLeavePerYear).val(settings.SickLeavePerYear || DEFAULT_SETTINGS.SickLeavePerYear);
+        $(SELECTORS.casualLeavePerYear).val(settings.CasualLeavePerYear || DEFAULT_SETTINGS.CasualLeavePerYear);
+        $(SELECTORS.carryForwardCap).val(settings.CarryForwardCap || DEFAULT_SETTINGS.CarryForwardCap);
+        $(SELECTORS.carryForwardExpiryMonths).val(settings.CarryForwardExpiryMonths || DEFAULT_SETTINGS.CarryForwardExpiryMonths);
+        setToggleValue(SELECTORS.prorateJoiningMonth, settings.ProrateJoiningMonth || DEFAULT_SETTINGS.ProrateJoiningMonth);
         
         // Company Settings
         $(SELECTORS.companyName).val(settings.CompanyName || DEFAULT_SETTINGS.CompanyName);
@@ -237,6 +375,19 @@ const SettingsPage = (function() {
         setToggleValue(SELECTORS.allowHalfDay, settings.AllowHalfDay);
         setToggleValue(SELECTORS.autoCalculateStatus, settings.AutoCalculateStatus);
         
+        // Status Rules (a blank early-leave cutoff turns the rule off)
+        $(SELECTORS.fullDayMinHours).val(settings.FullDayMinHours || DEFAULT_SETTINGS.FullDayMinHours);
+        $(SELECTORS.halfDayMinHours).val(settings.HalfDayMinHours || DEFAULT_SETTINGS.HalfDayMinHours);
+        $(SELECTORS.earlyLeaveCutoff).val(settings.EarlyLeaveCutoff ?? DEFAULT_SETTINGS.EarlyLeaveCutoff);
+        $(SELECTORS.missingPunchOut).val(settings.MissingPunchOut || DEFAULT_SETTINGS.MissingPunchOut);
+        
+        // Payroll (0 is a valid rate, so only blanks fall back)
+        $(SELECTORS.payrollLatesPerDeduction).val(settings.PayrollLatesPerDeduction ?? DEFAULT_SETTINGS.PayrollLatesPerDeduction);
+        $(SELECTORS.payrollLateDeductionDays).val(settings.PayrollLateDeductionDays ?? DEFAULT_SETTINGS.PayrollLateDeductionDays);
+        $(SELECTORS.payrollHalfDayDeductionDays).val(settings.PayrollHalfDayDeductionDays ?? DEFAULT_SETTINGS.PayrollHalfDayDeductionDays);
+        $(SELECTORS.payrollAbsentDeductionDays).val(settings.PayrollAbsentDeductionDays ?? DEFAULT_SETTINGS.PayrollAbsentDeductionDays);
+        renderPayrollColumns(settings.PayrollColumns || DEFAULT_SETTINGS.PayrollColumns);
+        
         // Clear any error states
         clearAllErrors();
         
@@ -289,6 +440,48 @@ const SettingsPage = (function() {
         }
     };
 
+    /**
+     * Render the payroll export column list: the chosen columns first in
+     * their export order, then the remaining fields unticked
+     */
+    const renderPayrollColumns = (value) => {
+        const fields = CONFIG.PAYROLL_COLUMNS;
+        const chosen = Utils.parsePayrollColumns(value);
+        const rest = Object.keys(fields)
+            .filter(key => !chosen.some(c => c.key === key))
+            .map(key => ({ key, label: fields[key] }));
+        const locked = !Auth.can('settings.edit') ? 'disabled' : '';
+        
+        const rows = [...chosen.map(c => ({ ...c, included: true })), ...rest].map(c => `
+            <div class="payroll-column flex items-center gap-3 px-3 py-2" data-key="${c.key}">
+                <input type="checkbox" class="payroll-column-include rounded border-gray-300 text-primary-600 focus:ring-primary-500" ${c.included ? 'checked' : ''} ${locked}>
+                <span class="w-40 text-xs text-gray-500 truncate" title="${Utils.escapeHtml(fields[c.key])}">${Utils.escapeHtml(fields[c.key])}</span>
+                <input type="text" class="payroll-column-label flex-1 border border-gray-300 rounded-lg text-sm px-3 py-1.5 focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${Utils.escapeHtml(c.label)}" ${locked}>
+                <button type="button" class="payroll-column-move p-1 text-gray-400 hover:text-gray-700 rounded" data-direction="up" title="Move up" ${locked}>
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15l7-7 7 7"></path></svg>
+                </button>
+                <button type="button" class="payroll-column-move p-1 text-gray-400 hover:text-gray-700 rounded" data-direction="down" title="Move down" ${locked}>
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
+                </button>
+            </div>
+        `).join('');
+        
+        $(SELECTORS.payrollColumnsList).html(rows);
+    };
+
+    /**
+     * Read the ticked payroll columns, in list order, as a PayrollColumns value
+     */
+    const collectPayrollColumns = () => {
+        const columns = $(SELECTORS.payrollColumnsList).find('.payroll-column').toArray()
+            .filter(row => $(row).find('.payroll-column-include').prop('checked'))
+            .map(row => ({
+                key: $(row).data('key'),
+                label: $(row).find('.payroll-column-label').val()
+            }));
+        return Utils.formatPayrollColumns(columns);
+    };
+
     // ============================================
     // ✅ VALIDATION FUNCTIONS
     // ============================================
@@ -462,6 +655,18 @@ const SettingsPage = (function() {
         return true;
     };
 
+    /**
+     * Validates a decimal number (e.g. days) within a range
+     * @param {string} value - Value to validate
+     * @param {number} min - Minimum allowed
+     * @param {number} max - Maximum allowed
+     * @returns {boolean} - True if valid
+     */
+    const validateDecimal = (value, min, max) => {
+        const num = parseFloat(value);
+        return !isNaN(num) && num >= min && num <= max;
+    };
+
     /**
      * Validates all settings and returns errors
      * @returns {Object} { valid: boolean, errors: string[] }
@@ -508,6 +713,27 @@ const SettingsPage = (function() {
             markFieldError(SELECTORS.breakDuration);
         }
         
+        // Validate status rules
+        const fullDayHours = $(SELECTORS.fullDayMinHours).val();
+        const halfDayHours = $(SELECTORS.halfDayMinHours).val();
+        if (!validateNumber(fullDayHours, 0, 24)) {
+            errors.push('Full Day Minimum must be between 0 and 24 hours');
+            markFieldError(SELECTORS.fullDayMinHours);
+        }
+        if (!validateNumber(halfDayHours, 0, 24)) {
+            errors.push('Half Day Minimum must be between 0 and 24 hours');
+            markFieldError(SELECTORS.halfDayMinHours);
+        } else if (parseFloat(halfDayHours) > parseFloat(fullDayHours)) {
+            errors.push('Half Day Minimum cannot be more than the Full Day Minimum');
+            markFieldError(SELECTORS.halfDayMinHours);
+        }
+        
+        const earlyLeaveCutoff = $(SELECTORS.earlyLeaveCutoff).val();
+        if (earlyLeaveCutoff && !validateNumber(earlyLeaveCutoff, 0, 480)) {
+            errors.push('Early Leave Cutoff must be between 0 and 480 minutes');
+            markFieldError(SELECTORS.earlyLeaveCutoff);
+        }
+        
         // Validate Paid Leave Per Month
         const paidLeave = $(SELECTORS.paidLeavePerMonth).val();
         if (!validateNumber(paidLeave, 0, 31)) {
@@ -515,6 +741,44 @@ const SettingsPage = (function() {
             markFieldError(SELECTORS.paidLeavePerMonth);
         }
         
+        // Validate yearly leave allowances
+        [
+            { selector: SELECTORS.sickLeavePerYear, label: 'Sick Leave Per Year' },
+            { selector: SELECTORS.casualLeavePerYear, label: 'Casual Leave Per Year' },
+            { selector: SELECTORS.carryForwardCap, label: 'Carry Forward Cap' }
+        ].forEach(({ selector, label }) => {
+            if (!validateNumber($(selector).val(), 0, 366)) {
+                errors.push(`${label} must be between 0 and 366 days`);
+                markFieldError(selector);
+            }
+        });
+        
+        // Validate carried leave expiry
+        if (!validateNumber($(SELECTORS.carryForwardExpiryMonths).val(), 0, 12)) {
+            errors.push('Carried Leave Expires After must be between 0 and 12 months');
+            markFieldError(SELECTORS.carryForwardExpiryMonths);
+        }
+        
+        // Validate payroll deduction rules
+        if (!validateNumber($(SELECTORS.payrollLatesPerDeduction).val(), 0, 31)) {
+            errors.push('Lates Per Deduction must be between 0 and 31');
+            markFieldError(SELECTORS.payrollLatesPerDeduction);
+        }
+        [
+            { selector: SELECTORS.payrollLateDeductionDays, label: 'Late Deduction', max: 31 },
+            { selector: SELECTORS.payrollHalfDayDeductionDays, label: 'Half Day Deduction', max: 1 },
+            { selector: SELECTORS.payrollAbsentDeductionDays, label: 'Absence Deduction', max: 5 }
+        ].forEach(({ selector, label, max }) => {
+            if (!validateDecimal($(selector).val(), 0, max)) {
+                errors.push(`${label} must be between 0 and ${max} day${max === 1 ? '' : 's'}`);
+                markFieldError(selector);
+            }
+        });
+        if (!collectPayrollColumns()) {
+            errors.push('Pick at least one payroll export column');
+            $('#error_payrollColumns').removeClass('hidden');
+        }
+        
         // Validate Company Logo URL
         const logoUrl = $(SELECTORS.companyLogo).val();
         if (logoUrl && !validateURL(logoUrl)) {
@@ -586,11 +850,25 @@ const SettingsPage = (function() {
             WorkingDays: workingDays || DEFAULT_SETTINGS.WorkingDays,
             WorkingHoursPerDay: $(SELECTORS.workingHoursPerDay).val() || DEFAULT_SETTINGS.WorkingHoursPerDay,
             PaidLeavePerMonth: $(SELECTORS.paidLeavePerMonth).val() || DEFAULT_SETTINGS.PaidLeavePerMonth,
+            SickLeavePerYear: $(SELECTORS.sickLeavePerYear).val() || DEFAULT_SETTINGS.SickLeavePerYear,
+            CasualLeavePerYear: $(SELECTORS.casualLeavePerYear).val() || DEFAULT_SETTINGS.CasualLeavePerYear,
+            CarryForwardCap: $(SELECTORS.carryForwardCap).val() || DEFAULT_SETTINGS.CarryForwardCap,
+            CarryForwardExpiryMonths: $(SELECTORS.carryForwardExpiryMonths).val() || DEFAULT_SETTINGS.CarryForwardExpiryMonths,
+            ProrateJoiningMonth: getToggleValue(SELECTORS.prorateJoiningMonth),
             CompanyName: $(SELECTORS.companyName).val() || DEFAULT_SETTINGS.CompanyName,
             CompanyLogo: $(SELECTORS.companyLogo).val() || '',
             BreakDuration: $(SELECTORS.breakDuration).val() || DEFAULT_SETTINGS.BreakDuration,
             AllowHalfDay: getToggleValue(SELECTORS.allowHalfDay),
-            AutoCalculateStatus: getToggleValue(SELECTORS.autoCalculateStatus)
+            FullDayMinHours: $(SELECTORS.fullDayMinHours).val() || DEFAULT_SETTINGS.FullDayMinHours,
+            HalfDayMinHours: $(SELECTORS.halfDayMinHours).val() || DEFAULT_SETTINGS.HalfDayMinHours,
+            EarlyLeaveCutoff: ($(SELECTORS.earlyLeaveCutoff).val() || '').trim(),
+            MissingPunchOut: $(SELECTORS.missingPunchOut).val() || DEFAULT_SETTINGS.MissingPunchOut,
+            AutoCalculateStatus: getToggleValue(SELECTORS.autoCalculateStatus),
+            PayrollLatesPerDeduction: ($(SELECTORS.payrollLatesPerDeduction).val() || '').trim() || '0',
+            PayrollLateDeductionDays: ($(SELECTORS.payrollLateDeductionDays).val() || '').trim() || '0',
+            PayrollHalfDayDeductionDays: ($(SELECTORS.payrollHalfDayDeductionDays).val() || '').trim() || '0',
+            PayrollAbsentDeductionDays: ($(SELECTORS.payrollAbsentDeductionDays).val() || '').trim() || '0',
+            PayrollColumns: collectPayrollColumns()
         };
     };
 
@@ -598,6 +876,9 @@ const SettingsPage = (function() {
      * Save settings to API
      */
     const saveSettings = async () => {
+        // Read-only roles (also covers the Ctrl+S shortcut)
+        if (!Auth.can('settings.edit')) return;
+        
         // Prevent double submission
         if (isSaving) {
             CONFIG.log('Save already in progress');
@@ -624,9 +905,13 @@ const SettingsPage = (function() {
             await API.updateSettings(settingsToSave);
             
             // Update local state
+            const previousSettings = originalSettings;
             settings = { ...settingsToSave };
             originalSettings = JSON.parse(JSON.stringify(settings));
             
+            // A preview made with the old rules no longer applies
+            if (backfillPreview) discardRecalculation();
+            
             // Reset unsaved changes
             hasUnsavedChanges = false;
             updateUnsavedIndicator();
@@ -636,6 +921,8 @@ const SettingsPage = (function() {
             
             CONFIG.log('Settings saved:', settings);
             
+            promptRecalculation(previousSettings, settings);
+            
         } catch (error) {
             CONFIG.logError('Failed to save settings:', error);
             Utils.showToast(error.message || 'Failed to save settings', 'error');
@@ -649,6 +936,8 @@ const SettingsPage = (function() {
      * Reset all settings to defaults
      */
     const resetDefaults = async () => {
+        if (!Auth.can('settings.edit')) return;
+        
         const confirmed = await Utils.showConfirm(
             'This will reset all settings to their default values. You will still need to click Save to apply the changes.',
             'Reset to Defaults?'
@@ -824,6 +1113,572 @@ const SettingsPage = (function() {
         }
     };
 
+    // ============================================
+    // 🎉 HOLIDAY CALENDAR
+    // ============================================
+
+    /**
+     * Load holidays (and departments for admins) and render the card
+     */
+    const loadHolidays = async () => {
+        if (!canManageHolidays()) {
+            $(SELECTORS.holidayManage).addClass('hidden');
+        }
+
+        try {
+            const [holidayList, members] = await Promise.all([
+                API.getHolidays(),
+                canManageHolidays() ? API.getMemberNames() : Promise.resolve([])
+            ]);
+            holidays = holidayList || [];
+
+            populateHolidayDepartments(members || []);
+            populateHolidayYears();
+            renderHolidays();
+        } catch (error) {
+            CONFIG.logError('Failed to load holidays:', error);
+            $(SELECTORS.holidayTableBody).html(`
+                <tr><td colspan="5" class="px-4 py-6 text-center text-sm text-red-500">Failed to load holidays</td></tr>
+            `);
+        }
+    };
+
+    /**
+     * Fill the "Applies To" select with departments from the member list
+     */
+    const populateHolidayDepartments = (members) => {
+        const $select = $(SELECTORS.holidayDepartment);
+        const departments = [...new Set(members.map(m => m.department).filter(Boolean))].sort();
+
+        $select.find('option:not(:first)').remove();
+        departments.forEach(dept => {
+            $select.append(`<option value="${Utils.escapeHtml(dept)}">${Utils.escapeHtml(dept)}</option>`);
+        });
+    };
+
+    /**
+     * Fill the year filter with every year that has a one-off holiday,
+     * plus the current and next year
+     */
+    const populateHolidayYears = () => {
+        const $select = $(SELECTORS.holidayYearFilter);
+        const current = $select.val();
+        const thisYear = new Date().getFullYear();
+        const years = new Set([thisYear, thisYear + 1]);
+        holidays.forEach(h => years.add(Number(h.date.slice(0, 4))));
+
+        $select.empty();
+        [...years].sort((a, b) => b - a).forEach(year => {
+            $select.append(`<option value="${year}">${year}</option>`);
+        });
+        $select.val(current && years.has(Number(current)) ? current : String(thisYear));
+    };
+
+    /**
+     * Render holidays falling in the selected year. Recurring holidays are
+     * shown on their date in that year.
+     */
+    const renderHolidays = () => {
+        const year = $(SELECTORS.holidayYearFilter).val();
+        const canManage = canManageHolidays();
+
+        const rows = holidays
+            .filter(h => h.recurring ? h.date.slice(0, 4) <= year : h.date.startsWith(year))
+            .map(h => ({ ...h, displayDate: h.recurring ? `${year}${h.date.slice(4)}` : h.date }))
+            .sort((a, b) => a.displayDate.localeCompare(b.displayDate));
+
+        if (rows.length === 0) {
+            $(SELECTORS.holidayTableBody).html(`
+                <tr><td colspan="5" class="px-4 py-6 text-center text-sm text-gray-500">No holidays in ${Utils.escapeHtml(year)}</td></tr>
+            `);
+            return;
+        }
+
+        $(SELECTORS.holidayTableBody).html(rows.map(h => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                    ${Utils.formatDateDisplay(h.displayDate)}
+                    <span class="text-xs text-gray-500 ml-1">${Utils.getDayName(h.displayDate)}</span>
+                </td>
+                <td class="px-4 py-3 text-sm font-medium text-gray-900">${Utils.escapeHtml(h.name)}</td>
+                <td class="px-4 py-3 text-sm text-gray-600">${h.department ? Utils.escapeHtml(h.department) : 'All Departments'}</td>
+                <td class="px-4 py-3 text-sm text-gray-600">${h.recurring ? `Yearly since ${h.date.slice(0, 4)}` : 'Once'}</td>
+                ${canManage ? `
+                <td class="px-4 py-3 whitespace-nowrap text-right text-sm">
+                    <button type="button" class="btn-edit-holiday text-primary-600 hover:text-primary-800 font-medium mr-3" data-holiday-id="${Utils.escapeHtml(h.holidayId)}">Edit</button>
+                    <button type="button" class="btn-delete-holiday text-red-600 hover:text-red-800 font-medium" data-holiday-id="${Utils.escapeHtml(h.holidayId)}">Delete</button>
+                </td>` : ''}
+            </tr>
+        `).join(''));
+    };
+
+    /**
+     * Put a holiday into the add/edit row for editing
+     */
+    const editHoliday = (holidayId) => {
+        const holiday = holidays.find(h => h.holidayId === holidayId);
+        if (!holiday) return;
+
+        editingHolidayId = holidayId;
+        $(SELECTORS.holidayDate).val(holiday.date);
+        $(SELECTORS.holidayName).val(holiday.name);
+        $(SELECTORS.holidayDepartment).val(holiday.department || '');
+        $(SELECTORS.holidayRecurring).prop('checked', !!holiday.recurring);
+        $(SELECTORS.btnSaveHoliday).text('Update');
+        $(SELECTORS.btnCancelHolidayEdit).removeClass('hidden');
+        $(SELECTORS.holidayName).trigger('focus');
+    };
+
+    /**
+     * Clear the add/edit row back to "add" mode
+     */
+    const resetHolidayForm = () => {
+        editingHolidayId = null;
+        $(SELECTORS.holidayDate).val('');
+        $(SELECTORS.holidayName).val('');
+        $(SELECTORS.holidayDepartment).val('');
+        $(SELECTORS.holidayRecurring).prop('checked', false);
+        $(SELECTORS.btnSaveHoliday).text('Add').prop('disabled', false);
+        $(SELECTORS.btnCancelHolidayEdit).addClass('hidden');
+    };
+
+    /**
+     * Add or update the holiday in the add/edit row
+     */
+    const saveHoliday = async () => {
+        const holiday = {
+            date: $(SELECTORS.holidayDate).val(),
+            name: $(SELECTORS.holidayName).val().trim(),
+            department: $(SELECTORS.holidayDepartment).val(),
+            recurring: $(SELECTORS.holidayRecurring).is(':checked')
+        };
+
+        if (!holiday.date || !holiday.name) {
+            Utils.showToast('Enter a date and a name for the holiday', 'warning');
+            return;
+        }
+
+        $(SELECTORS.btnSaveHoliday).prop('disabled', true);
+        try {
+            if (editingHolidayId) {
+                await API.updateHoliday(editingHolidayId, holiday);
+                Utils.showToast('Holiday updated', 'success');
+            } else {
+                await API.addHoliday(holiday);
+                Utils.showToast('Holiday added', 'success');
+            }
+            resetHolidayForm();
+            await loadHolidays();
+        } catch (error) {
+            CONFIG.logError('Failed to save holiday:', error);
+            Utils.showToast(error.message || 'Failed to save holiday', 'error');
+            $(SELECTORS.btnSaveHoliday).prop('disabled', false);
+        }
+    };
+
+    /**
+     * Delete a holiday after confirmation
+     */
+    const deleteHoliday = async (holidayId) => {
+        const holiday = holidays.find(h => h.holidayId === holidayId);
+        if (!holiday) return;
+
+        const confirmed = await Utils.showConfirm(
+            `Delete "${holiday.name}"${holiday.recurring ? ' from every year' : ''}?`,
+            'Delete Holiday'
+        );
+        if (!confirmed) return;
+
+        try {
+            await API.deleteHoliday(holidayId);
+            if (editingHolidayId === holidayId) resetHolidayForm();
+            Utils.showToast('Holiday deleted', 'success');
+            await loadHolidays();
+        } catch (error) {
+            CONFIG.logError('Failed to delete holiday:', error);
+            Utils.showToast(error.message || 'Failed to delete holiday', 'error');
+        }
+    };
+
+    /**
+     * Parse rows of a holiday CSV: date,name[,recurring][,department].
+     * A header row is detected by its first cell not being a date.
+     */
+    const parseHolidayCsv = (text) => {
+        const rows = Utils.parseCsv(text);
+        if (rows.length === 0) return [];
+
+        let columns = ['date', 'name', 'recurring', 'department'];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(rows[0][0])) {
+            columns = rows.shift().map(c => c.toLowerCase());
+        }
+
+        return rows.map(row => {
+            const value = (key) => row[columns.indexOf(key)] || '';
+            return {
+                date: value('date'),
+                name: value('name'),
+                recurring: value('recurring'),
+                department: value('department')
+            };
+        });
+    };
+
+    /**
+     * Parse VEVENTs from an iCal file. Yearly RRULEs become recurring
+     * holidays; multi-day events contribute one holiday per day.
+     */
+    const parseHolidayIcs = (text) => {
+        // Unfold continuation lines (RFC 5545 §3.1)
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const holidays = [];
+        let event = null;
+
+        const toDate = (value) => value.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3');
+        const unescape = (value) => value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+
+        lines.forEach(line => {
+            const [rawKey, ...rest] = line.split(':');
+            const key = rawKey.split(';')[0].toUpperCase();
+            const value = rest.join(':').trim();
+
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT' && event) {
+                if (event.start && event.name) {
+                    const recurring = /FREQ=YEARLY/i.test(event.rrule || '');
+                    // DTEND is exclusive for all-day events
+                    const end = event.end ? new Date(`${event.end}T00:00:00`) : null;
+                    const day = new Date(`${event.start}T00:00:00`);
+                    do {
+                        holidays.push({ date: Utils.formatDate(day), name: event.name, recurring });
+                        day.setDate(day.getDate() + 1);
+                    } while (end && day < end);
+                }
+                event = null;
+            } else if (event) {
+                if (key === 'DTSTART') event.start = toDate(value);
+                if (key === 'DTEND') event.end = toDate(value);
+                if (key === 'SUMMARY') event.name = unescape(value);
+                if (key === 'RRULE') event.rrule = value;
+            }
+        });
+
+        return holidays;
+    };
+
+    /**
+     * Import holidays from a CSV or iCal file chosen by the user
+     */
+    const importHolidaysFromFile = async (file) => {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const isIcs = /\.ics$/i.test(file.name) || text.includes('BEGIN:VCALENDAR');
+            const parsed = isIcs ? parseHolidayIcs(text) : parseHolidayCsv(text);
+
+            if (parsed.length === 0) {
+                Utils.showToast('No holidays found in the file', 'warning');
+                return;
+            }
+
+            const result = await API.importHolidays(parsed);
+            const parts = [`${result.added} added`];
+            if (result.skipped) parts.push(`${result.skipped} already on the calendar`);
+            if (result.errors.length) parts.push(`${result.errors.length} invalid`);
+            Utils.showToast(`Holiday import: ${parts.join(', ')}`, result.errors.length ? 'warning' : 'success');
+
+            result.errors.forEach(e => CONFIG.log(`Holiday import row ${e.row}: ${e.message}`));
+            await loadHolidays();
+        } catch (error) {
+            CONFIG.logError('Failed to import holidays:', error);
+            Utils.showToast(error.message || 'Failed to import holidays', 'error');
+        } finally {
+            $(SELECTORS.holidayImportFile).val('');
+        }
+    };
+
+    // ============================================
+    // 🔁 ATTENDANCE RECALCULATION
+    // ============================================
+
+    /**
+     * Default the recalculation range to the current month so far
+     */
+    const initBackfillRange = () => {
+        const today = Utils.getToday();
+        $(SELECTORS.backfillStartDate).val(`${today.slice(0, 7)}-01`).attr('max', today);
+        $(SELECTORS.backfillEndDate).val(today).attr('max', today);
+    };
+
+    /**
+     * Fill the member set select with departments and members
+     */
+    const loadBackfillMembers = async () => {
+        if (!Auth.can('settings.edit')) return;
+
+        try {
+            backfillMembers = (await API.getMemberNames()) || [];
+        } catch (error) {
+            CONFIG.logError('Failed to load members for recalculation:', error);
+            backfillMembers = [];
+        }
+
+        const departments = [...new Set(backfillMembers.map(m => m.department).filter(Boolean))].sort();
+        const members = [...backfillMembers].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+        $(SELECTORS.backfillMembers).html(`
+            <option value="all">All members</option>
+            <optgroup label="Departments">
+                ${departments.map(d => `<option value="dept:${Utils.escapeHtml(d)}">${Utils.escapeHtml(d)}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Members">
+                ${members.map(m => `<option value="member:${Utils.escapeHtml(m.memberId)}">${Utils.escapeHtml(m.name)} (${Utils.escapeHtml(m.memberId)})</option>`).join('')}
+            </optgroup>
+        `);
+    };
+
+    /**
+     * Whether a record belongs to the chosen member set
+     * ("all", "dept:<name>" or "member:<id>")
+     */
+    const inBackfillScope = (record, scope) => {
+        if (!scope || scope === 'all') return true;
+        if (scope.startsWith('member:')) return record.memberId === scope.slice(7);
+
+        const member = backfillMembers.find(m => m.memberId === record.memberId);
+        return (member ? member.department : record.department) === scope.slice(5);
+    };
+
+    /**
+     * Re-run the saved status, lateness and hours rules over one record.
+     * Leave and holiday rows, and rows without a punch-in, keep their
+     * status; hours are only recomputed once there is a punch-out.
+     * @returns {Object|null} The changed fields, or null when nothing changes
+     */
+    const recalculateRecord = (record, shifts, assignments) => {
+        if (!record.punchIn) return null;
+
+        const shift = Utils.resolveShift(record.memberId, record.date, assignments, shifts);
+        const change = { date: record.date, memberId: record.memberId };
+
+        const keepsStatus = record.leaveId || record.status === 'On Leave' || record.status === 'Holiday';
+        const status = keepsStatus
+            ? record.status
+            : Utils.calculateAttendanceStatus(record.punchIn, record.punchOut, settings, shift, record.date);
+        if (status !== record.status) change.status = status;
+
+        const lateMinutes = keepsStatus ? 0 : Utils.calculateLateMinutes(record.punchIn, settings, shift);
+        if (lateMinutes !== (Number(record.lateMinutes) || 0) || record.lateMinutes === undefined) change.lateMinutes = lateMinutes;
+
+        if (record.punchOut) {
+            const hoursWorked = Utils.calculateHoursWorked(record.punchIn, record.punchOut, shift ? shift.breakMinutes : settings.BreakDuration);
+            if (hoursWorked !== String(record.hoursWorked || '')) change.hoursWorked = hoursWorked;
+        }
+
+        return change.status || change.hoursWorked || change.lateMinutes !== undefined ? change : null;
+    };
+
+    /**
+     * Work out what a recalculation would change and show the diff.
+     * Nothing is written until the preview is applied.
+     */
+    const previewRecalculation = async () => {
+        if (!Auth.can('settings.edit') || isBackfilling) return;
+
+        const startDate = $(SELECTORS.backfillStartDate).val();
+        const endDate = $(SELECTORS.backfillEndDate).val();
+        const scope = $(SELECTORS.backfillMembers).val();
+
+        if (!startDate || !endDate || startDate > endDate) {
+            Utils.showToast('Choose a valid date range to recalculate', 'warning');
+            return;
+        }
+        if (endDate > Utils.getToday()) {
+            Utils.showToast('The range cannot include future dates', 'warning');
+            return;
+        }
+        if (hasUnsavedChanges) {
+            Utils.showToast('Save your settings first — the recalculation uses the saved rules', 'warning');
+            return;
+        }
+
+        const $btn = $(SELECTORS.btnBackfillStatuses);
+
+        try {
+            isBackfilling = true;
+            backfillPreview = null;
+            $btn.prop('disabled', true).addClass('opacity-50');
+            $(SELECTORS.backfillPreview).addClass('hidden');
+            $(SELECTORS.backfillResult).removeClass('hidden').text('Checking attendance...');
+
+            const [records, shifts, assignments] = await Promise.all([
+                API.getAttendanceRange(startDate, endDate),
+                API.getShifts().catch(() => []),
+                API.getShiftAssignments(startDate, endDate).catch(() => [])
+            ]);
+
+            const scoped = (records || []).filter(r => inBackfillScope(r, scope));
+            const changes = [];
+            const transitions = {};
+            let hoursOnly = 0;
+
+            scoped.forEach(record => {
+                const change = recalculateRecord(record, shifts, assignments);
+                if (!change) return;
+
+                // saveAttendance replaces the whole row, so send all of it
+                // (without the display-only fields the range read adds)
+                const { memberName, memberPhoto, department, ...stored } = record;
+                changes.push({ ...stored, ...change });
+                if (change.status) {
+                    const key = `${record.status || 'No status'} → ${change.status}`;
+                    transitions[key] = (transitions[key] || 0) + 1;
+                } else {
+                    hoursOnly++;
+                }
+            });
+
+            if (changes.length === 0) {
+                $(SELECTORS.backfillResult).text(`All ${scoped.length} records already match the current rules.`);
+                return;
+            }
+
+            backfillPreview = { changes, startDate, endDate };
+            renderRecalculationPreview(transitions, hoursOnly, changes.length, scoped.length);
+            $(SELECTORS.backfillResult).addClass('hidden');
+        } catch (error) {
+            CONFIG.logError('Failed to preview recalculation:', error);
+            $(SELECTORS.backfillResult).text('Could not check attendance — nothing was changed.');
+            Utils.showToast(error.message || 'Failed to preview the recalculation', 'error');
+        } finally {
+            isBackfilling = false;
+            $btn.prop('disabled', false).removeClass('opacity-50');
+        }
+    };
+
+    /**
+     * Render the status transitions a recalculation would make
+     */
+    const renderRecalculationPreview = (transitions, hoursOnly, changed, total) => {
+        const rows = Object.entries(transitions)
+            .sort((a, b) => b[1] - a[1])
+            .map(([label, count]) => `
+                <tr>
+                    <td class="px-4 py-2 text-sm text-gray-700">${Utils.escapeHtml(label)}</td>
+                    <td class="px-4 py-2 text-sm text-right font-medium text-gray-900">${count}</td>
+                </tr>
+            `);
+
+        if (hoursOnly > 0) {
+            rows.push(`
+                <tr>
+                    <td class="px-4 py-2 text-sm text-gray-500">Hours worked or late minutes only</td>
+                    <td class="px-4 py-2 text-sm text-right font-medium text-gray-900">${hoursOnly}</td>
+                </tr>
+            `);
+        }
+
+        $(SELECTORS.backfillPreviewSummary).text(
+            `${changed} of ${total} record${total === 1 ? '' : 's'} between ${Utils.formatDate(backfillPreview.startDate)} and ${Utils.formatDate(backfillPreview.endDate)} will change.`
+        );
+        $(SELECTORS.backfillPreviewBody).html(rows.join(''));
+        $(SELECTORS.backfillProgress).addClass('hidden');
+        $(`${SELECTORS.btnApplyBackfill}, ${SELECTORS.btnDiscardBackfill}`).prop('disabled', false);
+        $(SELECTORS.backfillPreview).removeClass('hidden');
+    };
+
+    /**
+     * Write the previewed changes through saveAttendance in chunks,
+     * reporting progress as each chunk lands
+     */
+    const applyRecalculation = async () => {
+        if (!backfillPreview || isBackfilling) return;
+
+        const { changes } = backfillPreview;
+        const $controls = $(`${SELECTORS.btnApplyBackfill}, ${SELECTORS.btnDiscardBackfill}, ${SELECTORS.btnBackfillStatuses}`);
+        let saved = 0;
+        let queued = false;
+
+        try {
+            isBackfilling = true;
+            $controls.prop('disabled', true);
+            updateRecalculationProgress(0, changes.length);
+
+            for (let i = 0; i < changes.length; i += RECALC_CHUNK_SIZE) {
+                const chunk = changes.slice(i, i + RECALC_CHUNK_SIZE);
+                const result = await API.saveAttendance(chunk);
+                if (result && result.queued) queued = true;
+
+                saved += chunk.length;
+                updateRecalculationProgress(saved, changes.length);
+            }
+
+            backfillPreview = null;
+            $(SELECTORS.backfillPreview).addClass('hidden');
+            $(SELECTORS.backfillResult).removeClass('hidden').text(
+                queued
+                    ? `${saved} records saved offline — they will sync when you're back online.`
+                    : `Updated ${saved} attendance records.`
+            );
+            Utils.showToast(`Recalculated ${saved} attendance records`, 'success');
+        } catch (error) {
+            CONFIG.logError('Failed to apply recalculation:', error);
+            $(SELECTORS.backfillResult).removeClass('hidden').text(
+                `Stopped after ${saved} of ${changes.length} records. Preview again to finish the rest.`
+            );
+            Utils.showToast(error.message || 'Failed to save recalculated attendance', 'error');
+            backfillPreview = null;
+            $(SELECTORS.backfillPreview).addClass('hidden');
+        } finally {
+            isBackfilling = false;
+            $controls.prop('disabled', false);
+        }
+    };
+
+    /**
+     * Show how many records have been written so far
+     */
+    const updateRecalculationProgress = (done, total) => {
+        const percent = total ? Math.round((done / total) * 100) : 0;
+        $(SELECTORS.backfillProgress).removeClass('hidden');
+        $(SELECTORS.backfillProgressBar).css('width', `${percent}%`);
+        $(SELECTORS.backfillProgressText).text(`Saving ${done} of ${total} records...`);
+    };
+
+    /**
+     * Drop the previewed changes without saving
+     */
+    const discardRecalculation = () => {
+        if (isBackfilling) return;
+        backfillPreview = null;
+        $(SELECTORS.backfillPreview).addClass('hidden');
+        $(SELECTORS.backfillResult).removeClass('hidden').text('Recalculation discarded — no records were changed.');
+    };
+
+    /**
+     * After a save that changed how statuses or hours are worked out,
+     * offer to preview a recalculation of this month's attendance
+     */
+    const promptRecalculation = async (previous, saved) => {
+        const changed = RECALC_SETTING_KEYS.some(key =>
+            String(previous[key] ?? '').trim() !== String(saved[key] ?? '').trim()
+        );
+        if (!changed) return;
+
+        const confirmed = await Utils.showConfirm(
+            'Existing attendance keeps the status it was saved with. Preview a recalculation of this month with the new rules?',
+            'Recalculate Attendance?'
+        );
+        if (!confirmed) return;
+
+        initBackfillRange();
+        $(SELECTORS.backfillMembers).val('all');
+        $(SELECTORS.backfillCard)[0]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        previewRecalculation();
+    };
+
     // ============================================
     // 🎧 EVENT LISTENERS
     // ============================================
@@ -859,6 +1714,12 @@ const SettingsPage = (function() {
         // Track changes on all inputs
         const inputSelector = `${SELECTORS.startTime}, ${SELECTORS.lateGracePeriod}, ${SELECTORS.workingDays}, 
                               ${SELECTORS.workingHoursPerDay}, ${SELECTORS.breakDuration}, ${SELECTORS.paidLeavePerMonth}, 
+                              ${SELECTORS.sickLeavePerYear}, ${SELECTORS.casualLeavePerYear}, 
+                              ${SELECTORS.carryForwardCap}, ${SELECTORS.carryForwardExpiryMonths}, 
+                              ${SELECTORS.fullDayMinHours}, ${SELECTORS.halfDayMinHours}, 
+                              ${SELECTORS.earlyLeaveCutoff}, ${SELECTORS.missingPunchOut}, 
+                              ${SELECTORS.payrollLatesPerDeduction}, ${SELECTORS.payrollLateDeductionDays}, 
+                              ${SELECTORS.payrollHalfDayDeductionDays}, ${SELECTORS.payrollAbsentDeductionDays}, 
                               ${SELECTORS.companyName}, ${SELECTORS.companyLogo}`;
         
         $(inputSelector).off('input change').on('input change', function() {
@@ -867,10 +1728,26 @@ const SettingsPage = (function() {
         });
         
         // Toggle changes
-        $(`${SELECTORS.allowHalfDay}, ${SELECTORS.autoCalculateStatus}`).off('change').on('change', function() {
+        $(`${SELECTORS.allowHalfDay}, ${SELECTORS.autoCalculateStatus}, ${SELECTORS.prorateJoiningMonth}`).off('change').on('change', function() {
             markUnsavedChanges();
         });
         
+        // Payroll export columns
+        $(SELECTORS.payrollColumnsList).off('input change click')
+            .on('input change', '.payroll-column-include, .payroll-column-label', function() {
+                $('#error_payrollColumns').addClass('hidden');
+                markUnsavedChanges();
+            })
+            .on('click', '.payroll-column-move', function() {
+                const $row = $(this).closest('.payroll-column');
+                if ($(this).data('direction') === 'up') {
+                    $row.prev('.payroll-column').before($row);
+                } else {
+                    $row.next('.payroll-column').after($row);
+                }
+                markUnsavedChanges();
+            });
+        
         // Day checkboxes
         $(SELECTORS.dayCheckboxes).off('change').on('change', function() {
             // Sync with text input
@@ -896,6 +1773,31 @@ const SettingsPage = (function() {
             }
         });
         
+        // Holiday calendar
+        $(SELECTORS.holidayYearFilter).off('change').on('change', renderHolidays);
+        $(SELECTORS.btnSaveHoliday).off('click').on('click', saveHoliday);
+        $(SELECTORS.btnCancelHolidayEdit).off('click').on('click', resetHolidayForm);
+        $(SELECTORS.holidayName).off('keydown').on('keydown', function(e) {
+            if (e.key === 'Enter') saveHoliday();
+        });
+        $(SELECTORS.btnImportHolidays).off('click').on('click', () => $(SELECTORS.holidayImportFile).trigger('click'));
+        $(SELECTORS.holidayImportFile).off('change').on('change', function() {
+            importHolidaysFromFile(this.files[0]);
+        });
+        $(SELECTORS.holidayTableBody)
+            .off('click')
+            .on('click', '.btn-edit-holiday', function() {
+                editHoliday($(this).data('holiday-id'));
+            })
+            .on('click', '.btn-delete-holiday', function() {
+                deleteHoliday($(this).data('holiday-id'));
+            });
+        
+        // Attendance recalculation
+        $(SELECTORS.btnBackfillStatuses).off('click').on('click', previewRecalculation);
+        $(SELECTORS.btnApplyBackfill).off('click').on('click', applyRecalculation);
+        $(SELECTORS.btnDiscardBackfill).off('click').on('click', discardRecalculation);
+        
         // Keyboard shortcuts
         $(document).off('keydown.settings').on('keydown.settings', function(e) {
             // Ctrl/Cmd + S to save
@@ -922,6 +1824,7 @@ const SettingsPage = (function() {
         saveSettings,
         resetDefaults,
         loadSettings,
+        loadHolidays,
         
         // Expose for testing
         validateTime,
@@ -0,0 +1,708 @@
+/**
+ * SquidX HRM — Offline Sync Queue
+ * =================================
+ * Persistent outbox for attendance writes made while offline.
+ * - Queues saveAttendance / updateAttendance POSTs in IndexedDB
+ * - Replays them in order when connectivity returns
+ * - Shows a pending-sync badge in the navbar
+ * - Detects conflicts (server changed since the edit) and asks the
+ *   user how to resolve them before overwriting
+ * - Each entry belongs to the user who queued it and is only replayed
+ *   under that user's session; other users' entries wait for them
+ *
+ * Dependencies:
+ *   - jQuery
+ *   - /config/sheet-config.js
+ *   - /assets/js/api.js
+ *   - /assets/js/utils.js
+ */
+
+const SyncQueue = (function() {
+    'use strict';
+
+    // ============================================
+    // 🔧 CONFIGURATION & CONSTANTS
+    // ============================================
+
+    const OPTIONS = CONFIG.OFFLINE_QUEUE || { enabled: false, queueableActions: [] };
+    const STORE_NAME = 'outbox';
+
+    /**
+     * Attendance fields compared when looking for conflicts
+     */
+    const COMPARE_FIELDS = ['punchIn', 'punchOut', 'status', 'comments'];
+
+    /**
+     * DOM Selectors (navbar badge)
+     */
+    const SELECTORS = {
+        badge: '#syncStatusBadge',
+        badgeCount: '#syncStatusCount',
+        badgeIcon: '#syncStatusIcon'
+    };
+
+    // ============================================
+    // 📦 STATE VARIABLES
+    // ============================================
+
+    /**
+     * Open database promise (lazily created)
+     */
+    let dbPromise = null;
+
+    /**
+     * Cached number of pending entries (for synchronous checks)
+     */
+    let pendingCount = 0;
+
+    /**
+     * Replay in progress flag
+     */
+    let isReplaying = false;
+
+    /**
+     * Set when the user postpones a conflict — stops automatic replays
+     * from re-opening the dialog until they sync manually
+     */
+    let conflictDeferred = false;
+
+    // ============================================
+    // 💾 INDEXEDDB STORAGE
+    // ============================================
+
+    /**
+     * Wraps an IDBRequest in a Promise
+     */
+    const promisifyRequest = (request) => {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Opens the outbox database
+     * @returns {Promise<IDBDatabase>}
+     */
+    const openDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = window.indexedDB.open(OPTIONS.dbName || 'squidx-outbox', 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    /**
+     * Runs a callback against the outbox object store
+     */
+    const withStore = async (mode, callback) => {
+        const db = await openDatabase();
+        const tx = db.transaction(STORE_NAME, mode);
+        return promisifyRequest(callback(tx.objectStore(STORE_NAME)));
+    };
+
+    /**
+     * Returns all entries in insertion order
+     * @returns {Promise<Array>}
+     */
+    const getEntries = async () => {
+        const entries = await withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.id - b.id);
+    };
+
+    /**
+     * Returns the username entries are queued under (null when auth is off)
+     * @returns {string|null}
+     */
+    const currentOwner = () => {
+        if (!window.Auth || !Auth.isEnabled()) return null;
+        const user = Auth.getUser();
+        return user ? user.username : null;
+    };
+
+    /**
+     * Checks whether an entry was queued by the current user
+     */
+    const isOwnEntry = (entry) => (entry.owner || null) === currentOwner();
+
+    /**
+     * Returns the current user's entries in insertion order
+     * @returns {Promise<Array>}
+     */
+    const getOwnEntries = async () => (await getEntries()).filter(isOwnEntry);
+
+    /**
+     * Saves an entry (insert or update)
+     */
+    const putEntry = (entry) => withStore('readwrite', store => store.put(entry));
+
+    /**
+     * Removes an entry by ID
+     */
+    const removeEntry = (id) => withStore('readwrite', store => store.delete(id));
+
+    // ============================================
+    // 📥 QUEUEING
+    // ============================================
+
+    /**
+     * Builds the record key used for conflict detection
+     */
+    const recordKey = (date, memberId) => `${date}|${memberId}`;
+
+    /**
+     * Checks whether the offline queue is usable
+     * @returns {boolean}
+     */
+    const isEnabled = () => OPTIONS.enabled !== false && !!window.indexedDB;
+
+    /**
+     * Checks whether an action may be queued
+     * @param {string} action - API action name
+     * @returns {boolean}
+     */
+    const isQueueable = (action) => isEnabled() && (OPTIONS.queueableActions || []).includes(action);
+
+    /**
+     * Returns the attendance records touched by a request body
+     */
+    const getBodyRecords = (body) => {
+        if (body.action === 'saveAttendance') {
+            return body.batch || [];
+        }
+        if (body.action === 'updateAttendance') {
+            return [{ ...(body.data || {}), date: body.date, memberId: body.memberId }];
+        }
+        return [];
+    };
+
+    /**
+     * Adds a write to the outbox
+     * @param {Object} body - POST body (must include 'action')
+     * @param {Array} [baseline] - Records as known before the edit (enables conflict checks)
+     * @returns {Promise<Object>} - { queued: true, id }
+     */
+    const enqueue = async (body, baseline) => {
+        let baselineMap = null;
+
+        // Record what the client believed was on the server for each key.
+        // Keys missing from the baseline are stored as null ("did not exist").
+        if (Array.isArray(baseline)) {
+            baselineMap = {};
+            getBodyRecords(body).forEach(record => {
+                const known = baseline.find(b =>
+                    b.memberId === record.memberId &&
+                    (!b.date || String(b.date).substring(0, 10) === record.date)
+                );
+                baselineMap[recordKey(record.date, record.memberId)] = known ? pickFields(known) : null;
+            });
+        }
+
+        const id = await putEntry({
+            action: body.action,
+            owner: currentOwner(),
+            body: body,
+            baseline: baselineMap,
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null,
+            failed: false
+        });
+
+        CONFIG.log(`[SyncQueue] Queued ${body.action} (#${id}) for later sync`);
+        await refreshBadge();
+
+        return { queued: true, id: id };
+    };
+
+    /**
+     * Returns pending attendance records for a date (newest write wins),
+     * flagged with _pending so pages can render them optimistically
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<Array>}
+     */
+    const getPendingRecords = async (date) => {
+        if (!isEnabled()) return [];
+
+        const byKey = {};
+        (await getOwnEntries()).forEach(entry => {
+            getBodyRecords(entry.body)
+                .filter(record => record.date === date)
+                .forEach(record => {
+                    const key = recordKey(record.date, record.memberId);
+                    byKey[key] = { ...(byKey[key] || {}), ...record, _pending: true };
+                });
+        });
+
+        return Object.values(byKey);
+    };
+
+    /**
+     * Whether any of the current user's writes are waiting to be synced
+     * @returns {boolean}
+     */
+    const hasPending = () => pendingCount > 0;
+
+    // ============================================
+    // 🔄 REPLAY
+    // ============================================
+
+    /**
+     * Picks the comparable fields of a record
+     */
+    const pickFields = (record) => {
+        return COMPARE_FIELDS.reduce((acc, field) => {
+            acc[field] = record && record[field] !== undefined && record[field] !== null ? String(record[field]) : '';
+            return acc;
+        }, {});
+    };
+
+    /**
+     * Compares two records (either may be null)
+     */
+    const sameRecord = (a, b) => {
+        if (!a || !b) return !a && !b;
+        const fa = pickFields(a);
+        const fb = pickFields(b);
+        return COMPARE_FIELDS.every(field => fa[field] === fb[field]);
+    };
+
+    /**
+     * Finds records whose server copy changed since the edit was queued
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise<Array>} - [{ key, date, memberId, mine, server }]
+     */
+    const detectConflicts = async (entry) => {
+        if (!entry.baseline) return [];
+
+        const records = getBodyRecords(entry.body);
+        const dates = [...new Set(records.map(r => r.date))];
+        const serverByKey = {};
+
+        // Always compare against the server itself, never a cached copy
+        for (const date of dates) {
+            const rows = await API._get({ action: 'getAttendance', date: date }, { retry: false, cache: false });
+            (rows || []).forEach(row => {
+                serverByKey[recordKey(date, row.memberId)] = row;
+            });
+        }
+
+        return records
+            .map(record => {
+                const key = recordKey(record.date, record.memberId);
+                const server = serverByKey[key] || null;
+                const base = entry.baseline[key] || null;
+                const mine = entry.action === 'updateAttendance' ? { ...(server || {}), ...record } : record;
+
+                // Server untouched since the edit, or already matches → no conflict
+                if (sameRecord(server, base) || sameRecord(server, mine)) return null;
+
+                return { key, date: record.date, memberId: record.memberId, mine, server };
+            })
+            .filter(Boolean);
+    };
+
+    /**
+     * Drops records the user decided to leave as they are on the server
+     * @returns {Object|null} - Updated body, or null when nothing is left to send
+     */
+    const applyResolution = (body, keepServerKeys) => {
+        if (keepServerKeys.length === 0) return body;
+
+        if (body.action === 'saveAttendance') {
+            const batch = body.batch.filter(r => !keepServerKeys.includes(recordKey(r.date, r.memberId)));
+            return batch.length > 0 ? { ...body, batch } : null;
+        }
+
+        // updateAttendance touches a single record
+        return keepServerKeys.includes(recordKey(body.date, body.memberId)) ? null : body;
+    };
+
+    /**
+     * Checks whether an error means "still offline / try later".
+     * A 401 (signed out) keeps the entry until the next sign-in.
+     */
+    const isTransientError = (error) => {
+        const codes = (CONFIG.RETRY_CONFIG && CONFIG.RETRY_CONFIG.retryOnStatusCodes) || [];
+        return !error || error.code === 0 || Number(error.code) === 401 || codes.includes(Number(error.code));
+    };
+
+    /**
+     * Replays the current user's pending writes in order. Entries queued
+     * by someone else are never sent with this session's token.
+     * @param {Object} [options] - { manual: boolean } user-triggered (also retries failed entries)
+     * @returns {Promise<Object>} - { synced, remaining }
+     */
+    const replay = async (options = {}) => {
+        if (isReplaying || !isEnabled() || navigator.onLine === false) {
+            return { synced: 0, remaining: pendingCount };
+        }
+
+        if (conflictDeferred && !options.manual) {
+            return { synced: 0, remaining: pendingCount };
+        }
+
+        conflictDeferred = false;
+
+        isReplaying = true;
+        setBadgeSyncing(true);
+        let synced = 0;
+
+        try {
+            const entries = await getOwnEntries();
+
+            for (const entry of entries) {
+                if (entry.failed && !options.manual) continue;
+
+                try {
+                    let body = entry.body;
+
+                    // Conflict check before overwriting anything on the server
+                    const conflicts = await detectConflicts(entry);
+                    if (conflicts.length > 0) {
+                        const resolution = await showConflictDialog(conflicts);
+
+                        if (resolution === null) {
+                            // Decide later — stop here to preserve ordering
+                            conflictDeferred = true;
+                            break;
+                        }
+
+                        body = applyResolution(body, resolution);
+                    }
+
+                    if (body) {
+                        await API._post(body, { retry: true });
+                    }
+
+                    await removeEntry(entry.id);
+                    synced++;
+
+                } catch (error) {
+                    if (isTransientError(error)) {
+                        // Still offline or server unavailable — keep order, try later
+                        CONFIG.logWarn('[SyncQueue] Replay paused:', error && error.message);
+                        break;
+                    }
+
+                    // Permanent failure (validation etc.) — park it and carry on
+                    await putEntry({
+                        ...entry,
+                        attempts: entry.attempts + 1,
+                        lastError: error.message || 'Sync failed',
+                        failed: true
+                    });
+                    CONFIG.logError(`[SyncQueue] Entry #${entry.id} failed:`, error);
+                }
+            }
+        } catch (error) {
+            CONFIG.logError('[SyncQueue] Replay error:', error);
+        } finally {
+            isReplaying = false;
+            setBadgeSyncing(false);
+            await refreshBadge();
+        }
+
+        if (synced > 0) {
+            Utils.showToast(`${synced} offline change${synced > 1 ? 's' : ''} synced`, 'success');
+            $(document).trigger('squidx:sync-complete', { synced: synced, remaining: pendingCount });
+        }
+
+        return { synced, remaining: pendingCount };
+    };
+
+    // ============================================
+    // ⚔️ CONFLICT DIALOG
+    // ============================================
+
+    /**
+     * Formats a record for the conflict table
+     */
+    const describeRecord = (record) => {
+        if (!record) return '<span class="text-gray-400 italic">No record</span>';
+
+        const fields = pickFields(record);
+        return `
+            <div class="space-y-0.5">
+                <div>${Utils.escapeHtml(fields.punchIn || '—')} → ${Utils.escapeHtml(fields.punchOut || '—')}</div>
+                <div class="font-medium">${Utils.escapeHtml(fields.status || '—')}</div>
+                ${fields.comments ? `<div class="text-xs text-gray-500 truncate">${Utils.escapeHtml(fields.comments)}</div>` : ''}
+            </div>
+        `;
+    };
+
+    /**
+     * Asks the user how to resolve conflicting records
+     * @param {Array} conflicts - From detectConflicts
+     * @returns {Promise<Array|null>} - Keys to keep as on the server, or null to decide later
+     */
+    const showConflictDialog = (conflicts) => {
+        return new Promise((resolve) => {
+            const rows = conflicts.map((c, index) => `
+                <tr class="border-t border-gray-100 align-top">
+                    <td class="px-3 py-3 text-sm">
+                        <div class="font-medium text-gray-900">${Utils.escapeHtml(c.server?.memberName || c.memberId)}</div>
+                        <div class="text-xs text-gray-500">${Utils.escapeHtml(Utils.formatDateDisplay(c.date) || c.date)}</div>
+                    </td>
+                    <td class="px-3 py-3 text-sm text-gray-700">${describeRecord(c.mine)}</td>
+                    <td class="px-3 py-3 text-sm text-gray-700">${describeRecord(c.server)}</td>
+                    <td class="px-3 py-3 text-sm whitespace-nowrap">
+                        <label class="flex items-center gap-2 mb-1">
+                            <input type="radio" name="conflict-${index}" value="mine" checked class="text-blue-600"> Keep mine
+                        </label>
+                        <label class="flex items-center gap-2">
+                            <input type="radio" name="conflict-${index}" value="server" class="text-blue-600"> Keep server
+                        </label>
+                    </td>
+                </tr>
+            `).join('');
+
+            const modal = $(`
+                <div class="squidx-conflict-modal fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+                    <div class="bg-white rounded-xl shadow-2xl max-w-3xl w-full mx-4 transform scale-95 opacity-0 transition-all duration-200">
+                        <div class="p-6">
+                            <h3 class="text-lg font-semibold text-gray-900 mb-1">Sync Conflict</h3>
+                            <p class="text-sm text-gray-600 mb-4">
+                                These attendance records were changed on the server while you were offline.
+                                Choose which version to keep.
+                            </p>
+                            <div class="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                                <table class="min-w-full">
+                                    <thead class="bg-gray-50 text-xs font-medium text-gray-500 uppercase">
+                                        <tr>
+                                            <th class="px-3 py-2 text-left">Member</th>
+                                            <th class="px-3 py-2 text-left">Your Change</th>
+                                            <th class="px-3 py-2 text-left">On Server</th>
+                                            <th class="px-3 py-2 text-left">Keep</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>${rows}</tbody>
+                                </table>
+                            </div>
+                        </div>
+                        <div class="flex gap-3 p-4 bg-gray-50 rounded-b-xl">
+                            <button class="conflict-later flex-1 px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg font-medium transition-colors">Decide Later</button>
+                            <button class="conflict-apply flex-1 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-colors">Apply</button>
+                        </div>
+                    </div>
+                </div>
+            `);
+
+            $('body').append(modal);
+
+            setTimeout(() => {
+                modal.find('.bg-white').first().removeClass('scale-95 opacity-0');
+            }, 10);
+
+            modal.find('.conflict-apply').on('click', () => {
+                const keepServer = conflicts
+                    .filter((c, index) => modal.find(`input[name="conflict-${index}"]:checked`).val() === 'server')
+                    .map(c => c.key);
+                modal.remove();
+                resolve(keepServer);
+            });
+
+            modal.find('.conflict-later').on('click', () => {
+                modal.remove();
+                resolve(null);
+            });
+        });
+    };
+
+    // ============================================
+    // 📋 PENDING CHANGES PANEL
+    // ============================================
+
+    /**
+     * Shows the list of pending writes with sync / discard actions
+     */
+    const showPendingPanel = async () => {
+        const allEntries = isEnabled() ? await getEntries() : [];
+        const entries = allEntries.filter(isOwnEntry);
+        const othersCount = allEntries.length - entries.length;
+        const offline = navigator.onLine === false;
+
+        const rows = entries.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-6">No pending changes.</p>'
+            : entries.map(entry => {
+                const records = getBodyRecords(entry.body);
+                const dates = [...new Set(records.map(r => r.date))].join(', ');
+                return `
+                    <div class="flex items-start justify-between gap-3 py-3 border-t border-gray-100 first:border-t-0">
+                        <div class="text-sm">
+                            <div class="font-medium text-gray-900">
+                                ${records.length} attendance record${records.length !== 1 ? 's' : ''} · ${Utils.escapeHtml(dates)}
+                            </div>
+                            <div class="text-xs text-gray-500">Queued ${Utils.escapeHtml(new Date(entry.createdAt).toLocaleString(CONFIG.LOCALE))}</div>
+                            ${entry.failed ? `<div class="text-xs text-red-600 mt-1">Failed: ${Utils.escapeHtml(entry.lastError)}</div>` : ''}
+                        </div>
+                        <button class="pending-discard text-xs text-red-600 hover:text-red-800 font-medium" data-id="${entry.id}">Discard</button>
+                    </div>
+                `;
+            }).join('');
+
+        const modal = $(`
+            <div class="squidx-pending-modal fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+                <div class="bg-white rounded-xl shadow-2xl max-w-lg w-full mx-4 transform scale-95 opacity-0 transition-all duration-200">
+                    <div class="p-6">
+                        <h3 class="text-lg font-semibold text-gray-900 mb-1">Pending Sync</h3>
+                        <p class="text-sm ${offline ? 'text-amber-600' : 'text-gray-600'} mb-4">
+                            ${offline ? 'You are offline. Changes will sync automatically when the connection returns.' : 'These changes are waiting to be sent to the server.'}
+                        </p>
+                        <div class="max-h-72 overflow-y-auto">${rows}</div>
+                        ${othersCount > 0 ? `
+                            <p class="text-xs text-gray-500 mt-3">
+                                ${othersCount} change${othersCount !== 1 ? 's' : ''} queued by another account will sync when that account signs in.
+                            </p>
+                        ` : ''}
+                    </div>
+                    <div class="flex gap-3 p-4 bg-gray-50 rounded-b-xl">
+                        <button class="pending-close flex-1 px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg font-medium transition-colors">Close</button>
+                        <button class="pending-sync flex-1 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-colors disabled:opacity-50" ${offline || entries.length === 0 ? 'disabled' : ''}>Sync Now</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        $('body').append(modal);
+
+        setTimeout(() => {
+            modal.find('.bg-white').first().removeClass('scale-95 opacity-0');
+        }, 10);
+
+        modal.find('.pending-discard').on('click', async function() {
+            const confirmed = await Utils.showConfirm('Discard this unsynced change? It cannot be recovered.', 'Discard Change');
+            if (!confirmed) return;
+
+            await removeEntry($(this).data('id'));
+            await refreshBadge();
+            modal.remove();
+            showPendingPanel();
+        });
+
+        modal.find('.pending-sync').on('click', () => {
+            modal.remove();
+            replay({ manual: true });
+        });
+
+        modal.find('.pending-close').on('click', () => modal.remove());
+        modal.on('click', (e) => {
+            if (e.target === modal[0]) modal.remove();
+        });
+    };
+
+    // ============================================
+    // 🔔 NAVBAR BADGE
+    // ============================================
+
+    /**
+     * Updates the navbar badge from the current user's outbox entries
+     */
+    const refreshBadge = async () => {
+        let entries = [];
+        try {
+            entries = isEnabled() ? await getOwnEntries() : [];
+        } catch (error) {
+            CONFIG.logError('[SyncQueue] Could not read outbox:', error);
+        }
+
+        pendingCount = entries.length;
+        const failed = entries.filter(e => e.failed).length;
+        const offline = navigator.onLine === false;
+
+        const $badge = $(SELECTORS.badge);
+        if (!$badge.length) return;
+
+        $badge.toggleClass('hidden', pendingCount === 0 && !offline);
+        $badge.attr('title', offline
+            ? `Offline — ${pendingCount} change${pendingCount !== 1 ? 's' : ''} waiting to sync`
+            : `${pendingCount} change${pendingCount !== 1 ? 's' : ''} waiting to sync`);
+
+        $(SELECTORS.badgeCount)
+            .text(pendingCount)
+            .toggleClass('hidden', pendingCount === 0)
+            .toggleClass('bg-red-500', failed > 0)
+            .toggleClass('bg-amber-500', failed === 0);
+
+        $(SELECTORS.badgeIcon)
+            .toggleClass('text-gray-400', offline)
+            .toggleClass('text-amber-500', !offline);
+    };
+
+    /**
+     * Spins the badge icon while syncing
+     */
+    const setBadgeSyncing = (syncing) => {
+        $(SELECTORS.badgeIcon).toggleClass('animate-pulse', syncing);
+    };
+
+    // ============================================
+    // 🚀 INITIALIZATION
+    // ============================================
+
+    /**
+     * Binds connectivity events and replays anything left from last time
+     */
+    const init = () => {
+        if (!isEnabled()) return;
+
+        $(SELECTORS.badge).on('click', showPendingPanel);
+
+        window.addEventListener('online', () => {
+            refreshBadge();
+            replay();
+        });
+        window.addEventListener('offline', refreshBadge);
+
+        refreshBadge().then(() => {
+            if (pendingCount > 0) replay();
+        });
+
+        if (OPTIONS.replayInterval) {
+            setInterval(() => {
+                if (pendingCount > 0) replay();
+            }, OPTIONS.replayInterval);
+        }
+    };
+
+    // ============================================
+    // 📤 PUBLIC API
+    // ============================================
+
+    return {
+        init,
+        enqueue,
+        replay,
+        isEnabled,
+        isQueueable,
+        hasPending,
+        getPendingRecords,
+        getEntries,
+        showPendingPanel,
+        refreshBadge
+    };
+
+})();
+
+// Make SyncQueue globally available
+window.SyncQueue = SyncQueue;
+
+$(document).ready(function() {
+    SyncQueue.init();
+});
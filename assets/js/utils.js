@@ -84,6 +84,21 @@ const Utils = (function() {
         return `${displayHours}:${String(minutes).padStart(2, '0')} ${period}`;
     };
 
+    /**
+     * Formats a number of minutes as hours and minutes (e.g., "7h 30m")
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} - Readable duration ("0h" for none)
+     */
+    const formatDuration = (minutes) => {
+        const total = Math.round(Math.abs(Number(minutes) || 0));
+        const hours = Math.floor(total / 60);
+        const mins = total % 60;
+        
+        if (hours === 0 && mins === 0) return '0h';
+        if (hours === 0) return `${mins}m`;
+        return mins ? `${hours}h ${mins}m` : `${hours}h`;
+    };
+
     /**
      * Gets today's date in YYYY-MM-DD format
      * @returns {string} - Today's date
@@ -110,6 +125,22 @@ const Utils = (function() {
         return d.getDay() === 0 || d.getDay() === 6;
     };
 
+    /**
+     * Finds the holiday falling on a date. Recurring holidays repeat on
+     * the same month and day every year; holidays without a department
+     * apply to everyone.
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Array<Object>} holidays - Holidays from API.getHolidays()
+     * @param {string} [department] - Member's department
+     * @returns {Object|null} - Matching holiday or null
+     */
+    const findHoliday = (date, holidays, department = '') => {
+        return (holidays || []).find(h =>
+            (h.date === date || (h.recurring && h.date.slice(5) === date.slice(5) && h.date <= date)) &&
+            (!h.department || h.department === department)
+        ) || null;
+    };
+
     /**
      * Gets an array of dates for the last N days
      * @param {number} days - Number of days
@@ -128,6 +159,38 @@ const Utils = (function() {
         return dates;
     };
 
+    /**
+     * Gets the quarter a date falls in
+     * @param {string|Date} [date] - Date (defaults to today)
+     * @returns {string} - Quarter (YYYY-Qn)
+     */
+    const getQuarter = (date = new Date()) => {
+        const [year, month] = formatDate(date).split('-').map(Number);
+        return `${year}-Q${Math.ceil(month / 3)}`;
+    };
+
+    /**
+     * Moves a quarter forwards or backwards
+     * @param {string} quarter - Quarter (YYYY-Qn)
+     * @param {number} offset - Quarters to move (negative = earlier)
+     * @returns {string} - Quarter (YYYY-Qn)
+     */
+    const shiftQuarter = (quarter, offset) => {
+        const [year, q] = quarter.split('-Q').map(Number);
+        const index = year * 4 + (q - 1) + offset;
+        return `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+    };
+
+    /**
+     * Formats a quarter for display (e.g. "Q4 2026")
+     * @param {string} quarter - Quarter (YYYY-Qn)
+     * @returns {string}
+     */
+    const formatQuarter = (quarter) => {
+        const [year, q] = String(quarter || '').split('-Q');
+        return q ? `Q${q} ${year}` : '';
+    };
+
     // ============================================
     // 🔗 URL & NAVIGATION UTILITIES
     // ============================================
@@ -440,6 +503,307 @@ const Utils = (function() {
         });
     };
 
+    /**
+     * Parses CSV text into rows of cells. Handles quoted cells with
+     * commas, escaped quotes ("") and line breaks.
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} - Rows, blank lines removed
+     */
+    const parseCsv = (text) => {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell.trim());
+        rows.push(row);
+
+        return rows.filter(r => r.some(c => c !== ''));
+    };
+
+    /**
+     * Reads the first sheet of a CSV or Excel file into rows of cells.
+     * Excel files need SheetJS (the global XLSX) loaded on the page;
+     * date cells come back as YYYY-MM-DD.
+     * @param {File} file - File from an <input type="file">
+     * @returns {Promise<Array<Array<string>>>} - Rows, blank lines removed
+     */
+    const readSpreadsheet = async (file) => {
+        if (!/\.xlsx?$/i.test(file.name)) {
+            return parseCsv(await file.text());
+        }
+
+        if (typeof XLSX === 'undefined') {
+            throw { message: 'Excel import is unavailable — save the sheet as CSV instead', code: 400 };
+        }
+
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+
+        return rows
+            .map(row => row.map(cell => cell instanceof Date ? formatDate(cell) : String(cell).trim()))
+            .filter(r => r.some(c => c !== ''));
+    };
+
+    // ============================================
+    // 📥 EXPORT UTILITIES
+    // ============================================
+
+    /**
+     * Neutralises text a spreadsheet would run as a formula (starting
+     * with =, +, -, @, tab or carriage return) by prefixing a quote.
+     * Numbers, text that reads as a number (such as "-2.5") and other
+     * non-string values are returned unchanged.
+     * @param {*} value - Cell value
+     * @returns {*} - Safe cell value
+     */
+    const escapeFormula = (value) => {
+        if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) return value;
+        if (value.trim() !== '' && isFinite(Number(value))) return value;
+        return `'${value}`;
+    };
+
+    /**
+     * Builds CSV text from rows of cells, quoting cells that need it
+     * and escaping text that would run as a formula
+     * @param {Array<Array>} rows - Rows of cells
+     * @returns {string} - CSV text
+     */
+    const toCsv = (rows) => {
+        return rows.map(row => row.map(cell => {
+            const text = cell === null || cell === undefined ? '' : String(escapeFormula(cell));
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    };
+
+    /**
+     * Saves content as a file download
+     * @param {Blob|string} content - File content
+     * @param {string} filename - File name
+     * @param {string} [type] - MIME type when content is a string
+     */
+    const downloadFile = (content, filename, type = 'text/plain') => {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    /**
+     * Loads an image as a PNG data URL for embedding in a PDF.
+     * Resolves null when the image can't be loaded or read (e.g. the
+     * host doesn't allow cross-origin use).
+     * @param {string} url - Image URL
+     * @returns {Promise<Object|null>} - { dataUrl, width, height }
+     */
+    const loadImageData = (url) => {
+        return new Promise(resolve => {
+            if (!url) return resolve(null);
+
+            const img = new Image();
+            const timer = setTimeout(() => resolve(null), 5000);
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                clearTimeout(timer);
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.naturalWidth;
+                    canvas.height = img.naturalHeight;
+                    canvas.getContext('2d').drawImage(img, 0, 0);
+                    resolve({ dataUrl: canvas.toDataURL('image/png'), width: img.naturalWidth, height: img.naturalHeight });
+                } catch (e) {
+                    resolve(null);
+                }
+            };
+            img.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            img.src = url;
+        });
+    };
+
+    /**
+     * Exports rows as CSV, Excel or PDF. Excel needs SheetJS (XLSX) and
+     * PDF needs jsPDF with the autoTable plugin loaded on the page; the
+     * PDF carries the company name and logo in its header.
+     * @param {Object} options
+     * @param {string} options.format - 'csv', 'xlsx' or 'pdf'
+     * @param {string} options.filename - File name without extension
+     * @param {string} options.title - Report title (also the Excel sheet name)
+     * @param {string} [options.subtitle] - Period or filter summary
+     * @param {Array<Object>} options.columns - [{ label, key } or { label, value: row => cell }]
+     * @param {Array<Object>} options.rows - Records to export
+     * @param {Object} [options.settings] - Settings holding CompanyName and CompanyLogo
+     * @returns {Promise<void>}
+     */
+    const exportData = async ({ format, filename, title, subtitle = '', columns, rows, settings = {} }) => {
+        const header = columns.map(c => c.label);
+        const body = rows.map(row => columns.map(c => {
+            const value = c.value ? c.value(row) : row[c.key];
+            return value === null || value === undefined ? '' : value;
+        }));
+
+        if (format === 'csv') {
+            // BOM so Excel opens UTF-8 names correctly
+            downloadFile(`\uFEFF${toCsv([header, ...body])}`, `${filename}.csv`, 'text/csv;charset=utf-8');
+            return;
+        }
+
+        if (format === 'xlsx') {
+            if (typeof XLSX === 'undefined') {
+                throw { message: 'Excel export is unavailable — use CSV instead', code: 400 };
+            }
+            const workbook = XLSX.utils.book_new();
+            const sheetRows = [header, ...body].map(row => row.map(escapeFormula));
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows), title.slice(0, 31));
+            XLSX.writeFile(workbook, `${filename}.xlsx`);
+            return;
+        }
+
+        if (format !== 'pdf') {
+            throw { message: `Unknown export format: ${format}`, code: 400 };
+        }
+        if (!window.jspdf || !window.jspdf.jsPDF) {
+            throw { message: 'PDF export is unavailable — use CSV instead', code: 400 };
+        }
+
+        const doc = new window.jspdf.jsPDF({ orientation: header.length > 6 ? 'landscape' : 'portrait', unit: 'pt', format: 'a4' });
+        const margin = 40;
+        const logo = await loadImageData(settings.CompanyLogo);
+        let textX = margin;
+
+        if (logo) {
+            const height = 36;
+            const width = Math.min(120, (logo.width / logo.height) * height);
+            doc.addImage(logo.dataUrl, 'PNG', margin, margin, width, height);
+            textX = margin + width + 12;
+        }
+
+        doc.setFontSize(16);
+        doc.setTextColor(17, 24, 39);
+        doc.text(settings.CompanyName || 'SquidX', textX, margin + 14);
+        doc.setFontSize(11);
+        doc.setTextColor(107, 114, 128);
+        doc.text(subtitle ? `${title} - ${subtitle}` : title, textX, margin + 32);
+
+        const generated = `Generated ${formatDateDisplay(new Date())} ${getCurrentTime()}`;
+        const wide = header.length > 20;
+        doc.autoTable({
+            head: [header],
+            body: body.map(row => row.map(String)),
+            startY: margin + 52,
+            margin: { left: margin, right: margin },
+            styles: { fontSize: wide ? 6 : 8, cellPadding: wide ? 2 : 4 },
+            headStyles: { fillColor: [37, 99, 235] },
+            didDrawPage: () => {
+                const pageHeight = doc.internal.pageSize.getHeight();
+                doc.setFontSize(8);
+                doc.setTextColor(156, 163, 175);
+                doc.text(`${generated} | Page ${doc.internal.getNumberOfPages()}`, margin, pageHeight - 20);
+            }
+        });
+
+        doc.save(`${filename}.pdf`);
+    };
+
+    /**
+     * Wires an export button to its dropdown of formats. Options are
+     * elements inside the menu with a data-format attribute. Safe to
+     * call again for the same menu: earlier handlers are replaced.
+     * @param {string} buttonSelector - Button that opens the menu
+     * @param {string} menuSelector - Menu element
+     * @param {Function} onExport - Called with the chosen format
+     */
+    const bindExportMenu = (buttonSelector, menuSelector, onExport) => {
+        const $menu = $(menuSelector);
+
+        $(buttonSelector).off('click.export').on('click.export', (e) => {
+            e.stopPropagation();
+            $menu.toggleClass('hidden');
+        });
+        $menu.off('click.export')
+            .on('click.export', (e) => e.stopPropagation())
+            .on('click.export', '[data-format]', function() {
+                $menu.addClass('hidden');
+                onExport($(this).data('format'));
+            });
+
+        // One outside-click handler per menu, so pages with several menus
+        // keep theirs when one is rebound
+        const outsideClick = `click.exportMenu.${String(menuSelector).replace(/[^\w-]/g, '')}`;
+        $(document).off(outsideClick).on(outsideClick, () => $menu.addClass('hidden'));
+    };
+
+    /**
+     * Reads the PayrollColumns setting — "key" or "key:Heading" entries
+     * separated by | — into export columns, skipping unknown fields.
+     * Falls back to every payroll field when nothing usable is set.
+     * @param {string} value - PayrollColumns setting
+     * @returns {Array<Object>} - [{ key, label }]
+     */
+    const parsePayrollColumns = (value) => {
+        const fields = CONFIG.PAYROLL_COLUMNS || {};
+        const columns = String(value || '').split('|')
+            .map(entry => {
+                const [key, ...label] = entry.split(':');
+                return { key: key.trim(), label: label.join(':').trim() };
+            })
+            .filter((c, i, all) => fields[c.key] && all.findIndex(o => o.key === c.key) === i)
+            .map(c => ({ key: c.key, label: c.label || fields[c.key] }));
+
+        return columns.length > 0
+            ? columns
+            : Object.keys(fields).map(key => ({ key, label: fields[key] }));
+    };
+
+    /**
+     * Writes export columns back into a PayrollColumns setting value,
+     * keeping a heading only when it differs from the default
+     * @param {Array<Object>} columns - [{ key, label }]
+     * @returns {string} - PayrollColumns setting
+     */
+    const formatPayrollColumns = (columns) => {
+        const fields = CONFIG.PAYROLL_COLUMNS || {};
+        return columns.map(c => {
+            const label = String(c.label || '').replace(/[|]/g, '').trim();
+            return label && label !== fields[c.key] ? `${c.key}:${label}` : c.key;
+        }).join('|');
+    };
+
     // ============================================
     // 🖼️ IMAGE UTILITIES
     // ============================================
@@ -464,6 +828,499 @@ const Utils = (function() {
         img.src = getAvatarUrl(fallback);
     };
 
+    // ============================================
+    // ⏱️ ATTENDANCE CALCULATIONS
+    // ============================================
+
+    /**
+     * Parses an HH:MM time string to minutes since midnight
+     * @param {string} time - Time string
+     * @returns {number|null} - Minutes, or null when unparseable
+     */
+    const parseTimeToMinutes = (time) => {
+        if (!time || typeof time !== 'string') return null;
+
+        const parts = time.split(':');
+        if (parts.length < 2) return null;
+
+        const hours = parseInt(parts[0], 10);
+        const minutes = parseInt(parts[1], 10);
+
+        if (isNaN(hours) || isNaN(minutes)) return null;
+
+        return hours * 60 + minutes;
+    };
+
+    /**
+     * Gets the current local time in HH:MM format
+     * @returns {string} - Current time
+     */
+    const getCurrentTime = () => {
+        const now = new Date();
+        return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    };
+
+    /**
+     * Reads the attendance status rules from settings. Hours are turned
+     * into minutes; a blank or zero threshold switches that rule off.
+     * @param {Object} settings - Settings map
+     * @returns {Object} - { allowHalfDay, fullDayMinutes, halfDayMinutes,
+     *                       earlyLeaveCutoff (null when off), missingPunchOut }
+     */
+    const getAttendanceRules = (settings = {}) => {
+        const cutoff = parseInt(settings.EarlyLeaveCutoff, 10);
+        return {
+            allowHalfDay: settings.AllowHalfDay !== 'No',
+            fullDayMinutes: Math.round((parseFloat(settings.FullDayMinHours) || 0) * 60),
+            halfDayMinutes: Math.round((parseFloat(settings.HalfDayMinHours) || 0) * 60),
+            earlyLeaveCutoff: isNaN(cutoff) ? null : Math.max(0, cutoff),
+            missingPunchOut: settings.MissingPunchOut || 'Keep'
+        };
+    };
+
+    /**
+     * Calculates the attendance status from punch times, applying the
+     * rules in this order:
+     *   1. No punch in → Absent (a punch out alone doesn't count)
+     *   2. No punch out once the day is over → MissingPunchOut
+     *      ('Half Day', 'Absent', or 'Keep' the punch-in status)
+     *   3. With half days allowed, fewer worked hours (breaks deducted)
+     *      than FullDayMinHours → Half Day, or Absent below HalfDayMinHours
+     *   4. Punch out more than EarlyLeaveCutoff minutes before the scheduled
+     *      end (the shift's, or StartTime + WorkingHoursPerDay + BreakDuration)
+     *      → Early Leave
+     *   5. Punch in within the grace period → On Time, otherwise Late
+     * Lateness is measured against the member's shift, or the StartTime and
+     * LateGracePeriod settings when they have none. On an overnight shift a
+     * punch after midnight is late for the previous evening's start.
+     * @param {string} punchIn - Punch in time (HH:MM)
+     * @param {string} punchOut - Punch out time (HH:MM)
+     * @param {Object} settings - Settings map
+     * @param {Object} [shift] - Assigned shift (see resolveShift)
+     * @param {string} [date] - Attendance date (YYYY-MM-DD); without it the
+     *                          day is treated as still open
+     * @returns {string} - 'On Time', 'Late', 'Early Leave', 'Half Day', 'Present' or 'Absent'
+     */
+    const calculateAttendanceStatus = (punchIn, punchOut, settings = {}, shift = null, date = null) => {
+        if (!punchIn) {
+            return 'Absent';
+        }
+
+        const rules = getAttendanceRules(settings);
+        const arrival = getArrivalStatus(punchIn, settings, shift);
+
+        if (!punchOut) {
+            if (!isWorkDayOver(date, shift)) return arrival;
+            if (rules.missingPunchOut === 'Absent') return 'Absent';
+            if (rules.missingPunchOut === 'Half Day' && rules.allowHalfDay) return 'Half Day';
+            return arrival;
+        }
+
+        const breakMinutes = shift ? Number(shift.breakMinutes) || 0 : parseInt(settings.BreakDuration, 10) || 0;
+        const worked = getWorkedMinutes(punchIn, punchOut, breakMinutes);
+
+        if (rules.allowHalfDay && worked !== null && rules.fullDayMinutes && worked < rules.fullDayMinutes) {
+            return rules.halfDayMinutes && worked < rules.halfDayMinutes ? 'Absent' : 'Half Day';
+        }
+
+        if (rules.earlyLeaveCutoff !== null) {
+            const endMinutes = shift
+                ? parseTimeToMinutes(shift.endTime)
+                : parseTimeToMinutes(settings.StartTime || '09:00') +
+                    Math.round((parseFloat(settings.WorkingHoursPerDay) || 0) * 60) + breakMinutes;
+            const outMinutes = parseTimeToMinutes(punchOut);
+
+            if (endMinutes !== null && outMinutes !== null) {
+                // Minutes until the scheduled end; more than 12h means they left after it
+                const earlyBy = ((endMinutes - outMinutes) % 1440 + 1440) % 1440;
+                if (earlyBy > rules.earlyLeaveCutoff && earlyBy < 12 * 60) return 'Early Leave';
+            }
+        }
+
+        return arrival;
+    };
+
+    /**
+     * Minutes a punch in came after the start (the shift's, or StartTime),
+     * or null when either time is unparseable
+     */
+    const getMinutesAfterStart = (punchIn, settings, shift) => {
+        const startTimeMinutes = parseTimeToMinutes(shift ? shift.startTime : (settings.StartTime || '09:00'));
+        const punchInMinutes = parseTimeToMinutes(punchIn);
+
+        if (punchInMinutes === null || startTimeMinutes === null) {
+            return null;
+        }
+
+        let minutesLate = punchInMinutes - startTimeMinutes;
+        if (isOvernightShift(shift) && minutesLate < -12 * 60) {
+            minutesLate += 24 * 60;
+        }
+        return minutesLate;
+    };
+
+    /**
+     * On Time / Late from the punch in alone ('Present' when unparseable)
+     */
+    const getArrivalStatus = (punchIn, settings, shift) => {
+        const minutesLate = getMinutesAfterStart(punchIn, settings, shift);
+        if (minutesLate === null) return 'Present';
+
+        return calculateLateMinutes(punchIn, settings, shift) > 0 ? 'Late' : 'On Time';
+    };
+
+    /**
+     * Minutes late for a punch in: the minutes after the start when past
+     * the grace period, otherwise 0. Stored on attendance records as
+     * lateMinutes, because the status can be Half Day or Early Leave on a
+     * day that also started late.
+     * @param {string} punchIn - Punch in time (HH:MM)
+     * @param {Object} settings - Settings map (StartTime, LateGracePeriod)
+     * @param {Object} [shift] - Assigned shift (see resolveShift)
+     * @returns {number}
+     */
+    const calculateLateMinutes = (punchIn, settings = {}, shift = null) => {
+        const minutesLate = getMinutesAfterStart(punchIn, settings, shift);
+        const graceMinutes = shift
+            ? Number(shift.graceMinutes) || 0
+            : parseInt(settings.LateGracePeriod, 10) || 0;
+
+        return minutesLate !== null && minutesLate > graceMinutes ? minutesLate : 0;
+    };
+
+    /**
+     * Whether an attendance record started late, whatever its status
+     * (records saved before lateMinutes existed only have the status)
+     * @param {Object} record - Attendance record
+     * @returns {boolean}
+     */
+    const isLateRecord = (record) => {
+        return !!record && (record.status === 'Late' || Number(record.lateMinutes) > 0);
+    };
+
+    /**
+     * Whether a work day is over, so a missing punch out is final: any
+     * day before today, or before yesterday for an overnight shift
+     */
+    const isWorkDayOver = (date, shift) => {
+        if (!date) return false;
+        const last = new Date();
+        if (isOvernightShift(shift)) last.setDate(last.getDate() - 1);
+        return date < formatDate(last);
+    };
+
+    /**
+     * Minutes between punch in and punch out (running past midnight),
+     * less the break; null when either time is missing
+     */
+    const getWorkedMinutes = (punchIn, punchOut, breakMinutes = 0) => {
+        const inMinutes = parseTimeToMinutes(punchIn);
+        const outMinutes = parseTimeToMinutes(punchOut);
+
+        if (inMinutes === null || outMinutes === null) return null;
+
+        let diffMinutes = outMinutes - inMinutes;
+
+        // Handle overnight shifts
+        if (diffMinutes < 0) {
+            diffMinutes += 24 * 60;
+        }
+
+        return Math.max(0, diffMinutes - (Number(breakMinutes) || 0));
+    };
+
+    /**
+     * Calculates hours worked between punch in and punch out
+     * @param {string} punchIn - Punch in time (HH:MM)
+     * @param {string} punchOut - Punch out time (HH:MM)
+     * @param {number} [breakMinutes=0] - Unpaid break to deduct (the shift's, or BreakDuration)
+     * @returns {string} - Hours worked as H:MM ('0:00' when incomplete)
+     */
+    const calculateHoursWorked = (punchIn, punchOut, breakMinutes = 0) => {
+        if (!punchIn || !punchOut) return '0:00';
+
+        const diffMinutes = getWorkedMinutes(punchIn, punchOut, breakMinutes);
+        if (diffMinutes === null) return '0:00';
+
+        return `${Math.floor(diffMinutes / 60)}:${String(diffMinutes % 60).padStart(2, '0')}`;
+    };
+
+    /**
+     * Finds the shift a member works on a date. When assignments overlap,
+     * the one starting latest wins (a short swap over an open-ended
+     * assignment); null means no shift, so the global StartTime applies.
+     * @param {string} memberId - Member ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Array<Object>} assignments - From API.getShiftAssignments()
+     * @param {Array<Object>} shifts - From API.getShifts()
+     * @returns {Object|null} - Shift { shiftId, name, startTime, endTime, graceMinutes, breakMinutes, color }
+     */
+    const resolveShift = (memberId, date, assignments, shifts) => {
+        const assignment = (assignments || [])
+            .filter(a => a.memberId === memberId && a.startDate <= date && (!a.endDate || a.endDate >= date))
+            .sort((a, b) => b.startDate.localeCompare(a.startDate) || String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+
+        return assignment ? (shifts || []).find(s => s.shiftId === assignment.shiftId) || null : null;
+    };
+
+    /**
+     * Checks if a shift ends on the day after it starts
+     * @param {Object} shift - Shift
+     * @returns {boolean}
+     */
+    const isOvernightShift = (shift) => {
+        return !!shift && parseTimeToMinutes(shift.endTime) <= parseTimeToMinutes(shift.startTime);
+    };
+
+    // ============================================
+    // ⭐ RATING UTILITIES
+    // ============================================
+
+    /**
+     * Finds the rating template in effect for a month. A department's own
+     * template wins over company-wide ones; among those, the one that took
+     * effect latest. Falls back to CONFIG.DEFAULT_RATING_TEMPLATE.
+     * @param {string} month - Month rated (YYYY-MM)
+     * @param {string} department - Member's department
+     * @param {Array<Object>} templates - From API.getRatingTemplates()
+     * @returns {Object} - Template { templateId, name, department, effectiveFrom, scale, criteria }
+     */
+    const resolveRatingTemplate = (month, department, templates) => {
+        const candidates = (templates || []).filter(t =>
+            t.effectiveFrom && t.effectiveFrom <= month &&
+            (!t.department || t.department === department)
+        );
+
+        candidates.sort((a, b) =>
+            (b.department ? 1 : 0) - (a.department ? 1 : 0) ||
+            b.effectiveFrom.localeCompare(a.effectiveFrom)
+        );
+
+        return candidates[0] || CONFIG.DEFAULT_RATING_TEMPLATE;
+    };
+
+    /**
+     * Weighted overall score of a rating. Each scored criterion counts as
+     * its share of the template's scale, so ratings made against templates
+     * with different scales compare directly; unscored criteria are left
+     * out of the average.
+     * @param {Object} rating - Rating with a score per criterion key
+     * @param {Object} template - Template the rating was made against
+     * @param {number} [outOf=10] - Scale to express the result on
+     * @returns {number} - 0 when nothing was scored
+     */
+    const calculateRatingScore = (rating, template, outOf = 10) => {
+        const scale = Number(template.scale) || 5;
+        let weighted = 0;
+        let totalWeight = 0;
+
+        template.criteria.forEach(criterion => {
+            const value = parseFloat(rating[criterion.key]) || 0;
+            const weight = Number(criterion.weight) || 0;
+            if (value <= 0 || weight <= 0) return;
+
+            weighted += (Math.min(value, scale) / scale) * weight;
+            totalWeight += weight;
+        });
+
+        return totalWeight > 0 ? (weighted / totalWeight) * outOf : 0;
+    };
+
+    /**
+     * Short day label for evidence lists (e.g. "May 6")
+     */
+    const formatEvidenceDate = (date) => {
+        return new Date(`${date.slice(0, 10)}T00:00:00`).toLocaleDateString(CONFIG.LOCALE || 'en-US', { month: 'short', day: 'numeric' });
+    };
+
+    /**
+     * Suggests a punctuality score from a member's attendance for a month:
+     * the share of days worked that started on time, on the template scale
+     * @param {Array<Object>} records - The member's attendance for the month
+     * @param {number} scale - Template scale
+     * @returns {Object|null} - { score, evidence }, or null with no days worked
+     */
+    const suggestPunctualityScore = (records, scale) => {
+        const worked = records.filter(r => CONFIG.WORKED_STATUSES.includes(r.status));
+        if (worked.length === 0) return null;
+
+        const lateDates = worked.filter(isLateRecord).map(r => r.date).sort();
+        const onTime = worked.length - lateDates.length;
+
+        return {
+            score: Math.max(1, Math.round((onTime / worked.length) * scale)),
+            evidence: `${onTime} of ${worked.length} days worked started on time` +
+                (lateDates.length > 0 ? `; late on ${lateDates.map(formatEvidenceDate).join(', ')}` : '')
+        };
+    };
+
+    /**
+     * Suggests a deadline score from a member's tasks due in a month: the
+     * share finished by their deadline. Open tasks count as missed once
+     * their deadline has passed; cancelled tasks are left out.
+     * @param {Array<Object>} tasks - The member's tasks
+     * @param {string} month - Month rated (YYYY-MM)
+     * @param {number} scale - Template scale
+     * @param {string} [asOf] - Today (YYYY-MM-DD)
+     * @returns {Object|null} - { score, evidence }, or null with nothing due yet
+     */
+    const suggestDeadlineScore = (tasks, month, scale, asOf = formatDate(new Date())) => {
+        const due = tasks.filter(t =>
+            t.deadline && t.deadline.startsWith(month) && t.status !== 'Cancelled' &&
+            (t.status === 'Completed' ? !!t.completedOn : t.deadline < asOf)
+        );
+        if (due.length === 0) return null;
+
+        const missed = due.filter(t => t.status !== 'Completed' || t.completedOn.slice(0, 10) > t.deadline.slice(0, 10));
+        const onTime = due.length - missed.length;
+        const describe = (t) => {
+            if (t.status !== 'Completed') return `"${t.title}" (still open)`;
+            const days = Math.round((new Date(`${t.completedOn.slice(0, 10)}T00:00:00`) - new Date(`${t.deadline.slice(0, 10)}T00:00:00`)) / 86400000);
+            return `"${t.title}" (${days} day${days === 1 ? '' : 's'} late)`;
+        };
+
+        return {
+            score: Math.max(1, Math.round((onTime / due.length) * scale)),
+            evidence: `${onTime} of ${due.length} tasks due this month finished on time` +
+                (missed.length > 0 ? `; missed ${missed.map(describe).join(', ')}` : '')
+        };
+    };
+
+    /**
+     * Suggested scores for the criteria of a template that take them from
+     * attendance or tasks (see CONFIG.RATING_SOURCES)
+     * @param {Object} template - Rating template
+     * @param {Object} data - { month, attendance, tasks } for one member
+     * @returns {Object} - { [criterionKey]: { score, evidence } }
+     */
+    const suggestRatingScores = (template, { month, attendance = [], tasks = [] }) => {
+        const suggestions = {};
+
+        template.criteria.forEach(criterion => {
+            const suggestion = criterion.source === 'punctuality'
+                ? suggestPunctualityScore(attendance.filter(r => r.date && r.date.startsWith(month)), template.scale)
+                : criterion.source === 'deadlines'
+                    ? suggestDeadlineScore(tasks, month, template.scale)
+                    : null;
+            if (suggestion) suggestions[criterion.key] = suggestion;
+        });
+
+        return suggestions;
+    };
+
+    // ============================================
+    // 📋 TASK UTILITIES
+    // ============================================
+
+    /**
+     * Progress of a subtask: done once completed, otherwise the share of
+     * its checklist ticked off
+     * @param {Object} subtask - { status, checklist: [{ done }] }
+     * @returns {number} - 0..1
+     */
+    const calculateSubtaskProgress = (subtask) => {
+        if (subtask.status === 'Completed') return 1;
+
+        const checklist = subtask.checklist || [];
+        if (checklist.length === 0) return 0;
+
+        return checklist.filter(item => item.done).length / checklist.length;
+    };
+
+    /**
+     * Completion of a task, derived from its subtasks
+     * @param {Object} task - Task with subtasks
+     * @returns {Object|null} - { percent (0-100), completed, total }, or null without subtasks
+     */
+    const calculateTaskProgress = (task) => {
+        const subtasks = task.subtasks || [];
+        if (subtasks.length === 0) return null;
+
+        const progress = subtasks.reduce((sum, subtask) => sum + calculateSubtaskProgress(subtask), 0) / subtasks.length;
+
+        return {
+            percent: Math.round(progress * 100),
+            completed: subtasks.filter(subtask => subtask.status === 'Completed').length,
+            total: subtasks.length
+        };
+    };
+
+    /**
+     * Actual vs. estimated effort, e.g. "6h / 8h est.", "8h est." or "3.5h"
+     * @param {Object} task - { estimatedHours, actualHours }
+     * @returns {string} - Empty when neither is set
+     */
+    const formatTaskEffort = (task) => {
+        const hasValue = (v) => v !== undefined && v !== null && v !== '';
+        const estimated = hasValue(task.estimatedHours) ? `${Number(task.estimatedHours)}h est.` : '';
+        const actual = hasValue(task.actualHours) ? `${Number(task.actualHours)}h` : '';
+
+        return actual && estimated ? `${actual} / ${estimated}` : actual || estimated;
+    };
+
+    // ============================================
+    // 🎯 OKR UTILITIES
+    // ============================================
+
+    /**
+     * Progress of a key result. With tasks linked to it, progress is the
+     * share of those tasks completed (cancelled ones don't count);
+     * otherwise it's how far currentValue has moved from startValue
+     * towards targetValue.
+     * @param {Object} keyResult - From API.getObjectives ({ startValue, targetValue, currentValue, linkedTasks, completedTasks })
+     * @returns {Object} - { progress (0..1), source ('tasks' | 'value'), linked, completed }
+     */
+    const calculateKeyResultProgress = (keyResult) => {
+        const linked = Number(keyResult.linkedTasks) || 0;
+        const completed = Math.min(Number(keyResult.completedTasks) || 0, linked);
+
+        if (linked > 0) {
+            return { progress: completed / linked, source: 'tasks', linked, completed };
+        }
+
+        const start = Number(keyResult.startValue) || 0;
+        const target = Number(keyResult.targetValue) || 0;
+        const current = Number(keyResult.currentValue) || 0;
+        const progress = target === start ? 0 : (current - start) / (target - start);
+
+        return { progress: Math.min(Math.max(progress, 0), 1), source: 'value', linked: 0, completed: 0 };
+    };
+
+    /**
+     * Progress of an objective: the average of its key results' progress
+     * @param {Object} objective - Objective with keyResults
+     * @returns {number} - 0..1
+     */
+    const calculateObjectiveProgress = (objective) => {
+        const keyResults = objective.keyResults || [];
+        if (keyResults.length === 0) return 0;
+
+        return keyResults.reduce((sum, kr) => sum + calculateKeyResultProgress(kr).progress, 0) / keyResults.length;
+    };
+
+    /**
+     * Where a key result stands, e.g. "3 of 5 tasks done" or "25 / 40 bugs"
+     * @param {Object} keyResult - From API.getObjectives
+     * @returns {string}
+     */
+    const formatKeyResultProgress = (keyResult) => {
+        const { source, linked, completed } = calculateKeyResultProgress(keyResult);
+        if (source === 'tasks') return `${completed} of ${linked} task${linked === 1 ? '' : 's'} done`;
+
+        return `${keyResult.currentValue} / ${keyResult.targetValue}${keyResult.unit ? ` ${keyResult.unit}` : ''}`;
+    };
+
+    /**
+     * Tailwind class for an OKR progress bar fill
+     * @param {number} progress - 0..1
+     * @returns {string}
+     */
+    const getOkrProgressClass = (progress) => {
+        if (progress >= 0.7) return 'bg-green-500';
+        if (progress >= 0.4) return 'bg-primary-500';
+        return 'bg-amber-500';
+    };
+
     // ============================================
     // 🏷️ STATUS BADGE UTILITIES
     // ============================================
@@ -480,6 +1337,7 @@ const Utils = (function() {
             'Late': 'bg-amber-100 text-amber-800',
             'Absent': 'bg-red-100 text-red-800',
             'Half Day': 'bg-orange-100 text-orange-800',
+            'Early Leave': 'bg-yellow-100 text-yellow-800',
             'On Leave': 'bg-blue-100 text-blue-800',
             'Holiday': 'bg-purple-100 text-purple-800'
         };
@@ -502,6 +1360,21 @@ const Utils = (function() {
         return badges[status] || 'bg-gray-100 text-gray-800';
     };
 
+    /**
+     * Gets the badge class for a task priority
+     * @param {string} priority - Task priority
+     * @returns {string} - Tailwind CSS classes
+     */
+    const getTaskPriorityBadge = (priority) => {
+        const badges = {
+            'Low': 'bg-gray-100 text-gray-600',
+            'Medium': 'bg-blue-100 text-blue-800',
+            'High': 'bg-orange-100 text-orange-800',
+            'Critical': 'bg-red-100 text-red-800'
+        };
+        return badges[priority] || 'bg-blue-100 text-blue-800';
+    };
+
     /**
      * Gets the badge class for a member status
      * @param {string} status - Member status
@@ -517,6 +1390,50 @@ const Utils = (function() {
         return badges[status] || 'bg-gray-100 text-gray-800';
     };
 
+    /**
+     * Gets the badge class for a leave request status
+     * @param {string} status - Leave request status
+     * @returns {string} - Tailwind CSS classes
+     */
+    const getLeaveStatusBadge = (status) => {
+        const badges = {
+            'Pending': 'bg-amber-100 text-amber-800',
+            'Approved': 'bg-green-100 text-green-800',
+            'Rejected': 'bg-red-100 text-red-800',
+            'Cancelled': 'bg-gray-100 text-gray-500'
+        };
+        return badges[status] || 'bg-gray-100 text-gray-800';
+    };
+
+    /**
+     * Gets timesheet approval status badge classes
+     * @param {string} status - Draft, Submitted, Approved or Rejected
+     * @returns {string} - Tailwind classes
+     */
+    const getTimesheetStatusBadge = (status) => {
+        const badges = {
+            'Draft': 'bg-gray-100 text-gray-600',
+            'Submitted': 'bg-amber-100 text-amber-800',
+            'Approved': 'bg-green-100 text-green-800',
+            'Rejected': 'bg-red-100 text-red-800'
+        };
+        return badges[status] || 'bg-gray-100 text-gray-800';
+    };
+
+    /**
+     * Gets review cycle status badge classes
+     * @param {string} status - Upcoming, Open or Closed
+     * @returns {string} - Tailwind classes
+     */
+    const getReviewCycleStatusBadge = (status) => {
+        const badges = {
+            'Upcoming': 'bg-blue-100 text-blue-800',
+            'Open': 'bg-green-100 text-green-800',
+            'Closed': 'bg-gray-100 text-gray-600'
+        };
+        return badges[status] || 'bg-gray-100 text-gray-800';
+    };
+
     // ============================================
     // 📤 PUBLIC API EXPORT
     // ============================================
@@ -527,10 +1444,15 @@ const Utils = (function() {
         formatDateDisplay,
         formatTime,
         formatTimeDisplay,
+        formatDuration,
         getToday,
         getDayName,
         isWeekend,
+        findHoliday,
         getLastNDays,
+        getQuarter,
+        shiftQuarter,
+        formatQuarter,
 
         // URL & Navigation
         getUrlParam,
@@ -555,15 +1477,56 @@ const Utils = (function() {
         groupBy,
         sortBy,
         searchFilter,
+        parseCsv,
+        readSpreadsheet,
+
+        // Export
+        toCsv,
+        downloadFile,
+        exportData,
+        bindExportMenu,
+        parsePayrollColumns,
+        formatPayrollColumns,
 
         // Images
         getAvatarUrl,
         handleImageError,
 
+        // Attendance
+        parseTimeToMinutes,
+        getCurrentTime,
+        getAttendanceRules,
+        calculateAttendanceStatus,
+        calculateLateMinutes,
+        isLateRecord,
+        calculateHoursWorked,
+        resolveShift,
+        isOvernightShift,
+
+        // Ratings
+        resolveRatingTemplate,
+        calculateRatingScore,
+        suggestRatingScores,
+
+        // Tasks
+        calculateSubtaskProgress,
+        calculateTaskProgress,
+        formatTaskEffort,
+
+        // OKRs
+        calculateKeyResultProgress,
+        calculateObjectiveProgress,
+        formatKeyResultProgress,
+        getOkrProgressClass,
+
         // Status Badges
         getAttendanceStatusBadge,
         getTaskStatusBadge,
-        getMemberStatusBadge
+        getTaskPriorityBadge,
+        getMemberStatusBadge,
+        getLeaveStatusBadge,
+        getTimesheetStatusBadge,
+        getReviewCycleStatusBadge
     };
 
 })();
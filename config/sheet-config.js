@@ -18,6 +18,41 @@ const CONFIG = (function() {
      */
     const SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbwfYvnaegBnKQS4Zppyhy2ZigIh5mVBERejZfJYXRuB5xteBh_dvDcCRAPfIisNGstv/exec';
 
+    /**
+     * Storage backend used by the API module
+     * - 'appsscript': Google Apps Script web app at SCRIPT_URL (production)
+     * - 'rest':       Local REST server (run `node server/mock-server.js`)
+     * - 'indexeddb':  In-browser IndexedDB store (offline development & demos)
+     */
+    const BACKEND = {
+        type: 'appsscript',
+        restUrl: 'http://localhost:3000/api',
+        dbName: 'squidx-hrm',
+        seedDemoData: true // Seed demo members into an empty local store
+    };
+
+    /**
+     * Authentication
+     * Every page except the login page requires a session. The session
+     * token is stored in localStorage and sent with every API call.
+     *
+     * The 'rest' and 'indexeddb' backends implement sign-in. The Apps
+     * Script backend must provide the same contract, and the app refuses
+     * to start against it until appsScriptReady is set:
+     * - 'login' ({ username, password }) returns { token, expiresAt, user }
+     *   where user is { username, name, role, memberId, department }
+     * - 'logout' ends the session for the `token` it is sent with
+     * - 'changePassword' ({ currentPassword, newPassword }) returns { user }
+     * - every other action reads the `token` field, answers code 401 when
+     *   it is missing or expired, and enforces the role rules server-side
+     */
+    const AUTH = {
+        enabled: true,
+        appsScriptReady: false, // Set once the deployed script checks tokens
+        loginPage: 'login.html',
+        storageKey: 'squidx_session'
+    };
+
     /**
      * Enable/Disable console logging for debugging
      * Set to false in production
@@ -31,11 +66,81 @@ const CONFIG = (function() {
 
     /**
      * Retry configuration for failed requests
+     * GETs are retried by default; POSTs only when the call opts in
+     * (or retryPost is true), since they may not be idempotent.
      */
     const RETRY_CONFIG = {
         maxRetries: 3,
-        retryDelay: 1000, // 1 second
-        retryOnStatusCodes: [408, 429, 500, 502, 503, 504]
+        retryDelay: 1000, // 1 second (base delay, doubled on every attempt)
+        maxRetryDelay: 15000, // 15 seconds cap
+        backoffFactor: 2,
+        retryOnStatusCodes: [408, 429, 500, 502, 503, 504],
+        retryOnNetworkError: true,
+        retryPost: false
+    };
+
+    /**
+     * Offline write queue (outbox) for attendance writes.
+     * Writes made while offline are stored in IndexedDB and replayed
+     * in order when the connection returns.
+     */
+    const OFFLINE_QUEUE = {
+        enabled: true,
+        dbName: 'squidx-outbox',
+        queueableActions: ['saveAttendance', 'updateAttendance'],
+        replayInterval: 30000 // Retry pending writes every 30 seconds while online
+    };
+
+    /**
+     * Response cache for read actions (persisted in localStorage so page
+     * switches don't refetch). Per action:
+     * - ttl:   served straight from cache while younger than this
+     * - stale: after ttl, served from cache for this much longer while a
+     *          fresh copy is fetched in the background (stale-while-revalidate)
+     * Actions not listed here are never cached.
+     */
+    const CACHE_CONFIG = {
+        enabled: true,
+        storageKey: 'squidx_cache',
+        policies: {
+            getSettings: { ttl: 10 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getMembers: { ttl: 5 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getAllMembers: { ttl: 5 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getMemberNames: { ttl: 5 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getMember: { ttl: 5 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getAttendance: { ttl: 30 * 1000, stale: 5 * 60 * 1000 },
+            getAttendanceByMember: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getAttendanceRange: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getPerformanceTasks: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getTask: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getRatings: { ttl: 2 * 60 * 1000, stale: 30 * 60 * 1000 },
+            getRating: { ttl: 2 * 60 * 1000, stale: 30 * 60 * 1000 },
+            getRatingTemplates: { ttl: 10 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getReviewCycles: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getReviewAssignments: { ttl: 30 * 1000, stale: 5 * 60 * 1000 },
+            getReviewTracker: { ttl: 30 * 1000, stale: 5 * 60 * 1000 },
+            getReviewResults: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getObjectives: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getDashboardStats: { ttl: 30 * 1000, stale: 5 * 60 * 1000 },
+            getLeaveSummary: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getLeaveRequests: { ttl: 30 * 1000, stale: 5 * 60 * 1000 },
+            getLeaveLedger: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getHolidays: { ttl: 10 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getShifts: { ttl: 10 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+            getShiftAssignments: { ttl: 60 * 1000, stale: 10 * 60 * 1000 },
+            getTimesheet: { ttl: 60 * 1000, stale: 10 * 60 * 1000 }
+        }
+    };
+
+    /**
+     * Read batching: GETs issued within `window` ms of each other are sent
+     * as one 'batch' action (one Apps Script round-trip instead of many).
+     * Identical GETs already in flight are always shared, batching or not.
+     */
+    const BATCH_CONFIG = {
+        enabled: true,
+        window: 10, // Milliseconds to wait for more reads before sending
+        maxSize: 10 // Requests per batch (keeps the query string short)
     };
 
     // ============================================
@@ -122,10 +227,46 @@ const CONFIG = (function() {
         LATE: 'Late',
         ABSENT: 'Absent',
         HALF_DAY: 'Half Day',
+        EARLY_LEAVE: 'Early Leave',
         ON_LEAVE: 'On Leave',
         HOLIDAY: 'Holiday'
     };
 
+    /**
+     * Attendance statuses of a day the member worked. Each counts as
+     * late or present by the record's lateness (see Utils.isLateRecord).
+     */
+    const WORKED_STATUSES = ['On Time', 'Present', 'Late', 'Half Day', 'Early Leave'];
+
+    /**
+     * Leave request types
+     */
+    const LEAVE_TYPES = {
+        PAID: 'Paid',
+        SICK: 'Sick',
+        CASUAL: 'Casual',
+        UNPAID: 'Unpaid'
+    };
+
+    /**
+     * Leave request statuses
+     */
+    const LEAVE_STATUS = {
+        PENDING: 'Pending',
+        APPROVED: 'Approved',
+        REJECTED: 'Rejected',
+        CANCELLED: 'Cancelled'
+    };
+
+    /**
+     * User roles (see PERMISSIONS in auth.js for what each can do)
+     */
+    const USER_ROLES = {
+        ADMIN: 'admin',
+        MANAGER: 'manager',
+        EMPLOYEE: 'employee'
+    };
+
     /**
      * Task status options
      */
@@ -137,6 +278,98 @@ const CONFIG = (function() {
         CANCELLED: 'Cancelled'
     };
 
+    /**
+     * Task priority levels, lowest first
+     */
+    const TASK_PRIORITY = {
+        LOW: 'Low',
+        MEDIUM: 'Medium',
+        HIGH: 'High',
+        CRITICAL: 'Critical'
+    };
+
+    /**
+     * Subtask status options
+     */
+    const SUBTASK_STATUS = {
+        PENDING: 'Pending',
+        IN_PROGRESS: 'In Progress',
+        COMPLETED: 'Completed'
+    };
+
+    // ============================================
+    // 💰 PAYROLL
+    // ============================================
+
+    /**
+     * Fields of the payroll summary (see getPayrollSummary) and their
+     * default column headings. The PayrollColumns setting picks which
+     * of them the export carries, in what order and under what heading.
+     */
+    const PAYROLL_COLUMNS = {
+        memberId: 'Member ID',
+        name: 'Name',
+        department: 'Department',
+        role: 'Designation',
+        workingDays: 'Working Days',
+        daysPresent: 'Days Present',
+        lateCount: 'Late Count',
+        halfDays: 'Half Days',
+        absentDays: 'Absent Days',
+        paidLeaveDays: 'Paid Leave Days',
+        unpaidLeaveDays: 'Unpaid Leave Days',
+        overtimeHours: 'Overtime Hours',
+        lateDeductionDays: 'Late Deduction (Days)',
+        deductionDays: 'Total Deduction (Days)',
+        payableDays: 'Payable Days'
+    };
+
+    // ============================================
+    // ⭐ RATINGS
+    // ============================================
+
+    /**
+     * Rating template used for any month and department no admin-defined
+     * template covers. Each criterion is scored 1..scale; the overall
+     * score is the weight-averaged share of the scale (see
+     * Utils.calculateRatingScore). Criterion keys are the rating fields
+     * the scores are stored under; a criterion with a source gets a
+     * suggested score worked out from that data (see RATING_SOURCES).
+     */
+    const DEFAULT_RATING_TEMPLATE = {
+        templateId: '',
+        name: 'Standard',
+        department: '',
+        effectiveFrom: '',
+        scale: 5,
+        criteria: [
+            { key: 'quality', label: 'Quality of Work', weight: 1, source: '' },
+            { key: 'punctuality', label: 'Punctuality', weight: 1, source: 'punctuality' },
+            { key: 'reliability', label: 'Reliability', weight: 1, source: '' },
+            { key: 'deadlines', label: 'Meeting Deadlines', weight: 1, source: 'deadlines' }
+        ]
+    };
+
+    /**
+     * Data a rating criterion can take a suggested score from
+     * (see Utils.suggestRatingScores)
+     */
+    const RATING_SOURCES = {
+        punctuality: 'Attendance (days started on time)',
+        deadlines: 'Tasks (finished by their deadline)'
+    };
+
+    /**
+     * Reviews each participant of a review cycle gets, in display order.
+     * Reviews are scored on the rating template in effect for the
+     * participant when the cycle ends.
+     */
+    const REVIEW_TYPES = {
+        self: 'Self-assessment',
+        peer: 'Peer review',
+        manager: 'Manager review'
+    };
+
     // ============================================
     // 🛠️ HELPER METHODS
     // ============================================
@@ -175,9 +408,14 @@ const CONFIG = (function() {
     return {
         // Core
         SCRIPT_URL,
+        BACKEND,
+        AUTH,
         DEBUG_MODE,
         REQUEST_TIMEOUT,
         RETRY_CONFIG,
+        OFFLINE_QUEUE,
+        CACHE_CONFIG,
+        BATCH_CONFIG,
 
         // Date/Time
         DATE_FORMAT,
@@ -193,7 +431,17 @@ const CONFIG = (function() {
         // Constants
         MEMBER_STATUS,
         ATTENDANCE_STATUS,
+        WORKED_STATUSES,
         TASK_STATUS,
+        TASK_PRIORITY,
+        SUBTASK_STATUS,
+        LEAVE_TYPES,
+        LEAVE_STATUS,
+        USER_ROLES,
+        PAYROLL_COLUMNS,
+        DEFAULT_RATING_TEMPLATE,
+        RATING_SOURCES,
+        REVIEW_TYPES,
 
         // Helpers
         log,
@@ -0,0 +1,241 @@
+/**
+ * SquidX HRM — Local Mock Server
+ * ================================
+ * Dependency-free Node server for offline development and demos.
+ * - Serves the static app (root pages, assets/ and config/ only)
+ * - Answers API actions at /api/{action} using the same handlers as the
+ *   in-browser IndexedDB backend (assets/js/backend-handlers.js)
+ * - Persists data to a JSON file
+ *
+ * Usage:
+ *   node server/mock-server.js [--port 3000] [--data server/data/db.json] [--reset] [--no-seed]
+ *
+ * Then set CONFIG.BACKEND.type = 'rest' in config/sheet-config.js and
+ * open http://localhost:3000/ — every action except 'login' needs the
+ * session token returned by login (default account: admin / admin;
+ * with demo data also manager / manager and employee / employee).
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const BackendHandlers = require('../assets/js/backend-handlers.js');
+
+// ============================================
+// 🔧 CONFIGURATION
+// ============================================
+
+/**
+ * Reads a `--name value` command line option
+ */
+const readOption = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = parseInt(readOption('port', process.env.PORT || 3000), 10);
+const DATA_FILE = path.resolve(readOption('data', process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json')));
+const RESET = process.argv.includes('--reset');
+const SEED = !process.argv.includes('--no-seed');
+
+/**
+ * Directories served as static files, besides the pages (*.html) in the
+ * repository root. Everything else (server/, .git, ...) is never served.
+ */
+const STATIC_DIRS = ['assets', 'config'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+// ============================================
+// 💾 JSON FILE STORE
+// ============================================
+
+/**
+ * Loads the data file (or starts empty)
+ */
+const loadData = () => {
+    if (RESET || !fs.existsSync(DATA_FILE)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        console.warn(`[mock-server] Could not read ${DATA_FILE}, starting empty:`, error.message);
+        return {};
+    }
+};
+
+const data = loadData();
+
+/**
+ * Writes all tables back to disk
+ */
+const persist = () => {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+};
+
+/**
+ * Serializes a key (compound keys are joined)
+ */
+const serializeKey = (key) => Array.isArray(key) ? key.join('|') : String(key);
+
+/**
+ * Table store implementation backed by the in-memory `data` object
+ */
+const fileStore = {
+    getAll: async (table) => Object.values(data[table] || {}),
+
+    put: async (table, row) => {
+        data[table] = data[table] || {};
+        data[table][serializeKey(BackendHandlers.keyOf(table, row))] = row;
+        persist();
+    },
+
+    remove: async (table, key) => {
+        if (data[table]) {
+            delete data[table][serializeKey(key)];
+            persist();
+        }
+    }
+};
+
+const handlers = BackendHandlers.create(fileStore, { seed: SEED });
+
+// ============================================
+// 🌐 HTTP HELPERS
+// ============================================
+
+/**
+ * Sends a JSON response with CORS headers
+ */
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads and parses a request body (JSON or form-encoded `payload=`)
+ */
+const readBody = (req) => {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+
+            try {
+                if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+                    const form = new URLSearchParams(raw);
+                    return resolve(JSON.parse(form.get('payload') || '{}'));
+                }
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+};
+
+/**
+ * Checks whether a path (relative to the repository root) may be served:
+ * root pages and files under STATIC_DIRS, never hidden files or folders
+ */
+const isServable = (relative) => {
+    const segments = relative.split(/[\\/]/);
+    if (segments.some(segment => !segment || segment.startsWith('.'))) return false;
+
+    if (segments.length === 1) return path.extname(segments[0]).toLowerCase() === '.html';
+    return STATIC_DIRS.includes(segments[0]);
+};
+
+/**
+ * Serves an allowed static file from the repository root
+ */
+const serveStatic = (res, pathname) => {
+    let relative;
+    try {
+        relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const filePath = path.resolve(ROOT_DIR, relative);
+
+    // Never serve anything outside the allow-list, the repository or the data file
+    if (!isServable(relative) || !filePath.startsWith(ROOT_DIR + path.sep) || filePath === DATA_FILE) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+    });
+};
+
+// ============================================
+// 🚀 SERVER
+// ============================================
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        return sendJson(res, 204, {});
+    }
+
+    const match = url.pathname.match(/^\/api\/([A-Za-z0-9_]+)\/?$/);
+    if (!match) {
+        return serveStatic(res, url.pathname);
+    }
+
+    const action = match[1];
+
+    try {
+        const params = req.method === 'POST'
+            ? await readBody(req)
+            : Object.fromEntries(url.searchParams.entries());
+
+        delete params.action;
+
+        const response = await handlers.handle(action, params);
+        console.log(`[mock-server] ${req.method} ${action} → ${response.success ? 'ok' : response.error}`);
+        sendJson(res, 200, response);
+    } catch (error) {
+        sendJson(res, 400, { success: false, error: 'Invalid request body', code: 400 });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`[mock-server] SquidX HRM running at http://localhost:${PORT}/`);
+    console.log(`[mock-server] API at http://localhost:${PORT}/api/{action} — data file: ${DATA_FILE}`);
+    console.log('[mock-server] Sign in with admin / admin (demo data adds manager / manager and employee / employee)');
+});